@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════
+//  Carbon Ledger CLI
+//  Batch recalculation of installation snapshots (SQLite database
+//  files or JSON app state) with the headless core (src/core).
+// ═══════════════════════════════════════════════════════════════
+
+import { parseArgs } from 'node:util';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import {
+    loadStateFile, withPeriod, periodRange, recalculate, summarizeResult, buildCBAMTemplate, templateToCSV,
+} from '../src/core/index.js';
+
+const USAGE = `Usage: carbon-ledger [options] <snapshot>...
+
+  <snapshot>           SQLite database saved by the app, or JSON app state
+
+Options:
+  -f, --format <name>  summary (default) | results | template | csv
+  -p, --period <key>   Limit to 2025, 2025-Q1 or 2025-03 of the reporting period
+                       (default: whole reporting period)
+  -o, --out-dir <dir>  Write one file per snapshot instead of printing
+  -h, --help           Show this help
+`;
+
+// Output of each format and the extension it is written with
+const FORMATS = {
+    summary: { extension: '.summary.json', render: (state) => json(summarizeResult(recalculate(state))) },
+    results: { extension: '.results.json', render: (state) => json(recalculate(state)) },
+    template: { extension: '.cbam.json', render: (state) => json(buildCBAMTemplate(state)) },
+    csv: { extension: '.cbam.csv', render: (state) => templateToCSV(buildCBAMTemplate(state)) },
+};
+
+const json = (value) => JSON.stringify(value, null, 2);
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', short: 'f', default: 'summary' },
+            period: { type: 'string', short: 'p' },
+            'out-dir': { type: 'string', short: 'o' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (values.help || positionals.length === 0) {
+        process.stdout.write(USAGE);
+        return values.help ? 0 : 1;
+    }
+    const format = FORMATS[values.format];
+    if (!format) {
+        process.stderr.write(`Unknown format "${values.format}" — use ${Object.keys(FORMATS).join(', ')}\n`);
+        return 1;
+    }
+    if (values.period !== undefined && !periodRange(values.period)) {
+        process.stderr.write(`Invalid period "${values.period}" — use a year (2025), quarter (2025-Q1) or month (2025-03)\n`);
+        return 1;
+    }
+    const outDir = values['out-dir'];
+    if (!outDir && positionals.length > 1 && values.format === 'csv') {
+        process.stderr.write('CSV output of several snapshots needs --out-dir\n');
+        return 1;
+    }
+    if (outDir) await mkdir(outDir, { recursive: true });
+
+    // Snapshots are processed one at a time; a failure is reported and the rest continue
+    let failed = 0;
+    const printed = [];
+    for (const file of positionals) {
+        try {
+            const state = withPeriod(await loadStateFile(file), values.period || null);
+            const output = format.render(state);
+            if (outDir) {
+                const target = path.join(outDir, path.basename(file, path.extname(file)) + format.extension);
+                await writeFile(target, output);
+                process.stderr.write(`${file} → ${target}\n`);
+            } else {
+                printed.push(positionals.length > 1 ? `{ "file": ${JSON.stringify(file)}, "output": ${output} }` : output);
+            }
+        } catch (err) {
+            failed += 1;
+            process.stderr.write(`${file}: ${err.message}\n`);
+        }
+    }
+    if (printed.length > 0) {
+        process.stdout.write(positionals.length > 1 ? `[\n${printed.join(',\n')}\n]\n` : `${printed[0]}\n`);
+    }
+    return failed > 0 ? 2 : 0;
+}
+
+main().then(code => { process.exitCode = code; }, err => {
+    process.stderr.write(`${err.message}\n`);
+    process.exitCode = 1;
+});
@@ -26,4 +26,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Headless core and CLI run under Node
+    files: ['bin/**/*.js', 'src/core/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -17,6 +17,7 @@ import AuditTrailView from './views/AuditTrailView';
 import QADashboardView from './views/QADashboardView';
 import DashboardView from './views/DashboardView';
 import WorkflowStatusBadge from './components/WorkflowStatusBadge';
+import PeriodSelector from './components/PeriodSelector';
 import ExportView from './views/ExportView';
 import ReportView from './views/ReportView';
 import './styles/print.css';
@@ -196,6 +197,7 @@ function App() {
           </div>
 
           <div className="flex items-center gap-4">
+            <PeriodSelector />
             <WorkflowStatusBadge />
             {state.isDirty && (
               <span className="text-xs font-medium text-amber-600 bg-amber-50 px-2.5 py-1 rounded-full border border-amber-100 animate-pulse">
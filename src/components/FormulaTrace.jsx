@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+
+const fmt = (v) => Number(v.toPrecision(8)).toLocaleString('en-US', { maximumFractionDigits: 8 });
+
+/**
+ * Evaluation trace of a formula (traceFormula() / lineage.trace) as a
+ * tree: each operation with its operands substituted and its value.
+ * Operations open on click; `expanded` opens every level, for print.
+ */
+export default function FormulaTrace({ trace, expanded = false }) {
+    if (!trace) return null;
+    return (
+        <div className="font-mono text-xs text-slate-700">
+            <TraceNode node={trace} depth={0} expanded={expanded} />
+        </div>
+    );
+}
+
+function TraceNode({ node, depth, expanded }) {
+    // The top two levels start open
+    const [open, setOpen] = useState(depth < 2);
+    const isOpen = expanded || open;
+    const hasChildren = node.children.length > 0;
+    const isLeaf = !hasChildren;
+
+    return (
+        <div>
+            <div
+                className={`flex items-start gap-1 py-0.5 ${hasChildren && !expanded ? 'cursor-pointer hover:bg-slate-50 rounded' : ''}`}
+                style={{ paddingLeft: depth * 12 }}
+                onClick={() => hasChildren && setOpen(!open)}
+            >
+                <span className="w-3 shrink-0 text-slate-400 print:hidden">
+                    {hasChildren && (isOpen ? <ChevronDown size={12} /> : <ChevronRight size={12} />)}
+                </span>
+                <span className="flex-1 break-all">
+                    <span className={isLeaf ? 'text-blue-600' : 'text-slate-600'}>{node.expression}</span>
+                    {!isLeaf && <span className="text-violet-600"> = {node.substituted}</span>}
+                </span>
+                <span className="shrink-0 font-bold text-slate-800">= {fmt(node.value)}</span>
+            </div>
+            {hasChildren && isOpen && node.children.map((child, i) => (
+                <TraceNode key={i} node={child} depth={depth + 1} expanded={expanded} />
+            ))}
+        </div>
+    );
+}
@@ -1,18 +1,26 @@
 import React from 'react';
-import { X, ArrowRight, Beaker, Sigma } from 'lucide-react';
+import { X, ArrowRight, Beaker, Sigma, AlertTriangle } from 'lucide-react';
+import FormulaTrace from './FormulaTrace';
+
+const StepHeader = ({ n, className, label }) => (
+    <div className="flex items-center gap-2 mb-2">
+        <div className={`w-6 h-6 rounded-full ${className} flex items-center justify-center text-[10px] font-bold`}>{n}</div>
+        <span className="text-xs font-semibold text-slate-600 uppercase tracking-wider">{label}</span>
+    </div>
+);
 
 /**
- * Lineage Panel — shows the full calculation trace for a single emission block.
- * Props:
- *   block  — block result from calculateTotalEmissions().emissionBlocks.entries[]
- *   onClose — callback to close the panel
+ * Formula steps for an emission block: upstream blocks it references,
+ * formula, parameters, substitution with the evaluation trace, raw
+ * result and GWP conversion.
  */
-export default function LineagePanel({ block, onClose }) {
-    if (!block || !block.lineage) return null;
-
+function FormulaSteps({ block }) {
     const { lineage } = block;
     const variables = lineage.variables || {};
     const varKeys = Object.keys(variables);
+    const upstream = lineage.upstream || [];
+    const upstreamOf = Object.fromEntries(upstream.map(u => [u.outputName, u]));
+    const bindings = lineage.bindings || {};
 
     // Build substituted formula string
     let substituted = lineage.formula || '';
@@ -20,6 +28,361 @@ export default function LineagePanel({ block, onClose }) {
         substituted = substituted.replace(new RegExp(`\\b${k}\\b`, 'g'), `[${variables[k]}]`);
     });
 
+    return (
+        <>
+            {/* Upstream blocks whose outputs the formula reads */}
+            {upstream.length > 0 && (
+                <div>
+                    <div className="text-xs font-semibold text-slate-600 uppercase tracking-wider mb-2">Upstream Blocks</div>
+                    <div className="bg-white rounded-lg border border-indigo-200 divide-y divide-indigo-50">
+                        {upstream.map(u => (
+                            <div key={u.blockId} className="flex items-center justify-between px-3 py-2 gap-2">
+                                <div className="min-w-0">
+                                    <div className="text-xs text-slate-700 truncate">{u.name}</div>
+                                    <div className="text-[10px] font-mono text-indigo-500">{u.outputName}</div>
+                                </div>
+                                <span className="text-sm font-mono font-bold text-slate-800 shrink-0">
+                                    {(u.tonnes || 0).toFixed(4)} <span className="text-xs font-normal">t {u.gas}</span>
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Step 1: Formula */}
+            <div>
+                <div className="flex items-center gap-2 mb-2">
+                    <div className="w-6 h-6 rounded-full bg-indigo-100 text-indigo-600 flex items-center justify-center text-[10px] font-bold">1</div>
+                    <span className="text-xs font-semibold text-slate-600 uppercase tracking-wider">Formula</span>
+                </div>
+                <div className="bg-slate-50 rounded-lg p-3 font-mono text-sm text-slate-700 border border-slate-200 break-all">
+                    {lineage.formula || '—'}
+                </div>
+                {lineage.source && (
+                    <div className="mt-1 text-[10px] text-slate-400">Source: {lineage.source}</div>
+                )}
+            </div>
+
+            {/* Step 2: Variables */}
+            <div>
+                <div className="flex items-center gap-2 mb-2">
+                    <div className="w-6 h-6 rounded-full bg-blue-100 text-blue-600 flex items-center justify-center text-[10px] font-bold">2</div>
+                    <span className="text-xs font-semibold text-slate-600 uppercase tracking-wider">Parameters</span>
+                </div>
+                <div className="bg-white rounded-lg border border-slate-200 divide-y divide-slate-100">
+                    {varKeys.map(k => (
+                        <div key={k} className="px-3 py-2">
+                            <div className="flex items-center justify-between">
+                                <span className="text-xs font-mono text-blue-600">
+                                    {k}
+                                    {upstreamOf[k] && <span className="ml-1 text-[10px] text-indigo-400">↗ {upstreamOf[k].name}</span>}
+                                </span>
+                                <span className="text-sm font-mono font-bold text-slate-800">{variables[k]}</span>
+                            </div>
+                            {bindings[k] && (
+                                <div className={`text-[10px] mt-0.5 ${bindings[k].error ? 'text-red-500' : 'text-slate-400'}`}>
+                                    {bindings[k].error || `${bindings[k].source.label} · ${bindings[k].source.period} · ${bindings[k].source.rows.length} rows, ${bindings[k].unit}`}
+                                    {bindings[k].source.estimated > 0 && ` · ${bindings[k].source.estimated} estimated`}
+                                    {bindings[k].source.converted?.length > 0 && ` · ${bindings[k].source.converted.length} converted from other units`}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {/* Step 3: Substitution */}
+            <div>
+                <div className="flex items-center gap-2 mb-2">
+                    <div className="w-6 h-6 rounded-full bg-violet-100 text-violet-600 flex items-center justify-center text-[10px] font-bold">3</div>
+                    <span className="text-xs font-semibold text-slate-600 uppercase tracking-wider">Substituted</span>
+                </div>
+                <div className="bg-violet-50 rounded-lg p-3 font-mono text-sm text-violet-800 border border-violet-200 break-all">
+                    {substituted}
+                </div>
+                {lineage.trace && (
+                    <div className="mt-2 bg-white rounded-lg border border-slate-200 p-2">
+                        <div className="text-[10px] font-semibold text-slate-500 uppercase tracking-wider mb-1">Evaluation trace — click an operation to expand</div>
+                        <FormulaTrace trace={lineage.trace} />
+                    </div>
+                )}
+            </div>
+
+            {/* Step 4: Raw result */}
+            <div>
+                <div className="flex items-center gap-2 mb-2">
+                    <div className="w-6 h-6 rounded-full bg-emerald-100 text-emerald-600 flex items-center justify-center text-[10px] font-bold">4</div>
+                    <span className="text-xs font-semibold text-slate-600 uppercase tracking-wider">Result</span>
+                </div>
+                <div className="bg-emerald-50 rounded-lg p-4 border border-emerald-200">
+                    <div className="flex items-center justify-between">
+                        <span className="text-xs text-emerald-600 font-medium">Raw output</span>
+                        <span className="text-lg font-bold font-mono text-emerald-800">
+                            {(lineage.rawResult || 0).toFixed(4)} <span className="text-xs font-normal">t {block.gas}</span>
+                        </span>
+                    </div>
+                </div>
+            </div>
+
+            {/* Step 5: GWP conversion */}
+            <div>
+                <div className="flex items-center gap-2 mb-2">
+                    <div className="w-6 h-6 rounded-full bg-amber-100 text-amber-600 flex items-center justify-center text-[10px] font-bold">5</div>
+                    <span className="text-xs font-semibold text-slate-600 uppercase tracking-wider">GWP Conversion</span>
+                </div>
+                <div className="bg-amber-50 rounded-lg p-4 border border-amber-200">
+                    <div className="flex items-center gap-2 text-sm font-mono">
+                        <span className="text-amber-700">{(lineage.rawResult || 0).toFixed(4)}</span>
+                        <span className="text-slate-400">×</span>
+                        <span className="px-2 py-0.5 bg-amber-200 rounded text-amber-800 font-bold">
+                            GWP = {lineage.gwpFactor}
+                        </span>
+                        <span className="text-slate-400">=</span>
+                        <span className="text-amber-900 font-bold text-lg">{(lineage.co2e || 0).toFixed(4)}</span>
+                        <span className="text-xs text-amber-600">tCO₂e</span>
+                    </div>
+                    {lineage.gwpFactor === 1 && (
+                        <div className="text-[10px] text-amber-500 mt-1">Gas is CO₂ — GWP = 1 (no conversion)</div>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+}
+
+/**
+ * Mass-balance steps: streams with sign, carbon totals, CO₂ conversion.
+ */
+function MassBalanceSteps({ lineage }) {
+    const streams = lineage.streams || [];
+    const { carbonIn, carbonOut, netCarbon } = lineage.conversion || {};
+
+    return (
+        <>
+            {/* Step 1: Formula */}
+            <div>
+                <StepHeader n={1} className="bg-indigo-100 text-indigo-600" label="Formula (MRR Art. 25)" />
+                <div className="bg-slate-50 rounded-lg p-3 font-mono text-sm text-slate-700 border border-slate-200 break-all">
+                    {lineage.formula}
+                </div>
+            </div>
+
+            {/* Step 2: Streams */}
+            <div>
+                <StepHeader n={2} className="bg-blue-100 text-blue-600" label="Source Streams" />
+                <div className="bg-white rounded-lg border border-slate-200 divide-y divide-slate-100">
+                    {streams.map(s => (
+                        <div key={s.entryId} className="px-3 py-2">
+                            <div className="flex items-center justify-between">
+                                <span className="text-xs font-medium text-slate-700">
+                                    <span className={`font-mono font-bold mr-1 ${s.sign < 0 ? 'text-rose-600' : 'text-emerald-600'}`}>{s.sign < 0 ? '−' : '+'}</span>
+                                    {s.name || s.entryId}
+                                </span>
+                                <span className={`text-sm font-mono font-bold ${s.sign < 0 ? 'text-rose-700' : 'text-slate-800'}`}>{s.carbonT.toFixed(2)} t C</span>
+                            </div>
+                            <div className="text-[10px] font-mono text-slate-400">
+                                {s.quantity.toLocaleString()} t × {s.carbonContent} t C/t
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {/* Step 3: Carbon balance */}
+            <div>
+                <StepHeader n={3} className="bg-violet-100 text-violet-600" label="Carbon Balance" />
+                <div className="bg-violet-50 rounded-lg p-3 font-mono text-sm text-violet-800 border border-violet-200 space-y-1">
+                    <div className="flex justify-between"><span>C in</span><span>{(carbonIn?.value || 0).toFixed(2)} t</span></div>
+                    <div className="flex justify-between"><span>C out</span><span>−{(carbonOut?.value || 0).toFixed(2)} t</span></div>
+                    <div className="flex justify-between font-bold border-t border-violet-200 pt-1"><span>Net C</span><span>{(netCarbon?.value || 0).toFixed(2)} t</span></div>
+                </div>
+                {lineage.warning && (
+                    <div className="mt-1 flex items-start gap-1 text-[10px] text-amber-600">
+                        <AlertTriangle size={11} className="mt-0.5 shrink-0" /> {lineage.warning}
+                    </div>
+                )}
+            </div>
+
+            {/* Step 4: CO₂ conversion */}
+            <div>
+                <StepHeader n={4} className="bg-amber-100 text-amber-600" label="Carbon → CO₂" />
+                <div className="bg-amber-50 rounded-lg p-4 border border-amber-200">
+                    <div className="flex items-center gap-2 text-sm font-mono">
+                        <span className="text-amber-700">{(netCarbon?.value || 0).toFixed(2)}</span>
+                        <span className="text-slate-400">×</span>
+                        <span className="px-2 py-0.5 bg-amber-200 rounded text-amber-800 font-bold">44/12</span>
+                        <span className="text-slate-400">=</span>
+                        <span className="text-amber-900 font-bold text-lg">{(lineage.outputs?.co2?.value || 0).toFixed(2)}</span>
+                        <span className="text-xs text-amber-600">tCO₂</span>
+                    </div>
+                </div>
+            </div>
+        </>
+    );
+}
+
+/**
+ * CEMS steps: hourly data coverage, substitution, integration,
+ * biomass deduction and the corroborating calculation.
+ */
+function CemsSteps({ lineage }) {
+    const { hours = {}, substitution, conversion = {}, corroboration } = lineage;
+    const t = (v) => (v?.value || 0).toFixed(2);
+
+    return (
+        <>
+            {/* Step 1: Formula */}
+            <div>
+                <StepHeader n={1} className="bg-indigo-100 text-indigo-600" label="Formula (MRR Art. 43)" />
+                <div className="bg-slate-50 rounded-lg p-3 font-mono text-sm text-slate-700 border border-slate-200 break-all">
+                    {lineage.formula}
+                </div>
+                <div className="mt-1 text-[10px] text-slate-400">C_h in {lineage.unit}, V_h in Nm³/h</div>
+            </div>
+
+            {/* Step 2: Data availability */}
+            <div>
+                <StepHeader n={2} className="bg-blue-100 text-blue-600" label="Hourly Data" />
+                <div className="bg-white rounded-lg border border-slate-200 divide-y divide-slate-100 text-xs">
+                    <div className="flex justify-between px-3 py-2"><span className="text-slate-500">Hours in period</span><span className="font-mono font-bold">{hours.expected}</span></div>
+                    <div className="flex justify-between px-3 py-2"><span className="text-slate-500">Valid hours</span><span className="font-mono font-bold">{hours.valid}</span></div>
+                    <div className="flex justify-between px-3 py-2"><span className="text-slate-500">Data availability</span><span className="font-mono font-bold">{((lineage.availability || 0) * 100).toFixed(1)}%</span></div>
+                </div>
+            </div>
+
+            {/* Step 3: Substitution */}
+            {substitution && (
+                <div>
+                    <StepHeader n={3} className="bg-violet-100 text-violet-600" label="Missing-Hour Substitution (Art. 45)" />
+                    <div className="bg-violet-50 rounded-lg p-3 font-mono text-xs text-violet-800 border border-violet-200 space-y-1">
+                        <div className="flex justify-between">
+                            <span>C: {substitution.conc.rule} × {hours.substitutedConc} h</span>
+                            <span>{substitution.conc.mean.toFixed(1)} + 2×{substitution.conc.sigma.toFixed(1)} = {substitution.conc.value.toFixed(1)}</span>
+                        </div>
+                        <div className="flex justify-between">
+                            <span>V: {substitution.flow.rule} × {hours.substitutedFlow} h</span>
+                            <span>{substitution.flow.value.toFixed(1)} Nm³/h</span>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Step 4: Integration */}
+            <div>
+                <StepHeader n={4} className="bg-emerald-100 text-emerald-600" label="Period Total" />
+                <div className="bg-emerald-50 rounded-lg p-3 font-mono text-xs text-emerald-800 border border-emerald-200 space-y-1">
+                    <div className="flex justify-between"><span>Measured hours</span><span>{t(conversion.measured)} t</span></div>
+                    <div className="flex justify-between"><span>Substituted hours</span><span>{t(conversion.substituted)} t</span></div>
+                    {conversion.biogenic?.value > 0 && (
+                        <div className="flex justify-between"><span>Biogenic (memo)</span><span>−{t(conversion.biogenic)} t</span></div>
+                    )}
+                    <div className="flex justify-between font-bold border-t border-emerald-200 pt-1"><span>Fossil {lineage.gas}</span><span>{t(conversion.fossil)} t</span></div>
+                </div>
+                {lineage.error && (
+                    <div className="mt-1 flex items-start gap-1 text-[10px] text-red-600">
+                        <AlertTriangle size={11} className="mt-0.5 shrink-0" /> {lineage.error}
+                    </div>
+                )}
+            </div>
+
+            {/* Step 5: Corroboration */}
+            <div>
+                <StepHeader n={5} className="bg-amber-100 text-amber-600" label="Corroborating Calculation (Art. 46)" />
+                <div className="bg-amber-50 rounded-lg p-3 border border-amber-200 text-xs">
+                    {corroboration?.status === 'no_reference' ? (
+                        <span className="text-amber-700">No calculation-based fuel entries for this process and period.</span>
+                    ) : (
+                        <div className="font-mono text-amber-800 space-y-1">
+                            <div className="flex justify-between"><span>Measured</span><span>{t(conversion.total)} t</span></div>
+                            <div className="flex justify-between"><span>Calculated ({corroboration?.entryIds.length} fuels)</span><span>{(corroboration?.calculated || 0).toFixed(2)} t</span></div>
+                            <div className={`flex justify-between font-bold ${corroboration?.status === 'ok' ? 'text-emerald-700' : 'text-red-600'}`}>
+                                <span>Deviation (±{(corroboration?.tolerance || 0) * 100}%)</span>
+                                <span>{((corroboration?.deviation || 0) * 100).toFixed(1)}%</span>
+                            </div>
+                        </div>
+                    )}
+                </div>
+                {lineage.warning && (
+                    <div className="mt-1 flex items-start gap-1 text-[10px] text-amber-600">
+                        <AlertTriangle size={11} className="mt-0.5 shrink-0" /> {lineage.warning}
+                    </div>
+                )}
+            </div>
+        </>
+    );
+}
+
+/**
+ * Precursor steps: mass, SEE source (supplier data or EU default) and the
+ * direct / indirect embedded emissions carried into the good.
+ */
+function PrecursorSteps({ lineage }) {
+    const { mass, seeDirect, seeIndirect } = lineage.inputs;
+    const fmt = (n, d = 3) => (n || 0).toFixed(d);
+
+    return (
+        <>
+            {/* Step 1: Formula */}
+            <div>
+                <StepHeader n={1} className="bg-indigo-100 text-indigo-600" label="Formula (CBAM Annex II §4)" />
+                <div className="bg-slate-50 rounded-lg p-3 font-mono text-sm text-slate-700 border border-slate-200 break-all">
+                    {lineage.formula}
+                </div>
+            </div>
+
+            {/* Step 2: SEE source */}
+            <div>
+                <StepHeader n={2} className="bg-blue-100 text-blue-600" label="Specific Embedded Emissions" />
+                <div className="bg-white rounded-lg border border-slate-200 divide-y divide-slate-100 text-xs">
+                    <div className="flex justify-between px-3 py-2"><span className="text-slate-500">Source</span><span className="font-bold capitalize">{seeDirect.source}</span></div>
+                    {lineage.defaultValue && (
+                        <div className="flex justify-between px-3 py-2">
+                            <span className="text-slate-500">EU default</span>
+                            <span className="font-mono">{lineage.defaultValue.country} · CN {lineage.defaultValue.cn}</span>
+                        </div>
+                    )}
+                    <div className="flex justify-between px-3 py-2"><span className="text-slate-500">SEE direct</span><span className="font-mono">{fmt(seeDirect.value)} {seeDirect.unit}</span></div>
+                    <div className="flex justify-between px-3 py-2"><span className="text-slate-500">SEE indirect</span><span className="font-mono">{fmt(seeIndirect.value)} {seeIndirect.unit}</span></div>
+                </div>
+                {lineage.warning && (
+                    <div className="mt-1 flex items-start gap-1 text-[10px] text-amber-600">
+                        <AlertTriangle size={11} className="mt-0.5 shrink-0" /> {lineage.warning}
+                    </div>
+                )}
+            </div>
+
+            {/* Step 3: Embedded emissions */}
+            <div>
+                <StepHeader n={3} className="bg-amber-100 text-amber-600" label="Embedded Emissions" />
+                <div className="bg-amber-50 rounded-lg p-3 font-mono text-sm text-amber-800 border border-amber-200 space-y-1">
+                    <div className="flex justify-between"><span>{fmt(mass.value, 2)} t × {fmt(seeDirect.value)}</span><span>{fmt(lineage.outputs.direct.value, 2)} t direct</span></div>
+                    <div className="flex justify-between"><span>{fmt(mass.value, 2)} t × {fmt(seeIndirect.value)}</span><span>{fmt(lineage.outputs.indirect.value, 2)} t indirect</span></div>
+                </div>
+            </div>
+        </>
+    );
+}
+
+/**
+ * Lineage Panel — shows the full calculation trace for a single emission block,
+ * mass balance, CEMS source or precursor.
+ * Props:
+ *   block  — result from calculateTotalEmissions().emissionBlocks.entries[],
+ *            .massBalance.entries[] or .cems.entries[], or a calculatePCF()
+ *            precursors.entries[] item with co2e set
+ *   onClose — callback to close the panel
+ */
+export default function LineagePanel({ block, onClose }) {
+    if (!block || !block.lineage) return null;
+
+    const { lineage } = block;
+    const Steps = {
+        mass_balance: MassBalanceSteps,
+        cems: CemsSteps,
+        precursor: PrecursorSteps,
+    }[lineage.type];
+
     return (
         <div className="fixed inset-0 z-50 flex items-center justify-end">
             {/* Backdrop */}
@@ -42,85 +405,7 @@ export default function LineagePanel({ block, onClose }) {
                 </div>
 
                 <div className="p-5 space-y-5">
-                    {/* Step 1: Formula */}
-                    <div>
-                        <div className="flex items-center gap-2 mb-2">
-                            <div className="w-6 h-6 rounded-full bg-indigo-100 text-indigo-600 flex items-center justify-center text-[10px] font-bold">1</div>
-                            <span className="text-xs font-semibold text-slate-600 uppercase tracking-wider">Formula</span>
-                        </div>
-                        <div className="bg-slate-50 rounded-lg p-3 font-mono text-sm text-slate-700 border border-slate-200 break-all">
-                            {lineage.formula || '—'}
-                        </div>
-                        {lineage.source && (
-                            <div className="mt-1 text-[10px] text-slate-400">Source: {lineage.source}</div>
-                        )}
-                    </div>
-
-                    {/* Step 2: Variables */}
-                    <div>
-                        <div className="flex items-center gap-2 mb-2">
-                            <div className="w-6 h-6 rounded-full bg-blue-100 text-blue-600 flex items-center justify-center text-[10px] font-bold">2</div>
-                            <span className="text-xs font-semibold text-slate-600 uppercase tracking-wider">Parameters</span>
-                        </div>
-                        <div className="bg-white rounded-lg border border-slate-200 divide-y divide-slate-100">
-                            {varKeys.map(k => (
-                                <div key={k} className="flex items-center justify-between px-3 py-2">
-                                    <span className="text-xs font-mono text-blue-600">{k}</span>
-                                    <span className="text-sm font-mono font-bold text-slate-800">{variables[k]}</span>
-                                </div>
-                            ))}
-                        </div>
-                    </div>
-
-                    {/* Step 3: Substitution */}
-                    <div>
-                        <div className="flex items-center gap-2 mb-2">
-                            <div className="w-6 h-6 rounded-full bg-violet-100 text-violet-600 flex items-center justify-center text-[10px] font-bold">3</div>
-                            <span className="text-xs font-semibold text-slate-600 uppercase tracking-wider">Substituted</span>
-                        </div>
-                        <div className="bg-violet-50 rounded-lg p-3 font-mono text-sm text-violet-800 border border-violet-200 break-all">
-                            {substituted}
-                        </div>
-                    </div>
-
-                    {/* Step 4: Raw result */}
-                    <div>
-                        <div className="flex items-center gap-2 mb-2">
-                            <div className="w-6 h-6 rounded-full bg-emerald-100 text-emerald-600 flex items-center justify-center text-[10px] font-bold">4</div>
-                            <span className="text-xs font-semibold text-slate-600 uppercase tracking-wider">Result</span>
-                        </div>
-                        <div className="bg-emerald-50 rounded-lg p-4 border border-emerald-200">
-                            <div className="flex items-center justify-between">
-                                <span className="text-xs text-emerald-600 font-medium">Raw output</span>
-                                <span className="text-lg font-bold font-mono text-emerald-800">
-                                    {(lineage.rawResult || 0).toFixed(4)} <span className="text-xs font-normal">t {block.gas}</span>
-                                </span>
-                            </div>
-                        </div>
-                    </div>
-
-                    {/* Step 5: GWP conversion */}
-                    <div>
-                        <div className="flex items-center gap-2 mb-2">
-                            <div className="w-6 h-6 rounded-full bg-amber-100 text-amber-600 flex items-center justify-center text-[10px] font-bold">5</div>
-                            <span className="text-xs font-semibold text-slate-600 uppercase tracking-wider">GWP Conversion</span>
-                        </div>
-                        <div className="bg-amber-50 rounded-lg p-4 border border-amber-200">
-                            <div className="flex items-center gap-2 text-sm font-mono">
-                                <span className="text-amber-700">{(lineage.rawResult || 0).toFixed(4)}</span>
-                                <span className="text-slate-400">×</span>
-                                <span className="px-2 py-0.5 bg-amber-200 rounded text-amber-800 font-bold">
-                                    GWP = {lineage.gwpFactor}
-                                </span>
-                                <span className="text-slate-400">=</span>
-                                <span className="text-amber-900 font-bold text-lg">{(lineage.co2e || 0).toFixed(4)}</span>
-                                <span className="text-xs text-amber-600">tCO₂e</span>
-                            </div>
-                            {lineage.gwpFactor === 1 && (
-                                <div className="text-[10px] text-amber-500 mt-1">Gas is CO₂ — GWP = 1 (no conversion)</div>
-                            )}
-                        </div>
-                    </div>
+                    {Steps ? <Steps lineage={lineage} /> : <FormulaSteps block={block} />}
 
                     {/* Final result */}
                     <div className="bg-gradient-to-br from-indigo-50 to-blue-50 rounded-xl p-4 border border-indigo-200">
@@ -0,0 +1,53 @@
+import React, { useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { emissionInputsFromState } from '../engine/emissionEngine';
+import { PERIOD_GRANULARITIES, reportingWindow, windowBuckets, scopeInputs, scopeProduction } from '../engine/periodScope';
+import { CalendarRange, AlertTriangle } from 'lucide-react';
+
+export default function PeriodSelector() {
+    const { state, dispatch } = useApp();
+    const scope = state.periodScope || { granularity: 'reporting', key: null };
+    const reporting = useMemo(() => reportingWindow(state.meta), [state.meta]);
+
+    // Rows outside the whole reporting period, whatever sub-period is selected
+    const outside = useMemo(() => {
+        const inputs = scopeInputs(emissionInputsFromState(state, reporting), reporting);
+        const output = scopeProduction(state.products, state.productionOutput || [], reporting);
+        return [...inputs.excluded, ...output.excluded];
+    }, [state, reporting]);
+
+    const buckets = scope.granularity === 'reporting' ? [] : windowBuckets(reporting, scope.granularity);
+
+    const setGranularity = (granularity) => dispatch({
+        type: 'SET_PERIOD_SCOPE',
+        payload: { granularity, key: granularity === 'reporting' ? null : windowBuckets(reporting, granularity)[0]?.key || null },
+    });
+
+    return (
+        <div className="flex items-center gap-2">
+            <CalendarRange size={16} className="text-slate-400" />
+            <select value={scope.granularity} className="input-cell text-xs"
+                onChange={(e) => setGranularity(e.target.value)}>
+                {Object.values(PERIOD_GRANULARITIES).map(g => <option key={g.id} value={g.id}>{g.label}</option>)}
+            </select>
+            {scope.granularity === 'reporting' ? (
+                <span className="text-xs font-mono text-slate-500">{reporting.start || '…'} → {reporting.end || '…'}</span>
+            ) : (
+                <select value={scope.key || ''} className="input-cell text-xs font-mono"
+                    onChange={(e) => dispatch({ type: 'SET_PERIOD_SCOPE', payload: { ...scope, key: e.target.value } })}>
+                    {buckets.map(b => <option key={b.key} value={b.key}>{b.key}</option>)}
+                </select>
+            )}
+            {outside.length > 0 && (
+                <button
+                    className="flex items-center gap-1 text-xs font-medium text-amber-700 bg-amber-50 px-2 py-1 rounded-full border border-amber-100"
+                    title={outside.map(r => `${r.label} ${r.id} · ${r.period}`).join('\n')}
+                    onClick={() => dispatch({ type: 'SET_TAB', payload: 'qa' })}
+                >
+                    <AlertTriangle size={12} />
+                    {outside.length} outside period
+                </button>
+            )}
+        </div>
+    );
+}
@@ -6,185 +6,43 @@
 
 import React, { createContext, useContext, useReducer, useEffect, useState, useCallback } from 'react';
 import { initDatabase, persistDatabase, resetDatabase } from '../db/database.js';
-import { seedDemoData } from '../db/seed.js';
+import { seedDemoData, seedReferenceData } from '../db/seed.js';
 import * as DAL from '../db/dal.js';
+import { buildStateFromDB, enrichProductQuantities, emptyState } from '../db/stateLoader.js';
 import { getCnCodeInfo } from '../data/referenceData';
 import { getDefaultScope } from '../data/cbamReferenceData';
+import { withPrecursorDefault } from '../data/precursorDefaults.js';
+import { reportingWindow, countsInWindow } from '../engine/periodScope.js';
 
 const AppContext = createContext();
 
-// ─── Build state snapshot from SQLite ────────────────────────
-// Reads all tables and builds a state object matching the shape
-// that existing views expect.
-
-function buildStateFromDB() {
-    const installation = DAL.getInstallation('default');
-    const boundaries = DAL.getBoundaries('default');
-    const processes = DAL.getProcesses('default');
-    const fuels = DAL.getFuelEntries();
-    const electricity = DAL.getElectricityEntries();
-    const processEvents = DAL.getProcessEvents();
-    const emissionBlocks = DAL.getEmissionBlocks('default');
-    const products = DAL.getProducts('default');
-    const productionOutput = DAL.getProductionOutput();
-    const cbamSettings = DAL.getCbamSettings();
-    const allocSettings = DAL.getAllocationSettings();
-
-    // Map DB rows to view-compatible shapes
-    return {
-        meta: installation ? {
-            installationName: installation.name,
-            country: installation.country,
-            periodStart: installation.period_start,
-            periodEnd: installation.period_end,
-            workflowStatus: installation.workflow_status || 'DRAFT',
-            reviewerName: installation.reviewer_name || '',
-            reviewDate: installation.review_date || '',
-            submitDate: installation.submit_date || '',
-            lastSaved: null,
-        } : {
-            installationName: 'New Installation',
-            country: 'KZ',
-            periodStart: '2025-01',
-            periodEnd: '2025-03',
-            workflowStatus: 'DRAFT',
-            reviewerName: '',
-            reviewDate: '',
-            submitDate: '',
-            lastSaved: null,
-        },
-        boundaries: boundaries.map(b => ({
-            id: b.id,
-            name: b.name,
-            included: !!b.included,
-            notes: b.notes || '',
-            evidence: b.evidence || '',
-        })),
-        processes: processes.map(p => ({
-            id: p.id,
-            name: p.name,
-            description: p.description || '',
-            category: p.category || 'Core',
-            active: !!p.active,
-        })),
-        activity: {
-            fuels: fuels.map(f => ({
-                id: f.stable_id,
-                period: f.period,
-                processId: f.process_id,
-                fuelTypeId: f.fuel_type_id,
-                quantity: f.quantity || 0,
-                unit: f.unit || 't',
-                evidence: f.evidence || '',
-                customNcv: f.custom_ncv || 0,
-                customEf: f.custom_ef_co2 || 0,
-                customEfCo2: f.custom_ef_co2 || 0,
-                customEfCh4: f.custom_ef_ch4 || 0,
-                customEfN2o: f.custom_ef_n2o || 0,
-                notes: f.notes || '',
-                _versionId: f.version_id,
-                _versionNumber: f.version_number,
-            })),
-            electricity: electricity.map(e => ({
-                id: e.stable_id,
-                period: e.period,
-                processId: e.process_id,
-                mwh: e.mwh || 0,
-                gridCountry: e.grid_country || 'OTHER',
-                ef: e.ef || 0,
-                efOverride: !!e.ef_override,
-                evidence: e.evidence || '',
-                notes: e.notes || '',
-                _versionId: e.version_id,
-                _versionNumber: e.version_number,
-            })),
-        },
-        processEvents: processEvents.map(pe => ({
-            id: pe.stable_id,
-            period: pe.period,
-            processId: pe.process_id,
-            eventType: pe.event_type,
-            parameter: pe.parameter,
-            value: pe.value || 0,
-            unit: pe.unit || '',
-            dataSource: pe.data_source || '',
-            evidence: pe.evidence || '',
-            _versionId: pe.version_id,
-            _versionNumber: pe.version_number,
-        })),
-        emissionBlocks: emissionBlocks.map(eb => ({
-            id: eb.id,
-            period: eb.period,
-            processId: eb.process_id,
-            templateId: eb.template_id || null,
-            name: eb.name,
-            outputGas: eb.output_gas || 'CO2',
-            formula: eb.formula || '',
-            formulaDisplay: eb.formula_display || '',
-            parameters: eb.parameters || [],
-            source: eb.source || '',
-            notes: eb.notes || '',
-        })),
-        products: products.map(p => ({
-            id: p.id,
-            name: p.name,
-            quantity: 0,  // Will be summed from production output below
-            isResidue: !!p.is_residue,
-            cnCode: p.cn_code || '',
-            precursors: [],
-        })),
-        productionOutput: productionOutput.map(po => ({
-            id: po.stable_id,
-            period: po.period,
-            productId: po.product_id,
-            processId: po.process_id,
-            quantity: po.quantity || 0,
-            dataSource: po.data_source || '',
-            _versionId: po.version_id,
-        })),
-        allocationSettings: {
-            method: allocSettings?.method || 'mass',
-            treatResidueAsWaste: !!(allocSettings?.treat_residue_as_waste),
-        },
-        cbamSettings: cbamSettings ? {
-            basis: cbamSettings.basis || 'ACTUAL',
-            scope: cbamSettings.scope || 'DIRECT_ONLY',
-            certPriceScenario: cbamSettings.cert_price_scenario || 'MID',
-            alPriceScenario: cbamSettings.al_price_scenario || 'MID',
-            carbonCreditEligible: !!cbamSettings.carbon_credit_eligible,
-            carbonCreditScenario: cbamSettings.carbon_credit_scenario || 'HIGH',
-            importedQty: cbamSettings.imported_qty || 110000,
-            cnCode: cbamSettings.cn_code || '7601',
-            goodCategory: cbamSettings.good_category || 'Aluminium',
-        } : {
-            basis: 'ACTUAL', scope: 'DIRECT_ONLY', certPriceScenario: 'MID',
-            alPriceScenario: 'MID', carbonCreditEligible: true, carbonCreditScenario: 'HIGH',
-            importedQty: 110000, cnCode: '7601', goodCategory: 'Aluminium',
-        },
-        isDirty: false,
-        activeTab: 'dashboard',
-    };
+// Production output rows of a product counted in the active calculation window
+function windowOutputRows(state, productId) {
+    const window = reportingWindow(state.meta, state.periodScope) || reportingWindow(state.meta);
+    return (state.productionOutput || []).filter(po => po.productId === productId && countsInWindow(po.period, window));
 }
 
-// Sum production output quantities into products
-function enrichProductQuantities(state) {
-    const outputByProduct = {};
-    (state.productionOutput || []).forEach(po => {
-        outputByProduct[po.productId] = (outputByProduct[po.productId] || 0) + po.quantity;
-    });
-    return {
-        ...state,
-        products: state.products.map(p => ({
-            ...p,
-            quantity: outputByProduct[p.id] || p.quantity || 0,
-        })),
-    };
+// Next version_number for a factor row with the same fuel, gas, region and effective date
+function nextFactorVersion(rows, f) {
+    const same = rows.filter(r => r.fuel_type === f.fuelType && r.gas === f.gas
+        && (r.region || 'GLOBAL') === (f.region || 'GLOBAL') && (r.effective_date || '') === (f.effectiveDate || ''));
+    return same.reduce((v, r) => Math.max(v, r.version_number || 1), 0) + 1;
 }
 
 // ─── Reducer ─────────────────────────────────────────────────
 // Still synchronous for React rendering; DAL writes happen
 // in the dispatch wrapper.
 
+// Fuel fields parsed as numbers; optional ones keep '' as null (= engine default)
+const FUEL_NUMERIC_FIELDS = ['quantity', 'customNcv', 'customEf', 'customEfCo2', 'customEfCh4', 'customEfN2o'];
+const FUEL_OPTIONAL_NUMERIC_FIELDS = ['biomassFraction', 'oxidationFactor', 'carbonContent', 'uncertainty'];
+
+// Simulation settings: top-level field (iterations, seed) or a field of one input's declaration
+function withSimulationSetting(settings, { input, field, value }) {
+    if (!input) return { ...settings, [field]: value };
+    return { ...settings, [input]: { ...settings[input], [field]: value } };
+}
+
 const reducer = (state, action) => {
     const markDirty = (s) => ({ ...s, isDirty: true });
 
@@ -195,6 +53,8 @@ const reducer = (state, action) => {
             return { ...action.payload, isDirty: false };
         case 'SET_TAB':
             return { ...state, activeTab: action.payload };
+        case 'SET_PERIOD_SCOPE':
+            return { ...state, periodScope: action.payload };
         case 'SET_WORKFLOW_STATUS': {
             const newStatus = action.payload.status;
             const now = new Date().toISOString();
@@ -272,8 +132,11 @@ const reducer = (state, action) => {
                     fuels: state.activity.fuels.map(f =>
                         f.id === action.payload.id ? {
                             ...f,
-                            [action.payload.field]: ['quantity', 'customNcv', 'customEf', 'customEfCo2', 'customEfCh4', 'customEfN2o'].includes(action.payload.field)
-                                ? (parseFloat(action.payload.value) || 0) : action.payload.value
+                            [action.payload.field]: FUEL_NUMERIC_FIELDS.includes(action.payload.field)
+                                ? (parseFloat(action.payload.value) || 0)
+                                : FUEL_OPTIONAL_NUMERIC_FIELDS.includes(action.payload.field)
+                                    ? (action.payload.value === '' || action.payload.value === null ? null : parseFloat(action.payload.value))
+                                    : action.payload.value
                         } : f
                     )
                 }
@@ -304,7 +167,11 @@ const reducer = (state, action) => {
                     electricity: state.activity.electricity.map(e =>
                         e.id === action.payload.id ? {
                             ...e,
-                            [action.payload.field]: ['mwh', 'ef'].includes(action.payload.field) ? (parseFloat(action.payload.value) || 0) : action.payload.value
+                            [action.payload.field]: ['mwh', 'ef'].includes(action.payload.field)
+                                ? (parseFloat(action.payload.value) || 0)
+                                : action.payload.field === 'uncertainty'
+                                    ? (action.payload.value === '' || action.payload.value === null ? null : parseFloat(action.payload.value))
+                                    : action.payload.value
                         } : e
                     )
                 }
@@ -374,17 +241,145 @@ const reducer = (state, action) => {
                 emissionBlocks: (state.emissionBlocks || []).filter(eb => eb.id !== action.payload)
             });
 
+        // --- MASS BALANCE ---
+        case 'ADD_MB_STREAM':
+            return markDirty({
+                ...state,
+                massBalanceStreams: [...(state.massBalanceStreams || []), action.payload]
+            });
+        case 'UPDATE_MB_STREAM':
+            return markDirty({
+                ...state,
+                massBalanceStreams: (state.massBalanceStreams || []).map(mb =>
+                    mb.id === action.payload.id ? {
+                        ...mb,
+                        [action.payload.field]: ['quantity', 'carbonContent'].includes(action.payload.field)
+                            ? (parseFloat(action.payload.value) || 0) : action.payload.value
+                    } : mb
+                )
+            });
+        case 'DELETE_MB_STREAM':
+            return markDirty({
+                ...state,
+                massBalanceStreams: (state.massBalanceStreams || []).filter(mb => mb.id !== action.payload)
+            });
+
+        // --- CEMS ---
+        case 'ADD_CEMS_SOURCE':
+            return markDirty({
+                ...state,
+                cemsSources: [...(state.cemsSources || []), action.payload]
+            });
+        case 'UPDATE_CEMS_SOURCE':
+            return markDirty({
+                ...state,
+                cemsSources: (state.cemsSources || []).map(cs =>
+                    cs.id === action.payload.id ? { ...cs, [action.payload.field]: action.payload.value } : cs
+                )
+            });
+        case 'DELETE_CEMS_SOURCE':
+            return markDirty({
+                ...state,
+                cemsSources: (state.cemsSources || []).filter(cs => cs.id !== action.payload)
+            });
+
+        // --- HEAT ---
+        case 'ADD_HEAT_FLOW':
+            return markDirty({
+                ...state,
+                heatFlows: [...(state.heatFlows || []), action.payload]
+            });
+        case 'UPDATE_HEAT_FLOW': {
+            const { field, value } = action.payload;
+            const parsed = field === 'quantityTJ' ? (parseFloat(value) || 0)
+                : field === 'customEf' ? (value === '' || value === null ? null : parseFloat(value))
+                    : value;
+            return markDirty({
+                ...state,
+                heatFlows: (state.heatFlows || []).map(hf =>
+                    hf.id === action.payload.id ? { ...hf, [field]: parsed } : hf
+                )
+            });
+        }
+        case 'DELETE_HEAT_FLOW':
+            return markDirty({
+                ...state,
+                heatFlows: (state.heatFlows || []).filter(hf => hf.id !== action.payload)
+            });
+
+        // --- CO₂ TRANSFERS ---
+        case 'ADD_CO2_TRANSFER':
+            return markDirty({
+                ...state,
+                co2Transfers: [...(state.co2Transfers || []), action.payload]
+            });
+        case 'UPDATE_CO2_TRANSFER': {
+            const { field, value } = action.payload;
+            return markDirty({
+                ...state,
+                co2Transfers: (state.co2Transfers || []).map(t =>
+                    t.id === action.payload.id ? { ...t, [field]: field === 'quantity' ? (parseFloat(value) || 0) : value } : t
+                )
+            });
+        }
+        case 'DELETE_CO2_TRANSFER':
+            return markDirty({
+                ...state,
+                co2Transfers: (state.co2Transfers || []).filter(t => t.id !== action.payload)
+            });
+
+        // --- GENERATION ---
+        case 'ADD_GENERATION_UNIT':
+            return markDirty({
+                ...state,
+                generationUnits: [...(state.generationUnits || []), action.payload]
+            });
+        case 'UPDATE_GENERATION_UNIT': {
+            const { field, value } = action.payload;
+            const numeric = ['electricityMwh', 'heatTJ', 'refEffEl', 'refEffHeat'].includes(field);
+            return markDirty({
+                ...state,
+                generationUnits: (state.generationUnits || []).map(gu =>
+                    gu.id === action.payload.id ? { ...gu, [field]: numeric ? (parseFloat(value) || 0) : value } : gu
+                )
+            });
+        }
+        case 'DELETE_GENERATION_UNIT':
+            return markDirty({
+                ...state,
+                generationUnits: (state.generationUnits || []).filter(gu => gu.id !== action.payload),
+                // Linked consumption falls back to the grid factor
+                activity: {
+                    ...state.activity,
+                    electricity: state.activity.electricity.map(e =>
+                        e.generationUnitId === action.payload ? { ...e, generationUnitId: '' } : e
+                    )
+                }
+            });
+
         // --- PRODUCTS ---
         case 'ADD_PRODUCT':
             return markDirty({
                 ...state,
                 products: [...state.products, action.payload]
             });
+        case 'SET_PRODUCT_PROCESS': {
+            // Re-point the product's output records of the active window; other periods keep their process
+            const { productId, processId } = action.payload;
+            const records = new Set(windowOutputRows(state, productId));
+            if (records.size === 0) return state;
+            return markDirty({
+                ...state,
+                productionOutput: state.productionOutput.map(po => records.has(po) ? { ...po, processId } : po),
+            });
+        }
         case 'UPDATE_PRODUCT': {
             const updatedProducts = state.products.map(p =>
                 p.id === action.payload.id ? {
                     ...p,
-                    [action.payload.field]: action.payload.field === 'quantity' ? (parseFloat(action.payload.value) || 0) : action.payload.value
+                    [action.payload.field]: action.payload.field === 'quantity' ? (parseFloat(action.payload.value) || 0)
+                        : ['price', 'energyContent'].includes(action.payload.field) ? (action.payload.value === '' ? null : parseFloat(action.payload.value))
+                            : action.payload.value
                 } : p
             );
             // Auto-sync: when CN code changes → update CBAM settings
@@ -418,15 +413,13 @@ const reducer = (state, action) => {
 
         // --- PRECURSORS ---
         case 'ADD_PRECURSOR': {
-            const { productId } = action.payload;
+            const { productId, precursor } = action.payload;
             return markDirty({
                 ...state,
                 products: state.products.map(p =>
                     p.id === productId ? {
                         ...p,
-                        precursors: [...(p.precursors || []), {
-                            id: `pc${Date.now()}`, name: "", cnCode: "", mass: 0, see: 0, sourceType: "actual"
-                        }]
+                        precursors: [...(p.precursors || []), withPrecursorDefault(precursor)]
                     } : p
                 )
             });
@@ -439,10 +432,10 @@ const reducer = (state, action) => {
                     p.id === pId ? {
                         ...p,
                         precursors: (p.precursors || []).map(pc =>
-                            pc.id === precursorId ? {
+                            pc.id === precursorId ? withPrecursorDefault({
                                 ...pc,
-                                [field]: ['mass', 'see'].includes(field) ? (parseFloat(value) || 0) : value
-                            } : pc
+                                [field]: ['mass', 'seeDirect', 'seeIndirect'].includes(field) ? (parseFloat(value) || 0) : value
+                            }) : pc
                         )
                     } : p
                 )
@@ -461,12 +454,53 @@ const reducer = (state, action) => {
             });
         }
 
+        // --- FACTOR LIBRARY (append-only) ---
+        case 'ADD_EMISSION_FACTOR': {
+            const f = action.payload;
+            const row = {
+                id: f.id,
+                fuel_type: f.fuelType,
+                gas: f.gas,
+                ef_value: Number(f.value) || 0,
+                ef_unit: f.unit || 'kg/TJ',
+                ncv: f.ncv ?? null,
+                ncv_unit: f.ncvUnit || 'GJ/t',
+                region: f.region || 'GLOBAL',
+                source: f.source || null,
+                effective_date: f.effectiveDate || null,
+                valid_to: f.validTo || null,
+                version_number: nextFactorVersion(state.factorLibrary.emissionFactors, f),
+            };
+            return markDirty({
+                ...state,
+                factorLibrary: { ...state.factorLibrary, emissionFactors: [...state.factorLibrary.emissionFactors, row] }
+            });
+        }
+
         // --- SETTINGS ---
         case 'UPDATE_ALLOC_SETTINGS':
             return markDirty({
                 ...state,
                 allocationSettings: { ...state.allocationSettings, [action.payload.field]: action.payload.value }
             });
+        case 'UPDATE_GAP_SETTINGS':
+            return markDirty({
+                ...state,
+                gapSettings: { ...state.gapSettings, [action.payload.field]: action.payload.value }
+            });
+        case 'SET_STREAM_GAP_METHOD':
+            return markDirty({
+                ...state,
+                gapSettings: {
+                    ...state.gapSettings,
+                    streamMethods: { ...state.gapSettings.streamMethods, [action.payload.streamKey]: action.payload.method }
+                }
+            });
+        case 'UPDATE_SIMULATION_SETTINGS':
+            return markDirty({
+                ...state,
+                simulationSettings: withSimulationSetting(state.simulationSettings, action.payload)
+            });
         case 'UPDATE_CBAM':
             return markDirty({
                 ...state,
@@ -500,6 +534,7 @@ function syncToDAL(action, state) {
                     country: meta.country,
                     periodStart: meta.periodStart,
                     periodEnd: meta.periodEnd,
+                    gwpSetId: meta.gwpSetId,
                 });
                 break;
             }
@@ -584,6 +619,79 @@ function syncToDAL(action, state) {
             case 'DELETE_EMISSION_BLOCK':
                 DAL.deleteEmissionBlock(action.payload);
                 break;
+            case 'ADD_MB_STREAM':
+                DAL.saveMassBalanceStream(action.payload);
+                break;
+            case 'UPDATE_MB_STREAM': {
+                const mb = (state.massBalanceStreams || []).find(m => m.id === action.payload.id);
+                if (mb) {
+                    const updated = { ...mb, [action.payload.field]: action.payload.value };
+                    DAL.saveMassBalanceStream({ stableId: updated.id, ...updated });
+                }
+                break;
+            }
+            case 'DELETE_MB_STREAM':
+                DAL.deleteMassBalanceStream(action.payload);
+                break;
+            case 'ADD_CEMS_SOURCE':
+                DAL.saveCemsSource(action.payload);
+                break;
+            case 'UPDATE_CEMS_SOURCE': {
+                const cs = (state.cemsSources || []).find(c => c.id === action.payload.id);
+                if (cs) {
+                    const updated = { ...cs, [action.payload.field]: action.payload.value };
+                    DAL.saveCemsSource({ stableId: updated.id, ...updated });
+                }
+                break;
+            }
+            case 'DELETE_CEMS_SOURCE':
+                DAL.deleteCemsSource(action.payload);
+                break;
+            case 'ADD_HEAT_FLOW':
+                DAL.saveHeatFlow(action.payload);
+                break;
+            case 'UPDATE_HEAT_FLOW': {
+                const hf = (state.heatFlows || []).find(h => h.id === action.payload.id);
+                if (hf) {
+                    const updated = { ...hf, [action.payload.field]: action.payload.value };
+                    DAL.saveHeatFlow({ stableId: updated.id, ...updated });
+                }
+                break;
+            }
+            case 'DELETE_HEAT_FLOW':
+                DAL.deleteHeatFlow(action.payload);
+                break;
+            case 'ADD_CO2_TRANSFER':
+                DAL.saveCo2Transfer(action.payload);
+                break;
+            case 'UPDATE_CO2_TRANSFER': {
+                const transfer = (state.co2Transfers || []).find(t => t.id === action.payload.id);
+                if (transfer) {
+                    const updated = { ...transfer, [action.payload.field]: action.payload.value };
+                    DAL.saveCo2Transfer({ stableId: updated.id, ...updated });
+                }
+                break;
+            }
+            case 'DELETE_CO2_TRANSFER':
+                DAL.deleteCo2Transfer(action.payload);
+                break;
+            case 'ADD_GENERATION_UNIT':
+                DAL.saveGenerationUnit(action.payload);
+                break;
+            case 'UPDATE_GENERATION_UNIT': {
+                const gu = (state.generationUnits || []).find(g => g.id === action.payload.id);
+                if (gu) {
+                    const updated = { ...gu, [action.payload.field]: action.payload.value };
+                    DAL.saveGenerationUnit({ stableId: updated.id, ...updated });
+                }
+                break;
+            }
+            case 'DELETE_GENERATION_UNIT':
+                DAL.deleteGenerationUnit(action.payload);
+                state.activity.electricity
+                    .filter(e => e.generationUnitId === action.payload)
+                    .forEach(e => DAL.saveElectricityEntry({ stableId: e.id, ...e, generationUnitId: '' }));
+                break;
             case 'ADD_PRODUCT':
                 DAL.saveProduct(action.payload);
                 break;
@@ -592,15 +700,51 @@ function syncToDAL(action, state) {
                 if (prod) DAL.saveProduct({ ...prod, [action.payload.field]: action.payload.value });
                 break;
             }
-            case 'DELETE_PRODUCT':
+            case 'DELETE_PRODUCT': {
+                const prod = state.products.find(p => p.id === action.payload);
+                (prod?.precursors || []).forEach(pc => DAL.deletePrecursor(pc.id));
                 DAL.deleteProduct(action.payload);
                 break;
+            }
+            case 'ADD_PRECURSOR':
+                DAL.savePrecursor({ ...action.payload.precursor, productId: action.payload.productId });
+                break;
+            case 'UPDATE_PRECURSOR': {
+                const { productId, precursorId, field, value } = action.payload;
+                const pc = state.products.find(p => p.id === productId)?.precursors?.find(x => x.id === precursorId);
+                if (pc) DAL.savePrecursor({ ...pc, stableId: pc.id, productId, [field]: value });
+                break;
+            }
+            case 'DELETE_PRECURSOR':
+                DAL.deletePrecursor(action.payload.precursorId);
+                break;
+            case 'SET_PRODUCT_PROCESS': {
+                const { productId, processId } = action.payload;
+                windowOutputRows(state, productId)
+                    .forEach(po => DAL.saveProductionOutput({ ...po, stableId: po.id, processId }));
+                break;
+            }
             case 'UPDATE_CBAM':
                 DAL.saveCbamSettings({ ...state.cbamSettings, [action.payload.field]: action.payload.value });
                 break;
             case 'UPDATE_ALLOC_SETTINGS':
                 DAL.saveAllocationSettings({ ...state.allocationSettings, [action.payload.field]: action.payload.value });
                 break;
+            case 'UPDATE_GAP_SETTINGS':
+                DAL.saveGapSettings({ ...state.gapSettings, [action.payload.field]: action.payload.value });
+                break;
+            case 'SET_STREAM_GAP_METHOD':
+                DAL.saveGapSettings({
+                    ...state.gapSettings,
+                    streamMethods: { ...state.gapSettings.streamMethods, [action.payload.streamKey]: action.payload.method },
+                });
+                break;
+            case 'UPDATE_SIMULATION_SETTINGS':
+                DAL.saveSimulationSettings(withSimulationSetting(state.simulationSettings, action.payload));
+                break;
+            case 'ADD_EMISSION_FACTOR':
+                DAL.saveEmissionFactor({ ...action.payload, versionNumber: nextFactorVersion(state.factorLibrary.emissionFactors, action.payload) });
+                break;
         }
     } catch (err) {
         console.warn('[DAL Sync] Error syncing action to SQLite:', action.type, err);
@@ -609,25 +753,6 @@ function syncToDAL(action, state) {
 
 // ─── Provider Component ──────────────────────────────────────
 
-const emptyState = {
-    meta: { installationName: '', country: '', periodStart: '', periodEnd: '', lastSaved: null },
-    boundaries: [],
-    processes: [],
-    activity: { fuels: [], electricity: [] },
-    processEvents: [],
-    emissionBlocks: [],
-    products: [],
-    productionOutput: [],
-    allocationSettings: { method: 'mass', treatResidueAsWaste: true },
-    cbamSettings: {
-        basis: 'ACTUAL', scope: 'DIRECT_ONLY', certPriceScenario: 'MID',
-        alPriceScenario: 'MID', carbonCreditEligible: true, carbonCreditScenario: 'HIGH',
-        importedQty: 110000, cnCode: '7601', goodCategory: 'Aluminium',
-    },
-    isDirty: false,
-    activeTab: 'dashboard',
-};
-
 export const AppProvider = ({ children }) => {
     const [state, rawDispatch] = useReducer(reducer, emptyState);
     const [dbReady, setDbReady] = useState(false);
@@ -640,6 +765,7 @@ export const AppProvider = ({ children }) => {
             try {
                 await initDatabase();
                 seedDemoData();
+                seedReferenceData();
                 if (!cancelled) {
                     const loaded = enrichProductQuantities(buildStateFromDB());
                     rawDispatch({ type: 'LOAD_STATE', payload: loaded });
@@ -675,6 +801,7 @@ export const AppProvider = ({ children }) => {
         if (confirm("Reset entire demo? This will wipe all data.")) {
             await resetDatabase();
             seedDemoData();
+            seedReferenceData();
             const loaded = enrichProductQuantities(buildStateFromDB());
             rawDispatch({ type: 'LOAD_STATE', payload: loaded });
             await persistDatabase();
@@ -0,0 +1,188 @@
+// ═══════════════════════════════════════════════════════════════
+//  Headless Calculation Core — Node entry point
+//  Loads installation snapshots (SQLite database files saved by the
+//  app, or JSON app state) and runs the engines without a browser:
+//  emissions, PCF, CBAM projection and the communication template.
+//  Used by bin/carbon-ledger.js for batch recalculation.
+// ═══════════════════════════════════════════════════════════════
+
+import { readFile } from 'node:fs/promises';
+import initSqlJs from 'sql.js';
+import { migrateSchema, setDb } from '../db/connection.js';
+import { buildStateFromDB, enrichProductQuantities, emptyState } from '../db/stateLoader.js';
+import { calculateTotalEmissions, emissionInputsFromState, calculatePCF } from '../engine/emissionEngine.js';
+import { calculateCBAMProjection } from '../engine/cbamCalculator.js';
+import { reportingWindow, periodSelectionError } from '../engine/periodScope.js';
+
+export {
+    calculateTotalEmissions, emissionInputsFromState, calculatePCF, calculateEmissionTimeSeries,
+    calculatePeriodEmissions, emissionsByGas, restateEmissions, compareAllocationMethods, calcEmissionBlocks,
+} from '../engine/emissionEngine.js';
+export { buildBlockGraph, upstreamClosure } from '../engine/blockGraph.js';
+export { resolveBinding, bindBlockParameters } from '../engine/parameterBindings.js';
+export { evaluate, validateFormula, extractVariables, parseFormula, traceFormula, formatNode } from '../engine/formulaEvaluator.js';
+export { parseUnit, checkBlockUnits } from '../engine/unitAnalysis.js';
+export { calculateCBAMProjection, compareScenarios, compareCertPriceScenarios } from '../engine/cbamCalculator.js';
+export { buildCBAMTemplate, templateToCSV } from '../engine/cbamTemplate.js';
+export { reportingWindow, windowLabel, periodRange } from '../engine/periodScope.js';
+export { emptyState } from '../db/stateLoader.js';
+
+// SQLite files start with this header
+const SQLITE_MAGIC = 'SQLite format 3\0';
+
+let sqlPromise = null;
+let schemaPromise = null;
+
+// ─── Loading Snapshots ───────────────────────────────────────
+
+/**
+ * App state from a JSON snapshot. Missing sections take the defaults of
+ * an empty installation; product quantities are summed from production
+ * output as on load in the app.
+ *
+ * @param {Object} snapshot - App state (AppContext shape)
+ * @returns {Object} App state
+ */
+export function loadSnapshot(snapshot) {
+    return enrichProductQuantities({
+        ...emptyState,
+        ...snapshot,
+        meta: { ...emptyState.meta, ...snapshot.meta },
+        activity: { ...emptyState.activity, ...snapshot.activity },
+    });
+}
+
+/**
+ * App state from a SQLite database saved by the app. Databases from
+ * older releases are migrated in memory; the bytes are not changed.
+ *
+ * @param {Uint8Array} bytes - Database file contents
+ * @returns {Promise<Object>} App state
+ */
+export async function loadDatabase(bytes) {
+    sqlPromise ||= initSqlJs();
+    schemaPromise ||= readFile(new URL('../db/schema.sql', import.meta.url), 'utf8');
+    const [SQL, schemaSQL] = await Promise.all([sqlPromise, schemaPromise]);
+
+    const db = new SQL.Database(bytes);
+    try {
+        migrateSchema(db, schemaSQL);
+        setDb(db);
+        return enrichProductQuantities(buildStateFromDB());
+    } finally {
+        setDb(null);
+        db.close();
+    }
+}
+
+/**
+ * App state from a snapshot file: a SQLite database or JSON state,
+ * told apart by the file header.
+ *
+ * @param {string} file - Path
+ * @returns {Promise<Object>} App state
+ */
+export async function loadStateFile(file) {
+    const bytes = await readFile(file);
+    if (bytes.subarray(0, SQLITE_MAGIC.length).toString('latin1') === SQLITE_MAGIC) {
+        return loadDatabase(new Uint8Array(bytes));
+    }
+    return loadSnapshot(JSON.parse(bytes.toString('utf8')));
+}
+
+// ─── Recalculation ───────────────────────────────────────────
+
+/**
+ * Limit a state's calculations to a month, quarter or year of its
+ * reporting period (see periodScope.js).
+ *
+ * @param {Object} state
+ * @param {string|null} key - '2025', '2025-Q1', '2025-03'; null = whole reporting period
+ * @returns {Object} App state
+ * @throws {Error} When the key is malformed or outside the reporting period
+ */
+export function withPeriod(state, key) {
+    if (!key) return { ...state, periodScope: { granularity: 'reporting', key: null } };
+    const granularity = /^\d{4}$/.test(key) ? 'year' : /-Q[1-4]$/.test(key) ? 'quarter' : 'month';
+    const periodScope = { granularity, key };
+    const error = periodSelectionError(state.meta, periodScope);
+    if (error) throw new Error(error);
+    return { ...state, periodScope };
+}
+
+/**
+ * Full recalculation of one installation over its calculation window:
+ * emissions, PCF per product and the CBAM cost projection of the first
+ * allocated product (actual SEE vs EU default values), as in the
+ * Results view.
+ *
+ * @param {Object} state - App state
+ * @returns {{ installation: string, window: Object, emissions: Object, pcf: Array, cbam: { actual: Object, default: Object }|null }}
+ */
+export function recalculate(state) {
+    const window = reportingWindow(state.meta, state.periodScope);
+    if (!window) throw new Error(periodSelectionError(state.meta, state.periodScope));
+    const emissions = calculateTotalEmissions(emissionInputsFromState(state, window));
+    const pcf = calculatePCF(emissions, state.products, state.allocationSettings, {
+        productionOutput: state.productionOutput || [],
+        processes: state.processes || [],
+    });
+
+    const mainProduct = pcf[0];
+    const cbam = state.cbamSettings;
+    const baseConfig = mainProduct && {
+        scope: cbam.scope,
+        certPriceScenario: cbam.certPriceScenario,
+        alPriceScenario: cbam.alPriceScenario,
+        carbonCreditEligible: cbam.carbonCreditEligible,
+        carbonCreditScenario: cbam.carbonCreditScenario,
+        importedQty: parseFloat(cbam.importedQty) || 0,
+        cnCode: cbam.cnCode,
+        goodCategory: cbam.goodCategory,
+        seeDirect: mainProduct.pcfDirect,
+        seeIndirect: mainProduct.pcfIndirect,
+    };
+
+    return {
+        installation: state.meta.installationName,
+        window,
+        emissions,
+        pcf,
+        cbam: baseConfig ? {
+            actual: calculateCBAMProjection({ ...baseConfig, basis: 'ACTUAL' }),
+            default: calculateCBAMProjection({ ...baseConfig, basis: 'DEFAULT' }),
+        } : null,
+    };
+}
+
+/**
+ * Compact, JSON-friendly digest of a recalculation: totals, SEE per
+ * product and CBAM net cost, without lineage.
+ *
+ * @param {Object} result - recalculate() result
+ * @returns {Object}
+ */
+export function summarizeResult({ installation, window, emissions, pcf, cbam }) {
+    return {
+        installation,
+        period: { start: window.start, end: window.end, key: window.key },
+        summary: emissions.summary,
+        dataGaps: emissions.dataGaps.length,
+        products: pcf.map(p => ({
+            productId: p.productId,
+            productName: p.productName,
+            cnCode: p.cnCode || '',
+            quantity: p.quantity,
+            embeddedDirect: p.embeddedDirect,
+            embeddedIndirect: p.embeddedIndirect,
+            see: p.pcf,
+            seeDirect: p.pcfDirect,
+            seeIndirect: p.pcfIndirect,
+            warning: p.warning,
+        })),
+        cbam: cbam && {
+            actualNetCost: cbam.actual.totals.totalNetCost,
+            defaultNetCost: cbam.default.totals.totalNetCost,
+        },
+    };
+}
@@ -0,0 +1,45 @@
+// ═══════════════════════════════════════════════════════════════
+//  Precursor Default Values
+//  Resolves the EU default SEE of precursors on default values from
+//  CBAM_DEFAULT_VALUES when state is loaded or a precursor is edited.
+//  The engine reads the resolved `defaultValue` (precursorEngine.js),
+//  so it does not carry the reference table.
+// ═══════════════════════════════════════════════════════════════
+
+import { CBAM_DEFAULT_VALUES } from './cbamDefaultValues.js';
+import { DEFAULT_PRECURSOR_COUNTRY } from '../engine/precursorEngine.js';
+
+const normalizeCn = (cn) => String(cn || '').replace(/\s/g, '');
+
+/**
+ * Look up the EU default value for a precursor.
+ * CN codes are compared without spaces; the longest matching prefix wins.
+ *
+ * @param {string} country - Country of origin (as in CBAM_DEFAULT_VALUES)
+ * @param {string} cnCode
+ * @returns {Object|null} { cn, desc, d, i, ... }
+ */
+export function findPrecursorDefault(country, cnCode) {
+    const entries = CBAM_DEFAULT_VALUES[country];
+    const cn = normalizeCn(cnCode);
+    if (!entries || !cn) return null;
+    return entries
+        .filter(e => cn.startsWith(normalizeCn(e.cn)))
+        .sort((a, b) => normalizeCn(b.cn).length - normalizeCn(a.cn).length)[0] || null;
+}
+
+/**
+ * Precursor with its EU default value resolved: `defaultValue` is
+ * { cn, desc, d, i } for a precursor on default values with a matching
+ * entry, else null.
+ *
+ * @param {Object} precursor - { cnCode, sourceType, country }
+ * @returns {Object}
+ */
+export function withPrecursorDefault(precursor) {
+    const isDefault = (precursor.source_type || precursor.sourceType) === 'default';
+    const found = isDefault
+        ? findPrecursorDefault(precursor.country || DEFAULT_PRECURSOR_COUNTRY, precursor.cn_code || precursor.cnCode)
+        : null;
+    return { ...precursor, defaultValue: found && { cn: found.cn, desc: found.desc, d: found.d, i: found.i } };
+}
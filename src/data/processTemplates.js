@@ -27,6 +27,7 @@ export const PROCESS_TEMPLATES = [
         sector: 'Aluminium',
         name: 'PFC — CF₄ Emissions',
         outputGas: 'CF4',
+        outputName: 'cf4',
         formula: 'production * aem * slope',
         formulaDisplay: 'Production × AEM × Slope Factor',
         source: 'IPCC 2006 Vol.3 Ch.4',
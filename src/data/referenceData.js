@@ -140,6 +140,8 @@ export function getSectors() {
 
 // ─── Grid Emission Factors (tCO₂/MWh) ───────────────────────
 // Sources: IEA 2023, national statistics
+// Seed values for grid_electricity rows in emission_factors; calculations
+// use the row in force for each entry's period (engine/factorResolver.js)
 export const GRID_EF_BY_COUNTRY = [
     { code: 'KZ', name: 'Kazakhstan', ef: 0.636 },
     { code: 'CN', name: 'China', ef: 0.581 },
@@ -0,0 +1,127 @@
+// ═══════════════════════════════════════════════════════════════
+//  SQLite Connection
+//  The open sql.js database and the statement helpers the DAL uses.
+//  No browser or bundler APIs: shared by the app (database.js loads
+//  from IndexedDB) and the headless core (core/index.js loads files).
+// ═══════════════════════════════════════════════════════════════
+
+let dbInstance = null;
+
+// ─── Schema Migrations ───────────────────────────────────────
+
+// Columns added after the first release. Databases restored from
+// IndexedDB keep the schema they were created with, so these are
+// applied with ALTER TABLE on load. New tables need no entry here —
+// the schema itself is idempotent (CREATE … IF NOT EXISTS).
+export const COLUMN_MIGRATIONS = [
+    ['fuel_entries', 'biomass_fraction', 'REAL'],
+    ['fuel_entries', 'biomass_sustainable', 'INTEGER DEFAULT 0'],
+    ['fuel_entries', 'calc_method', "TEXT DEFAULT 'ncv_ef'"],
+    ['fuel_entries', 'oxidation_factor', 'REAL'],
+    ['fuel_entries', 'carbon_content', 'REAL'],
+    ['fuel_entries', 'uncertainty', 'REAL'],
+    ['allocation_settings', 'unassigned_rule', "TEXT DEFAULT 'output_share'"],
+    ['allocation_settings', 'unassigned_process_id', 'TEXT'],
+    ['electricity_entries', 'generation_unit_id', 'TEXT'],
+    ['electricity_entries', 'uncertainty', 'REAL'],
+    ['processes', 'allocation_method', 'TEXT'],
+    ['processes', 'manual_shares', 'TEXT'],
+    ['products', 'price', 'REAL'],
+    ['products', 'energy_content', 'REAL'],
+    ['installations', 'gwp_set_id', "TEXT DEFAULT 'EU_CBAM_2025'"],
+    ['emission_factors', 'valid_to', 'TEXT'],
+    ['emission_blocks', 'output_name', 'TEXT'],
+];
+
+/**
+ * Bring a database created by an older release up to the current schema.
+ *
+ * @param {Object} db - sql.js Database
+ * @param {string} schemaSQL - Contents of schema.sql
+ */
+export function migrateSchema(db, schemaSQL) {
+    COLUMN_MIGRATIONS.forEach(([table, column, definition]) => {
+        const info = db.exec(`PRAGMA table_info(${table})`);
+        const columns = info.length > 0 ? info[0].values.map(row => row[1]) : [];
+        // Missing table → created below with the full column set
+        if (columns.length > 0 && !columns.includes(column)) {
+            db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    });
+    db.run(schemaSQL);
+}
+
+// ─── Active Database ─────────────────────────────────────────
+
+/**
+ * Make a database the one query() / execute() run against.
+ *
+ * @param {Object|null} db - sql.js Database
+ */
+export function setDb(db) {
+    dbInstance = db;
+}
+
+/**
+ * Get the current database instance.
+ */
+export function getDb() {
+    if (!dbInstance) {
+        throw new Error('Database not initialized. Call initDatabase() first.');
+    }
+    return dbInstance;
+}
+
+/**
+ * Whether a database is open.
+ */
+export function hasDb() {
+    return dbInstance !== null;
+}
+
+// ─── Statements ──────────────────────────────────────────────
+
+/**
+ * Execute a SELECT query and return results as array of objects.
+ * Uses prepare/bind/step pattern for reliable parameter binding.
+ */
+export function query(sql, params = []) {
+    const db = getDb();
+    const stmt = db.prepare(sql);
+    if (params.length > 0) {
+        stmt.bind(params);
+    }
+
+    const results = [];
+    while (stmt.step()) {
+        results.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return results;
+}
+
+/**
+ * Execute a write statement (INSERT, UPDATE, DELETE).
+ * Uses explicit prepare/bind/step/free to avoid db.run() parameter issues.
+ */
+export function execute(sql, params = []) {
+    const db = getDb();
+    if (params.length > 0) {
+        const stmt = db.prepare(sql);
+        stmt.bind(params);
+        stmt.step();
+        stmt.free();
+    } else {
+        db.run(sql);
+    }
+    return db.getRowsModified();
+}
+
+/**
+ * Generate a unique ID (UUID v4).
+ */
+export function generateId(prefix = '') {
+    const id = crypto.randomUUID ? crypto.randomUUID() :
+        'xxxx-xxxx-xxxx'.replace(/x/g, () => Math.floor(Math.random() * 16).toString(16));
+    return prefix ? `${prefix}_${id}` : id;
+}
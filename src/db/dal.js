@@ -3,7 +3,7 @@
 //  CRUD with versioning + audit logging
 // ═══════════════════════════════════════════════════════════════
 
-import { query, execute, generateId } from './database.js';
+import { query, execute, generateId } from './connection.js';
 
 // ─── Audit Logging ───────────────────────────────────────────
 
@@ -91,14 +91,14 @@ export function saveInstallation(data) {
     const existing = getInstallation(data.id || 'default');
     if (existing) {
         execute(
-            'UPDATE installations SET name = ?, country = ?, period_start = ?, period_end = ? WHERE id = ?',
-            [data.name, data.country, data.periodStart, data.periodEnd, data.id || 'default']
+            'UPDATE installations SET name = ?, country = ?, period_start = ?, period_end = ?, gwp_set_id = ? WHERE id = ?',
+            [data.name, data.country, data.periodStart, data.periodEnd, data.gwpSetId || 'EU_CBAM_2025', data.id || 'default']
         );
         logAudit({ entityType: 'installation', entityId: data.id || 'default', action: 'UPDATE' });
     } else {
         execute(
-            'INSERT INTO installations (id, name, country, period_start, period_end) VALUES (?, ?, ?, ?, ?)',
-            [data.id || 'default', data.name, data.country, data.periodStart, data.periodEnd]
+            'INSERT INTO installations (id, name, country, period_start, period_end, gwp_set_id) VALUES (?, ?, ?, ?, ?, ?)',
+            [data.id || 'default', data.name, data.country, data.periodStart, data.periodEnd, data.gwpSetId || 'EU_CBAM_2025']
         );
         logAudit({ entityType: 'installation', entityId: data.id || 'default', action: 'CREATE' });
     }
@@ -145,15 +145,15 @@ export function saveProcess(data) {
     const existing = query('SELECT * FROM processes WHERE id = ?', [data.id]);
     if (existing.length > 0) {
         execute(
-            'UPDATE processes SET name = ?, description = ?, category = ?, active = ? WHERE id = ?',
-            [data.name, data.description, data.category || 'Core', data.active ? 1 : 0, data.id]
+            'UPDATE processes SET name = ?, description = ?, category = ?, active = ?, allocation_method = ?, manual_shares = ? WHERE id = ?',
+            [data.name, data.description, data.category || 'Core', data.active ? 1 : 0, data.allocationMethod || null, JSON.stringify(data.manualShares || {}), data.id]
         );
         logAudit({ entityType: 'process', entityId: data.id, action: 'UPDATE' });
     } else {
         const id = data.id || generateId('P');
         execute(
-            'INSERT INTO processes (id, installation_id, name, description, category, active) VALUES (?, ?, ?, ?, ?, ?)',
-            [id, data.installationId || 'default', data.name, data.description || '', data.category || 'Core', data.active !== false ? 1 : 0]
+            'INSERT INTO processes (id, installation_id, name, description, category, active, allocation_method, manual_shares) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            [id, data.installationId || 'default', data.name, data.description || '', data.category || 'Core', data.active !== false ? 1 : 0, data.allocationMethod || null, JSON.stringify(data.manualShares || {})]
         );
         logAudit({ entityType: 'process', entityId: id, action: 'CREATE' });
         return id;
@@ -187,9 +187,9 @@ export function saveFuelEntry(data, userId = 'user') {
     const { versionId, versionNumber, prevVersionId } = insertVersion('fuel_entries', 'fuel_entry', stableId, data, userId);
 
     execute(
-        `INSERT INTO fuel_entries (version_id, stable_id, version_number, period, process_id, fuel_type_id, quantity, unit, custom_ncv, custom_ef_co2, custom_ef_ch4, custom_ef_n2o, evidence, notes, created_by, supersedes_version_id)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [versionId, stableId, versionNumber, data.period, data.processId, data.fuelTypeId, data.quantity || 0, data.unit || 't', data.customNcv || null, data.customEfCo2 || null, data.customEfCh4 || null, data.customEfN2o || null, data.evidence || '', data.notes || '', userId, prevVersionId]
+        `INSERT INTO fuel_entries (version_id, stable_id, version_number, period, process_id, fuel_type_id, quantity, unit, custom_ncv, custom_ef_co2, custom_ef_ch4, custom_ef_n2o, biomass_fraction, biomass_sustainable, calc_method, oxidation_factor, carbon_content, uncertainty, evidence, notes, created_by, supersedes_version_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [versionId, stableId, versionNumber, data.period, data.processId, data.fuelTypeId, data.quantity || 0, data.unit || 't', data.customNcv || null, data.customEfCo2 || null, data.customEfCh4 || null, data.customEfN2o || null, data.biomassFraction ?? null, data.biomassSustainable === true ? 1 : 0, data.calcMethod || 'ncv_ef', data.oxidationFactor ?? null, data.carbonContent ?? null, data.uncertainty ?? null, data.evidence || '', data.notes || '', userId, prevVersionId]
     );
 
     logAudit({ entityType: 'fuel_entry', entityId: stableId, action: versionNumber === 1 ? 'CREATE' : 'UPDATE', changedBy: userId });
@@ -225,9 +225,9 @@ export function saveElectricityEntry(data, userId = 'user') {
     const { versionId, versionNumber, prevVersionId } = insertVersion('electricity_entries', 'electricity_entry', stableId, data, userId);
 
     execute(
-        `INSERT INTO electricity_entries (version_id, stable_id, version_number, period, process_id, mwh, grid_country, ef, ef_override, evidence, notes, created_by, supersedes_version_id)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [versionId, stableId, versionNumber, data.period, data.processId, data.mwh || 0, data.gridCountry || 'OTHER', data.ef || 0, data.efOverride ? 1 : 0, data.evidence || '', data.notes || '', userId, prevVersionId]
+        `INSERT INTO electricity_entries (version_id, stable_id, version_number, period, process_id, mwh, grid_country, ef, ef_override, generation_unit_id, uncertainty, evidence, notes, created_by, supersedes_version_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [versionId, stableId, versionNumber, data.period, data.processId, data.mwh || 0, data.gridCountry || 'OTHER', data.ef || 0, data.efOverride ? 1 : 0, data.generationUnitId || null, data.uncertainty ?? null, data.evidence || '', data.notes || '', userId, prevVersionId]
     );
 
     logAudit({ entityType: 'electricity_entry', entityId: stableId, action: versionNumber === 1 ? 'CREATE' : 'UPDATE', changedBy: userId });
@@ -290,9 +290,9 @@ export function getEmissionBlocks(installationId = 'default', period = null) {
 export function saveEmissionBlock(data) {
     const id = data.id || generateId('eb');
     execute(
-        `INSERT INTO emission_blocks (id, installation_id, period, process_id, template_id, name, output_gas, formula, formula_display, parameters, source, notes, created_by)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [id, data.installationId || 'default', data.period, data.processId || null, data.templateId || null, data.name, data.outputGas || 'CO2', data.formula || '', data.formulaDisplay || '', JSON.stringify(data.parameters || []), data.source || '', data.notes || '', data.createdBy || 'user']
+        `INSERT INTO emission_blocks (id, installation_id, period, process_id, template_id, name, output_name, output_gas, formula, formula_display, parameters, source, notes, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, data.installationId || 'default', data.period, data.processId || null, data.templateId || null, data.name, data.outputName || null, data.outputGas || 'CO2', data.formula || '', data.formulaDisplay || '', JSON.stringify(data.parameters || []), data.source || '', data.notes || '', data.createdBy || 'user']
     );
     logAudit({ entityType: 'emission_block', entityId: id, action: 'CREATE' });
     return id;
@@ -300,8 +300,8 @@ export function saveEmissionBlock(data) {
 
 export function updateEmissionBlock(id, data) {
     execute(
-        `UPDATE emission_blocks SET name = ?, output_gas = ?, formula = ?, formula_display = ?, parameters = ?, source = ?, notes = ?, process_id = ?, period = ?, template_id = ? WHERE id = ?`,
-        [data.name, data.outputGas || 'CO2', data.formula || '', data.formulaDisplay || '', JSON.stringify(data.parameters || []), data.source || '', data.notes || '', data.processId || null, data.period, data.templateId || null, id]
+        `UPDATE emission_blocks SET name = ?, output_name = ?, output_gas = ?, formula = ?, formula_display = ?, parameters = ?, source = ?, notes = ?, process_id = ?, period = ?, template_id = ? WHERE id = ?`,
+        [data.name, data.outputName || null, data.outputGas || 'CO2', data.formula || '', data.formulaDisplay || '', JSON.stringify(data.parameters || []), data.source || '', data.notes || '', data.processId || null, data.period, data.templateId || null, id]
     );
     logAudit({ entityType: 'emission_block', entityId: id, action: 'UPDATE' });
 }
@@ -313,6 +313,11 @@ export function deleteEmissionBlock(id) {
 
 // ─── Products ────────────────────────────────────────────────
 
+/** Optional numeric column: '' and undefined are stored as NULL. */
+function numOrNull(value) {
+    return value === '' || value === null || value === undefined ? null : Number(value);
+}
+
 export function getProducts(installationId = 'default') {
     return query('SELECT * FROM products WHERE installation_id = ?', [installationId]);
 }
@@ -321,15 +326,15 @@ export function saveProduct(data) {
     const existing = query('SELECT * FROM products WHERE id = ?', [data.id]);
     if (existing.length > 0) {
         execute(
-            'UPDATE products SET name = ?, cn_code = ?, is_residue = ? WHERE id = ?',
-            [data.name, data.cnCode || '', data.isResidue ? 1 : 0, data.id]
+            'UPDATE products SET name = ?, cn_code = ?, is_residue = ?, price = ?, energy_content = ? WHERE id = ?',
+            [data.name, data.cnCode || '', data.isResidue ? 1 : 0, numOrNull(data.price), numOrNull(data.energyContent), data.id]
         );
         logAudit({ entityType: 'product', entityId: data.id, action: 'UPDATE' });
     } else {
         const id = data.id || generateId('pr');
         execute(
-            'INSERT INTO products (id, installation_id, name, cn_code, is_residue) VALUES (?, ?, ?, ?, ?)',
-            [id, data.installationId || 'default', data.name, data.cnCode || '', data.isResidue ? 1 : 0]
+            'INSERT INTO products (id, installation_id, name, cn_code, is_residue, price, energy_content) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [id, data.installationId || 'default', data.name, data.cnCode || '', data.isResidue ? 1 : 0, numOrNull(data.price), numOrNull(data.energyContent)]
         );
         logAudit({ entityType: 'product', entityId: id, action: 'CREATE' });
         return id;
@@ -371,6 +376,202 @@ export function saveProductionOutput(data, userId = 'user') {
     return { stableId, versionId };
 }
 
+// ─── Precursors (Versioned) ──────────────────────────────────
+
+export function getPrecursors(productId = null) {
+    const latest = getLatestVersions('precursors');
+    return productId ? latest.filter(pc => pc.product_id === productId) : latest;
+}
+
+export function savePrecursor(data, userId = 'user') {
+    const stableId = data.stableId || data.id || generateId('pc');
+    const { versionId, versionNumber, prevVersionId } = insertVersion('precursors', 'precursor', stableId, data, userId);
+
+    execute(
+        `INSERT INTO precursors (version_id, stable_id, version_number, product_id, name, cn_code, mass, see_direct, see_indirect, source_type, country, supplier, evidence, notes, created_by, supersedes_version_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [versionId, stableId, versionNumber, data.productId, data.name || '', data.cnCode || '', data.mass || 0, data.seeDirect || 0, data.seeIndirect || 0, data.sourceType || 'actual', data.country || '', data.supplier || '', data.evidence || '', data.notes || '', userId, prevVersionId]
+    );
+
+    logAudit({ entityType: 'precursor', entityId: stableId, action: versionNumber === 1 ? 'CREATE' : 'UPDATE', changedBy: userId });
+    return { stableId, versionId };
+}
+
+export function deletePrecursor(stableId) {
+    execute('DELETE FROM precursors WHERE stable_id = ?', [stableId]);
+    logAudit({ entityType: 'precursor', entityId: stableId, action: 'DELETE' });
+}
+
+// ─── Mass-Balance Streams (Versioned) ────────────────────────
+
+export function getMassBalanceStreams(period = null) {
+    if (period) {
+        return getLatestVersions('mass_balance_streams', period);
+    }
+    return query(`
+        SELECT t.* FROM mass_balance_streams t
+        INNER JOIN (
+            SELECT stable_id, MAX(version_number) as max_v
+            FROM mass_balance_streams GROUP BY stable_id
+        ) latest ON t.stable_id = latest.stable_id AND t.version_number = latest.max_v
+    `);
+}
+
+export function saveMassBalanceStream(data, userId = 'user') {
+    const stableId = data.stableId || data.id || generateId('mb');
+    const { versionId, versionNumber, prevVersionId } = insertVersion('mass_balance_streams', 'mass_balance_stream', stableId, data, userId);
+
+    execute(
+        `INSERT INTO mass_balance_streams (version_id, stable_id, version_number, period, process_id, name, direction, quantity, carbon_content, evidence, notes, created_by, supersedes_version_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [versionId, stableId, versionNumber, data.period, data.processId, data.name || '', data.direction || 'input', data.quantity || 0, data.carbonContent || 0, data.evidence || '', data.notes || '', userId, prevVersionId]
+    );
+
+    logAudit({ entityType: 'mass_balance_stream', entityId: stableId, action: versionNumber === 1 ? 'CREATE' : 'UPDATE', changedBy: userId });
+    return { stableId, versionId };
+}
+
+export function deleteMassBalanceStream(stableId) {
+    execute('DELETE FROM mass_balance_streams WHERE stable_id = ?', [stableId]);
+    logAudit({ entityType: 'mass_balance_stream', entityId: stableId, action: 'DELETE' });
+}
+
+// ─── CEMS Sources (Versioned) ────────────────────────────────
+
+export function getCemsSources(period = null) {
+    if (period) {
+        return getLatestVersions('cems_sources', period);
+    }
+    return query(`
+        SELECT t.* FROM cems_sources t
+        INNER JOIN (
+            SELECT stable_id, MAX(version_number) as max_v
+            FROM cems_sources GROUP BY stable_id
+        ) latest ON t.stable_id = latest.stable_id AND t.version_number = latest.max_v
+    `);
+}
+
+export function saveCemsSource(data, userId = 'user') {
+    const stableId = data.stableId || data.id || generateId('cems');
+    const { versionId, versionNumber, prevVersionId } = insertVersion('cems_sources', 'cems_source', stableId, data, userId);
+
+    execute(
+        `INSERT INTO cems_sources (version_id, stable_id, version_number, period, process_id, name, gas, concentration_unit, hourly_data, covers_combustion, evidence, notes, created_by, supersedes_version_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [versionId, stableId, versionNumber, data.period, data.processId, data.name || '', data.gas || 'CO2', data.concentrationUnit || 'mg_Nm3', JSON.stringify(data.hours || []), data.coversCombustion ? 1 : 0, data.evidence || '', data.notes || '', userId, prevVersionId]
+    );
+
+    logAudit({ entityType: 'cems_source', entityId: stableId, action: versionNumber === 1 ? 'CREATE' : 'UPDATE', changedBy: userId });
+    return { stableId, versionId };
+}
+
+export function deleteCemsSource(stableId) {
+    execute('DELETE FROM cems_sources WHERE stable_id = ?', [stableId]);
+    logAudit({ entityType: 'cems_source', entityId: stableId, action: 'DELETE' });
+}
+
+// ─── Heat Flows (Versioned) ──────────────────────────────────
+
+export function getHeatFlows(period = null) {
+    if (period) {
+        return getLatestVersions('heat_flows', period);
+    }
+    return query(`
+        SELECT t.* FROM heat_flows t
+        INNER JOIN (
+            SELECT stable_id, MAX(version_number) as max_v
+            FROM heat_flows GROUP BY stable_id
+        ) latest ON t.stable_id = latest.stable_id AND t.version_number = latest.max_v
+    `);
+}
+
+export function saveHeatFlow(data, userId = 'user') {
+    const stableId = data.stableId || data.id || generateId('heat');
+    const { versionId, versionNumber, prevVersionId } = insertVersion('heat_flows', 'heat_flow', stableId, data, userId);
+
+    execute(
+        `INSERT INTO heat_flows (version_id, stable_id, version_number, period, flow_type, from_process_id, to_process_id, counterparty, quantity_tj, ef_source, custom_ef, evidence, notes, created_by, supersedes_version_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [versionId, stableId, versionNumber, data.period, data.flowType || 'internal', data.fromProcessId || null, data.toProcessId || null, data.counterparty || '', data.quantityTJ || 0, data.efSource || 'fuel_mix', data.customEf === '' ? null : (data.customEf ?? null), data.evidence || '', data.notes || '', userId, prevVersionId]
+    );
+
+    logAudit({ entityType: 'heat_flow', entityId: stableId, action: versionNumber === 1 ? 'CREATE' : 'UPDATE', changedBy: userId });
+    return { stableId, versionId };
+}
+
+export function deleteHeatFlow(stableId) {
+    execute('DELETE FROM heat_flows WHERE stable_id = ?', [stableId]);
+    logAudit({ entityType: 'heat_flow', entityId: stableId, action: 'DELETE' });
+}
+
+// ─── Generation Units (Versioned) ────────────────────────────
+
+export function getGenerationUnits(period = null) {
+    if (period) {
+        return getLatestVersions('generation_units', period);
+    }
+    return query(`
+        SELECT t.* FROM generation_units t
+        INNER JOIN (
+            SELECT stable_id, MAX(version_number) as max_v
+            FROM generation_units GROUP BY stable_id
+        ) latest ON t.stable_id = latest.stable_id AND t.version_number = latest.max_v
+    `);
+}
+
+export function saveGenerationUnit(data, userId = 'user') {
+    const stableId = data.stableId || data.id || generateId('gen');
+    const { versionId, versionNumber, prevVersionId } = insertVersion('generation_units', 'generation_unit', stableId, data, userId);
+
+    execute(
+        `INSERT INTO generation_units (version_id, stable_id, version_number, period, process_id, name, unit_type, electricity_mwh, heat_tj, ref_eff_el, ref_eff_heat, evidence, notes, created_by, supersedes_version_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [versionId, stableId, versionNumber, data.period, data.processId || null, data.name || '', data.unitType || 'power', data.electricityMwh || 0, data.heatTJ || 0, data.refEffEl || 0.525, data.refEffHeat || 0.9, data.evidence || '', data.notes || '', userId, prevVersionId]
+    );
+
+    logAudit({ entityType: 'generation_unit', entityId: stableId, action: versionNumber === 1 ? 'CREATE' : 'UPDATE', changedBy: userId });
+    return { stableId, versionId };
+}
+
+export function deleteGenerationUnit(stableId) {
+    execute('DELETE FROM generation_units WHERE stable_id = ?', [stableId]);
+    logAudit({ entityType: 'generation_unit', entityId: stableId, action: 'DELETE' });
+}
+
+// ─── CO₂ Transfers (Versioned) ───────────────────────────────
+
+export function getCo2Transfers(period = null) {
+    if (period) {
+        return getLatestVersions('co2_transfers', period);
+    }
+    return query(`
+        SELECT t.* FROM co2_transfers t
+        INNER JOIN (
+            SELECT stable_id, MAX(version_number) as max_v
+            FROM co2_transfers GROUP BY stable_id
+        ) latest ON t.stable_id = latest.stable_id AND t.version_number = latest.max_v
+    `);
+}
+
+export function saveCo2Transfer(data, userId = 'user') {
+    const stableId = data.stableId || data.id || generateId('co2t');
+    const { versionId, versionNumber, prevVersionId } = insertVersion('co2_transfers', 'co2_transfer', stableId, data, userId);
+
+    execute(
+        `INSERT INTO co2_transfers (version_id, stable_id, version_number, period, process_id, transfer_type, receiving_installation_id, receiving_installation_name, quantity, measurement_method, evidence, notes, created_by, supersedes_version_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [versionId, stableId, versionNumber, data.period, data.processId || null, data.transferType || 'storage_site', data.receivingInstallationId || '', data.receivingInstallationName || '', data.quantity || 0, data.measurementMethod || 'measured', data.evidence || '', data.notes || '', userId, prevVersionId]
+    );
+
+    logAudit({ entityType: 'co2_transfer', entityId: stableId, action: versionNumber === 1 ? 'CREATE' : 'UPDATE', changedBy: userId });
+    return { stableId, versionId };
+}
+
+export function deleteCo2Transfer(stableId) {
+    execute('DELETE FROM co2_transfers WHERE stable_id = ?', [stableId]);
+    logAudit({ entityType: 'co2_transfer', entityId: stableId, action: 'DELETE' });
+}
+
 // ─── Emission Factors ────────────────────────────────────────
 
 export function getEmissionFactors(fuelType = null) {
@@ -385,6 +586,41 @@ export function getGwpSet(id = 'AR6') {
     return results[0] || null;
 }
 
+export function getGwpSets() {
+    return query('SELECT * FROM gwp_sets ORDER BY id');
+}
+
+/**
+ * Add an emission factor row, in force from effectiveDate to validTo.
+ * Rows are never updated in place: a changed value for the same fuel,
+ * gas, region and effective date becomes a new row with the next
+ * version_number, so past calculations stay traceable to the row they used.
+ */
+export function saveEmissionFactor(data) {
+    const region = data.region || 'GLOBAL';
+    const effectiveDate = data.effectiveDate || null;
+    let versionNumber = data.versionNumber;
+    if (!versionNumber) {
+        const latest = query(
+            `SELECT MAX(version_number) as v FROM emission_factors
+             WHERE fuel_type = ? AND gas = ? AND region = ? AND IFNULL(effective_date, '') = ?`,
+            [data.fuelType, data.gas, region, effectiveDate || '']
+        );
+        versionNumber = (latest[0]?.v || 0) + 1;
+    }
+    const id = data.id || generateId('ef');
+
+    execute(
+        `INSERT INTO emission_factors (id, fuel_type, gas, ef_value, ef_unit, ncv, ncv_unit, region, source, effective_date, valid_to, version_number)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, data.fuelType, data.gas, Number(data.value) || 0, data.unit || 'kg/TJ',
+            data.ncv ?? null, data.ncvUnit || 'GJ/t', region, data.source || null, effectiveDate, data.validTo || null, versionNumber]
+    );
+
+    logAudit({ entityType: 'emission_factor', entityId: id, action: 'CREATE', newValue: `${data.fuelType} ${data.gas} = ${data.value} (v${versionNumber})` });
+    return { id, versionNumber };
+}
+
 // ─── CBAM Settings ───────────────────────────────────────────
 
 export function getCbamSettings() {
@@ -411,13 +647,40 @@ export function saveCbamSettings(data) {
 
 export function getAllocationSettings() {
     const results = query('SELECT * FROM allocation_settings WHERE id = ?', ['default']);
-    return results[0] || { method: 'mass', treat_residue_as_waste: 1 };
+    return results[0] || { method: 'mass', treat_residue_as_waste: 1, unassigned_rule: 'output_share' };
 }
 
 export function saveAllocationSettings(data) {
     execute(
-        `INSERT OR REPLACE INTO allocation_settings (id, method, treat_residue_as_waste) VALUES ('default', ?, ?)`,
-        [data.method || 'mass', data.treatResidueAsWaste ? 1 : 0]
+        `INSERT OR REPLACE INTO allocation_settings (id, method, treat_residue_as_waste, unassigned_rule, unassigned_process_id) VALUES ('default', ?, ?, ?, ?)`,
+        [data.method || 'mass', data.treatResidueAsWaste ? 1 : 0, data.unassignedRule || 'output_share', data.unassignedProcessId || null]
+    );
+}
+
+// ─── Data Gap Settings ───────────────────────────────────────
+
+export function getGapSettings() {
+    const results = query('SELECT * FROM gap_settings WHERE id = ?', ['default']);
+    return results[0] || { enabled: 0, method: 'adjacent_max', stream_methods: null };
+}
+
+export function saveGapSettings(data) {
+    execute(
+        `INSERT OR REPLACE INTO gap_settings (id, enabled, method, stream_methods) VALUES ('default', ?, ?, ?)`,
+        [data.enabled ? 1 : 0, data.method || 'adjacent_max', JSON.stringify(data.streamMethods || {})]
+    );
+}
+
+export function getSimulationSettings() {
+    const results = query('SELECT * FROM simulation_settings WHERE id = ?', ['default']);
+    return results[0] || { iterations: 5000, seed: 1, distributions: null };
+}
+
+export function saveSimulationSettings(data) {
+    const { iterations, seed, ...distributions } = data;
+    execute(
+        `INSERT OR REPLACE INTO simulation_settings (id, iterations, seed, distributions) VALUES ('default', ?, ?, ?)`,
+        [iterations || 5000, seed ?? 1, JSON.stringify(distributions)]
     );
 }
 
@@ -2,15 +2,18 @@
 //  SQLite WASM Database Layer
 //  Uses sql.js (SQLite compiled to WebAssembly)
 //  Persists to IndexedDB as a serialized blob
+//  Browser only — statements and migrations live in connection.js
 // ═══════════════════════════════════════════════════════════════
 
 import initSqlJs from 'sql.js';
+import { migrateSchema, setDb, getDb, hasDb } from './connection.js';
+
+export { query, execute, generateId, getDb } from './connection.js';
 
 const DB_NAME = 'carbon_ledger_db';
 const DB_STORE = 'databases';
 const DB_KEY = 'main';
 
-let dbInstance = null;
 let SQL = null;
 let initPromise = null;  // Prevents double-init in StrictMode
 
@@ -64,7 +67,7 @@ async function saveToIDB(data) {
  */
 export async function initDatabase() {
     // Return existing instance
-    if (dbInstance) return dbInstance;
+    if (hasDb()) return getDb();
 
     // If already initializing, wait for that to complete (StrictMode guard)
     if (initPromise) return initPromise;
@@ -89,34 +92,25 @@ async function _doInit() {
     // Try to restore from IndexedDB
     const savedData = await loadFromIDB();
     if (savedData) {
-        dbInstance = new SQL.Database(new Uint8Array(savedData));
+        setDb(new SQL.Database(new Uint8Array(savedData)));
+        migrateSchema(getDb(), schemaSQL);
         console.log('[DB] Restored from IndexedDB');
     } else {
         // Fresh database — run schema
-        dbInstance = new SQL.Database();
-        dbInstance.run(schemaSQL);
+        setDb(new SQL.Database());
+        getDb().run(schemaSQL);
         console.log('[DB] Created fresh database with schema');
     }
 
-    return dbInstance;
-}
-
-/**
- * Get the current database instance.
- */
-export function getDb() {
-    if (!dbInstance) {
-        throw new Error('Database not initialized. Call initDatabase() first.');
-    }
-    return dbInstance;
+    return getDb();
 }
 
 /**
  * Persist the current database state to IndexedDB.
  */
 export async function persistDatabase() {
-    if (!dbInstance) return;
-    const data = dbInstance.export();
+    if (!hasDb()) return;
+    const data = getDb().export();
     await saveToIDB(data.buffer);
     console.log('[DB] Persisted to IndexedDB');
 }
@@ -132,54 +126,9 @@ export async function resetDatabase() {
     }
 
     // Create fresh database
-    dbInstance = new SQL.Database();
-    dbInstance.run(schemaSQL);
+    setDb(new SQL.Database());
+    getDb().run(schemaSQL);
     await persistDatabase();
     console.log('[DB] Database reset complete');
-    return dbInstance;
-}
-
-/**
- * Execute a SELECT query and return results as array of objects.
- * Uses prepare/bind/step pattern for reliable parameter binding.
- */
-export function query(sql, params = []) {
-    const db = getDb();
-    const stmt = db.prepare(sql);
-    if (params.length > 0) {
-        stmt.bind(params);
-    }
-
-    const results = [];
-    while (stmt.step()) {
-        results.push(stmt.getAsObject());
-    }
-    stmt.free();
-    return results;
-}
-
-/**
- * Execute a write statement (INSERT, UPDATE, DELETE).
- * Uses explicit prepare/bind/step/free to avoid db.run() parameter issues.
- */
-export function execute(sql, params = []) {
-    const db = getDb();
-    if (params.length > 0) {
-        const stmt = db.prepare(sql);
-        stmt.bind(params);
-        stmt.step();
-        stmt.free();
-    } else {
-        db.run(sql);
-    }
-    return db.getRowsModified();
-}
-
-/**
- * Generate a unique ID (UUID v4).
- */
-export function generateId(prefix = '') {
-    const id = crypto.randomUUID ? crypto.randomUUID() :
-        'xxxx-xxxx-xxxx'.replace(/x/g, () => Math.floor(Math.random() * 16).toString(16));
-    return prefix ? `${prefix}_${id}` : id;
+    return getDb();
 }
@@ -14,6 +14,7 @@ CREATE TABLE IF NOT EXISTS installations (
   reviewer_name TEXT,
   review_date TEXT,
   submit_date TEXT,
+  gwp_set_id TEXT DEFAULT 'EU_CBAM_2025',
   created_at TEXT DEFAULT (datetime('now'))
 );
 
@@ -34,7 +35,9 @@ CREATE TABLE IF NOT EXISTS processes (
   name TEXT NOT NULL,
   description TEXT,
   category TEXT DEFAULT 'Core',
-  active INTEGER DEFAULT 1
+  active INTEGER DEFAULT 1,
+  allocation_method TEXT,            -- null = installation default (allocation_settings.method)
+  manual_shares TEXT                 -- JSON { product_id: percent } for the manual method
 );
 
 -- ─── Versioned Activity Data ─────────────────────────────────
@@ -53,6 +56,12 @@ CREATE TABLE IF NOT EXISTS fuel_entries (
   custom_ef_co2 REAL,
   custom_ef_ch4 REAL,
   custom_ef_n2o REAL,
+  biomass_fraction REAL,                -- NULL = fuel default
+  biomass_sustainable INTEGER DEFAULT 0, -- meets RED II sustainability criteria (attested; 0 = counted as fossil)
+  calc_method TEXT DEFAULT 'ncv_ef',    -- ncv_ef | carbon_content (MRR Art. 24)
+  oxidation_factor REAL,                -- NULL = 1.0
+  carbon_content REAL,                  -- t C / t fuel (lab analysis)
+  uncertainty REAL,                     -- % at 95 % confidence of the quantity (instrument)
   evidence TEXT,
   notes TEXT,
   created_by TEXT DEFAULT 'user',
@@ -73,6 +82,8 @@ CREATE TABLE IF NOT EXISTS electricity_entries (
   grid_country TEXT,
   ef REAL DEFAULT 0,
   ef_override INTEGER DEFAULT 0,
+  generation_unit_id TEXT,
+  uncertainty REAL,                     -- % at 95 % confidence of the MWh (meter)
   evidence TEXT,
   notes TEXT,
   created_by TEXT DEFAULT 'user',
@@ -111,6 +122,7 @@ CREATE TABLE IF NOT EXISTS emission_blocks (
   process_id TEXT REFERENCES processes(id),
   template_id TEXT,
   name TEXT NOT NULL,
+  output_name TEXT,                  -- referenced by other blocks' formulas
   output_gas TEXT DEFAULT 'CO2',
   formula TEXT NOT NULL DEFAULT '',
   formula_display TEXT DEFAULT '',
@@ -130,7 +142,9 @@ CREATE TABLE IF NOT EXISTS products (
   installation_id TEXT REFERENCES installations(id),
   name TEXT NOT NULL,
   cn_code TEXT,
-  is_residue INTEGER DEFAULT 0
+  is_residue INTEGER DEFAULT 0,
+  price REAL,                        -- EUR/t, economic allocation
+  energy_content REAL                -- GJ/t, energy allocation
 );
 
 -- Production output per period (versioned)
@@ -151,6 +165,145 @@ CREATE TABLE IF NOT EXISTS production_output (
 
 CREATE INDEX IF NOT EXISTS idx_po_stable ON production_output(stable_id, version_number);
 
+-- Purchased precursors of complex goods (versioned, CBAM Annex II §4)
+-- mass: t consumed in the reporting period; see_*: tCO₂e/t precursor
+-- source_type: actual (supplier data) / default (EU default value for country + CN)
+CREATE TABLE IF NOT EXISTS precursors (
+  version_id TEXT PRIMARY KEY,
+  stable_id TEXT NOT NULL,
+  version_number INTEGER DEFAULT 1,
+  product_id TEXT REFERENCES products(id),
+  name TEXT,
+  cn_code TEXT,
+  mass REAL DEFAULT 0,
+  see_direct REAL DEFAULT 0,
+  see_indirect REAL DEFAULT 0,
+  source_type TEXT DEFAULT 'actual',
+  country TEXT,
+  supplier TEXT,
+  evidence TEXT,
+  notes TEXT,
+  created_by TEXT DEFAULT 'user',
+  created_at TEXT DEFAULT (datetime('now')),
+  supersedes_version_id TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_precursor_stable ON precursors(stable_id, version_number);
+
+-- Mass-balance source streams (versioned, MRR Art. 25)
+-- direction: input (+) / output (−); carbon_content in t C / t material
+CREATE TABLE IF NOT EXISTS mass_balance_streams (
+  version_id TEXT PRIMARY KEY,
+  stable_id TEXT NOT NULL,
+  version_number INTEGER DEFAULT 1,
+  period TEXT NOT NULL,
+  process_id TEXT REFERENCES processes(id),
+  name TEXT NOT NULL,
+  direction TEXT NOT NULL DEFAULT 'input',
+  quantity REAL DEFAULT 0,
+  carbon_content REAL DEFAULT 0,
+  evidence TEXT,
+  notes TEXT,
+  created_by TEXT DEFAULT 'user',
+  created_at TEXT DEFAULT (datetime('now')),
+  supersedes_version_id TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_mb_stable ON mass_balance_streams(stable_id, version_number);
+
+-- CEMS sources (versioned, MRR Art. 40–46)
+-- hourly_data: JSON array of { conc, flow } per hour, null = missing reading
+-- covers_combustion: a CO₂ stack measures the fuel CO₂ of the same process/period
+CREATE TABLE IF NOT EXISTS cems_sources (
+  version_id TEXT PRIMARY KEY,
+  stable_id TEXT NOT NULL,
+  version_number INTEGER DEFAULT 1,
+  period TEXT NOT NULL,
+  process_id TEXT REFERENCES processes(id),
+  name TEXT NOT NULL,
+  gas TEXT NOT NULL DEFAULT 'CO2',
+  concentration_unit TEXT DEFAULT 'mg_Nm3',
+  hourly_data TEXT DEFAULT '[]',
+  covers_combustion INTEGER DEFAULT 0,
+  evidence TEXT,
+  notes TEXT,
+  created_by TEXT DEFAULT 'user',
+  created_at TEXT DEFAULT (datetime('now')),
+  supersedes_version_id TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_cems_stable ON cems_sources(stable_id, version_number);
+
+-- Measurable heat flows (versioned, CBAM Annex II §6)
+-- flow_type: import (→ to_process) / export (from_process →) / internal (from → to)
+-- ef_source: fuel_mix (supplying process fuels) / default / custom (tCO₂e/TJ heat)
+CREATE TABLE IF NOT EXISTS heat_flows (
+  version_id TEXT PRIMARY KEY,
+  stable_id TEXT NOT NULL,
+  version_number INTEGER DEFAULT 1,
+  period TEXT NOT NULL,
+  flow_type TEXT NOT NULL DEFAULT 'internal',
+  from_process_id TEXT REFERENCES processes(id),
+  to_process_id TEXT REFERENCES processes(id),
+  counterparty TEXT,
+  quantity_tj REAL DEFAULT 0,
+  ef_source TEXT DEFAULT 'fuel_mix',
+  custom_ef REAL,
+  evidence TEXT,
+  notes TEXT,
+  created_by TEXT DEFAULT 'user',
+  created_at TEXT DEFAULT (datetime('now')),
+  supersedes_version_id TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_heat_stable ON heat_flows(stable_id, version_number);
+
+-- On-site generation units (versioned, CBAM Annex II §6–7)
+-- Fuel input = fuel entries of process_id in the period.
+-- unit_type: power (all to electricity) / chp (split by reference efficiencies)
+CREATE TABLE IF NOT EXISTS generation_units (
+  version_id TEXT PRIMARY KEY,
+  stable_id TEXT NOT NULL,
+  version_number INTEGER DEFAULT 1,
+  period TEXT NOT NULL,
+  process_id TEXT REFERENCES processes(id),
+  name TEXT,
+  unit_type TEXT NOT NULL DEFAULT 'power',
+  electricity_mwh REAL DEFAULT 0,
+  heat_tj REAL DEFAULT 0,
+  ref_eff_el REAL DEFAULT 0.525,
+  ref_eff_heat REAL DEFAULT 0.9,
+  evidence TEXT,
+  notes TEXT,
+  created_by TEXT DEFAULT 'user',
+  created_at TEXT DEFAULT (datetime('now')),
+  supersedes_version_id TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_gen_stable ON generation_units(stable_id, version_number);
+
+-- CO₂ transferred out of the installation (versioned, MRR Art. 49)
+-- Deducted from direct emissions only when the transfer is eligible.
+CREATE TABLE IF NOT EXISTS co2_transfers (
+  version_id TEXT PRIMARY KEY,
+  stable_id TEXT NOT NULL,
+  version_number INTEGER DEFAULT 1,
+  period TEXT NOT NULL,
+  process_id TEXT REFERENCES processes(id),
+  transfer_type TEXT NOT NULL DEFAULT 'storage_site', -- capture_installation | transport_network | storage_site | permanently_bound | other
+  receiving_installation_id TEXT,        -- EU ETS permit / installation identifier of the receiver
+  receiving_installation_name TEXT,
+  quantity REAL DEFAULT 0,               -- t CO₂
+  measurement_method TEXT DEFAULT 'measured', -- measured | calculated
+  evidence TEXT,
+  notes TEXT,
+  created_by TEXT DEFAULT 'user',
+  created_at TEXT DEFAULT (datetime('now')),
+  supersedes_version_id TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_transfer_stable ON co2_transfers(stable_id, version_number);
+
 -- ─── Reference Data ──────────────────────────────────────────
 
 -- Emission factor library (versioned, per-gas)
@@ -165,18 +318,19 @@ CREATE TABLE IF NOT EXISTS emission_factors (
   region TEXT DEFAULT 'GLOBAL',
   source TEXT,
   effective_date TEXT,
+  valid_to TEXT,
   version_number INTEGER DEFAULT 1
 );
 
--- GWP factor sets
+-- GWP factor sets (seeded from GWP_SETS in emissionEngine.js)
 CREATE TABLE IF NOT EXISTS gwp_sets (
   id TEXT PRIMARY KEY,
   name TEXT NOT NULL,
-  co2 REAL DEFAULT 1,
-  ch4 REAL DEFAULT 29.8,
-  n2o REAL DEFAULT 273,
-  cf4 REAL DEFAULT 7380,
-  c2f6 REAL DEFAULT 12400
+  co2 REAL NOT NULL DEFAULT 1,
+  ch4 REAL NOT NULL,
+  n2o REAL NOT NULL,
+  cf4 REAL NOT NULL,
+  c2f6 REAL NOT NULL
 );
 
 -- ─── Audit & Snapshots ───────────────────────────────────────
@@ -231,5 +385,25 @@ CREATE TABLE IF NOT EXISTS cbam_settings (
 CREATE TABLE IF NOT EXISTS allocation_settings (
   id TEXT PRIMARY KEY DEFAULT 'default',
   method TEXT DEFAULT 'mass',
-  treat_residue_as_waste INTEGER DEFAULT 1
+  treat_residue_as_waste INTEGER DEFAULT 1,
+  unassigned_rule TEXT DEFAULT 'output_share',
+  unassigned_process_id TEXT
+);
+
+-- ─── Data Gap Settings (MRR Art. 65/66) ─────────────────────
+
+CREATE TABLE IF NOT EXISTS gap_settings (
+  id TEXT PRIMARY KEY DEFAULT 'default',
+  enabled INTEGER DEFAULT 0,          -- 1 = substitute every stream; 0 = only streams in stream_methods
+  method TEXT DEFAULT 'adjacent_max', -- adjacent_max | previous_average | production_proxy | none
+  stream_methods TEXT                 -- JSON { stream_key: method } per source stream
+);
+
+-- ─── Monte Carlo Simulation Settings ────────────────────────
+
+CREATE TABLE IF NOT EXISTS simulation_settings (
+  id TEXT PRIMARY KEY DEFAULT 'default',
+  iterations INTEGER DEFAULT 5000,
+  seed INTEGER DEFAULT 1,
+  distributions TEXT                  -- JSON { activity, parameters, ncv, ef }: { distribution, uncertainty }
 );
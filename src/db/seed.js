@@ -4,7 +4,10 @@
 //  (MRV2_Aluminium_Ingots_Prototype)
 // ═══════════════════════════════════════════════════════════════
 
-import { execute, query, generateId } from './database.js';
+import { execute, query, generateId } from './connection.js';
+import { DEFAULT_EMISSION_FACTORS, GWP_SETS } from '../engine/emissionEngine.js';
+import { GLOBAL_REGION, GRID_FACTOR_TYPE, GRID_FACTOR_GAS } from '../engine/factorResolver.js';
+import { GRID_EF_BY_COUNTRY } from '../data/referenceData.js';
 
 /**
  * Check if database is already seeded.
@@ -154,10 +157,10 @@ export function seedDemoData() {
                 'IPCC 2006 Vol.3 Ch.4',
             ]
         );
-        // PFC — CF₄
+        // PFC — CF₄, exposed as `cf4` to the C₂F₆ block
         execute(
-            `INSERT INTO emission_blocks (id, installation_id, period, process_id, template_id, name, output_gas, formula, formula_display, parameters, source)
-             VALUES (?, 'default', ?, 'P01', 'al_pfc_cf4', 'PFC — CF₄ Emissions', 'CF4', ?, ?, ?, ?)`,
+            `INSERT INTO emission_blocks (id, installation_id, period, process_id, template_id, name, output_name, output_gas, formula, formula_display, parameters, source)
+             VALUES (?, 'default', ?, 'P01', 'al_pfc_cf4', 'PFC — CF₄ Emissions', 'cf4', 'CF4', ?, ?, ?, ?)`,
             [
                 `eb_cf4_${i}`, m.period,
                 'production * aem * slope',
@@ -176,12 +179,9 @@ export function seedDemoData() {
              VALUES (?, 'default', ?, 'P01', 'al_pfc_c2f6', 'PFC — C₂F₆ Emissions', 'C2F6', ?, ?, ?, ?)`,
             [
                 `eb_c2f6_${i}`, m.period,
-                'production * aem * slope * ratio',
-                'Production × AEM × Slope × C₂F₆/CF₄ Ratio',
+                'cf4 * ratio',
+                'CF₄ × C₂F₆/CF₄ Ratio',
                 JSON.stringify([
-                    { key: 'production', label: 'Metal Production', unit: 't', value: m.metalProd },
-                    { key: 'aem', label: 'Anode Effect Min', unit: 'min/cell·day', value: 0.25 },
-                    { key: 'slope', label: 'CF₄ Slope Factor', unit: 't CF₄/(t Al × AEM)', value: 0.00006 },
                     { key: 'ratio', label: 'C₂F₆/CF₄ Ratio', unit: 'ratio', value: 0.1 },
                 ]),
                 'IPCC 2006 Vol.3 Ch.4',
@@ -216,35 +216,6 @@ export function seedDemoData() {
         );
     });
 
-    // ─── Emission Factor Library ─────────────────────
-    // Per-gas factors in kg/TJ (IPCC 2006)
-    const efData = [
-        // Natural Gas
-        ['ef_ng_co2', 'natural_gas', 'CO2', 56100, 'kg/TJ', 48.0, 'GJ/t', 'IPCC 2006 Vol.2 Table 2.2'],
-        ['ef_ng_ch4', 'natural_gas', 'CH4', 5, 'kg/TJ', 48.0, 'GJ/t', 'IPCC 2006 Vol.2 Table 2.2'],
-        ['ef_ng_n2o', 'natural_gas', 'N2O', 0.1, 'kg/TJ', 48.0, 'GJ/t', 'IPCC 2006 Vol.2 Table 2.2'],
-        // Diesel
-        ['ef_diesel_co2', 'diesel', 'CO2', 74100, 'kg/TJ', 43.0, 'GJ/t', 'IPCC 2006 Vol.2 Table 2.2'],
-        ['ef_diesel_ch4', 'diesel', 'CH4', 3, 'kg/TJ', 43.0, 'GJ/t', 'IPCC 2006 Vol.2 Table 2.2'],
-        ['ef_diesel_n2o', 'diesel', 'N2O', 0.6, 'kg/TJ', 43.0, 'GJ/t', 'IPCC 2006 Vol.2 Table 2.2'],
-        // Coke
-        ['ef_coke_co2', 'coke', 'CO2', 107000, 'kg/TJ', 28.2, 'GJ/t', 'IPCC 2006 Vol.2 Table 2.3'],
-        ['ef_coke_ch4', 'coke', 'CH4', 1, 'kg/TJ', 28.2, 'GJ/t', 'IPCC 2006 Vol.2 Table 2.3'],
-        ['ef_coke_n2o', 'coke', 'N2O', 1.5, 'kg/TJ', 28.2, 'GJ/t', 'IPCC 2006 Vol.2 Table 2.3'],
-    ];
-    efData.forEach(([id, fuel, gas, val, unit, ncv, ncvUnit, source]) => {
-        execute(
-            `INSERT INTO emission_factors (id, fuel_type, gas, ef_value, ef_unit, ncv, ncv_unit, source) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-            [id, fuel, gas, val, unit, ncv, ncvUnit, source]
-        );
-    });
-
-    // ─── GWP Set ─────────────────────────────────────
-    execute(
-        `INSERT INTO gwp_sets (id, name, co2, ch4, n2o, cf4, c2f6) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        ['AR6', 'IPCC AR6 (100-yr)', 1, 29.8, 273, 7380, 12400]
-    );
-
     // ─── CBAM Settings ───────────────────────────────
     execute(
         `INSERT INTO cbam_settings (id, basis, scope, cert_price_scenario, al_price_scenario, carbon_credit_eligible, carbon_credit_scenario, imported_qty, cn_code, good_category) VALUES ('default', 'ACTUAL', 'DIRECT_ONLY', 'MID', 'MID', 1, 'HIGH', 110000, '7601', 'Aluminium')`
@@ -257,3 +228,39 @@ export function seedDemoData() {
 
     console.log('[Seed] Demo data populated successfully');
 }
+
+/**
+ * Seed the factor library from the engine and reference constants.
+ * Runs on every start: only fuel/gas pairs and grid countries without any
+ * emission_factors row and missing GWP sets are inserted, so edited or
+ * newer factor rows are never overwritten.
+ */
+export function seedReferenceData() {
+    const gases = [['CO2', 'efCO2'], ['CH4', 'efCH4'], ['N2O', 'efN2O']];
+    Object.entries(DEFAULT_EMISSION_FACTORS).filter(([fuelType]) => fuelType !== 'custom').forEach(([fuelType, def]) => {
+        gases.forEach(([gas, field]) => {
+            const existing = query('SELECT COUNT(*) as cnt FROM emission_factors WHERE fuel_type = ? AND gas = ?', [fuelType, gas]);
+            if (existing[0]?.cnt > 0) return;
+            execute(
+                `INSERT INTO emission_factors (id, fuel_type, gas, ef_value, ef_unit, ncv, ncv_unit, region, source, version_number) VALUES (?, ?, ?, ?, 'kg/TJ', ?, ?, ?, ?, 1)`,
+                [`ef_${fuelType}_${gas.toLowerCase()}`, fuelType, gas, def[field], def.ncv, def.ncvUnit, GLOBAL_REGION, def.source]
+            );
+        });
+    });
+
+    GRID_EF_BY_COUNTRY.filter(c => c.ef > 0).forEach(c => {
+        const existing = query('SELECT COUNT(*) as cnt FROM emission_factors WHERE fuel_type = ? AND region = ?', [GRID_FACTOR_TYPE, c.code]);
+        if (existing[0]?.cnt > 0) return;
+        execute(
+            `INSERT INTO emission_factors (id, fuel_type, gas, ef_value, ef_unit, region, source, version_number) VALUES (?, ?, ?, ?, 't/MWh', ?, 'IEA 2023 / national statistics', 1)`,
+            [`ef_grid_${c.code.toLowerCase()}`, GRID_FACTOR_TYPE, GRID_FACTOR_GAS, c.ef, c.code]
+        );
+    });
+
+    Object.values(GWP_SETS).forEach(g => {
+        execute(
+            `INSERT OR IGNORE INTO gwp_sets (id, name, co2, ch4, n2o, cf4, c2f6) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [g.id, g.name, g.CO2, g.CH4, g.N2O, g.CF4, g.C2F6]
+        );
+    });
+}
@@ -0,0 +1,335 @@
+// ═══════════════════════════════════════════════════════════════
+//  App State from SQLite
+//  Maps database rows to the state shape the views and engines read.
+//  Headless: used by AppContext and by the Node core (core/index.js).
+// ═══════════════════════════════════════════════════════════════
+
+import * as DAL from './dal.js';
+import { DEFAULT_GWP_SET_ID } from '../engine/factorResolver.js';
+import { DEFAULT_SIMULATION_SETTINGS } from '../engine/monteCarlo.js';
+import { withPrecursorDefault } from '../data/precursorDefaults.js';
+
+// ─── Build state snapshot from SQLite ────────────────────────
+// Reads all tables and builds a state object matching the shape
+// that existing views expect.
+
+export function buildStateFromDB() {
+    const installation = DAL.getInstallation('default');
+    const boundaries = DAL.getBoundaries('default');
+    const processes = DAL.getProcesses('default');
+    const fuels = DAL.getFuelEntries();
+    const electricity = DAL.getElectricityEntries();
+    const processEvents = DAL.getProcessEvents();
+    const emissionBlocks = DAL.getEmissionBlocks('default');
+    const massBalanceStreams = DAL.getMassBalanceStreams();
+    const cemsSources = DAL.getCemsSources();
+    const heatFlows = DAL.getHeatFlows();
+    const generationUnits = DAL.getGenerationUnits();
+    const co2Transfers = DAL.getCo2Transfers();
+    const products = DAL.getProducts('default');
+    const productionOutput = DAL.getProductionOutput();
+    const precursors = DAL.getPrecursors();
+    const cbamSettings = DAL.getCbamSettings();
+    const allocSettings = DAL.getAllocationSettings();
+    const gapSettings = DAL.getGapSettings();
+    const simulationSettings = DAL.getSimulationSettings();
+    const emissionFactors = DAL.getEmissionFactors();
+    const gwpSets = DAL.getGwpSets();
+
+    // Map DB rows to view-compatible shapes
+    return {
+        meta: installation ? {
+            installationName: installation.name,
+            country: installation.country,
+            periodStart: installation.period_start,
+            periodEnd: installation.period_end,
+            workflowStatus: installation.workflow_status || 'DRAFT',
+            reviewerName: installation.reviewer_name || '',
+            reviewDate: installation.review_date || '',
+            submitDate: installation.submit_date || '',
+            gwpSetId: installation.gwp_set_id || DEFAULT_GWP_SET_ID,
+            lastSaved: null,
+        } : {
+            installationName: 'New Installation',
+            country: 'KZ',
+            periodStart: '2025-01',
+            periodEnd: '2025-03',
+            workflowStatus: 'DRAFT',
+            reviewerName: '',
+            reviewDate: '',
+            submitDate: '',
+            gwpSetId: DEFAULT_GWP_SET_ID,
+            lastSaved: null,
+        },
+        boundaries: boundaries.map(b => ({
+            id: b.id,
+            name: b.name,
+            included: !!b.included,
+            notes: b.notes || '',
+            evidence: b.evidence || '',
+        })),
+        processes: processes.map(p => ({
+            id: p.id,
+            name: p.name,
+            description: p.description || '',
+            category: p.category || 'Core',
+            active: !!p.active,
+            allocationMethod: p.allocation_method || '',
+            manualShares: p.manual_shares ? JSON.parse(p.manual_shares) : {},
+        })),
+        activity: {
+            fuels: fuels.map(f => ({
+                id: f.stable_id,
+                period: f.period,
+                processId: f.process_id,
+                fuelTypeId: f.fuel_type_id,
+                quantity: f.quantity || 0,
+                unit: f.unit || 't',
+                evidence: f.evidence || '',
+                customNcv: f.custom_ncv || 0,
+                customEf: f.custom_ef_co2 || 0,
+                customEfCo2: f.custom_ef_co2 || 0,
+                customEfCh4: f.custom_ef_ch4 || 0,
+                customEfN2o: f.custom_ef_n2o || 0,
+                biomassFraction: f.biomass_fraction ?? null,
+                biomassSustainable: f.biomass_sustainable === 1,
+                calcMethod: f.calc_method || 'ncv_ef',
+                oxidationFactor: f.oxidation_factor ?? null,
+                carbonContent: f.carbon_content ?? null,
+                uncertainty: f.uncertainty ?? null,
+                notes: f.notes || '',
+                _versionId: f.version_id,
+                _versionNumber: f.version_number,
+            })),
+            electricity: electricity.map(e => ({
+                id: e.stable_id,
+                period: e.period,
+                processId: e.process_id,
+                mwh: e.mwh || 0,
+                gridCountry: e.grid_country || 'OTHER',
+                ef: e.ef || 0,
+                efOverride: !!e.ef_override,
+                generationUnitId: e.generation_unit_id || '',
+                uncertainty: e.uncertainty ?? null,
+                evidence: e.evidence || '',
+                notes: e.notes || '',
+                _versionId: e.version_id,
+                _versionNumber: e.version_number,
+            })),
+        },
+        processEvents: processEvents.map(pe => ({
+            id: pe.stable_id,
+            period: pe.period,
+            processId: pe.process_id,
+            eventType: pe.event_type,
+            parameter: pe.parameter,
+            value: pe.value || 0,
+            unit: pe.unit || '',
+            dataSource: pe.data_source || '',
+            evidence: pe.evidence || '',
+            _versionId: pe.version_id,
+            _versionNumber: pe.version_number,
+        })),
+        emissionBlocks: emissionBlocks.map(eb => ({
+            id: eb.id,
+            period: eb.period,
+            processId: eb.process_id,
+            templateId: eb.template_id || null,
+            name: eb.name,
+            outputName: eb.output_name || '',
+            outputGas: eb.output_gas || 'CO2',
+            formula: eb.formula || '',
+            formulaDisplay: eb.formula_display || '',
+            parameters: eb.parameters || [],
+            source: eb.source || '',
+            notes: eb.notes || '',
+        })),
+        massBalanceStreams: massBalanceStreams.map(mb => ({
+            id: mb.stable_id,
+            period: mb.period,
+            processId: mb.process_id,
+            name: mb.name || '',
+            direction: mb.direction || 'input',
+            quantity: mb.quantity || 0,
+            carbonContent: mb.carbon_content || 0,
+            evidence: mb.evidence || '',
+            notes: mb.notes || '',
+            _versionId: mb.version_id,
+            _versionNumber: mb.version_number,
+        })),
+        cemsSources: cemsSources.map(cs => ({
+            id: cs.stable_id,
+            period: cs.period,
+            processId: cs.process_id,
+            name: cs.name || '',
+            gas: cs.gas || 'CO2',
+            concentrationUnit: cs.concentration_unit || 'mg_Nm3',
+            hours: JSON.parse(cs.hourly_data || '[]'),
+            coversCombustion: cs.covers_combustion === 1,
+            evidence: cs.evidence || '',
+            notes: cs.notes || '',
+            _versionId: cs.version_id,
+            _versionNumber: cs.version_number,
+        })),
+        heatFlows: heatFlows.map(hf => ({
+            id: hf.stable_id,
+            period: hf.period,
+            flowType: hf.flow_type || 'internal',
+            fromProcessId: hf.from_process_id || '',
+            toProcessId: hf.to_process_id || '',
+            counterparty: hf.counterparty || '',
+            quantityTJ: hf.quantity_tj || 0,
+            efSource: hf.ef_source || 'fuel_mix',
+            customEf: hf.custom_ef ?? null,
+            evidence: hf.evidence || '',
+            notes: hf.notes || '',
+            _versionId: hf.version_id,
+            _versionNumber: hf.version_number,
+        })),
+        generationUnits: generationUnits.map(gu => ({
+            id: gu.stable_id,
+            period: gu.period,
+            processId: gu.process_id || '',
+            name: gu.name || '',
+            unitType: gu.unit_type || 'power',
+            electricityMwh: gu.electricity_mwh || 0,
+            heatTJ: gu.heat_tj || 0,
+            refEffEl: gu.ref_eff_el ?? 0.525,
+            refEffHeat: gu.ref_eff_heat ?? 0.9,
+            evidence: gu.evidence || '',
+            notes: gu.notes || '',
+            _versionId: gu.version_id,
+            _versionNumber: gu.version_number,
+        })),
+        co2Transfers: co2Transfers.map(t => ({
+            id: t.stable_id,
+            period: t.period,
+            processId: t.process_id || '',
+            transferType: t.transfer_type || 'storage_site',
+            receivingInstallationId: t.receiving_installation_id || '',
+            receivingInstallationName: t.receiving_installation_name || '',
+            quantity: t.quantity || 0,
+            measurementMethod: t.measurement_method || 'measured',
+            evidence: t.evidence || '',
+            notes: t.notes || '',
+            _versionId: t.version_id,
+            _versionNumber: t.version_number,
+        })),
+        products: products.map(p => ({
+            id: p.id,
+            name: p.name,
+            quantity: 0,  // Will be summed from production output below
+            isResidue: !!p.is_residue,
+            cnCode: p.cn_code || '',
+            price: p.price ?? null,
+            energyContent: p.energy_content ?? null,
+            precursors: precursors.filter(pc => pc.product_id === p.id).map(pc => ({
+                id: pc.stable_id,
+                name: pc.name || '',
+                cnCode: pc.cn_code || '',
+                mass: pc.mass || 0,
+                seeDirect: pc.see_direct || 0,
+                seeIndirect: pc.see_indirect || 0,
+                sourceType: pc.source_type || 'actual',
+                country: pc.country || '',
+                supplier: pc.supplier || '',
+                evidence: pc.evidence || '',
+                _versionId: pc.version_id,
+                _versionNumber: pc.version_number,
+            })),
+        })),
+        productionOutput: productionOutput.map(po => ({
+            id: po.stable_id,
+            period: po.period,
+            productId: po.product_id,
+            processId: po.process_id,
+            quantity: po.quantity || 0,
+            dataSource: po.data_source || '',
+            _versionId: po.version_id,
+        })),
+        allocationSettings: {
+            method: allocSettings?.method || 'mass',
+            treatResidueAsWaste: !!(allocSettings?.treat_residue_as_waste),
+            unassignedRule: allocSettings?.unassigned_rule || 'output_share',
+            unassignedProcessId: allocSettings?.unassigned_process_id || '',
+        },
+        gapSettings: {
+            enabled: gapSettings.enabled === 1,
+            method: gapSettings.method || 'adjacent_max',
+            streamMethods: gapSettings.stream_methods ? JSON.parse(gapSettings.stream_methods) : {},
+        },
+        simulationSettings: {
+            ...DEFAULT_SIMULATION_SETTINGS,
+            ...(simulationSettings.distributions ? JSON.parse(simulationSettings.distributions) : {}),
+            iterations: simulationSettings.iterations || DEFAULT_SIMULATION_SETTINGS.iterations,
+            seed: simulationSettings.seed ?? DEFAULT_SIMULATION_SETTINGS.seed,
+        },
+        cbamSettings: cbamSettings ? {
+            basis: cbamSettings.basis || 'ACTUAL',
+            scope: cbamSettings.scope || 'DIRECT_ONLY',
+            certPriceScenario: cbamSettings.cert_price_scenario || 'MID',
+            alPriceScenario: cbamSettings.al_price_scenario || 'MID',
+            carbonCreditEligible: !!cbamSettings.carbon_credit_eligible,
+            carbonCreditScenario: cbamSettings.carbon_credit_scenario || 'HIGH',
+            importedQty: cbamSettings.imported_qty || 110000,
+            cnCode: cbamSettings.cn_code || '7601',
+            goodCategory: cbamSettings.good_category || 'Aluminium',
+        } : {
+            basis: 'ACTUAL', scope: 'DIRECT_ONLY', certPriceScenario: 'MID',
+            alPriceScenario: 'MID', carbonCreditEligible: true, carbonCreditScenario: 'HIGH',
+            importedQty: 110000, cnCode: '7601', goodCategory: 'Aluminium',
+        },
+        // Reference data — DB rows as stored, read by engine/factorResolver.js
+        factorLibrary: { emissionFactors, gwpSets },
+        isDirty: false,
+        activeTab: 'dashboard',
+        // Calculation window within the reporting period (engine/periodScope.js)
+        periodScope: { granularity: 'reporting', key: null },
+    };
+}
+
+// Sum production output quantities into products and resolve the EU
+// default values of their precursors (data/precursorDefaults.js)
+export function enrichProductQuantities(state) {
+    const outputByProduct = {};
+    (state.productionOutput || []).forEach(po => {
+        outputByProduct[po.productId] = (outputByProduct[po.productId] || 0) + po.quantity;
+    });
+    return {
+        ...state,
+        products: state.products.map(p => ({
+            ...p,
+            quantity: outputByProduct[p.id] || p.quantity || 0,
+            precursors: p.precursors?.map(withPrecursorDefault),
+        })),
+    };
+}
+
+// State before the database is loaded; defaults for missing snapshot fields
+export const emptyState = {
+    meta: { installationName: '', country: '', periodStart: '', periodEnd: '', gwpSetId: DEFAULT_GWP_SET_ID, lastSaved: null },
+    boundaries: [],
+    processes: [],
+    activity: { fuels: [], electricity: [] },
+    processEvents: [],
+    emissionBlocks: [],
+    massBalanceStreams: [],
+    cemsSources: [],
+    heatFlows: [],
+    generationUnits: [],
+    co2Transfers: [],
+    products: [],
+    productionOutput: [],
+    allocationSettings: { method: 'mass', treatResidueAsWaste: true, unassignedRule: 'output_share', unassignedProcessId: '' },
+    gapSettings: { enabled: false, method: 'adjacent_max', streamMethods: {} },
+    simulationSettings: DEFAULT_SIMULATION_SETTINGS,
+    cbamSettings: {
+        basis: 'ACTUAL', scope: 'DIRECT_ONLY', certPriceScenario: 'MID',
+        alPriceScenario: 'MID', carbonCreditEligible: true, carbonCreditScenario: 'HIGH',
+        importedQty: 110000, cnCode: '7601', goodCategory: 'Aluminium',
+    },
+    factorLibrary: { emissionFactors: [], gwpSets: [] },
+    isDirty: false,
+    activeTab: 'dashboard',
+    periodScope: { granularity: 'reporting', key: null },
+};
@@ -0,0 +1,340 @@
+// ═══════════════════════════════════════════════════════════════
+//  Process Attribution — CBAM Implementing Reg. Annex II §3
+//  Emissions by processId → production processes → goods (SEE)
+// ═══════════════════════════════════════════════════════════════
+
+import { scopeProduction } from './periodScope.js';
+
+/**
+ * Rules for emissions that cannot be attributed to a producing process:
+ * entries without a processId, with an unknown processId, or booked on
+ * a support process that has no production output of its own.
+ */
+export const UNASSIGNED_RULES = {
+    output_share: {
+        id: 'output_share',
+        label: 'By production output',
+        description: 'Spread over producing processes in proportion to their output mass',
+    },
+    emission_share: {
+        id: 'emission_share',
+        label: 'By own emissions',
+        description: 'Spread over producing processes in proportion to their directly attributed emissions',
+    },
+    designated: {
+        id: 'designated',
+        label: 'Designated process',
+        description: 'Attribute everything to one selected production process',
+    },
+    exclude: {
+        id: 'exclude',
+        label: 'Do not attribute',
+        description: 'Keep in installation totals only — no good carries these emissions',
+    },
+};
+
+/**
+ * How a production process splits its emissions over the goods it makes.
+ * Residues excluded as waste never take a share.
+ */
+export const ALLOCATION_METHODS = {
+    mass: {
+        id: 'mass',
+        label: 'Mass',
+        description: 'In proportion to output mass (t)',
+    },
+    economic: {
+        id: 'economic',
+        label: 'Economic value',
+        description: 'In proportion to output × price (EUR/t)',
+    },
+    energy: {
+        id: 'energy',
+        label: 'Energy content',
+        description: 'In proportion to output × energy content (GJ/t)',
+    },
+    manual: {
+        id: 'manual',
+        label: 'Manual shares',
+        description: 'Fixed shares per good, entered per process; must sum to 100%',
+    },
+};
+
+const pid = (r) => r.processId || r.process_id || '';
+
+// ─── Allocation Keys ─────────────────────────────────────────
+
+/**
+ * Split 100% over a set of goods by the chosen allocation method.
+ * Falls back to mass when the method's keys are missing (no prices, no
+ * energy contents) or manual shares do not sum to 100%.
+ *
+ * @param {string} method - ALLOCATION_METHODS id
+ * @param {Array<Object>} items - { productId, quantity, price, energyContent }
+ * @param {Object} manualShares - { [productId]: percent } for the manual method
+ * @returns {{ method: string, shares: Object, warning: string|null }}
+ */
+export function allocationShares(method, items, manualShares = {}) {
+    const requested = ALLOCATION_METHODS[method] || ALLOCATION_METHODS.mass;
+    const byWeight = (weightOf) => {
+        const weights = items.map(weightOf);
+        const total = weights.reduce((s, w) => s + w, 0);
+        return total > 0 ? Object.fromEntries(items.map((it, i) => [it.productId, weights[i] / total])) : null;
+    };
+    const mass = () => byWeight(it => it.quantity) || {};
+
+    let shares = null;
+    let warning = null;
+    if (requested.id === 'economic') {
+        shares = byWeight(it => it.quantity * (Number(it.price) || 0));
+        if (!shares) warning = 'No product prices entered — mass allocation applied';
+        else if (items.some(it => !(Number(it.price) > 0))) warning = 'Goods without a price carry no emissions';
+    } else if (requested.id === 'energy') {
+        shares = byWeight(it => it.quantity * (Number(it.energyContent) || 0));
+        if (!shares) warning = 'No energy contents entered — mass allocation applied';
+        else if (items.some(it => !(Number(it.energyContent) > 0))) warning = 'Goods without an energy content carry no emissions';
+    } else if (requested.id === 'manual') {
+        const percents = items.map(it => Number(manualShares?.[it.productId]) || 0);
+        const sum = percents.reduce((s, v) => s + v, 0);
+        if (items.length > 0 && Math.abs(sum - 100) <= 0.01) {
+            shares = Object.fromEntries(items.map((it, i) => [it.productId, percents[i] / 100]));
+        } else if (sum === 0) {
+            warning = 'No manual shares entered — mass allocation applied';
+        } else {
+            warning = `Manual shares sum to ${sum.toFixed(1)}%, not 100% — mass allocation applied`;
+        }
+    }
+
+    return shares
+        ? { method: requested.id, shares, warning }
+        : { method: 'mass', shares: mass(), warning };
+}
+
+// ─── Emissions by Process ────────────────────────────────────
+
+/**
+ * List every source of a calculateTotalEmissions() result as
+ * { type, id, name, processId, direct, indirect }, counting exactly
+ * what the installation totals count.
+ *
+ * @param {Object} emissions - Result from calculateTotalEmissions
+ * @returns {Array<Object>}
+ */
+export function listEmissionSources(emissions) {
+    const sources = [];
+    const add = (type, id, name, processId, direct, indirect = 0) =>
+        sources.push({ type, id, name, processId: processId || '', direct, indirect });
+
+    // Fuels measured by a CO₂ stack keep their CH₄ and N₂O
+    emissions.combustion.entries
+        .forEach(r => add('combustion', r.entryId, `Fuel ${r.entryId} · ${r.period}`, pid(r), r.coveredByCems ? r.countedCO2e : r.co2e));
+    (emissions.cems?.entries || []).forEach(r => add('cems', r.sourceId, r.name, pid(r), r.co2e));
+    emissions.electricity.entries.forEach(r => add('electricity', r.entryId, `Electricity ${r.entryId} · ${r.period}`, pid(r), 0, r.co2e));
+    (emissions.massBalance?.entries || []).forEach(r => add('mass_balance', r.balanceId, r.name, pid(r), r.co2e));
+    // Heat moves emissions: + receiving process, − supplying process ('' = outside)
+    (emissions.heat?.entries || []).forEach(r => r.adjustments.forEach(adj =>
+        add('heat', `${r.flowId}_${adj.processId}`, `Heat ${r.flowType} · ${r.period}`, adj.processId, adj.co2e)));
+    // Produced electricity leaves the generating process; consumers carry it as indirect
+    (emissions.generation?.entries || []).filter(r => r.electricityCO2e > 0).forEach(r =>
+        add('generation', r.unitId, `${r.name} · electricity`, pid(r), -r.electricityCO2e));
+
+    // Eligible CO₂ transfers are deducted from the transferring process
+    (emissions.transfers?.entries || []).filter(r => r.deduction > 0).forEach(r =>
+        add('transfer', r.transferId, `CO₂ transfer ${r.receivingInstallationId} · ${r.period}`, pid(r), -r.deduction));
+
+    // Blocks replace legacy process events — mirror the engine's totals
+    if (emissions.emissionBlocks.entries.length > 0) {
+        emissions.emissionBlocks.entries.forEach(r => add('emission_block', r.blockId, r.name, pid(r), r.co2e));
+    } else {
+        emissions.anode.entries.forEach(r => add('anode', `anode_${r.period}_${pid(r)}`, `Anode CO₂ · ${r.period}`, pid(r), r.co2));
+        emissions.pfc.entries.forEach(r => add('pfc', `pfc_${r.period}_${pid(r)}`, `PFC · ${r.period}`, pid(r), r.co2e));
+    }
+
+    return sources;
+}
+
+// ─── Attribution ─────────────────────────────────────────────
+
+/**
+ * Attribute installation emissions to production processes and their goods.
+ *
+ *   1. Sum direct / indirect emissions by processId.
+ *   2. Map products to processes through production_output.process_id.
+ *      A product's quantity is split over its processes by their output share.
+ *   3. Pool emissions of entries without a producing process and apply the
+ *      unassigned rule (see UNASSIGNED_RULES).
+ *   4. Split each process's emissions over its goods by the process's
+ *      allocation method (see ALLOCATION_METHODS) and compute SEE.
+ *
+ * Output and product quantities are limited to the emissions' window
+ * (emissions.period, see periodScope.js).
+ * Residues are excluded from splits when treatResidueAsWaste is set.
+ * methodOverride forces one method on every process (method comparison).
+ *
+ * @param {Object} emissions - Result from calculateTotalEmissions
+ * @param {Object} context - { products, productionOutput, processes, allocationSettings, methodOverride }
+ * @returns {{ processes: Array, products: Array, unassigned: Object, unattributed: Object }}
+ */
+export function attributeEmissions(emissions, { products: allProducts = [], productionOutput: allOutput = [], processes = [], allocationSettings = {}, methodOverride = null }) {
+    const { products, productionOutput } = scopeProduction(allProducts, allOutput, emissions.period);
+    const treatResidueAsWaste = allocationSettings.treatResidueAsWaste ?? true;
+    const rule = UNASSIGNED_RULES[allocationSettings.unassignedRule] || UNASSIGNED_RULES.output_share;
+    const processName = Object.fromEntries(processes.map(p => [p.id, p.name]));
+    const processConfig = Object.fromEntries(processes.map(p => [p.id, p]));
+    const isExcluded = (p) => treatResidueAsWaste && !!(p.is_residue || p.isResidue);
+
+    // ─── Step 2: Product output by process ───
+    const outputByProduct = {};
+    productionOutput.forEach(po => {
+        const productId = po.product_id || po.productId;
+        const processId = pid(po);
+        if (!productId || !processId) return;
+        outputByProduct[productId] = outputByProduct[productId] || {};
+        outputByProduct[productId][processId] = (outputByProduct[productId][processId] || 0) + (Number(po.quantity) || 0);
+    });
+
+    const byProcess = {};
+    const ensure = (processId) => {
+        if (!byProcess[processId]) {
+            byProcess[processId] = {
+                processId,
+                name: processName[processId] || processId,
+                own: { direct: 0, indirect: 0 },
+                received: { direct: 0, indirect: 0 },
+                sources: [],
+                products: [],
+                output: 0,
+            };
+        }
+        return byProcess[processId];
+    };
+
+    const productSplits = products.map(p => {
+        const quantity = Number(p.quantity) || 0;
+        const split = outputByProduct[p.id] || {};
+        const recorded = Object.values(split).reduce((s, q) => s + q, 0);
+        // Product quantity stays authoritative; production_output only gives the split
+        const parts = recorded > 0
+            ? Object.entries(split).map(([processId, q]) => ({ processId, quantity: quantity * q / recorded }))
+            : [];
+        parts.forEach(part => {
+            const proc = ensure(part.processId);
+            proc.products.push({
+                productId: p.id,
+                quantity: part.quantity,
+                price: p.price,
+                energyContent: p.energy_content ?? p.energyContent,
+                excluded: isExcluded(p),
+            });
+            if (!isExcluded(p)) proc.output += part.quantity;
+        });
+        return { product: p, quantity, parts, unmapped: quantity > 0 && parts.length === 0 };
+    });
+
+    // ─── Step 1: Emissions by process ───
+    const unassigned = { direct: 0, indirect: 0, rule: rule.id, sources: [] };
+    listEmissionSources(emissions).forEach(src => {
+        const proc = src.processId ? byProcess[src.processId] : null;
+        if (proc && proc.output > 0) {
+            proc.own.direct += src.direct;
+            proc.own.indirect += src.indirect;
+            proc.sources.push(src);
+            return;
+        }
+        const reason = !src.processId ? 'no_process'
+            : !processName[src.processId] ? 'unknown_process'
+                : 'no_output';
+        unassigned.direct += src.direct;
+        unassigned.indirect += src.indirect;
+        unassigned.sources.push({ ...src, reason });
+    });
+
+    // ─── Step 3: Unassigned rule ───
+    const producing = Object.values(byProcess).filter(p => p.output > 0);
+    const unattributed = { direct: 0, indirect: 0, reason: null };
+    let weights = null;
+    if (rule.id === 'output_share') {
+        weights = producing.map(p => p.output);
+    } else if (rule.id === 'emission_share') {
+        weights = producing.map(p => p.own.direct + p.own.indirect);
+    } else if (rule.id === 'designated') {
+        weights = producing.map(p => (p.processId === allocationSettings.unassignedProcessId ? 1 : 0));
+    }
+    const weightTotal = weights ? weights.reduce((s, w) => s + w, 0) : 0;
+    if (weightTotal > 0) {
+        producing.forEach((p, i) => {
+            p.received.direct = unassigned.direct * weights[i] / weightTotal;
+            p.received.indirect = unassigned.indirect * weights[i] / weightTotal;
+        });
+    } else if (unassigned.direct + unassigned.indirect > 0) {
+        unattributed.direct += unassigned.direct;
+        unattributed.indirect += unassigned.indirect;
+        unattributed.reason = rule.id === 'exclude' ? 'Excluded by the unassigned-emissions rule'
+            : rule.id === 'designated' ? 'Designated process has no production output'
+                : 'No production process with output to attribute to';
+    }
+
+    // ─── Step 4: Process SEE and per-good split ───
+    const processResults = Object.values(byProcess).map(p => {
+        const direct = p.own.direct + p.received.direct;
+        const indirect = p.own.indirect + p.received.indirect;
+        const config = processConfig[p.processId] || {};
+        const requestedMethod = methodOverride || config.allocationMethod || config.allocation_method
+            || allocationSettings.method || 'mass';
+        const allocation = allocationShares(
+            requestedMethod,
+            p.products.filter(x => !x.excluded && x.quantity > 0),
+            config.manualShares || {}
+        );
+        return {
+            ...p,
+            requestedMethod,
+            allocationMethod: allocation.method,
+            allocationWarning: allocation.warning,
+            shares: allocation.shares,
+            direct,
+            indirect,
+            total: direct + indirect,
+            seeDirect: p.output > 0 ? direct / p.output : 0,
+            seeIndirect: p.output > 0 ? indirect / p.output : 0,
+        };
+    }).sort((a, b) => a.processId.localeCompare(b.processId));
+    const processById = Object.fromEntries(processResults.map(p => [p.processId, p]));
+
+    const productResults = productSplits.map(({ product, quantity, parts, unmapped }) => {
+        const excluded = isExcluded(product);
+        const byProc = parts.map(part => {
+            const proc = processById[part.processId];
+            const share = !excluded ? (proc.shares[product.id] || 0) : 0;
+            return {
+                processId: part.processId,
+                quantity: part.quantity,
+                share,
+                allocationMethod: proc.allocationMethod,
+                direct: proc.direct * share,
+                indirect: proc.indirect * share,
+            };
+        });
+        const allocatedDirect = byProc.reduce((s, b) => s + b.direct, 0);
+        const allocatedIndirect = byProc.reduce((s, b) => s + b.indirect, 0);
+        return {
+            productId: product.id,
+            productName: product.name,
+            cnCode: product.cn_code || product.cnCode,
+            quantity,
+            isExcluded: excluded,
+            unmapped,
+            byProcess: byProc,
+            allocatedDirect,
+            allocatedIndirect,
+            allocatedTotal: allocatedDirect + allocatedIndirect,
+        };
+    });
+
+    return {
+        processes: processResults,
+        products: productResults,
+        unassigned,
+        unattributed,
+    };
+}
@@ -0,0 +1,124 @@
+// ═══════════════════════════════════════════════════════════════
+//  Emission Block Dependencies
+//  A block may expose its result under an output name; formulas of
+//  other blocks in the same period reference that name like a
+//  parameter and read the upstream result in tonnes of its gas.
+//  Blocks are evaluated in dependency order and circular references
+//  are rejected.
+// ═══════════════════════════════════════════════════════════════
+
+import { extractVariables } from './formulaEvaluator.js';
+
+/** Output names follow the formula identifier rules. */
+export const OUTPUT_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+const periodOf = (block) => block.period || '';
+
+/**
+ * Output names other blocks in the block's period expose, excluding the
+ * block itself — the names its formula may reference besides its own
+ * parameters.
+ *
+ * @param {Object} block
+ * @param {Array} blocks - All emission blocks
+ * @returns {string[]}
+ */
+export function availableOutputs(block, blocks) {
+    return [...new Set(blocks
+        .filter(b => b.id !== block.id && b.outputName && periodOf(b) === periodOf(block))
+        .map(b => b.outputName))];
+}
+
+/**
+ * Dependency graph of emission blocks. A reference is a formula
+ * variable that is not one of the block's parameters and matches the
+ * output name of a block in the same period.
+ *
+ * @param {Array} blocks - [{ id, period, outputName, formula, parameters }]
+ * @returns {{
+ *   upstream: Object<string, string[]>,
+ *   downstream: Object<string, string[]>,
+ *   order: string[],
+ *   cycles: Array<string[]>,
+ *   ambiguous: Object<string, string[]>
+ * }} order: block ids, upstream before downstream; cycles: block id paths
+ *   that end where they start; ambiguous: references to an output name
+ *   several blocks of the period share
+ */
+export function buildBlockGraph(blocks) {
+    const outputs = {};
+    blocks.forEach(block => {
+        if (!block.outputName) return;
+        const key = `${periodOf(block)}|${block.outputName}`;
+        (outputs[key] ||= []).push(block.id);
+    });
+
+    const upstream = {};
+    const downstream = {};
+    const ambiguous = {};
+    blocks.forEach(block => {
+        upstream[block.id] = [];
+        downstream[block.id] ||= [];
+    });
+    blocks.forEach(block => {
+        const paramKeys = new Set((block.parameters || []).map(p => p.key));
+        extractVariables(block.formula || '')
+            .filter(name => !paramKeys.has(name))
+            .forEach(name => {
+                const producers = outputs[`${periodOf(block)}|${name}`];
+                if (!producers) return;
+                if (producers.length > 1) {
+                    (ambiguous[block.id] ||= []).push(name);
+                    return;
+                }
+                upstream[block.id].push(producers[0]);
+                downstream[producers[0]].push(block.id);
+            });
+    });
+
+    // Depth-first, upstream first; a block met again on the current path closes a cycle
+    const visited = {};
+    const order = [];
+    const cycles = [];
+    const visit = (id, path) => {
+        if (visited[id] === 'done') return;
+        if (visited[id] === 'active') {
+            cycles.push([...path.slice(path.indexOf(id)), id]);
+            return;
+        }
+        visited[id] = 'active';
+        path.push(id);
+        upstream[id].forEach(u => visit(u, path));
+        path.pop();
+        visited[id] = 'done';
+        order.push(id);
+    };
+    blocks.forEach(block => visit(block.id, []));
+
+    return { upstream, downstream, order, cycles, ambiguous };
+}
+
+/**
+ * Blocks a block depends on directly or through other blocks, nearest
+ * first.
+ *
+ * @param {Object} graph - buildBlockGraph() result
+ * @param {string} blockId
+ * @returns {string[]} Block ids
+ */
+export function upstreamClosure(graph, blockId) {
+    const seen = new Set([blockId]);
+    const result = [];
+    let frontier = [blockId];
+    while (frontier.length > 0) {
+        const next = [];
+        frontier.forEach(id => (graph.upstream[id] || []).forEach(u => {
+            if (seen.has(u)) return;
+            seen.add(u);
+            result.push(u);
+            next.push(u);
+        }));
+        frontier = next;
+    }
+    return result;
+}
@@ -11,8 +11,8 @@ import {
     getMarkupSchedule,
     getKzDefault,
     getDefaultScope,
-} from '../data/cbamReferenceData';
-import { getDefaultValue, getAutoScope } from '../data/cbamDefaultValues';
+} from '../data/cbamReferenceData.js';
+import { getDefaultValue, getAutoScope } from '../data/cbamDefaultValues.js';
 
 /**
  * Calculate a full CBAM projection (2026-2034).
@@ -0,0 +1,391 @@
+// ═══════════════════════════════════════════════════════════════
+//  CBAM Communication Template
+//  Generates structured data matching EU CBAM declaration format
+//  and its CSV rendering. Headless — downloads are in cbamExporter.js
+// ═══════════════════════════════════════════════════════════════
+
+import { calculateTotalEmissions, emissionInputsFromState, calculatePCF, calculateEmissionTimeSeries } from './emissionEngine.js';
+import { CBAM_GWP_SET_ID } from './factorResolver.js';
+
+/**
+ * Build a CBAM communication template object from app state.
+ * Covers the selected calculation window (see periodScope.js); activity
+ * rows outside it are left out and counted in reportingPeriod.
+ * 
+ * @param {Object} state – Full app state
+ * @returns {Object} CBAM communication template JSON
+ */
+export function buildCBAMTemplate(state) {
+    // CBAM reporting uses the regulatory GWP set whatever the inventory uses
+    const inputs = { ...emissionInputsFromState(state), gwpSetId: CBAM_GWP_SET_ID };
+    const emissions = calculateTotalEmissions(inputs);
+    const quarters = calculateEmissionTimeSeries(inputs, {
+        granularity: 'quarter',
+        productionOutput: state.productionOutput || [],
+        products: state.products || [],
+    }).periods;
+    const cemsTonnes = (gas) => emissions.cems.entries.filter(c => c.gas === gas).reduce((s, c) => s + c.fossil, 0);
+
+    const pcf = calculatePCF(emissions, state.products, state.allocationSettings, {
+        productionOutput: state.productionOutput || [],
+        processes: state.processes || [],
+    });
+
+    const goods = pcf.filter(p => !(p.isResidue || p.isExcluded)).map(product => {
+        return {
+            productName: product.productName || product.name,
+            cnCode: product.cnCode || '',
+            productionQuantity: {
+                value: product.quantity || 0,
+                unit: 'tonnes',
+            },
+            productionProcesses: (product.byProcess || []).map(b => ({
+                processId: b.processId,
+                quantity: round2(b.quantity),
+                allocationMethod: b.allocationMethod,
+                allocationShare: round4(b.share),
+                attributedDirect: round2(b.direct),
+                attributedIndirect: round2(b.indirect),
+            })),
+            allocationMethod: product.allocationMethod || null,
+            precursors: product.precursors.entries.map(pc => ({
+                name: pc.name,
+                cnCode: pc.cnCode,
+                mass: pc.mass,
+                seeDirect: round4(pc.seeDirect),
+                seeIndirect: round4(pc.seeIndirect),
+                source: pc.sourceType,
+                defaultValueCountry: pc.lineage.defaultValue?.country || null,
+                embeddedDirect: round2(pc.direct),
+                embeddedIndirect: round2(pc.indirect),
+            })),
+            embeddedEmissions: {
+                ownDirect: round2(product.allocatedDirect),
+                ownIndirect: round2(product.allocatedIndirect),
+                precursorDirect: round2(product.precursors.direct),
+                precursorIndirect: round2(product.precursors.indirect),
+                direct: {
+                    specific: round4(product.pcfDirect),
+                    total: round2(product.pcfDirect * (product.quantity || 0)),
+                    unit: 'tCO₂e/t product',
+                },
+                indirect: {
+                    specific: round4(product.pcfIndirect),
+                    total: round2(product.pcfIndirect * (product.quantity || 0)),
+                    unit: 'tCO₂e/t product',
+                },
+                total: {
+                    specific: round4(product.pcf),
+                    total: round2(product.pcf * (product.quantity || 0)),
+                    unit: 'tCO₂e/t product',
+                },
+            },
+        };
+    });
+
+    return {
+        communicationTemplate: {
+            version: '1.0',
+            generatedAt: new Date().toISOString(),
+            reportingPeriod: {
+                start: emissions.period.start,
+                end: emissions.period.end,
+                granularity: emissions.period.granularity,
+                key: emissions.period.key,
+                entriesOutsidePeriod: emissions.period.excluded.length,
+                undatedEntries: emissions.period.undated.length,
+            },
+            installation: {
+                name: state.meta.installationName,
+                country: state.meta.country,
+                operatorName: 'Operator (to be filled)',
+            },
+            methodology: {
+                gwpSet: emissions.gwpSet.id,
+                gwpSetName: emissions.gwpSet.name,
+                allocationMethod: state.allocationSettings?.method || 'mass',
+                unassignedEmissionsRule: state.allocationSettings?.unassignedRule || 'output_share',
+                emissionFactorSource: 'IPCC 2006 / EU CBAM Regulation 2025/2547',
+                emissionFactors: emissions.factorsUsed.map(f => ({
+                    id: f.id,
+                    version: f.version,
+                    region: f.region,
+                    effectiveDate: f.effectiveDate,
+                    validTo: f.validTo,
+                    value: f.value,
+                    unit: f.unit,
+                    source: f.source,
+                })),
+            },
+            verification: {
+                status: state.meta.workflowStatus || 'DRAFT',
+                reviewerName: state.meta.reviewerName || '',
+                reviewDate: state.meta.reviewDate || '',
+                submitDate: state.meta.submitDate || '',
+            },
+            emissionsSummary: {
+                directTotal: round2(emissions.summary.directCO2e),
+                indirectTotal: round2(emissions.summary.indirectCO2e),
+                grandTotal: round2(emissions.summary.totalCO2e),
+                unit: 'tCO₂e',
+                byGas: {
+                    CO2: round2(emissions.combustion.totals.co2 + (emissions.process?.co2 || 0) + cemsTonnes('CO2')),
+                    CH4: round2(emissions.combustion.totals.ch4),
+                    N2O: round2(emissions.combustion.totals.n2o + cemsTonnes('N2O')),
+                },
+                heatImported: round2(emissions.summary.heatImportCO2e),
+                heatExported: round2(emissions.summary.heatExportCO2e),
+                electricityGenerationDeducted: round2(emissions.summary.generationElectricityCO2e),
+                co2TransferDeducted: round2(emissions.summary.transferDeductionCO2e),
+                // Memo item: zero-rated CO₂ from sustainable biomass
+                biogenicCO2: round2(emissions.summary.biogenicCO2),
+            },
+            quarterlyEmissions: quarters.map(q => ({
+                quarter: q.key,
+                start: q.start,
+                end: q.end,
+                directTotal: round2(q.directCO2e),
+                indirectTotal: round2(q.indirectCO2e),
+                grandTotal: round2(q.totalCO2e),
+                bySource: Object.fromEntries(Object.entries(q.bySource).map(([s, v]) => [s, round2(v)])),
+                byGas: Object.fromEntries(Object.entries(q.byGas).map(([g, v]) => [g, round4(v.tonnes)])),
+                byProcess: Object.fromEntries(Object.entries(q.byProcess).map(([p, v]) => [p || 'unassigned', round2(v.total)])),
+                productionTonnes: round2(q.production),
+                intensity: q.intensity === null ? null : round4(q.intensity),
+            })),
+            // Missing months per source stream and their conservative estimates (MRR Art. 65)
+            dataGaps: emissions.dataGaps.map(g => ({
+                sourceStream: g.name,
+                period: g.period,
+                method: g.method,
+                requestedMethod: g.requestedMethod,
+                estimate: round4(g.quantity),
+                unit: g.unit,
+                substituted: g.substituted,
+                basis: g.basis.map(b => ({ period: b.period, quantity: round4(b.quantity) })),
+                fallback: g.fallback,
+            })),
+            goods,
+            activityData: {
+                // Entries of the reporting window, gap substitutes included
+                fuelCombustion: emissions.combustion.entries.map(result => {
+                    const f = inputs.fuels.find(x => x.id === result.entryId);
+                    return {
+                        period: f.period,
+                        fuelType: f.fuelTypeId,
+                        quantity: f.quantity,
+                        unit: f.unit,
+                        uncertainty: f.uncertainty ?? null,
+                        calculationMethod: result?.lineage.method.id || 'ncv_ef',
+                        oxidationFactor: result?.lineage.factors.oxidationFactor.value ?? 1,
+                        biomassFraction: result?.lineage.biomass.fraction ?? 0,
+                        biomassSustainable: result?.lineage.biomass.sustainable ?? false,
+                        fossilCO2: round2(result?.co2 || 0),
+                        biogenicCO2: round2(result?.co2Biogenic || 0),
+                        measuredByCems: !!result?.coveredByCems,
+                        emissionFactorIds: Object.values(result?.lineage.factorResolution?.rows || {}).map(r => r.id),
+                        source: f.source || 'manual',
+                        substitution: substitutionOf(result),
+                    };
+                }),
+                electricity: emissions.electricity.entries.map(e => ({
+                    period: e.period,
+                    mwh: e.lineage.inputs.mwh.value,
+                    emissionFactor: e.lineage.inputs.ef.value,
+                    emissionFactorSource: e.lineage.inputs.ef.source,
+                    emissionFactorId: e.lineage.inputs.ef.factorId,
+                    generationUnitId: e.generationUnitId,
+                    source: inputs.electricity.find(x => x.id === e.entryId)?.source || 'manual',
+                    substitution: substitutionOf(e),
+                })),
+                generation: emissions.generation.entries.map(g => ({
+                    period: g.period,
+                    processId: g.processId,
+                    name: g.name,
+                    unitType: g.unitType,
+                    fuelInputTJ: round4(g.fuelTJ),
+                    electricityMwh: g.electricityMwh,
+                    heatTJ: g.heatTJ,
+                    electricityShare: g.lineage.chp ? round4(g.lineage.chp.fEl) : 1,
+                    electricityCO2e: round2(g.electricityCO2e),
+                    heatCO2e: round2(g.heatCO2e),
+                    emissionFactorElectricity: g.efElectricity === null ? null : round4(g.efElectricity),
+                    emissionFactorHeat: g.efHeat === null ? null : round4(g.efHeat),
+                })),
+                massBalance: emissions.massBalance.entries.map(b => ({
+                    period: b.period,
+                    processId: b.processId,
+                    streams: b.lineage.streams.map(s => ({
+                        name: s.name,
+                        direction: s.direction,
+                        quantity: s.quantity,
+                        carbonContent: s.carbonContent,
+                    })),
+                    netCarbon: round2(b.netCarbon),
+                    co2: round2(b.co2),
+                })),
+                cems: emissions.cems.entries.map(c => ({
+                    period: c.period,
+                    processId: c.processId,
+                    name: c.name,
+                    gas: c.gas,
+                    hoursValid: c.lineage.hours.valid,
+                    hoursExpected: c.lineage.hours.expected,
+                    dataAvailability: round2(c.availability * 100),
+                    substitutedTonnes: round2(c.lineage.conversion.substituted.value),
+                    fossilTonnes: round2(c.fossil),
+                    biogenicTonnes: round2(c.biogenic),
+                    co2e: round2(c.co2e),
+                    corroboration: {
+                        status: c.corroboration.status,
+                        calculatedTonnes: round2(c.corroboration.calculated),
+                        deviationPercent: c.corroboration.deviation === null ? null : round2(c.corroboration.deviation * 100),
+                    },
+                })),
+                heatFlows: emissions.heat.entries.map(h => ({
+                    period: h.period,
+                    flowType: h.flowType,
+                    fromProcessId: h.fromProcessId || null,
+                    toProcessId: h.toProcessId || null,
+                    quantityTJ: h.quantityTJ,
+                    emissionFactor: round4(h.ef),
+                    emissionFactorSource: h.efSource,
+                    co2e: round2(h.co2e),
+                })),
+                // CO₂ transferred out of the installation (MRR Art. 49)
+                co2Transfers: emissions.transfers.entries.map(r => ({
+                    period: r.period,
+                    processId: r.processId,
+                    transferType: r.transferType,
+                    receivingInstallationId: r.receivingInstallationId || null,
+                    quantity: round2(r.quantity),
+                    measurementMethod: r.lineage.inputs.measurement.id,
+                    evidence: r.lineage.inputs.evidence,
+                    deductible: r.deductible,
+                    deduction: round2(r.deduction),
+                    unmetConditions: r.conditions.filter(c => !c.met).map(c => c.id),
+                })),
+                processEmissionBlocks: (state.emissionBlocks || []).map(b => ({
+                    name: b.name,
+                    outputName: b.outputName || null,
+                    outputGas: b.outputGas,
+                    formula: b.formula,
+                    parameters: b.parameters,
+                })),
+                // Evaluated blocks of the window, each operation with its intermediate value
+                emissionBlockResults: emissions.emissionBlocks.entries.map(r => ({
+                    name: r.name,
+                    period: r.period,
+                    gas: r.gas,
+                    tonnes: round4(r.tonnes),
+                    co2e: round2(r.co2e),
+                    error: r.error,
+                    trace: r.lineage.trace || null,
+                })),
+            },
+        },
+    };
+}
+
+/**
+ * CSV rendering of a CBAM template: one section per block of rows.
+ *
+ * @param {Object} template - buildCBAMTemplate() result
+ * @returns {string}
+ */
+export function templateToCSV(template) {
+    const t = template.communicationTemplate;
+
+    // Build CSV rows
+    const rows = [
+        ['CBAM Communication Template'],
+        ['Generated', t.generatedAt],
+        ['Installation', t.installation.name],
+        ['Country', t.installation.country],
+        ['Reporting Period', `${t.reportingPeriod.start} to ${t.reportingPeriod.end}`],
+        ['Entries Outside Period', t.reportingPeriod.entriesOutsidePeriod],
+        ['Workflow Status', t.verification.status],
+        ['GWP Set', t.methodology.gwpSetName],
+        ['Allocation Method', t.methodology.allocationMethod],
+        [],
+        ['EMISSIONS SUMMARY'],
+        ['Direct Total (tCO₂e)', t.emissionsSummary.directTotal],
+        ['Indirect Total (tCO₂e)', t.emissionsSummary.indirectTotal],
+        ['Grand Total (tCO₂e)', t.emissionsSummary.grandTotal],
+        ['Biogenic CO₂, memo (tCO₂)', t.emissionsSummary.biogenicCO2],
+        ['CO₂ Transferred, deducted (tCO₂)', t.emissionsSummary.co2TransferDeducted],
+        [],
+        ['DATA GAPS'],
+        ['Source Stream', 'Period', 'Method', 'Estimate', 'Unit', 'Substituted', 'Basis'],
+        ...t.dataGaps.map(g => [g.sourceStream, g.period, g.method, g.estimate, g.unit, g.substituted ? 'yes' : 'no', g.basis.map(b => `${b.period}: ${b.quantity}`).join('; ')]),
+        [],
+        ['QUARTERLY EMISSIONS'],
+        ['Quarter', 'From', 'To', 'Direct (tCO₂e)', 'Indirect (tCO₂e)', 'Total (tCO₂e)', 'Production (t)', 'Intensity (tCO₂e/t)'],
+        ...t.quarterlyEmissions.map(q => [q.quarter, q.start, q.end, q.directTotal, q.indirectTotal, q.grandTotal, q.productionTonnes, q.intensity ?? '']),
+        [],
+        ['GOODS'],
+        ['Product', 'CN Code', 'Quantity (t)', 'Direct SEE', 'Indirect SEE', 'Total SEE', 'Precursor Direct (t)', 'Precursor Indirect (t)'],
+        ...t.goods.map(g => [
+            g.productName, g.cnCode, g.productionQuantity.value,
+            g.embeddedEmissions.direct.specific,
+            g.embeddedEmissions.indirect.specific,
+            g.embeddedEmissions.total.specific,
+            g.embeddedEmissions.precursorDirect,
+            g.embeddedEmissions.precursorIndirect,
+        ]),
+        [],
+        ['PRECURSORS'],
+        ['Product', 'Precursor', 'CN Code', 'Mass (t)', 'SEE Direct', 'SEE Indirect', 'Source', 'Embedded Direct (t)', 'Embedded Indirect (t)'],
+        ...t.goods.flatMap(g => g.precursors.map(pc => [g.productName, pc.name, pc.cnCode, pc.mass, pc.seeDirect, pc.seeIndirect, pc.source, pc.embeddedDirect, pc.embeddedIndirect])),
+        [],
+        ['FUEL COMBUSTION ACTIVITY DATA'],
+        ['Period', 'Fuel Type', 'Quantity', 'Unit', 'Biomass Fraction', 'Fossil CO₂ (t)', 'Biogenic CO₂ (t)', 'Data Source'],
+        ...t.activityData.fuelCombustion.map(f => [f.period, f.fuelType, f.quantity, f.unit, f.biomassFraction, f.fossilCO2, f.biogenicCO2, f.source]),
+        [],
+        ['EMISSION FACTORS APPLIED'],
+        ['Factor ID', 'Version', 'Region', 'Valid From', 'Valid To', 'Value', 'Unit', 'Source'],
+        ...t.methodology.emissionFactors.map(f => [f.id, f.version, f.region, f.effectiveDate || '', f.validTo || '', f.value, f.unit, f.source || '']),
+        [],
+        ['ELECTRICITY ACTIVITY DATA'],
+        ['Period', 'MWh', 'Emission Factor', 'Data Source'],
+        ...t.activityData.electricity.map(e => [e.period, e.mwh, e.emissionFactor, e.source]),
+        [],
+        ['MEASUREMENT-BASED (CEMS)'],
+        ['Period', 'Process', 'Stack', 'Gas', 'Data Availability (%)', 'Substituted (t)', 'Fossil (t)', 'Corroboration Deviation (%)'],
+        ...t.activityData.cems.map(c => [c.period, c.processId, c.name, c.gas, c.dataAvailability, c.substitutedTonnes, c.fossilTonnes, c.corroboration.deviationPercent ?? '']),
+        [],
+        ['ON-SITE GENERATION'],
+        ['Period', 'Process', 'Unit', 'Type', 'Fuel (TJ)', 'Electricity (MWh)', 'Heat (TJ)', 'F_el', 'EF Electricity (tCO₂e/MWh)', 'EF Heat (tCO₂e/TJ)'],
+        ...t.activityData.generation.map(g => [g.period, g.processId, g.name, g.unitType, g.fuelInputTJ, g.electricityMwh, g.heatTJ, g.electricityShare, g.emissionFactorElectricity ?? '', g.emissionFactorHeat ?? '']),
+        [],
+        ['MEASURABLE HEAT FLOWS'],
+        ['Period', 'Type', 'From', 'To', 'Heat (TJ)', 'EF (tCO₂e/TJ)', 'EF Source', 'CO₂e (t)'],
+        ...t.activityData.heatFlows.map(h => [h.period, h.flowType, h.fromProcessId || 'Outside', h.toProcessId || 'Outside', h.quantityTJ, h.emissionFactor, h.emissionFactorSource, h.co2e]),
+        [],
+        ['CO₂ TRANSFERS'],
+        ['Period', 'Process', 'Type', 'Receiving Installation', 'Quantity (tCO₂)', 'Measurement', 'Evidence', 'Deducted (tCO₂)'],
+        ...t.activityData.co2Transfers.map(r => [r.period, r.processId, r.transferType, r.receivingInstallationId || '', r.quantity, r.measurementMethod, r.evidence || '', r.deduction]),
+        [],
+        ['FORMULA TRACES'],
+        ['Block', 'Period', 'Level', 'Expression', 'Substituted', 'Value'],
+        ...t.activityData.emissionBlockResults.flatMap(r => traceSteps(r.trace).map(s => [r.name, r.period, s.level, s.expression, s.substituted, Number(s.value.toPrecision(12))])),
+    ];
+
+    return rows.map(r => r.map(c => `"${c}"`).join(',')).join('\n');
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+function substitutionOf(result) {
+    const s = result.lineage.substitution;
+    return s ? { method: s.method, basis: s.basis.map(b => b.period), templateEntryId: s.templateEntryId } : null;
+}
+
+// Trace tree (formulaEvaluator traceFormula()) as rows, depth first
+function traceSteps(node, level = 0) {
+    if (!node) return [];
+    return [{ level, expression: node.expression, substituted: node.substituted, value: node.value }, ...node.children.flatMap(c => traceSteps(c, level + 1))];
+}
+
+function round2(n) { return Math.round((n || 0) * 100) / 100; }
+function round4(n) { return Math.round((n || 0) * 10000) / 10000; }
@@ -0,0 +1,255 @@
+// ═══════════════════════════════════════════════════════════════
+//  Measurement-Based Methodology (CEMS) — MRR Art. 40–46
+//  Hourly concentration × flue-gas flow → tonnes per period,
+//  with missing-hour substitution and the corroborating calculation.
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Data-quality rules for CEMS sources.
+ *   warnAvailability — below this share of valid hours a QA warning is raised
+ *   minAvailability  — below this share the result carries a warning and QA
+ *                      reports an error; the substituted total is still counted
+ *   corroborationTolerance — max relative deviation from the calculated emissions
+ */
+export const CEMS_RULES = {
+    warnAvailability: 0.9,
+    minAvailability: 0.8,
+    corroborationTolerance: 0.1,
+};
+
+/**
+ * Concentration units. toTonnes converts concentration × Nm³ into tonnes of gas.
+ * %vol uses the gas density at normal conditions (kg/Nm³).
+ */
+const GAS_DENSITY = { CO2: 1.977, N2O: 1.978 };
+
+export const CEMS_CONCENTRATION_UNITS = {
+    mg_Nm3: { id: 'mg_Nm3', label: 'mg/Nm³', toTonnes: () => 1e-9 },
+    g_Nm3: { id: 'g_Nm3', label: 'g/Nm³', toTonnes: () => 1e-6 },
+    pct_vol: { id: 'pct_vol', label: '% vol', toTonnes: (gas) => (GAS_DENSITY[gas] || 0) / 100 / 1000 },
+};
+
+export const CEMS_GASES = ['CO2', 'N2O'];
+
+// ─── Hourly Series ───────────────────────────────────────────
+
+const toReading = (v) => {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+/**
+ * Parse pasted hourly CEMS data — one hour per line, "concentration, flow".
+ * Comma, semicolon and tab separators are accepted. Empty or non-numeric
+ * cells are kept as missing readings; a non-numeric first line is a header.
+ *
+ * @param {string} text - Raw CSV text
+ * @returns {Array<{ conc: number|null, flow: number|null }>}
+ */
+export function parseCemsSeries(text) {
+    const lines = (text || '').split(/\r?\n/).filter(l => l.trim() !== '');
+    if (lines.length > 0 && lines[0].split(/[,;\t]/).every(c => c.trim() !== '' && isNaN(Number(c)))) {
+        lines.shift();
+    }
+    return lines.map(line => {
+        const [conc, flow] = line.split(/[,;\t]/).map(c => c.trim());
+        return { conc: toReading(conc), flow: toReading(flow) };
+    });
+}
+
+/**
+ * Serialize an hourly series back to CSV for editing.
+ * @param {Array} hours
+ * @returns {string}
+ */
+export function formatCemsSeries(hours) {
+    return (hours || []).map(h => `${h.conc ?? ''},${h.flow ?? ''}`).join('\n');
+}
+
+/**
+ * Number of hours in a reporting period ('YYYY-MM').
+ * Falls back to null for periods that are not a calendar month.
+ */
+export function hoursInPeriod(period) {
+    const m = /^(\d{4})-(\d{2})$/.exec(period || '');
+    if (!m) return null;
+    return new Date(Number(m[1]), Number(m[2]), 0).getDate() * 24;
+}
+
+const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length;
+const stdDev = (xs, mu) => xs.length > 1
+    ? Math.sqrt(xs.reduce((s, x) => s + (x - mu) ** 2, 0) / (xs.length - 1))
+    : 0;
+
+// ─── Period Integration ──────────────────────────────────────
+
+/**
+ * Integrate an hourly CEMS series into tonnes for one period.
+ *
+ * Missing hours are substituted per MRR Art. 45(3)–(4):
+ *   concentration → mean + 2σ of the valid hours (conservative)
+ *   flue-gas flow → mean of the valid hours
+ * Hours beyond the reported series, up to the length of the period,
+ * count as missing.
+ *
+ * @param {Object} source - { gas, concentrationUnit, hours: [{ conc, flow }], period }
+ * @returns {{ tonnes: number, measuredTonnes: number, substitutedTonnes: number, availability: number, error: string|null, hours: Object, substitution: Object }}
+ */
+export function integrateCemsSeries(source) {
+    const gas = source.gas || 'CO2';
+    const unit = CEMS_CONCENTRATION_UNITS[source.concentrationUnit || source.concentration_unit] || CEMS_CONCENTRATION_UNITS.mg_Nm3;
+    const factor = unit.toTonnes(gas);
+    const series = source.hours || [];
+    const expected = Math.max(hoursInPeriod(source.period) || 0, series.length);
+
+    const validConc = series.map(h => h.conc).filter(v => v !== null && v !== undefined);
+    const validFlow = series.map(h => h.flow).filter(v => v !== null && v !== undefined);
+    const hours = {
+        expected,
+        reported: series.length,
+        valid: series.filter(h => h.conc != null && h.flow != null).length,
+        substitutedConc: 0,
+        substitutedFlow: 0,
+    };
+    const empty = (error) => ({
+        tonnes: 0, measuredTonnes: 0, substitutedTonnes: 0,
+        availability: expected > 0 ? hours.valid / expected : 0,
+        error, hours, substitution: null, unit: unit.label,
+    });
+
+    if (factor === 0) return empty(`Concentration in ${unit.label} is not supported for ${gas}`);
+    if (validConc.length === 0 || validFlow.length === 0) return empty('No valid hourly readings');
+
+    const concMean = mean(validConc);
+    const concSigma = stdDev(validConc, concMean);
+    const flowMean = mean(validFlow);
+    const substitution = {
+        conc: { mean: concMean, sigma: concSigma, value: concMean + 2 * concSigma, unit: unit.label, rule: 'mean + 2σ' },
+        flow: { mean: flowMean, value: flowMean, unit: 'Nm³/h', rule: 'mean' },
+    };
+
+    let measuredTonnes = 0;
+    let substitutedTonnes = 0;
+    for (let h = 0; h < expected; h++) {
+        const reading = series[h] || { conc: null, flow: null };
+        const concMissing = reading.conc == null;
+        const flowMissing = reading.flow == null;
+        const conc = concMissing ? substitution.conc.value : reading.conc;
+        const flow = flowMissing ? substitution.flow.value : reading.flow;
+        const t = conc * flow * factor;
+        if (concMissing) hours.substitutedConc++;
+        if (flowMissing) hours.substitutedFlow++;
+        if (concMissing || flowMissing) substitutedTonnes += t;
+        else measuredTonnes += t;
+    }
+
+    return {
+        tonnes: measuredTonnes + substitutedTonnes,
+        measuredTonnes,
+        substitutedTonnes,
+        availability: expected > 0 ? hours.valid / expected : 0,
+        error: null,
+        hours,
+        substitution,
+        unit: unit.label,
+    };
+}
+
+// ─── Corroboration (MRR Art. 46) ─────────────────────────────
+
+/**
+ * Compare measured CO₂ against the calculation-based CO₂ of the
+ * fuels burnt in the same process and period.
+ *
+ * @param {number} measured - Measured tonnes
+ * @param {Array} calcEntries - Combustion results covered by the stack
+ * @param {number} tolerance - Allowed relative deviation
+ * @returns {{ status: 'ok'|'deviation'|'no_reference', calculated: number, deviation: number|null, entryIds: string[] }}
+ */
+export function corroborateCems(measured, calcEntries, tolerance = CEMS_RULES.corroborationTolerance) {
+    // The stack sees all CO₂ — fossil and biogenic alike
+    const calculated = calcEntries.reduce((s, r) => s + r.co2 + (r.co2Biogenic || 0), 0);
+    const entryIds = calcEntries.map(r => r.entryId);
+    if (!(calculated > 0)) return { status: 'no_reference', calculated: 0, deviation: null, tolerance, entryIds };
+    const deviation = (measured - calculated) / calculated;
+    return {
+        status: Math.abs(deviation) <= tolerance ? 'ok' : 'deviation',
+        calculated,
+        deviation,
+        tolerance,
+        entryIds,
+    };
+}
+
+/**
+ * Calculate emissions for one CEMS source.
+ *
+ * When the stack covers the process's combustion, the calculated biogenic
+ * CO₂ of those fuels is subtracted from the measurement (MRR Art. 43(4))
+ * and the calculation itself serves as the corroborating check.
+ *
+ * @param {Object} source - CEMS source (state or DB row)
+ * @param {Array} coveredFuels - Combustion results for the same process and period
+ * @param {Object} gwp - GWP set
+ * @returns {{ tonnes: number, fossil: number, biogenic: number, co2e: number, error: string|null, warning: string|null, lineage: Object }}
+ */
+export function calcCemsEmissions(source, coveredFuels = [], gwp) {
+    const gas = source.gas || 'CO2';
+    const result = integrateCemsSeries(source);
+    const gwpFactor = gwp?.[gas] || 1;
+
+    const corroboration = gas === 'CO2' && coveredFuels.length > 0
+        ? corroborateCems(result.tonnes, coveredFuels)
+        : { status: 'no_reference', calculated: 0, deviation: null, tolerance: CEMS_RULES.corroborationTolerance, entryIds: [] };
+
+    const biogenicCalc = gas === 'CO2' ? coveredFuels.reduce((s, r) => s + (r.co2Biogenic || 0), 0) : 0;
+    const biogenic = Math.min(biogenicCalc, result.tonnes);
+    const fossil = result.tonnes - biogenic;
+    const co2e = fossil * gwpFactor;
+
+    const warnings = [];
+    if (!result.error && result.availability < CEMS_RULES.minAvailability) {
+        warnings.push(`Data availability ${(result.availability * 100).toFixed(1)}% is below ${CEMS_RULES.minAvailability * 100}%`);
+    } else if (!result.error && result.availability < CEMS_RULES.warnAvailability) {
+        warnings.push(`Data availability ${(result.availability * 100).toFixed(1)}% — ${result.hours.expected - result.hours.valid} hours substituted`);
+    }
+    if (corroboration.status === 'deviation') {
+        warnings.push(`Measured ${gas} deviates ${(corroboration.deviation * 100).toFixed(1)}% from the corroborating calculation`);
+    }
+    const warning = warnings.length > 0 ? warnings.join('; ') : null;
+
+    return {
+        tonnes: result.error ? 0 : result.tonnes,
+        fossil: result.error ? 0 : fossil,
+        biogenic: result.error ? 0 : biogenic,
+        co2e: result.error ? 0 : co2e,
+        availability: result.availability,
+        error: result.error,
+        warning,
+        corroboration,
+        lineage: {
+            type: 'cems',
+            formula: 'Em = Σₕ (C_h × V_h) × unit factor',
+            gas,
+            unit: result.unit,
+            hours: result.hours,
+            availability: result.availability,
+            substitution: result.substitution,
+            conversion: {
+                measured: { value: result.measuredTonnes, unit: `t ${gas}`, formula: 'Σ valid hours' },
+                substituted: { value: result.substitutedTonnes, unit: `t ${gas}`, formula: 'Σ substituted hours' },
+                total: { value: result.tonnes, unit: `t ${gas}` },
+                biogenic: { value: biogenic, unit: `t ${gas}`, formula: 'calculated biomass CO₂ of covered fuels' },
+                fossil: { value: fossil, unit: `t ${gas}`, formula: 'total − biogenic' },
+            },
+            corroboration,
+            gwpFactor,
+            outputs: {
+                co2e: { value: co2e, unit: 't CO₂e', formula: `fossil × GWP_${gas}` },
+            },
+            error: result.error,
+            warning,
+        },
+    };
+}
@@ -4,19 +4,40 @@
 //  Replaces the simple calcFuelEmissions() from referenceData.js
 // ═══════════════════════════════════════════════════════════════
 
-import { evaluate } from './formulaEvaluator.js';
+import { traceFormula } from './formulaEvaluator.js';
+import { convertToEnergy } from './unitConversion.js';
+import { calcCemsEmissions } from './cemsEngine.js';
+import { attributeEmissions, allocationShares, listEmissionSources, ALLOCATION_METHODS } from './attributionEngine.js';
+import { calcHeatFlow } from './heatEngine.js';
+import { calcGenerationUnit } from './generationEngine.js';
+import { calcProductPrecursors } from './precursorEngine.js';
+import { resolveFuelFactors, resolveGridFactor, resolveGwpSet, DEFAULT_GWP_SET_ID, GRID_FACTOR_GAS } from './factorResolver.js';
+import { scopeInputs, scopeProduction, reportingWindow, windowBuckets, dataWindow, inWindow, monthOf } from './periodScope.js';
+import { fillGaps } from './gapFilling.js';
+import { combustionUncertainty, blockUncertainty } from './uncertaintyEngine.js';
+import { calcCo2Transfer } from './transferEngine.js';
+import { buildBlockGraph } from './blockGraph.js';
+import { bindBlockParameters } from './parameterBindings.js';
+import { checkBlockUnits } from './unitAnalysis.js';
 
 /**
  * Default emission factors (kg/TJ) — IPCC 2006 / 2019 Refinement
- * These are used when factors aren't in the database yet.
+ * Seed data for the emission_factors table (db/seed.js). Calculations
+ * resolve factors from the table (factorResolver.js) and use these
+ * only for fuels without rows; physical properties always come from here.
  * Source: IPCC 2006 Guidelines, Volume 2, Chapter 2, Table 2.2
  * 
- * NCV values for unit conversion:
- *   Natural gas — 48.0 GJ/t (mass) or 0.03412 GJ/Nm³ (volume)
- *   Diesel      — 43.0 GJ/t (mass) or  43.0 GJ/kL (volume)
+ * NCV values for unit conversion (see unitConversion.js):
+ *   Natural gas — 48.0 GJ/t (mass) or 0.03412 GJ/Nm³ (volume), ρ 0.717 kg/Nm³
+ *   Diesel      — 43.0 GJ/t (mass) or  36.3 GJ/kL (volume),   ρ 0.845 t/kL
  *   Coke        — 28.2 GJ/t (mass)
- *   LPG         — 47.3 GJ/t (mass)
- *   Fuel Oil    — 40.4 GJ/t (mass)
+ *   LPG         — 47.3 GJ/t (mass) or  25.5 GJ/kL (volume),   ρ 0.540 t/kL
+ *   Fuel Oil    — 40.4 GJ/t (mass) or  39.6 GJ/kL (volume),   ρ 0.980 t/kL
+ *   Hard coal   — 25.8 GJ/t (mass)
+ *   Pet coke    — 32.5 GJ/t (mass)
+ *   Wood        — 15.6 GJ/t (mass), biomass fraction 1.0
+ *
+ * density is in t/m³ (gases at normal conditions), ncvVolume in GJ/m³.
  */
 export const DEFAULT_EMISSION_FACTORS = {
     natural_gas: {
@@ -25,6 +46,9 @@ export const DEFAULT_EMISSION_FACTORS = {
         ncvUnit: 'GJ/t',
         unitFamily: 'mass',
         defaultUnit: 't',
+        phase: 'gas',
+        density: 0.000717,  // t/Nm³
+        ncvVolume: 0.03412, // GJ/Nm³
         efCO2: 56100,     // kg CO₂ per TJ
         efCH4: 5,         // kg CH₄ per TJ
         efN2O: 0.1,       // kg N₂O per TJ
@@ -36,6 +60,9 @@ export const DEFAULT_EMISSION_FACTORS = {
         ncvUnit: 'GJ/t',
         unitFamily: 'mass',
         defaultUnit: 't',
+        phase: 'liquid',
+        density: 0.845,
+        ncvVolume: 36.3,
         efCO2: 74100,
         efCH4: 3,
         efN2O: 0.6,
@@ -47,6 +74,7 @@ export const DEFAULT_EMISSION_FACTORS = {
         ncvUnit: 'GJ/t',
         unitFamily: 'mass',
         defaultUnit: 't',
+        phase: 'solid',
         efCO2: 107000,
         efCH4: 1,
         efN2O: 1.5,
@@ -58,6 +86,9 @@ export const DEFAULT_EMISSION_FACTORS = {
         ncvUnit: 'GJ/t',
         unitFamily: 'mass',
         defaultUnit: 't',
+        phase: 'liquid',
+        density: 0.98,
+        ncvVolume: 39.6,
         efCO2: 77400,
         efCH4: 3,
         efN2O: 0.6,
@@ -69,17 +100,58 @@ export const DEFAULT_EMISSION_FACTORS = {
         ncvUnit: 'GJ/t',
         unitFamily: 'mass',
         defaultUnit: 't',
+        phase: 'liquid',
+        density: 0.54,
+        ncvVolume: 25.5,
         efCO2: 63100,
         efCH4: 1,
         efN2O: 0.1,
         source: 'IPCC 2006 Vol.2 Ch.2 Table 2.2',
     },
+    hard_coal: {
+        name: 'Hard Coal (bituminous)',
+        ncv: 25.8,
+        ncvUnit: 'GJ/t',
+        unitFamily: 'mass',
+        defaultUnit: 't',
+        phase: 'solid',
+        efCO2: 94600,
+        efCH4: 1,
+        efN2O: 1.5,
+        source: 'IPCC 2006 Vol.2 Ch.2 Table 2.2',
+    },
+    pet_coke: {
+        name: 'Petroleum Coke',
+        ncv: 32.5,
+        ncvUnit: 'GJ/t',
+        unitFamily: 'mass',
+        defaultUnit: 't',
+        phase: 'solid',
+        efCO2: 97500,
+        efCH4: 3,
+        efN2O: 0.6,
+        source: 'IPCC 2006 Vol.2 Ch.2 Table 2.2',
+    },
+    biomass_wood: {
+        name: 'Wood / Wood Waste',
+        ncv: 15.6,
+        ncvUnit: 'GJ/t',
+        unitFamily: 'mass',
+        defaultUnit: 't',
+        phase: 'solid',
+        efCO2: 112000,
+        efCH4: 30,
+        efN2O: 4,
+        biomassFraction: 1,   // share of carbon of biogenic origin
+        source: 'IPCC 2006 Vol.2 Ch.2 Table 2.2',
+    },
     custom: {
         name: 'Other (custom)',
         ncv: 0,
         ncvUnit: 'GJ/t',
         unitFamily: 'mass',
         defaultUnit: 't',
+        phase: null,
         efCO2: 0,
         efCH4: 0,
         efN2O: 0,
@@ -90,6 +162,7 @@ export const DEFAULT_EMISSION_FACTORS = {
 /**
  * Default GWP values — EU CBAM (Table 6, Annex II, Regulation 2025/2547)
  * Supersedes IPCC AR6 values for CBAM compliance.
+ * Seeds the gwp_sets row DEFAULT_GWP_SET_ID; used when it is missing.
  */
 export const GWP_AR6 = {
     id: 'EU_CBAM_2025',
@@ -101,59 +174,179 @@ export const GWP_AR6 = {
     C2F6: 11100,
 };
 
+/**
+ * GWP set registry (100-year values) — seeds the gwp_sets table.
+ *   AR4 — IPCC Fourth Assessment Report (legacy inventories)
+ *   AR5 — IPCC Fifth Assessment Report (UNFCCC reporting)
+ *   AR6 — IPCC Sixth Assessment Report (fossil CH₄)
+ *   EU_CBAM_2025 — regulatory set, always used for the CBAM export
+ */
+export const GWP_SETS = {
+    AR4: { id: 'AR4', name: 'IPCC AR4 (100-yr)', CO2: 1, CH4: 25, N2O: 298, CF4: 7390, C2F6: 12200 },
+    AR5: { id: 'AR5', name: 'IPCC AR5 (100-yr)', CO2: 1, CH4: 28, N2O: 265, CF4: 6630, C2F6: 11100 },
+    AR6: { id: 'AR6', name: 'IPCC AR6 (100-yr)', CO2: 1, CH4: 29.8, N2O: 273, CF4: 7380, C2F6: 12400 },
+    [GWP_AR6.id]: GWP_AR6,
+};
+
+/** Gases a GWP set weights, in reporting order */
+export const GWP_GASES = ['CO2', 'CH4', 'N2O', 'CF4', 'C2F6'];
+
+/**
+ * GWP set by id: the gwp_sets row from the factor library, else the
+ * registry constant, else the CBAM set.
+ *
+ * @param {Object|null} factorLibrary - { emissionFactors, gwpSets }
+ * @param {string} gwpSetId
+ * @returns {Object} { id, name, CO2, CH4, N2O, CF4, C2F6 }
+ */
+export function selectGwpSet(factorLibrary, gwpSetId = DEFAULT_GWP_SET_ID) {
+    const id = gwpSetId || DEFAULT_GWP_SET_ID;
+    return resolveGwpSet(factorLibrary, id) || GWP_SETS[id] || GWP_AR6;
+}
+
+/**
+ * Calculation variants for combustion source streams (MRR Art. 24, Annex II)
+ *   ncv_ef         — AD (TJ) × EF (t CO₂/TJ) × OF
+ *   carbon_content — fuel mass × C content × 44/12 × OF (preliminary EF from lab analysis)
+ */
+export const COMBUSTION_METHODS = {
+    ncv_ef: { id: 'ncv_ef', label: 'NCV × EF × OF', formula: 'Energy_TJ × EF_CO₂ / 1000 × OF' },
+    carbon_content: { id: 'carbon_content', label: 'C-content × 44/12', formula: 'Mass_t × C × 44/12 × OF' },
+};
+
 // ─── Core Calculation Functions ──────────────────────────────
 
 /**
  * Calculate combustion emissions for a single fuel entry.
  * Uses TJ normalization per IPCC methodology.
+ * Quantities in volume or energy units are converted via unitConversion.js;
+ * a unit that does not fit the fuel returns an error and zero emissions.
+ *
+ * Two MRR standard-method variants are supported per entry (calcMethod):
+ * NCV × EF × OF, or a preliminary EF from the lab carbon content
+ * (C × 44/12, t CO₂/t fuel) × OF. CH₄ and N₂O always use NCV × EF.
+ *
+ * Biomass (MRR Art. 38): the biomass fraction of the CO₂ is zero-rated when
+ * the entry is flagged as meeting the sustainability criteria and reported as biogenic CO₂
+ * (memo item). Non-sustainable biomass is counted as fossil. CH₄ and N₂O
+ * are always counted. `co2` is the fossil (counted) CO₂.
+ * `entry.uncertainty` (% at 95 % confidence of the quantity) is carried
+ * to the emissions in lineage.uncertainty.
  * 
  * @param {Object} entry - Fuel entry 
- * @param {Object} factors - Emission factors (or null to use defaults)
+ * @param {Object} factors - Resolved fuel definition (or null to use the defaults)
  * @param {Object} gwp - GWP set (default: AR6)
- * @returns {Object} { energyTJ, co2, ch4, n2o, co2e, lineage }
+ * @returns {Object} { energyTJ, co2, co2Biogenic, ch4, n2o, co2e, error, lineage }
  */
 export function calcCombustionEmissions(entry, factors = null, gwp = GWP_AR6) {
     const fuelDef = factors || DEFAULT_EMISSION_FACTORS[entry.fuel_type_id || entry.fuelTypeId] || DEFAULT_EMISSION_FACTORS.custom;
 
     // Allow custom overrides from the entry itself
-    const ncv = entry.custom_ncv || entry.customNcv || fuelDef.ncv;
+    const customNcv = entry.custom_ncv || entry.customNcv;
+    const ncv = customNcv || fuelDef.ncv;
     const efCO2 = entry.custom_ef_co2 || entry.customEfCo2 || fuelDef.efCO2;
     const efCH4 = entry.custom_ef_ch4 || entry.customEfCh4 || fuelDef.efCH4;
     const efN2O = entry.custom_ef_n2o || entry.customEfN2o || fuelDef.efN2O;
 
     const quantity = Number(entry.quantity) || 0;
+    const unit = entry.unit || 't';
 
     // Step 1: Normalize to Energy (TJ)
-    // Energy_GJ = quantity × NCV
+    // Energy_GJ = quantity converted along the unit path (mass × NCV, volume × NCV_vol, …)
     // Energy_TJ = Energy_GJ / 1000
-    const energyGJ = quantity * ncv;
+    const converted = convertToEnergy(quantity, unit, fuelDef, { ncv, ncvOverridden: !!customNcv });
+
+    // Calculation variant and its extra parameters
+    const method = COMBUSTION_METHODS[entry.calc_method || entry.calcMethod] || COMBUSTION_METHODS.ncv_ef;
+    const isCarbonRoute = method.id === 'carbon_content';
+    const entryOf = entry.oxidation_factor ?? entry.oxidationFactor;
+    const oxidationFactor = Number(entryOf) || fuelDef.oxidationFactor || 1;
+    const carbonContent = Number(entry.carbon_content ?? entry.carbonContent) || 0;   // t C / t fuel
+
+    let error = converted.error;
+    if (isCarbonRoute) {
+        if (converted.massT === null) {
+            error = converted.error || `Carbon-content method needs a quantity convertible to mass for ${fuelDef.name || 'this fuel'}`;
+        } else if (!(carbonContent > 0)) {
+            error = 'Carbon content is required for the carbon-content method';
+        } else {
+            // Fuel mass is known; a missing NCV only affects CH₄/N₂O
+            error = null;
+        }
+    }
+    const valid = !error;
+
+    const energyGJ = valid ? converted.energyGJ : 0;
     const energyTJ = energyGJ / 1000;
 
+    // NCV actually applied — volumetric when the volume route used it directly
+    const usedVolumeNcv = converted.family === 'volume' && !customNcv && fuelDef.ncvVolume > 0;
+    const ncvInput = usedVolumeNcv
+        ? { value: fuelDef.ncvVolume, unit: 'GJ/m³', source: 'default' }
+        : { value: ncv, unit: fuelDef.ncvUnit || 'GJ/t', source: customNcv ? 'user_override' : 'default' };
+
     // Step 2: Calculate gas masses (tonnes)
-    // Mass_t = Energy_TJ × EF_kg_per_TJ / 1000
-    const co2Tonnes = energyTJ * efCO2 / 1000;
+    // NCV route:    CO₂_t = Energy_TJ × EF_kg_per_TJ / 1000 × OF
+    // Carbon route: CO₂_t = Mass_t × C × 44/12 × OF
+    const efPreliminary = carbonContent * 44 / 12;   // t CO₂ / t fuel
+    const co2TotalTonnes = !valid ? 0 : isCarbonRoute
+        ? converted.massT * efPreliminary * oxidationFactor
+        : energyTJ * efCO2 / 1000 * oxidationFactor;
     const ch4Tonnes = energyTJ * efCH4 / 1000;
     const n2oTonnes = energyTJ * efN2O / 1000;
 
+    // Step 2b: Split CO₂ into fossil and biogenic parts
+    const entryBiomass = entry.biomass_fraction ?? entry.biomassFraction;
+    const hasEntryBiomass = entryBiomass !== null && entryBiomass !== undefined && entryBiomass !== '';
+    const biomassFraction = Math.min(1, Math.max(0, Number(hasEntryBiomass ? entryBiomass : fuelDef.biomassFraction) || 0));
+    // Zero-rating needs attested sustainability; an unset flag counts as not sustainable
+    const sustainable = entry.biomass_sustainable === 1 || entry.biomassSustainable === true;
+    const co2Biogenic = sustainable ? co2TotalTonnes * biomassFraction : 0;
+    const co2Tonnes = co2TotalTonnes - co2Biogenic;
+
     // Step 3: Convert to CO₂ equivalent
     const co2e = co2Tonnes * gwp.CO2 + ch4Tonnes * gwp.CH4 + n2oTonnes * gwp.N2O;
 
     // Build lineage for traceability
+    const factorIdOf = (gas, overridden) => (overridden ? null : fuelDef.resolution?.rows[gas]?.id || null);
     const lineage = {
         type: 'combustion',
         fuelType: fuelDef.name || entry.fuel_type_id || entry.fuelTypeId,
+        method: { id: method.id, label: method.label, formula: method.formula },
         inputs: {
-            quantity: { value: quantity, unit: entry.unit || 't' },
-            ncv: { value: ncv, unit: fuelDef.ncvUnit || 'GJ/t', source: entry.custom_ncv ? 'user_override' : 'default' },
+            quantity: { value: quantity, unit },
+            ncv: ncvInput,
         },
         conversion: {
-            energyGJ: { value: energyGJ, formula: 'quantity × NCV' },
+            unitFamily: converted.family,
+            path: converted.path,
+            massT: converted.massT,
+            volumeM3: converted.volumeM3,
+            energyGJ: { value: energyGJ, formula: converted.path.map(p => p.formula).join(' → ') || `quantity (${unit})` },
             energyTJ: { value: energyTJ, formula: 'Energy_GJ / 1000' },
         },
         factors: {
-            efCO2: { value: efCO2, unit: 'kg/TJ', source: entry.custom_ef_co2 ? 'user_override' : fuelDef.source },
-            efCH4: { value: efCH4, unit: 'kg/TJ', source: entry.custom_ef_ch4 ? 'user_override' : fuelDef.source },
-            efN2O: { value: efN2O, unit: 'kg/TJ', source: entry.custom_ef_n2o ? 'user_override' : fuelDef.source },
+            ...(isCarbonRoute ? {
+                carbonContent: { value: carbonContent, unit: 't C/t', source: 'lab_analysis' },
+                efPreliminary: { value: efPreliminary, unit: 't CO₂/t', formula: 'C × 44/12' },
+                efCO2Derived: { value: energyTJ > 0 ? co2TotalTonnes / oxidationFactor / energyTJ * 1000 : null, unit: 'kg/TJ', formula: 'EF_preliminary / NCV' },
+            } : {
+                efCO2: { value: efCO2, unit: 'kg/TJ', source: entry.custom_ef_co2 ? 'user_override' : fuelDef.source, factorId: factorIdOf('CO2', entry.custom_ef_co2 || entry.customEfCo2) },
+            }),
+            oxidationFactor: { value: oxidationFactor, unit: 'fraction', source: Number(entryOf) ? 'entry' : 'default' },
+            efCH4: { value: efCH4, unit: 'kg/TJ', source: entry.custom_ef_ch4 ? 'user_override' : fuelDef.source, factorId: factorIdOf('CH4', entry.custom_ef_ch4 || entry.customEfCh4) },
+            efN2O: { value: efN2O, unit: 'kg/TJ', source: entry.custom_ef_n2o ? 'user_override' : fuelDef.source, factorId: factorIdOf('N2O', entry.custom_ef_n2o || entry.customEfN2o) },
+        },
+        // Factor rows the calculation used (null: not resolved from the factor library)
+        factorResolution: fuelDef.resolution || null,
+        biomass: {
+            fraction: biomassFraction,
+            source: hasEntryBiomass ? 'entry' : 'fuel_default',
+            sustainable,
+            treatment: biomassFraction === 0
+                ? 'fossil'
+                : sustainable ? 'zero-rated (sustainability criteria met)' : 'counted as fossil (sustainability criteria not met)',
+            co2Total: { value: co2TotalTonnes, formula: method.formula },
         },
         gwp: {
             set: gwp.name || gwp.id,
@@ -161,40 +354,58 @@ export function calcCombustionEmissions(entry, factors = null, gwp = GWP_AR6) {
             N2O: gwp.N2O,
         },
         outputs: {
-            co2: { value: co2Tonnes, unit: 't CO₂' },
+            co2: { value: co2Tonnes, unit: 't CO₂', formula: 'CO₂_total − CO₂_biogenic' },
+            co2Biogenic: { value: co2Biogenic, unit: 't CO₂ (memo)', formula: sustainable ? 'CO₂_total × biomass_fraction' : 'not zero-rated' },
             ch4: { value: ch4Tonnes, unit: 't CH₄' },
             n2o: { value: n2oTonnes, unit: 't N₂O' },
             co2e: { value: co2e, unit: 't CO₂e' },
         },
+        uncertainty: valid ? combustionUncertainty(entry, co2e) : null,
+        error,
     };
 
     return {
         energyTJ,
         co2: co2Tonnes,
+        co2Biogenic,
         ch4: ch4Tonnes,
         n2o: n2oTonnes,
         co2e,
+        error,
         lineage,
     };
 }
 
 /**
  * Calculate electricity (indirect) emissions.
+ * Self-generated electricity uses the EF derived for its generation unit
+ * instead of the grid factor. Otherwise a user override wins, then the
+ * grid factor in force for the entry's period, then the EF stored on the entry.
  * 
- * @param {Object} entry - Electricity entry { mwh, ef }
+ * @param {Object} entry - Electricity entry { mwh, ef, efOverride, gridCountry, generationUnitId }
+ * @param {Object} [selfGenerated] - { unitId, ef } from calcGenerationUnit
+ * @param {Object} [gridFactor] - { value, ref } from resolveGridFactor
  * @returns {Object} { co2e, lineage }
  */
-export function calcElectricityEmissions(entry) {
+export function calcElectricityEmissions(entry, selfGenerated = null, gridFactor = null) {
     const mwh = Number(entry.mwh) || 0;
-    const ef = Number(entry.ef) || 0;
+    const useUnit = selfGenerated && selfGenerated.ef !== null;
+    const overridden = !!(entry.ef_override || entry.efOverride);
+    const useGrid = !useUnit && !overridden && !!gridFactor;
+    const ef = useUnit ? selfGenerated.ef : useGrid ? gridFactor.value : (Number(entry.ef) || 0);
     const co2e = mwh * ef;  // tCO₂e/MWh × MWh = tCO₂e
 
+    const country = entry.grid_country || entry.gridCountry;
+    const efSource = useUnit ? `self_generated_${selfGenerated.unitId}`
+        : overridden ? 'user_override'
+            : useGrid ? `grid_${country}_${gridFactor.ref.id}_v${gridFactor.ref.version}` : `grid_default_${country}`;
     const lineage = {
         type: 'electricity',
         inputs: {
             mwh: { value: mwh, unit: 'MWh' },
-            ef: { value: ef, unit: 'tCO₂e/MWh', source: entry.ef_override || entry.efOverride ? 'user_override' : `grid_default_${entry.grid_country || entry.gridCountry}` },
+            ef: { value: ef, unit: 'tCO₂e/MWh', source: efSource, factorId: useGrid ? gridFactor.ref.id : null },
         },
+        factorResolution: useGrid ? { region: country, rows: { [GRID_FACTOR_GAS]: gridFactor.ref } } : null,
         outputs: {
             co2e: { value: co2e, unit: 't CO₂e', formula: 'MWh × EF' },
         },
@@ -289,24 +500,55 @@ export function calcPFCEmissions(params, gwp = GWP_AR6) {
 
 /**
  * Calculate emissions from a formula-based emission block.
- * Uses the safe formula evaluator — no eval().
+ * Uses the safe formula evaluator — no eval(). lineage.trace records
+ * every operation with its substituted operands and intermediate value.
+ * 
+ * Parameter uncertainties (% at 95 % confidence) are propagated through
+ * the formula into lineage.uncertainty; upstream results count as exact.
+ * A bound parameter that did not resolve (bindBlockParameters) or a
+ * formula whose units do not give tonnes (checkBlockUnits) is an error:
+ * the block is not calculated and counts 0 t.
  * 
- * @param {Object} block - { formula, outputGas, parameters: [{ key, value }] }
+ * @param {Object} block - { formula, outputGas, parameters: [{ key, value, uncertainty }] }
  * @param {Object} gwp - GWP set
+ * @param {Array} upstream - Results of referenced blocks: [{ blockId, name, outputName, gas, tonnes }]
  * @returns {{ tonnes: number, co2e: number, gas: string, error: string|null, lineage: Object }}
  */
-export function calcEmissionBlock(block, gwp = GWP_AR6) {
+export function calcEmissionBlock(block, gwp = GWP_AR6, upstream = []) {
     if (!block.formula || !block.formula.trim()) {
         return { tonnes: 0, co2e: 0, gas: block.outputGas || 'CO2', error: null, lineage: {} };
     }
 
-    // Build variable map from parameters
+    // A bound parameter without activity data to resolve from fails the block
+    const unresolved = (block.parameters || []).find(p => p.bound?.error);
+    if (unresolved) {
+        return {
+            tonnes: 0, co2e: 0, gas: block.outputGas || 'CO2',
+            error: `Parameter "${unresolved.key}" is bound but unresolved: ${unresolved.bound.error}`,
+            lineage: { bindings: Object.fromEntries(block.parameters.filter(p => p.bound).map(p => [p.key, p.bound])) },
+        };
+    }
+
+    // The result is read in tonnes — a dimensional mismatch fails the block
+    const units = checkBlockUnits(block, upstream.map(u => u.outputName));
+    if (units.status === 'mismatch') {
+        return {
+            tonnes: 0, co2e: 0, gas: block.outputGas || 'CO2',
+            error: `Unit mismatch: ${units.issues.join('; ')}`,
+            lineage: { units },
+        };
+    }
+
+    // Build variable map from upstream outputs and parameters (parameters win)
     const variables = {};
+    upstream.forEach(u => {
+        variables[u.outputName] = u.tonnes;
+    });
     (block.parameters || []).forEach(p => {
         variables[p.key] = p.value ?? p.defaultValue ?? 0;
     });
 
-    const { value, error } = evaluate(block.formula, variables);
+    const { value, error, trace } = traceFormula(block.formula, variables);
 
     if (error) {
         return { tonnes: 0, co2e: 0, gas: block.outputGas || 'CO2', error, lineage: {} };
@@ -326,48 +568,296 @@ export function calcEmissionBlock(block, gwp = GWP_AR6) {
             formula: block.formula,
             variables,
             rawResult: value,
+            trace,
             gas,
             gwpFactor,
             co2e,
             source: block.source || 'User-defined',
+            uncertainty: blockUncertainty(block, variables, gwpFactor),
+            upstream,
+            bindings: Object.fromEntries((block.parameters || []).filter(p => p.bound).map(p => [p.key, p.bound])),
+        },
+    };
+}
+
+/**
+ * Calculate a set of emission blocks in dependency order: blocks
+ * referencing another block's output name are evaluated after it (see
+ * blockGraph.js). Blocks on a circular reference, with an ambiguous
+ * reference or downstream of a failed block get an error and 0 t.
+ *
+ * @param {Array} blocks - Emission blocks
+ * @param {Object} gwp - GWP set
+ * @returns {Object<string, Object>} calcEmissionBlock() result per block id
+ */
+export function calcEmissionBlocks(blocks, gwp = GWP_AR6) {
+    const graph = buildBlockGraph(blocks);
+    const byId = Object.fromEntries(blocks.map(b => [b.id, b]));
+    const failed = (block, error) => ({ tonnes: 0, co2e: 0, gas: block.outputGas || 'CO2', error, lineage: {} });
+    const label = (id) => byId[id].outputName || byId[id].name;
+
+    const cycleOf = {};
+    graph.cycles.forEach(cycle => cycle.forEach(id => { cycleOf[id] ||= cycle; }));
+
+    const results = {};
+    graph.order.forEach(id => {
+        const block = byId[id];
+        if (cycleOf[id]) {
+            results[id] = failed(block, `Circular reference: ${cycleOf[id].map(label).join(' → ')}`);
+            return;
+        }
+        if (graph.ambiguous[id]) {
+            results[id] = failed(block, `Output name ${graph.ambiguous[id].map(n => `"${n}"`).join(', ')} is used by several blocks in ${block.period}`);
+            return;
+        }
+        const brokenId = graph.upstream[id].find(u => results[u].error);
+        if (brokenId) {
+            results[id] = failed(block, `Upstream block "${byId[brokenId].name}" has an error`);
+            return;
+        }
+        results[id] = calcEmissionBlock(block, gwp, graph.upstream[id].map(u => ({
+            blockId: u,
+            name: byId[u].name,
+            outputName: byId[u].outputName,
+            gas: results[u].gas,
+            tonnes: results[u].tonnes,
+        })));
+    });
+    return results;
+}
+
+// ─── Mass Balance (MRR Art. 25) ──────────────────────────────
+
+/**
+ * Mass-balance sign convention: carbon entering the installation counts
+ * positive, carbon leaving in products, slag, dust etc. counts negative.
+ */
+export const MASS_BALANCE_DIRECTIONS = {
+    input: { id: 'input', label: 'Input', sign: 1 },
+    output: { id: 'output', label: 'Output', sign: -1 },
+};
+
+/**
+ * Calculate CO₂ from a carbon mass balance.
+ * Em = (Σ AD_in × C_in − Σ AD_out × C_out) × 44/12
+ *
+ * @param {Object} balance - { period, processId, streams: [{ id, name, direction, quantity, carbonContent }] }
+ * @param {Object} gwp - GWP set
+ * @returns {{ carbonIn: number, carbonOut: number, netCarbon: number, co2: number, co2e: number, warning: string|null, lineage: Object }}
+ */
+export function calcMassBalance(balance, gwp = GWP_AR6) {
+    const streams = (balance.streams || []).map(s => {
+        const direction = MASS_BALANCE_DIRECTIONS[s.direction] || MASS_BALANCE_DIRECTIONS.input;
+        const quantity = Number(s.quantity) || 0;                              // t material
+        const carbonContent = Number(s.carbon_content ?? s.carbonContent) || 0; // t C / t material
+        const carbonT = direction.sign * quantity * carbonContent;
+        return {
+            entryId: s.stable_id || s.stableId || s.id,
+            name: s.name || s.material || '',
+            direction: direction.id,
+            sign: direction.sign,
+            quantity,
+            carbonContent,
+            carbonT,
+            co2: carbonT * 44 / 12,
+        };
+    });
+
+    const carbonIn = streams.filter(s => s.sign > 0).reduce((sum, s) => sum + s.carbonT, 0);
+    const carbonOut = -streams.filter(s => s.sign < 0).reduce((sum, s) => sum + s.carbonT, 0);
+    const netCarbon = carbonIn - carbonOut;
+    const co2 = netCarbon * 44 / 12;
+    const co2e = co2 * gwp.CO2;
+
+    const warning = netCarbon < 0
+        ? 'Carbon leaving the balance exceeds carbon entering — check stream quantities and carbon contents'
+        : null;
+
+    return {
+        carbonIn,
+        carbonOut,
+        netCarbon,
+        co2,
+        co2e,
+        warning,
+        lineage: {
+            type: 'mass_balance',
+            formula: 'Em = (Σ AD_in × C_in − Σ AD_out × C_out) × 44/12',
+            streams,
+            conversion: {
+                carbonIn: { value: carbonIn, unit: 't C' },
+                carbonOut: { value: carbonOut, unit: 't C' },
+                netCarbon: { value: netCarbon, unit: 't C', formula: 'C_in − C_out' },
+            },
+            outputs: {
+                co2: { value: co2, unit: 't CO₂', formula: 'net C × 44/12' },
+                co2e: { value: co2e, unit: 't CO₂e' },
+            },
+            warning,
         },
     };
 }
 
 // ─── Aggregation ─────────────────────────────────────────────
 
+// Gap-filled entries (gapFilling.js) carry their estimate into lineage
+function withSubstitution(entry, result) {
+    if (!entry.substitution) return result;
+    return { ...result, substituted: true, lineage: { ...result.lineage, substitution: entry.substitution } };
+}
+
 /**
  * Calculate total emissions for an installation for a given period.
  * Aggregates combustion + electricity + process emissions across all processes.
  * Supports both legacy processEvents AND new emissionBlocks.
+ * Mass-balance streams are balanced per period and process.
+ * CO₂ CEMS sources that cover combustion replace the calculated fuel CO₂
+ * of their process and period; those fuels remain as the corroborating check
+ * and still count their CH₄ and N₂O.
+ * Imported measurable heat adds to direct emissions, exported heat is deducted;
+ * internal heat flows only move emissions between processes.
+ * CO₂ transferred out of the installation (co2Transfers) is deducted from
+ * direct emissions when it meets MRR Art. 49 (see transferEngine.js).
+ * Bound emission block parameters are resolved from productionOutput and
+ * the fuel entries of the block's period (see parameterBindings.js).
+ *
+ * Fuel factors are resolved per entry from factorLibrary (emission_factors
+ * rows) by fuel type, region and the entry's period; grid electricity
+ * factors by grid country and period. The GWP set is `gwp`
+ * when passed in, else gwpSetId looked up with selectGwpSet(). Without a
+ * library the DEFAULT_EMISSION_FACTORS and GWP_SETS constants are used.
+ * `factorScales` ({ fuelTypeId: { ncv, efCO2, efCH4, efN2O } }) multiplies
+ * the resolved factors of a fuel type; the Monte Carlo simulation draws
+ * them (monteCarlo.js).
+ *
+ * `period` ({ start, end } in 'YYYY-MM', see periodScope.js) limits the
+ * calculation to rows inside the window. Rows outside it are left out and
+ * listed in result.period.excluded; undated rows are counted and listed
+ * in result.period.undated. Without a period every row is counted.
+ * `dataGaps` (from emissionInputsFromState) are passed through as
+ * result.dataGaps for the months inside the window.
  * 
- * @param {Object} data - { fuels, electricity, processEvents, emissionBlocks, gwp }
+ * @param {Object} data - { fuels, electricity, processEvents, emissionBlocks, massBalanceStreams, cemsSources, heatFlows, generationUnits, co2Transfers, productionOutput, products, factorLibrary, region, gwpSetId, gwp, factorScales, period }
  * @returns {Object} Comprehensive emissions result with lineage
  */
-export function calculateTotalEmissions({ fuels = [], electricity = [], processEvents = [], emissionBlocks = [], gwp = GWP_AR6 }) {
+export function calculateTotalEmissions(data) {
+    const window = data.period || null;
+    const scope = scopeInputs(data, window);
+    return {
+        ...calculateWindowEmissions(scope.inputs),
+        period: {
+            start: window?.start || null,
+            end: window?.end || null,
+            granularity: window?.granularity || null,
+            key: window?.key || null,
+            excluded: scope.excluded,
+            undated: scope.undated,
+        },
+        dataGaps: (data.dataGaps || []).filter(g => inWindow(g.period, window)),
+    };
+}
+
+// Resolved fuel definition with its NCVs and emission factors multiplied
+function scaleFuelFactors(fuelDef, scales) {
+    const scaled = { ...fuelDef };
+    [['ncv', 'ncv'], ['ncvVolume', 'ncv'], ['efCO2', 'efCO2'], ['efCH4', 'efCH4'], ['efN2O', 'efN2O']].forEach(([field, scale]) => {
+        if (scaled[field] && scales[scale]) scaled[field] *= scales[scale];
+    });
+    return scaled;
+}
+
+// Aggregation over inputs already scoped to the calculation window
+function calculateWindowEmissions({ fuels = [], electricity = [], processEvents = [], emissionBlocks = [], massBalanceStreams = [], cemsSources = [], heatFlows = [], generationUnits = [], co2Transfers = [], productionOutput = [], products = [], factorLibrary = null, region = null, gwpSetId = null, gwp: gwpInput = null, factorScales = null }) {
+    const gwp = gwpInput || selectGwpSet(factorLibrary, gwpSetId);
+
     // ─── Combustion (Scope 1 — Direct) ───
-    const combustionResults = fuels.map(entry => ({
-        entryId: entry.stable_id || entry.stableId || entry.id,
-        processId: entry.process_id || entry.processId,
-        period: entry.period,
-        ...calcCombustionEmissions(entry, null, gwp),
-    }));
+    const combustionResults = fuels.map(entry => {
+        const fuelTypeId = entry.fuel_type_id || entry.fuelTypeId;
+        const baseDef = DEFAULT_EMISSION_FACTORS[fuelTypeId] || DEFAULT_EMISSION_FACTORS.custom;
+        const resolved = factorLibrary ? resolveFuelFactors(factorLibrary, fuelTypeId, baseDef, { region, period: entry.period }) : null;
+        const fuelDef = factorScales?.[fuelTypeId] ? scaleFuelFactors(resolved || baseDef, factorScales[fuelTypeId]) : resolved;
+        return withSubstitution(entry, {
+            entryId: entry.stable_id || entry.stableId || entry.id,
+            processId: entry.process_id || entry.processId,
+            fuelTypeId,
+            period: entry.period,
+            ...calcCombustionEmissions(entry, fuelDef, gwp),
+        });
+    });
+
+    // ─── CEMS (Scope 1 — Direct: measurement-based) ───
+    const cemsResults = cemsSources.map(source => {
+        const processId = source.process_id || source.processId;
+        const gas = source.gas || 'CO2';
+        // Only a CO₂ stack can stand in for the fuels' calculated CO₂
+        const coversCombustion = gas === 'CO2' && !!(source.covers_combustion ?? source.coversCombustion ?? false);
+        const coveredFuels = coversCombustion
+            ? combustionResults.filter(r => r.period === source.period && r.processId === processId)
+            : [];
+        const sourceId = source.stable_id || source.stableId || source.id;
+        const result = calcCemsEmissions(source, coveredFuels, gwp);
+        // A failed measurement leaves the fuels to the calculation
+        if (!result.error) {
+            coveredFuels.forEach(r => {
+                r.coveredByCems = sourceId;
+                // The stack measures CO₂ only — CH₄ and N₂O of the fuels stay calculated
+                r.countedCO2e = r.ch4 * gwp.CH4 + r.n2o * gwp.N2O;
+            });
+        }
+        return {
+            sourceId,
+            name: source.name || `CEMS ${processId}`,
+            period: source.period,
+            processId,
+            gas,
+            coversCombustion,
+            ...result,
+        };
+    });
+    const totalCemsCO2e = cemsResults.reduce((s, r) => s + r.co2e, 0);
+    const totalCemsBiogenic = cemsResults.reduce((s, r) => s + r.biogenic, 0);
+    const totalCemsFossilCO2 = cemsResults.filter(r => r.gas === 'CO2').reduce((s, r) => s + r.fossil, 0);
 
+    // CO₂ of fuels measured by a CEMS stack is not counted twice
+    const countedCombustion = combustionResults.map(r => r.coveredByCems
+        ? { ...r, co2: 0, co2Biogenic: 0, co2e: r.countedCO2e }
+        : r);
     const totalCombustion = {
-        energyTJ: combustionResults.reduce((s, r) => s + r.energyTJ, 0),
-        co2: combustionResults.reduce((s, r) => s + r.co2, 0),
-        ch4: combustionResults.reduce((s, r) => s + r.ch4, 0),
-        n2o: combustionResults.reduce((s, r) => s + r.n2o, 0),
-        co2e: combustionResults.reduce((s, r) => s + r.co2e, 0),
+        energyTJ: countedCombustion.reduce((s, r) => s + r.energyTJ, 0),
+        co2: countedCombustion.reduce((s, r) => s + r.co2, 0),
+        co2Biogenic: countedCombustion.reduce((s, r) => s + r.co2Biogenic, 0),
+        ch4: countedCombustion.reduce((s, r) => s + r.ch4, 0),
+        n2o: countedCombustion.reduce((s, r) => s + r.n2o, 0),
+        co2e: countedCombustion.reduce((s, r) => s + r.co2e, 0),
     };
 
-    // ─── Electricity (Scope 2 — Indirect) ───
-    const electricityResults = electricity.map(entry => ({
-        entryId: entry.stable_id || entry.stableId || entry.id,
-        processId: entry.process_id || entry.processId,
-        period: entry.period,
-        ...calcElectricityEmissions(entry),
+    // ─── On-site Generation (power plants, CHP) ───
+    const generationResults = generationUnits.map(unit => ({
+        unitId: unit.stable_id || unit.stableId || unit.id,
+        name: unit.name || `Unit ${unit.process_id || unit.processId}`,
+        period: unit.period,
+        ...calcGenerationUnit(unit, combustionResults),
     }));
+    const generationById = Object.fromEntries(generationResults.map(r => [r.unitId, r]));
+    // Emissions of produced electricity leave direct attributed emissions;
+    // self-consumed electricity returns as indirect at the unit's EF
+    const generationElectricityCO2e = generationResults.reduce((s, r) => s + r.electricityCO2e, 0);
+
+    // ─── Electricity (Scope 2 — Indirect) ───
+    const electricityResults = electricity.map(entry => {
+        const unit = generationById[entry.generation_unit_id || entry.generationUnitId];
+        return withSubstitution(entry, {
+            entryId: entry.stable_id || entry.stableId || entry.id,
+            processId: entry.process_id || entry.processId,
+            period: entry.period,
+            generationUnitId: unit ? unit.unitId : null,
+            ...calcElectricityEmissions(
+                entry,
+                unit ? { unitId: unit.unitId, ef: unit.efElectricity } : null,
+                factorLibrary ? resolveGridFactor(factorLibrary, entry.grid_country || entry.gridCountry, entry.period) : null
+            ),
+        });
+    });
 
     const totalElectricity = {
         co2e: electricityResults.reduce((s, r) => s + r.co2e, 0),
@@ -415,12 +905,15 @@ export function calculateTotalEmissions({ fuels = [], electricity = [], processE
 
     // ─── Emission Blocks (Scope 1 — Direct: Generic formula-based) ───
     let totalBlockCO2e = 0;
+    const calculatedBlocks = calcEmissionBlocks(bindBlockParameters(emissionBlocks, { productionOutput, products, fuels, combustion: combustionResults }), gwp);
     const blockResults = emissionBlocks.map(block => {
-        const result = calcEmissionBlock(block, gwp);
+        const result = calculatedBlocks[block.id];
         totalBlockCO2e += result.co2e;
         return {
             blockId: block.id,
             name: block.name,
+            outputName: block.outputName || null,
+            templateId: block.templateId || block.template_id || null,
             period: block.period,
             processId: block.processId,
             gas: result.gas,
@@ -431,6 +924,45 @@ export function calculateTotalEmissions({ fuels = [], electricity = [], processE
         };
     });
 
+    // ─── Mass Balances (Scope 1 — Direct: carbon in − carbon out) ───
+    const balancesByKey = {};
+    massBalanceStreams.forEach(stream => {
+        const processId = stream.process_id || stream.processId;
+        const key = `${stream.period}_${processId}`;
+        if (!balancesByKey[key]) balancesByKey[key] = { period: stream.period, processId, streams: [] };
+        balancesByKey[key].streams.push(stream);
+    });
+    const massBalanceResults = Object.values(balancesByKey).map(balance => ({
+        balanceId: `mb_${balance.period}_${balance.processId}`,
+        name: `Mass balance ${balance.processId} · ${balance.period}`,
+        period: balance.period,
+        processId: balance.processId,
+        ...calcMassBalance(balance, gwp),
+    }));
+    const totalMassBalanceCO2e = massBalanceResults.reduce((s, r) => s + r.co2e, 0);
+
+    // ─── Measurable Heat (imports add, exports deduct) ───
+    const heatResults = heatFlows.map(flow => ({
+        flowId: flow.stable_id || flow.stableId || flow.id,
+        name: flow.counterparty || flow.name || '',
+        period: flow.period,
+        ...calcHeatFlow(flow, combustionResults, generationResults),
+    }));
+    const heatTotal = (type) => heatResults.filter(r => r.flowType === type).reduce((s, r) => s + r.co2e, 0);
+    const heatImportCO2e = heatTotal('import');
+    const heatExportCO2e = heatTotal('export');
+
+    // ─── CO₂ Transfers (MRR Art. 49 — deducted when eligible) ───
+    const transferResults = co2Transfers.map(transfer => ({
+        transferId: transfer.stable_id || transfer.stableId || transfer.id,
+        period: transfer.period,
+        processId: transfer.process_id || transfer.processId,
+        transferType: transfer.transfer_type || transfer.transferType,
+        receivingInstallationId: transfer.receiving_installation_id || transfer.receivingInstallationId || '',
+        ...calcCo2Transfer(transfer),
+    }));
+    const transferDeductionCO2e = transferResults.reduce((s, r) => s + r.deduction, 0);
+
     // ─── Totals ───
     // Emission blocks replace legacy process events for direct emissions
     // If blocks exist, use them instead of legacy; otherwise fall back to legacy
@@ -439,7 +971,8 @@ export function calculateTotalEmissions({ fuels = [], electricity = [], processE
         ? totalBlockCO2e
         : (totalAnodeCO2 + totalPFCCO2e);
 
-    const totalDirect = totalCombustion.co2e + processDirectCO2e;
+    const totalDirect = totalCombustion.co2e + processDirectCO2e + totalMassBalanceCO2e + totalCemsCO2e
+        + heatImportCO2e - heatExportCO2e - generationElectricityCO2e - transferDeductionCO2e;
     const totalIndirect = totalElectricity.co2e;
     const totalCO2e = totalDirect + totalIndirect;
 
@@ -464,49 +997,348 @@ export function calculateTotalEmissions({ fuels = [], electricity = [], processE
             entries: blockResults,
             totalCO2e: totalBlockCO2e,
         },
+        massBalance: {
+            entries: massBalanceResults,
+            totalCO2e: totalMassBalanceCO2e,
+        },
+        cems: {
+            entries: cemsResults,
+            totalCO2e: totalCemsCO2e,
+        },
+        generation: {
+            entries: generationResults,
+            electricityCO2e: generationElectricityCO2e,
+            heatCO2e: generationResults.reduce((s, r) => s + r.heatCO2e, 0),
+        },
+        heat: {
+            entries: heatResults,
+            importCO2e: heatImportCO2e,
+            exportCO2e: heatExportCO2e,
+            internalCO2e: heatTotal('internal'),
+        },
+        transfers: {
+            entries: transferResults,
+            transferredCO2: transferResults.reduce((s, r) => s + r.quantity, 0),
+            deductionCO2e: transferDeductionCO2e,
+        },
         summary: {
             directCO2e: totalDirect,
             indirectCO2e: totalIndirect,
             totalCO2e,
             combustionCO2e: totalCombustion.co2e,
+            fossilCO2: totalCombustion.co2 + totalCemsFossilCO2,
+            biogenicCO2: totalCombustion.co2Biogenic + totalCemsBiogenic,   // memo item — not in totals
             anodeCO2: useBlocks ? 0 : totalAnodeCO2,
             pfcCO2e: useBlocks ? 0 : totalPFCCO2e,
             blocksCO2e: totalBlockCO2e,
+            massBalanceCO2e: totalMassBalanceCO2e,
+            cemsCO2e: totalCemsCO2e,
+            heatImportCO2e,
+            heatExportCO2e,
+            generationElectricityCO2e,
+            transferDeductionCO2e,
             electricityCO2e: totalElectricity.co2e,
         },
         gwpSet: gwp,
+        // Every emission factor row applied, for the calculation record
+        factorsUsed: Object.values(Object.fromEntries([...combustionResults, ...electricityResults]
+            .flatMap(r => Object.values(r.lineage.factorResolution?.rows || {}))
+            .map(ref => [ref.id, ref]))),
+    };
+}
+
+/**
+ * Collect calculateTotalEmissions() inputs from the app state,
+ * so every view calculates over the same source streams.
+ *
+ * The window defaults to the reporting period narrowed by the selected
+ * sub-period (state.periodScope), or the whole reporting period when the
+ * selection no longer falls in it; pass reportingWindow(state.meta) for
+ * the whole reporting period.
+ *
+ * Missing months of fuel and electricity streams over the reporting
+ * period are returned as dataGaps; they are filled with substitute
+ * entries only for the installation or streams substitution is switched
+ * on for (gapFilling.js, settings in state.gapSettings).
+ *
+ * @param {Object} state - App state
+ * @param {Object} [window] - { start, end }
+ * @returns {Object} { fuels, electricity, processEvents, emissionBlocks, massBalanceStreams, cemsSources, heatFlows, generationUnits, co2Transfers, productionOutput, products, factorLibrary, region, gwpSetId, period }
+ */
+export function emissionInputsFromState(state, window = reportingWindow(state.meta, state.periodScope) || reportingWindow(state.meta)) {
+    const activity = { fuels: state.activity?.fuels || [], electricity: state.activity?.electricity || [] };
+    const filled = fillGaps(activity, dataWindow(activity, reportingWindow(state.meta)), state.gapSettings, {
+        productionOutput: state.productionOutput || [],
+        products: state.products || [],
+    });
+    return {
+        fuels: filled.inputs.fuels,
+        electricity: filled.inputs.electricity,
+        processEvents: state.processEvents || [],
+        emissionBlocks: state.emissionBlocks || [],
+        massBalanceStreams: state.massBalanceStreams || [],
+        cemsSources: state.cemsSources || [],
+        heatFlows: state.heatFlows || [],
+        generationUnits: state.generationUnits || [],
+        co2Transfers: state.co2Transfers || [],
+        productionOutput: state.productionOutput || [],
+        products: state.products || [],
+        factorLibrary: state.factorLibrary || null,
+        region: state.meta?.country || null,
+        gwpSetId: state.meta?.gwpSetId || null,
+        period: window,
+        dataGaps: filled.gaps,
+    };
+}
+
+/**
+ * Calculate each month, quarter or year of a window separately.
+ * Every bucket is a full calculateTotalEmissions() result.
+ *
+ * @param {Object} inputs - calculateTotalEmissions() inputs
+ * @param {Object} window - { start, end }
+ * @param {string} granularity - 'month' | 'quarter' | 'year'
+ * @returns {Array<{ key: string, start: string, end: string, emissions: Object }>}
+ */
+export function calculatePeriodEmissions(inputs, window, granularity = 'month') {
+    return windowBuckets(window, granularity).map(bucket => ({
+        ...bucket,
+        emissions: calculateTotalEmissions({ ...inputs, period: { ...bucket, granularity } }),
+    }));
+}
+
+// ─── Time Series ─────────────────────────────────────────────
+
+/** Source groups of the time series (listEmissionSources() types) */
+export const SERIES_SOURCES = {
+    combustion: 'Combustion',
+    cems: 'CEMS',
+    process: 'Process',
+    mass_balance: 'Mass balance',
+    heat: 'Heat transfer',
+    generation: 'On-site generation',
+    transfer: 'CO₂ transfer',
+    electricity: 'Electricity',
+};
+const SERIES_GROUP_OF_TYPE = { emission_block: 'process', anode: 'process', pfc: 'process' };
+
+/**
+ * Emissions per month, quarter or year, each bucket calculated on its own
+ * (calculatePeriodEmissions). Open bounds of inputs.period are filled
+ * from the first and last dated rows.
+ *
+ * Per bucket: totals, bySource (SERIES_SOURCES, tCO₂e, summing to the
+ * total), byGas (direct gas masses with their CO₂e; heat, generation and
+ * electricity are already CO₂e and not split by gas), byProcess and
+ * intensity = tCO₂e / t of production_output recorded in the bucket
+ * (residues excluded). Undated rows cannot be placed and are listed.
+ *
+ * @param {Object} inputs - calculateTotalEmissions() inputs
+ * @param {Object} options - { granularity, productionOutput, products }
+ * @returns {{ granularity: string, start: string|null, end: string|null, periods: Array, undated: Array }}
+ */
+export function calculateEmissionTimeSeries(inputs, { granularity = 'month', productionOutput = [], products = [] } = {}) {
+    const window = dataWindow(inputs, inputs.period);
+    const residues = new Set(products.filter(p => p.is_residue || p.isResidue).map(p => p.id));
+
+    const periods = calculatePeriodEmissions(inputs, window, granularity).map(({ key, start, end, emissions }) => {
+        const bySource = Object.fromEntries(Object.keys(SERIES_SOURCES).map(g => [g, 0]));
+        const byProcess = {};
+        listEmissionSources(emissions).forEach(src => {
+            bySource[SERIES_GROUP_OF_TYPE[src.type] || src.type] += src.direct + src.indirect;
+            const proc = byProcess[src.processId] || (byProcess[src.processId] = { direct: 0, indirect: 0, total: 0 });
+            proc.direct += src.direct;
+            proc.indirect += src.indirect;
+            proc.total += src.direct + src.indirect;
+        });
+
+        const tonnes = emissionsByGas(emissions);
+        const byGas = Object.fromEntries(GWP_GASES.filter(g => tonnes[g] !== 0)
+            .map(g => [g, { tonnes: tonnes[g], co2e: tonnes[g] * (emissions.gwpSet[g] ?? 0) }]));
+
+        const production = productionOutput
+            .filter(po => monthOf(po.period) && inWindow(po.period, { start, end }) && !residues.has(po.product_id || po.productId))
+            .reduce((s, po) => s + (Number(po.quantity) || 0), 0);
+
+        const { directCO2e, indirectCO2e, totalCO2e } = emissions.summary;
+        return {
+            key, start, end,
+            directCO2e, indirectCO2e, totalCO2e,
+            bySource, byGas, byProcess,
+            production,
+            intensity: production > 0 ? totalCO2e / production : null,
+            intensityDirect: production > 0 ? directCO2e / production : null,
+        };
+    });
+
+    return {
+        granularity,
+        start: window.start,
+        end: window.end,
+        periods,
+        undated: scopeInputs(inputs, window).undated,
+    };
+}
+
+// ─── GWP Restatement ─────────────────────────────────────────
+
+/**
+ * Direct emissions by gas, in tonnes of each gas, from a
+ * calculateTotalEmissions() result. Only sources with a gas mass
+ * appear here; heat and generation adjustments are already CO₂e.
+ * Deducted CO₂ transfers reduce the CO₂ mass.
+ *
+ * @param {Object} emissions - calculateTotalEmissions() result
+ * @returns {Object} { CO2, CH4, N2O, CF4, C2F6 } in t
+ */
+export function emissionsByGas(emissions) {
+    const tonnes = Object.fromEntries(GWP_GASES.map(g => [g, 0]));
+    const add = (gas, t) => { if (gas in tonnes) tonnes[gas] += t || 0; };
+    const useBlocks = emissions.emissionBlocks.entries.length > 0;
+
+    add('CO2', emissions.combustion.totals.co2);
+    add('CH4', emissions.combustion.totals.ch4);
+    add('N2O', emissions.combustion.totals.n2o);
+    emissions.cems.entries.forEach(c => add(c.gas, c.fossil));
+    emissions.massBalance.entries.forEach(mb => add('CO2', mb.co2));
+    (emissions.transfers?.entries || []).forEach(t => add('CO2', -t.deduction));
+    if (useBlocks) {
+        emissions.emissionBlocks.entries.forEach(b => add(b.gas, b.tonnes));
+    } else {
+        add('CO2', emissions.anode.totalCO2);
+        emissions.pfc.entries.forEach(p => { add('CF4', p.cf4); add('C2F6', p.c2f6); });
+    }
+    return tonnes;
+}
+
+/**
+ * Recalculate the same inputs under two GWP sets, side by side.
+ * The per-gas rows weight the gas masses of the base run with each set;
+ * `adjustments` holds what is not a gas mass (heat flows, generation
+ * deduction), whose CO₂e can still move with the GWP of the fuels behind it.
+ *
+ * @param {Object} inputs - calculateTotalEmissions() inputs
+ * @param {Object} baseGwp - GWP set
+ * @param {Object} restatedGwp - GWP set
+ * @returns {{ base: Object, restated: Object, byGas: Array, adjustments: Object, indirect: Object, total: Object }}
+ */
+export function restateEmissions(inputs, baseGwp, restatedGwp) {
+    const base = calculateTotalEmissions({ ...inputs, gwp: baseGwp });
+    const restated = calculateTotalEmissions({ ...inputs, gwp: restatedGwp });
+    const tonnes = emissionsByGas(base);
+
+    const byGas = GWP_GASES.map(gas => {
+        const co2eBase = tonnes[gas] * baseGwp[gas];
+        const co2eRestated = tonnes[gas] * restatedGwp[gas];
+        return {
+            gas,
+            tonnes: tonnes[gas],
+            gwpBase: baseGwp[gas],
+            gwpRestated: restatedGwp[gas],
+            co2eBase,
+            co2eRestated,
+            delta: co2eRestated - co2eBase,
+        };
+    });
+    const gasTotal = (key) => byGas.reduce((s, g) => s + g[key], 0);
+    const row = (baseValue, restatedValue) => ({ base: baseValue, restated: restatedValue, delta: restatedValue - baseValue });
+
+    return {
+        base,
+        restated,
+        byGas,
+        adjustments: row(base.summary.directCO2e - gasTotal('co2eBase'), restated.summary.directCO2e - gasTotal('co2eRestated')),
+        indirect: row(base.summary.indirectCO2e, restated.summary.indirectCO2e),
+        total: row(base.summary.totalCO2e, restated.summary.totalCO2e),
     };
 }
 
 /**
  * Calculate PCF (Product Carbon Footprint).
+ *
+ * With production output mapped to processes, emissions are attributed per
+ * production process (see attributionEngine.js); each good carries its own
+ * processes' emissions, split by each process's allocation method. Without
+ * any mapping, the installation total is split by allocationSettings.method.
+ *
+ * Embedded emissions of purchased precursors are added on top of the
+ * allocated own emissions: SEE = (AttrEm + Σ M_i × SEE_i) / AL.
+ *
+ * Production output, product quantities and precursor masses are limited
+ * to the window the emissions were calculated for (emissions.period).
+ * A product without output records keeps its reporting-period quantity
+ * in a sub-period and carries a warning.
  * 
  * @param {Object} emissions - Result from calculateTotalEmissions
  * @param {Array} products - Product list
- * @param {Object} allocationSettings - { method, treatResidueAsWaste }
+ * @param {Object} allocationSettings - { method, treatResidueAsWaste, unassignedRule, unassignedProcessId }
+ * @param {Object} context - { productionOutput, processes, methodOverride }
  * @returns {Object} PCF results per product
  */
-export function calculatePCF(emissions, products, allocationSettings = { method: 'mass', treatResidueAsWaste: true }) {
+export function calculatePCF(emissions, allProducts, allocationSettings = { method: 'mass', treatResidueAsWaste: true }, { productionOutput: allOutput = [], processes = [], methodOverride = null } = {}) {
+    const { products, productionOutput, unscoped } = scopeProduction(allProducts, allOutput, emissions.period);
+    const unscopedIds = new Set(unscoped.map(p => p.id));
     // Filter non-residue products (or all, depending on settings)
     const allocatableProducts = allocationSettings.treatResidueAsWaste
         ? products.filter(p => !(p.is_residue || p.isResidue))
         : products;
 
-    const totalOutput = allocatableProducts.reduce((s, p) => s + (Number(p.quantity) || 0), 0);
+    const productById = Object.fromEntries(products.map(p => [p.id, p]));
+    const perUnit = (r) => {
+        const precursors = calcProductPrecursors(productById[r.productId]?.precursors || []);
+        const embeddedDirect = r.allocatedDirect + precursors.direct;
+        const embeddedIndirect = r.allocatedIndirect + precursors.indirect;
+        return {
+            ...r,
+            precursors,
+            embeddedDirect,
+            embeddedIndirect,
+            embeddedTotal: embeddedDirect + embeddedIndirect,
+            pcf: r.quantity > 0 ? (embeddedDirect + embeddedIndirect) / r.quantity : 0,
+            pcfDirect: r.quantity > 0 ? embeddedDirect / r.quantity : 0,
+            pcfIndirect: r.quantity > 0 ? embeddedIndirect / r.quantity : 0,
+            warning: unscopedIds.has(r.productId)
+                ? 'No production output recorded — the reporting-period quantity is set against the emissions of this period, SEE is understated'
+                : null,
+        };
+    };
+
+    if (productionOutput.some(po => po.process_id || po.processId)) {
+        const attribution = attributeEmissions(emissions, { products: allocatableProducts, productionOutput, processes, allocationSettings, methodOverride });
+        const attributedTotal = attribution.products.reduce((s, r) => s + r.allocatedTotal, 0);
+        return attribution.products.map(r => perUnit({
+            productId: r.productId,
+            productName: r.productName,
+            cnCode: r.cnCode,
+            quantity: r.quantity,
+            share: attributedTotal > 0 ? r.allocatedTotal / attributedTotal : 0,
+            allocatedDirect: r.allocatedDirect,
+            allocatedIndirect: r.allocatedIndirect,
+            allocatedTotal: r.allocatedTotal,
+            byProcess: r.byProcess,
+            unmapped: r.unmapped,
+        }));
+    }
+
+    // No process mapping: the installation is one pool; manual shares need a process
+    const allocation = allocationShares(
+        methodOverride || allocationSettings.method || 'mass',
+        allocatableProducts.map(p => ({
+            productId: p.id,
+            quantity: Number(p.quantity) || 0,
+            price: p.price,
+            energyContent: p.energy_content ?? p.energyContent,
+        }))
+    );
 
     return allocatableProducts.map(product => {
         const quantity = Number(product.quantity) || 0;
-        const share = totalOutput > 0 ? quantity / totalOutput : 0;
+        const share = allocation.shares[product.id] || 0;
 
         const allocatedDirect = emissions.summary.directCO2e * share;
         const allocatedIndirect = emissions.summary.indirectCO2e * share;
-        const allocatedTotal = allocatedDirect + allocatedIndirect;
-
-        const pcf = quantity > 0 ? allocatedTotal / quantity : 0;
-        const pcfDirect = quantity > 0 ? allocatedDirect / quantity : 0;
-        const pcfIndirect = quantity > 0 ? allocatedIndirect / quantity : 0;
 
-        return {
+        return perUnit({
             productId: product.id,
             productName: product.name,
             cnCode: product.cn_code || product.cnCode,
@@ -514,10 +1346,30 @@ export function calculatePCF(emissions, products, allocationSettings = { method:
             share,
             allocatedDirect,
             allocatedIndirect,
-            allocatedTotal,
-            pcf,
-            pcfDirect,
-            pcfIndirect,
-        };
+            allocatedTotal: allocatedDirect + allocatedIndirect,
+            allocationMethod: allocation.method,
+            allocationWarning: allocation.warning,
+        });
+    });
+}
+
+/**
+ * SEE of every product under each allocation method, for side-by-side
+ * comparison. Each method is forced on all processes.
+ *
+ * @param {Object} emissions - Result from calculateTotalEmissions
+ * @param {Array} products - Product list
+ * @param {Object} allocationSettings
+ * @param {Object} context - { productionOutput, processes }
+ * @returns {Array<{ method: string, label: string, pcf: Array, warnings: string[] }>}
+ */
+export function compareAllocationMethods(emissions, products, allocationSettings, context = {}) {
+    return Object.values(ALLOCATION_METHODS).map(m => {
+        const pcf = calculatePCF(emissions, products, allocationSettings, { ...context, methodOverride: m.id });
+        const warnings = (context.productionOutput || []).some(po => po.process_id || po.processId)
+            ? attributeEmissions(emissions, { ...context, products, allocationSettings, methodOverride: m.id })
+                .processes.filter(p => p.allocationWarning).map(p => `${p.processId}: ${p.allocationWarning}`)
+            : [...new Set(pcf.map(r => r.allocationWarning).filter(Boolean))];
+        return { method: m.id, label: m.label, pcf, warnings };
     });
 }
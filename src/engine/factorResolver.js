@@ -0,0 +1,174 @@
+// ═══════════════════════════════════════════════════════════════
+//  Factor Resolution
+//  Emission factors and GWP sets are read from the emission_factors
+//  and gwp_sets tables. The constants in emissionEngine.js only seed
+//  those tables (db/seed.js) and cover fuels without any rows.
+// ═══════════════════════════════════════════════════════════════
+
+export const GLOBAL_REGION = 'GLOBAL';
+
+/** CBAM reporting always uses the regulatory GWP set */
+export const CBAM_GWP_SET_ID = 'EU_CBAM_2025';
+export const DEFAULT_GWP_SET_ID = CBAM_GWP_SET_ID;
+
+/** emission_factors.fuel_type of grid electricity rows (region = country code) */
+export const GRID_FACTOR_TYPE = 'grid_electricity';
+export const GRID_FACTOR_GAS = 'CO2e';
+
+/** Gas column value → fuel definition field */
+const GAS_FIELDS = { CO2: 'efCO2', CH4: 'efCH4', N2O: 'efN2O' };
+
+/** Factor units accepted in emission_factors.ef_unit, as multipliers to kg/TJ */
+const EF_UNIT_TO_KG_PER_TJ = {
+    'kg/TJ': 1,
+    'g/GJ': 1,
+    'kg/GJ': 1000,
+    't/TJ': 1000,
+};
+
+/**
+ * Date a factor must be in force on for an activity period.
+ * 'YYYY-MM' periods are compared from their first day.
+ *
+ * @param {string} period - 'YYYY-MM' or 'YYYY-MM-DD'
+ * @returns {string|null}
+ */
+export function periodDate(period) {
+    if (!period) return null;
+    return /^\d{4}-\d{2}$/.test(period) ? `${period}-01` : String(period);
+}
+
+/**
+ * Pick the emission factor row for one fuel, gas, region and date.
+ * A row is in force from effective_date to valid_to (both inclusive;
+ * either may be open). Rows for the region win over GLOBAL rows; among
+ * rows in force on the date the latest effective_date wins, then the
+ * highest version_number. Without a date (entry has no period) only
+ * open-ended rows already in force on `today` apply, so an undated entry
+ * never takes a factor that was superseded or not yet in force.
+ *
+ * @param {Array} rows - emission_factors rows
+ * @param {Object} key - { fuelType, gas, region, date, today }; today defaults to the current date
+ * @returns {Object|null} The row, or null if none applies
+ */
+export function selectFactorRow(rows, { fuelType, gas, region, date, today = new Date().toISOString().slice(0, 10) }) {
+    const regionOf = (r) => r.region || GLOBAL_REGION;
+    const candidates = (rows || []).filter(r =>
+        r.fuel_type === fuelType
+        && r.gas === gas
+        && (regionOf(r) === region || regionOf(r) === GLOBAL_REGION)
+        && (date
+            ? (!r.effective_date || r.effective_date <= date) && (!r.valid_to || r.valid_to >= date)
+            : !r.valid_to && (!r.effective_date || r.effective_date <= today))
+    );
+    candidates.sort((a, b) =>
+        (regionOf(a) === region ? 0 : 1) - (regionOf(b) === region ? 0 : 1)
+        || (b.effective_date || '').localeCompare(a.effective_date || '')
+        || (b.version_number || 1) - (a.version_number || 1)
+    );
+    return candidates[0] || null;
+}
+
+/**
+ * Reference to the factor row a calculation used, kept in lineage.
+ */
+export function factorRef(row) {
+    return {
+        id: row.id,
+        version: row.version_number || 1,
+        region: row.region || GLOBAL_REGION,
+        effectiveDate: row.effective_date || null,
+        validTo: row.valid_to || null,
+        value: row.ef_value,
+        unit: row.ef_unit || 'kg/TJ',
+        source: row.source || null,
+    };
+}
+
+/**
+ * Resolve the fuel definition for one fuel entry from the factor library.
+ * NCV and the CO₂/CH₄/N₂O factors come from the selected rows; physical
+ * properties (unit family, density, biomass fraction) stay with the base
+ * definition. A gas without a matching row keeps the base value and is
+ * recorded as a fallback.
+ *
+ * @param {Object|null} library - { emissionFactors, gwpSets }
+ * @param {string} fuelTypeId
+ * @param {Object} baseDef - DEFAULT_EMISSION_FACTORS entry
+ * @param {Object} context - { region, period }
+ * @returns {Object} Fuel definition with a `resolution` record
+ */
+export function resolveFuelFactors(library, fuelTypeId, baseDef, { region, period } = {}) {
+    const date = periodDate(period);
+    const regionKey = region || GLOBAL_REGION;
+    const def = { ...baseDef };
+    const rows = {};
+    const fallback = [];
+
+    Object.entries(GAS_FIELDS).forEach(([gas, field]) => {
+        const row = selectFactorRow(library?.emissionFactors, { fuelType: fuelTypeId, gas, region: regionKey, date });
+        const multiplier = row ? EF_UNIT_TO_KG_PER_TJ[row.ef_unit || 'kg/TJ'] : null;
+        if (row && multiplier) {
+            def[field] = row.ef_value * multiplier;
+            rows[gas] = factorRef(row);
+        } else {
+            fallback.push(gas);
+        }
+    });
+
+    const ncvRow = [rows.CO2, rows.CH4, rows.N2O]
+        .filter(Boolean)
+        .map(ref => library.emissionFactors.find(r => r.id === ref.id))
+        .find(r => r && r.ncv != null);
+    if (ncvRow) {
+        def.ncv = ncvRow.ncv;
+        def.ncvUnit = ncvRow.ncv_unit || def.ncvUnit;
+    }
+    if (rows.CO2?.source) def.source = rows.CO2.source;
+
+    def.resolution = {
+        region: regionKey,
+        date,
+        rows,
+        ncvFactorId: ncvRow?.id || null,
+        fallback,
+    };
+    return def;
+}
+
+/**
+ * Resolve the grid electricity factor for a country and activity period.
+ * Grid rows are national: there is no GLOBAL fallback.
+ *
+ * @param {Object|null} library - { emissionFactors, gwpSets }
+ * @param {string} country - Grid country code
+ * @param {string} period - 'YYYY-MM'
+ * @returns {{ value: number, ref: Object }|null} tCO₂e/MWh and the row used, or null
+ */
+export function resolveGridFactor(library, country, period) {
+    if (!country) return null;
+    const row = selectFactorRow(library?.emissionFactors, { fuelType: GRID_FACTOR_TYPE, gas: GRID_FACTOR_GAS, region: country, date: periodDate(period) });
+    if (!row || (row.region || GLOBAL_REGION) !== country) return null;
+    return { value: row.ef_value, ref: factorRef(row) };
+}
+
+/**
+ * GWP set from the gwp_sets table, in the shape the engine uses.
+ *
+ * @param {Object|null} library - { emissionFactors, gwpSets }
+ * @param {string} id
+ * @returns {Object|null} { id, name, CO2, CH4, N2O, CF4, C2F6 }
+ */
+export function resolveGwpSet(library, id = DEFAULT_GWP_SET_ID) {
+    const row = (library?.gwpSets || []).find(g => g.id === id);
+    if (!row) return null;
+    return {
+        id: row.id,
+        name: row.name,
+        CO2: row.co2,
+        CH4: row.ch4,
+        N2O: row.n2o,
+        CF4: row.cf4,
+        C2F6: row.c2f6,
+    };
+}
@@ -1,7 +1,8 @@
 // ═══════════════════════════════════════════════════════════════
 //  Safe Formula Evaluator — Tokenizer + Recursive Descent Parser
 //  Evaluates math expressions without eval().
-//  Supports: + - * / ^ ( ) and named variables.
+//  Supports: + - * / ^ ( ), comparisons (< <= > >= == !=), named
+//  variables and the whitelisted functions in FORMULA_FUNCTIONS.
 // ═══════════════════════════════════════════════════════════════
 
 // ─── Token Types ─────────────────────────────────────────────
@@ -15,9 +16,58 @@ const TOKEN = {
     CARET: '^',
     LPAREN: '(',
     RPAREN: ')',
+    COMMA: ',',
+    LT: '<',
+    LE: '<=',
+    GT: '>',
+    GE: '>=',
+    EQ: '==',
+    NE: '!=',
     EOF: 'EOF',
 };
 
+const COMPARISONS = {
+    [TOKEN.LT]: (a, b) => a < b,
+    [TOKEN.LE]: (a, b) => a <= b,
+    [TOKEN.GT]: (a, b) => a > b,
+    [TOKEN.GE]: (a, b) => a >= b,
+    [TOKEN.EQ]: (a, b) => a === b,
+    [TOKEN.NE]: (a, b) => a !== b,
+};
+
+// ─── Functions ───────────────────────────────────────────────
+
+/**
+ * Functions a formula may call — the only code a formula can reach.
+ * Comparisons yield 1 (true) or 0 (false); `if` takes any non-zero
+ * condition as true, e.g. if(AEM > 0.5, AEM * slope_t3, AEM * slope_t2).
+ */
+export const FORMULA_FUNCTIONS = {
+    min: { minArgs: 1, maxArgs: Infinity, signature: 'min(a, b, …)', description: 'Smallest argument', apply: (args) => Math.min(...args) },
+    max: { minArgs: 1, maxArgs: Infinity, signature: 'max(a, b, …)', description: 'Largest argument', apply: (args) => Math.max(...args) },
+    abs: { minArgs: 1, maxArgs: 1, signature: 'abs(x)', description: 'Absolute value', apply: ([x]) => Math.abs(x) },
+    round: {
+        minArgs: 1, maxArgs: 2, signature: 'round(x, digits)', description: 'Round half up to `digits` decimals (default 0)',
+        apply: ([x, digits = 0]) => Math.round(x * 10 ** digits) / 10 ** digits,
+    },
+    sum: { minArgs: 1, maxArgs: Infinity, signature: 'sum(a, b, …)', description: 'Sum of the arguments', apply: (args) => args.reduce((s, x) => s + x, 0) },
+    avg: { minArgs: 1, maxArgs: Infinity, signature: 'avg(a, b, …)', description: 'Arithmetic mean', apply: (args) => args.reduce((s, x) => s + x, 0) / args.length },
+    if: { minArgs: 3, maxArgs: 3, signature: 'if(condition, then, else)', description: '`then` when the condition is non-zero, else `else`', apply: ([cond, a, b]) => (cond !== 0 ? a : b) },
+};
+
+// Function definition for a call, checking its argument count
+function functionFor(name, argCount) {
+    const fn = Object.hasOwn(FORMULA_FUNCTIONS, name) ? FORMULA_FUNCTIONS[name] : null;
+    if (!fn) throw new Error(`Unknown function: "${name}"`);
+    if (argCount < fn.minArgs || argCount > fn.maxArgs) {
+        const expected = fn.minArgs === fn.maxArgs ? fn.minArgs
+            : fn.maxArgs === Infinity ? `at least ${fn.minArgs}` : `${fn.minArgs}–${fn.maxArgs}`;
+        const plural = fn.maxArgs === 1 || (fn.minArgs === 1 && fn.maxArgs === Infinity) ? '' : 's';
+        throw new Error(`${name}() takes ${expected} argument${plural}, got ${argCount}`);
+    }
+    return fn;
+}
+
 /**
  * Tokenize a formula string into an array of tokens.
  * @param {string} expr - Formula expression
@@ -60,8 +110,21 @@ function tokenize(expr) {
             continue;
         }
 
-        // Operators and parentheses
-        if ('+-*/^()'.includes(ch)) {
+        // Comparison operators (two-character ones first)
+        const pair = expr.slice(i, i + 2);
+        if (pair === '<=' || pair === '>=' || pair === '==' || pair === '!=') {
+            tokens.push({ type: pair, value: pair });
+            i += 2;
+            continue;
+        }
+        if (ch === '<' || ch === '>') {
+            tokens.push({ type: ch, value: ch });
+            i++;
+            continue;
+        }
+
+        // Operators, parentheses and argument separators
+        if ('+-*/^(),'.includes(ch)) {
             tokens.push({ type: ch, value: ch });
             i++;
             continue;
@@ -75,17 +138,29 @@ function tokenize(expr) {
 }
 
 // ─── Parser (Recursive Descent) ──────────────────────────────
+// Builds a syntax tree; evaluation and unit analysis (unitAnalysis.js)
+// walk the tree.
+//
 // Grammar:
+//   comparison = expression (('<' | '<=' | '>' | '>=' | '==' | '!=') expression)?
 //   expression = term (('+' | '-') term)*
 //   term       = power (('*' | '/') power)*
 //   power      = unary ('^' power)?         (right-associative)
 //   unary      = ('-')? primary
-//   primary    = NUMBER | IDENT | '(' expression ')'
+//   primary    = NUMBER | IDENT | IDENT '(' arguments ')' | '(' comparison ')'
+//   arguments  = (comparison (',' comparison)*)?
+//
+// Nodes:
+//   { type: 'number', value }
+//   { type: 'variable', name }
+//   { type: 'unary', op: '-', operand }
+//   { type: 'binary', op: '+' | '-' | '*' | '/' | '^', left, right }
+//   { type: 'compare', op: '<' | '<=' | '>' | '>=' | '==' | '!=', left, right }
+//   { type: 'call', name, args }
 
 class Parser {
-    constructor(tokens, variables) {
+    constructor(tokens) {
         this.tokens = tokens;
-        this.variables = variables;
         this.pos = 0;
     }
 
@@ -101,19 +176,28 @@ class Parser {
     }
 
     parse() {
-        const result = this.expression();
+        const result = this.comparison();
         if (this.peek().type !== TOKEN.EOF) {
             throw new Error(`Unexpected token: "${this.peek().value}"`);
         }
         return result;
     }
 
+    // Non-associative: a < b < c is a syntax error
+    comparison() {
+        const left = this.expression();
+        if (!COMPARISONS[this.peek().type]) return left;
+        const op = this.consume().type;
+        const right = this.expression();
+        return { type: 'compare', op, left, right };
+    }
+
     expression() {
         let left = this.term();
         while (this.peek().type === TOKEN.PLUS || this.peek().type === TOKEN.MINUS) {
             const op = this.consume().type;
             const right = this.term();
-            left = op === TOKEN.PLUS ? left + right : left - right;
+            left = { type: 'binary', op, left, right };
         }
         return left;
     }
@@ -123,17 +207,17 @@ class Parser {
         while (this.peek().type === TOKEN.STAR || this.peek().type === TOKEN.SLASH) {
             const op = this.consume().type;
             const right = this.power();
-            left = op === TOKEN.STAR ? left * right : left / right;
+            left = { type: 'binary', op, left, right };
         }
         return left;
     }
 
     power() {
-        let base = this.unary();
+        const base = this.unary();
         if (this.peek().type === TOKEN.CARET) {
             this.consume();
             const exp = this.power(); // right-associative
-            base = Math.pow(base, exp);
+            return { type: 'binary', op: TOKEN.CARET, left: base, right: exp };
         }
         return base;
     }
@@ -141,7 +225,7 @@ class Parser {
     unary() {
         if (this.peek().type === TOKEN.MINUS) {
             this.consume();
-            return -this.primary();
+            return { type: 'unary', op: TOKEN.MINUS, operand: this.primary() };
         }
         return this.primary();
     }
@@ -151,31 +235,189 @@ class Parser {
 
         if (tok.type === TOKEN.NUMBER) {
             this.consume();
-            return tok.value;
+            return { type: 'number', value: tok.value };
         }
 
         if (tok.type === TOKEN.IDENT) {
             this.consume();
-            const name = tok.value;
-            if (!(name in this.variables)) {
-                throw new Error(`Unknown variable: "${name}"`);
+            if (this.peek().type === TOKEN.LPAREN) {
+                const args = this.arguments();
+                functionFor(tok.value, args.length);
+                return { type: 'call', name: tok.value, args };
             }
-            return Number(this.variables[name]) || 0;
+            return { type: 'variable', name: tok.value };
         }
 
         if (tok.type === TOKEN.LPAREN) {
             this.consume(TOKEN.LPAREN);
-            const val = this.expression();
+            const node = this.comparison();
             this.consume(TOKEN.RPAREN);
-            return val;
+            return node;
         }
 
         throw new Error(`Unexpected token: "${tok.value}" (${tok.type})`);
     }
+
+    arguments() {
+        this.consume(TOKEN.LPAREN);
+        if (this.peek().type === TOKEN.RPAREN) {
+            this.consume();
+            return [];
+        }
+        const args = [this.comparison()];
+        while (this.peek().type === TOKEN.COMMA) {
+            this.consume();
+            args.push(this.comparison());
+        }
+        this.consume(TOKEN.RPAREN);
+        return args;
+    }
+}
+
+// ─── Evaluation ──────────────────────────────────────────────
+
+const ARITHMETIC = {
+    [TOKEN.PLUS]: (a, b) => a + b,
+    [TOKEN.MINUS]: (a, b) => a - b,
+    [TOKEN.STAR]: (a, b) => a * b,
+    [TOKEN.SLASH]: (a, b) => a / b,
+    [TOKEN.CARET]: (a, b) => Math.pow(a, b),
+};
+
+/**
+ * Evaluate a syntax tree from parseFormula().
+ *
+ * @param {Object} node
+ * @param {Object} variables - Variable values
+ * @returns {number}
+ * @throws {Error} On an unknown variable
+ */
+export function evaluateNode(node, variables) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'variable':
+            if (!Object.hasOwn(variables, node.name)) {
+                throw new Error(`Unknown variable: "${node.name}"`);
+            }
+            return Number(variables[node.name]) || 0;
+        case 'unary':
+            return -evaluateNode(node.operand, variables);
+        case 'binary':
+            return ARITHMETIC[node.op](evaluateNode(node.left, variables), evaluateNode(node.right, variables));
+        case 'compare':
+            return COMPARISONS[node.op](evaluateNode(node.left, variables), evaluateNode(node.right, variables)) ? 1 : 0;
+        case 'call':
+            return FORMULA_FUNCTIONS[node.name].apply(node.args.map(arg => evaluateNode(arg, variables)));
+        default:
+            throw new Error(`Unknown node: ${node.type}`);
+    }
+}
+
+// Identifiers used as variables — a name followed by '(' is a function call
+function variableNames(tokens) {
+    const names = tokens
+        .filter((t, i) => t.type === TOKEN.IDENT && tokens[i + 1]?.type !== TOKEN.LPAREN)
+        .map(t => t.value);
+    return [...new Set(names)];
+}
+
+// ─── Evaluation Trace ────────────────────────────────────────
+
+// Binding strength, loosest first; the unary minus takes a primary only
+const PRECEDENCE = { compare: 1, [TOKEN.PLUS]: 2, [TOKEN.MINUS]: 2, [TOKEN.STAR]: 3, [TOKEN.SLASH]: 3, [TOKEN.CARET]: 4, unary: 5, atom: 6 };
+
+function precedenceOf(node) {
+    if (node.type === 'binary') return PRECEDENCE[node.op];
+    return PRECEDENCE[node.type] ?? PRECEDENCE.atom;
+}
+
+const wrap = (node, min) => (precedenceOf(node) < min ? `(${formatNode(node)})` : formatNode(node));
+
+/**
+ * Formula text of a syntax tree, with only the parentheses it needs.
+ *
+ * @param {Object} node - parseFormula() node
+ * @returns {string}
+ */
+export function formatNode(node) {
+    switch (node.type) {
+        case 'number':
+            return String(node.value);
+        case 'variable':
+            return node.name;
+        case 'unary':
+            return `-${wrap(node.operand, PRECEDENCE.atom)}`;
+        case 'binary': {
+            const p = precedenceOf(node);
+            // '^' groups to the right, the other operators to the left
+            const [leftMin, rightMin] = node.op === TOKEN.CARET ? [p + 1, p] : [p, p + 1];
+            return `${wrap(node.left, leftMin)} ${node.op} ${wrap(node.right, rightMin)}`;
+        }
+        case 'compare':
+            return `${wrap(node.left, PRECEDENCE.compare + 1)} ${node.op} ${wrap(node.right, PRECEDENCE.compare + 1)}`;
+        case 'call':
+            return `${node.name}(${node.args.map(formatNode).join(', ')})`;
+        default:
+            throw new Error(`Unknown node: ${node.type}`);
+    }
+}
+
+// Value as written in a substituted step; negative operands in parentheses
+const numberText = (value) => String(Number(value.toPrecision(12)));
+const formatValue = (value) => (value < 0 ? `(${numberText(value)})` : numberText(value));
+
+function traceNode(node, variables) {
+    const step = (children, substituted, value) => ({ type: node.type, expression: formatNode(node), substituted, value, children });
+    switch (node.type) {
+        case 'number':
+            return step([], String(node.value), node.value);
+        case 'variable': {
+            const value = evaluateNode(node, variables);
+            return step([], numberText(value), value);
+        }
+        case 'unary': {
+            const operand = traceNode(node.operand, variables);
+            return step([operand], `-${formatValue(operand.value)}`, -operand.value);
+        }
+        case 'binary': {
+            const left = traceNode(node.left, variables);
+            const right = traceNode(node.right, variables);
+            return step([left, right], `${formatValue(left.value)} ${node.op} ${formatValue(right.value)}`, ARITHMETIC[node.op](left.value, right.value));
+        }
+        case 'compare': {
+            const left = traceNode(node.left, variables);
+            const right = traceNode(node.right, variables);
+            return step([left, right], `${formatValue(left.value)} ${node.op} ${formatValue(right.value)}`, COMPARISONS[node.op](left.value, right.value) ? 1 : 0);
+        }
+        case 'call': {
+            const args = node.args.map(arg => traceNode(arg, variables));
+            const value = FORMULA_FUNCTIONS[node.name].apply(args.map(a => a.value));
+            return step(args, `${node.name}(${args.map(a => formatValue(a.value)).join(', ')})`, value);
+        }
+        default:
+            throw new Error(`Unknown node: ${node.type}`);
+    }
 }
 
 // ─── Public API ──────────────────────────────────────────────
 
+/**
+ * Parse a formula into a syntax tree (node shapes above the Parser).
+ *
+ * @param {string} formula
+ * @returns {{ ast: Object|null, error: string|null }}
+ */
+export function parseFormula(formula) {
+    const { tokens, error } = tokenize(formula || '');
+    if (error) return { ast: null, error };
+    try {
+        return { ast: new Parser(tokens).parse(), error: null };
+    } catch (err) {
+        return { ast: null, error: err.message };
+    }
+}
+
 /**
  * Evaluate a math expression with named variables.
  *
@@ -188,12 +430,11 @@ export function evaluate(formula, variables = {}) {
         return { value: 0, error: null };
     }
 
-    try {
-        const { tokens, error } = tokenize(formula);
-        if (error) return { value: null, error };
+    const { ast, error } = parseFormula(formula);
+    if (error) return { value: null, error };
 
-        const parser = new Parser(tokens, variables);
-        const value = parser.parse();
+    try {
+        const value = evaluateNode(ast, variables);
 
         if (!isFinite(value)) {
             return { value: null, error: 'Result is not a finite number (division by zero?)' };
@@ -205,9 +446,39 @@ export function evaluate(formula, variables = {}) {
     }
 }
 
+/**
+ * Evaluate a formula and record every step of it: one trace node per
+ * syntax tree node, with its formula text, the same operation with the
+ * values of its operands substituted, and its value.
+ *
+ * @param {string} formula - Math expression
+ * @param {Object} variables - Variable values
+ * @returns {{ value: number|null, error: string|null, trace: Object|null }}
+ *   trace: { type, expression, substituted, value, children: [trace] }
+ */
+export function traceFormula(formula, variables = {}) {
+    if (!formula || !formula.trim()) {
+        return { value: 0, error: null, trace: null };
+    }
+
+    const { ast, error } = parseFormula(formula);
+    if (error) return { value: null, error, trace: null };
+
+    try {
+        const trace = traceNode(ast, variables);
+        if (!isFinite(trace.value)) {
+            return { value: null, error: 'Result is not a finite number (division by zero?)', trace };
+        }
+        return { value: trace.value, error: null, trace };
+    } catch (err) {
+        return { value: null, error: err.message, trace: null };
+    }
+}
+
 /**
  * Validate a formula without evaluating it.
- * Checks for syntax errors and unknown variables.
+ * Checks for syntax errors, unknown variables and functions, and
+ * function argument counts.
  *
  * @param {string} formula - Math expression
  * @param {string[]} knownKeys - List of valid variable names
@@ -221,12 +492,9 @@ export function validateFormula(formula, knownKeys = []) {
     const { tokens, error } = tokenize(formula);
     if (error) return { valid: false, error, unknownVars: [] };
 
-    // Check for unknown variables
-    const usedVars = tokens
-        .filter(t => t.type === TOKEN.IDENT)
-        .map(t => t.value);
+    // Check for unknown variables (function names are checked by the parser)
     const knownSet = new Set(knownKeys);
-    const unknownVars = [...new Set(usedVars.filter(v => !knownSet.has(v)))];
+    const unknownVars = variableNames(tokens).filter(v => !knownSet.has(v));
 
     if (unknownVars.length > 0) {
         return {
@@ -236,12 +504,8 @@ export function validateFormula(formula, knownKeys = []) {
         };
     }
 
-    // Try parsing with dummy values
-    const dummyVars = {};
-    knownKeys.forEach(k => { dummyVars[k] = 1; });
     try {
-        const parser = new Parser(tokens, dummyVars);
-        parser.parse();
+        new Parser(tokens).parse();
         return { valid: true, error: null, unknownVars: [] };
     } catch (err) {
         return { valid: false, error: err.message, unknownVars: [] };
@@ -252,11 +516,11 @@ export function validateFormula(formula, knownKeys = []) {
  * Extract variable names from a formula string.
  *
  * @param {string} formula
- * @returns {string[]} list of variable names used in the formula
+ * @returns {string[]} list of variable names used in the formula (function names excluded)
  */
 export function extractVariables(formula) {
     if (!formula) return [];
     const { tokens } = tokenize(formula);
     if (!tokens) return [];
-    return [...new Set(tokens.filter(t => t.type === TOKEN.IDENT).map(t => t.value))];
+    return variableNames(tokens);
 }
@@ -0,0 +1,249 @@
+// ═══════════════════════════════════════════════════════════════
+//  Data Gap Filling — MRR Art. 65/66
+//  Months of the reporting period without data for a source stream
+//  are detected and, where substitution is switched on for the
+//  installation or the stream, replaced by a conservative estimate.
+//  Substitute entries are generated at calculation time, flagged with
+//  their estimate and never stored.
+// ═══════════════════════════════════════════════════════════════
+
+import { monthOf, windowBuckets } from './periodScope.js';
+
+/**
+ * Substitution methods for a missing month.
+ */
+export const GAP_METHODS = {
+    adjacent_max: {
+        id: 'adjacent_max',
+        label: 'Max of adjacent periods',
+        description: 'Higher of the nearest month before and after the gap',
+    },
+    previous_average: {
+        id: 'previous_average',
+        label: 'Previous-period average',
+        description: 'Average of all months with data before the gap',
+    },
+    production_proxy: {
+        id: 'production_proxy',
+        label: 'Production-scaled proxy',
+        description: 'Consumption per t of product in months with data × production of the gap month',
+    },
+    none: {
+        id: 'none',
+        label: 'Not operated',
+        description: 'Stream did not operate in the month — gap documented, nothing substituted',
+    },
+};
+
+export const DEFAULT_GAP_METHOD = 'adjacent_max';
+
+/** Source streams checked for gaps, by calculateTotalEmissions() input */
+const STREAM_SOURCES = {
+    fuels: {
+        label: 'Fuel',
+        quantityField: 'quantity',
+        key: (e) => `fuel:${e.process_id || e.processId || ''}:${e.fuel_type_id || e.fuelTypeId}:${e.unit || 't'}`,
+        name: (e) => `${e.fuel_type_id || e.fuelTypeId} · ${e.process_id || e.processId || '—'}`,
+        unit: (e) => e.unit || 't',
+    },
+    electricity: {
+        label: 'Electricity',
+        quantityField: 'mwh',
+        key: (e) => `elec:${e.process_id || e.processId || ''}:${e.generation_unit_id || e.generationUnitId || e.grid_country || e.gridCountry || ''}`,
+        name: (e) => `Electricity · ${e.process_id || e.processId || '—'} · ${e.generation_unit_id || e.generationUnitId || e.grid_country || e.gridCountry || 'grid'}`,
+        unit: () => 'MWh',
+    },
+};
+
+/**
+ * Monthly production of goods (residues excluded), for the production proxy.
+ *
+ * @param {Array} productionOutput - production_output rows
+ * @param {Array} products
+ * @returns {Object} { 'YYYY-MM': t }
+ */
+export function productionByMonth(productionOutput = [], products = []) {
+    const residues = new Set(products.filter(p => p.is_residue || p.isResidue).map(p => p.id));
+    const byMonth = {};
+    productionOutput.forEach(po => {
+        const month = monthOf(po.period);
+        if (!month || residues.has(po.product_id || po.productId)) return;
+        byMonth[month] = (byMonth[month] || 0) + (Number(po.quantity) || 0);
+    });
+    return byMonth;
+}
+
+/**
+ * Group entries into source streams and list the months of a window
+ * each stream has no entry for.
+ *
+ * @param {Object} inputs - { fuels, electricity }
+ * @param {Object} window - { start, end } (closed)
+ * @returns {Array<{ key, source, label, name, unit, months: Object, entries: Array, gaps: string[] }>}
+ *   months: { 'YYYY-MM': quantity } over all dated entries of the stream
+ */
+export function detectGaps(inputs, window) {
+    const windowMonths = windowBuckets(window, 'month').map(b => b.key);
+    const streams = [];
+    Object.entries(STREAM_SOURCES).forEach(([source, def]) => {
+        const byKey = {};
+        (inputs[source] || []).forEach(entry => {
+            const month = monthOf(entry.period);
+            if (!month) return;
+            const key = def.key(entry);
+            const stream = byKey[key] || (byKey[key] = {
+                key, source, label: def.label, name: def.name(entry), unit: def.unit(entry), months: {}, entries: [],
+            });
+            stream.months[month] = (stream.months[month] || 0) + (Number(entry[def.quantityField]) || 0);
+            stream.entries.push(entry);
+        });
+        Object.values(byKey)
+            // Only streams reported in the window are expected in every month of it
+            .filter(stream => windowMonths.some(m => m in stream.months))
+            .forEach(stream => streams.push({ ...stream, gaps: windowMonths.filter(m => !(m in stream.months)) }));
+    });
+    return streams;
+}
+
+/**
+ * Estimate one missing month of a stream.
+ *
+ * @param {Object} stream - detectGaps() stream
+ * @param {string} month - Missing 'YYYY-MM'
+ * @param {string} method - GAP_METHODS id
+ * @param {Object} production - productionByMonth() result
+ * @returns {{ quantity: number, method: string, basis: Array<{ period, quantity }>, fallback: string|null }}
+ */
+export function estimateGap(stream, month, method, production = {}) {
+    const data = Object.entries(stream.months)
+        .map(([period, quantity]) => ({ period, quantity }))
+        .sort((a, b) => a.period.localeCompare(b.period));
+    const before = data.filter(d => d.period < month);
+    const after = data.filter(d => d.period > month);
+
+    const adjacentMax = (fallback = null) => {
+        const basis = [before[before.length - 1], after[0]].filter(Boolean);
+        return {
+            quantity: Math.max(0, ...basis.map(d => d.quantity)),
+            method: 'adjacent_max',
+            basis,
+            fallback,
+        };
+    };
+
+    if (method === 'none') {
+        return { quantity: 0, method: 'none', basis: [], fallback: null };
+    }
+    if (method === 'previous_average') {
+        if (before.length === 0) return adjacentMax('No month with data before the gap');
+        return {
+            quantity: before.reduce((s, d) => s + d.quantity, 0) / before.length,
+            method,
+            basis: before,
+            fallback: null,
+        };
+    }
+    if (method === 'production_proxy') {
+        const basis = data.filter(d => production[d.period] > 0);
+        const produced = basis.reduce((s, d) => s + production[d.period], 0);
+        if (!(production[month] > 0) || produced === 0) {
+            return adjacentMax(production[month] > 0 ? 'No month with both data and production' : 'No production recorded for the gap month');
+        }
+        const ratio = basis.reduce((s, d) => s + d.quantity, 0) / produced;
+        return {
+            quantity: ratio * production[month],
+            method,
+            basis: basis.map(d => ({ ...d, production: production[d.period] })),
+            fallback: null,
+            ratio,
+            production: production[month],
+        };
+    }
+    return adjacentMax();
+}
+
+/**
+ * Detect gaps and add a substitute entry for every missing month of the
+ * streams substitution is switched on for: every stream when
+ * settings.enabled, else the streams with a method in streamMethods.
+ * Gaps of other streams are only reported. Substitutes copy the nearest
+ * entry of their stream (factors, process, unit) with the estimated
+ * quantity and carry a `substitution` record that the engine copies
+ * into lineage.
+ *
+ * @param {Object} inputs - calculateTotalEmissions() inputs
+ * @param {Object} window - Reporting period { start, end } (closed)
+ * @param {Object} settings - { enabled, method, streamMethods: { streamKey: method } }, off by default
+ * @param {Object} context - { productionOutput, products }
+ * @returns {{ inputs: Object, gaps: Array }} gaps: one record per missing month
+ */
+export function fillGaps(inputs, window, settings = {}, { productionOutput = [], products = [] } = {}) {
+    const enabled = settings.enabled ?? false;
+    const production = productionByMonth(productionOutput, products);
+    const added = { fuels: [], electricity: [] };
+    const gaps = [];
+
+    detectGaps(inputs, window).forEach(stream => {
+        const streamMethod = settings.streamMethods?.[stream.key] || null;
+        const requested = streamMethod || settings.method || DEFAULT_GAP_METHOD;
+        const quantityField = STREAM_SOURCES[stream.source].quantityField;
+        stream.gaps.forEach(month => {
+            const estimate = estimateGap(stream, month, requested, production);
+            const entryId = `gap_${stream.key.replace(/[^A-Za-z0-9]+/g, '_')}_${month}`;
+            const substitute = (enabled || !!streamMethod) && estimate.method !== 'none';
+            gaps.push({
+                streamKey: stream.key,
+                source: stream.source,
+                label: stream.label,
+                name: stream.name,
+                unit: stream.unit,
+                period: month,
+                requestedMethod: requested,
+                ...estimate,
+                substituted: substitute,
+                entryId: substitute ? entryId : null,
+            });
+            if (!substitute) return;
+
+            // Nearest real entry of the stream as the template
+            const template = [...stream.entries].sort((a, b) =>
+                Math.abs(monthDistance(a.period, month)) - Math.abs(monthDistance(b.period, month)))[0];
+            const { _versionId, _versionNumber, ...fields } = template;
+            added[stream.source].push({
+                ...fields,
+                id: entryId,
+                stable_id: undefined,
+                stableId: undefined,
+                period: month,
+                [quantityField]: estimate.quantity,
+                source: 'substituted',
+                evidence: null,
+                notes: `Substituted (${GAP_METHODS[estimate.method].label})`,
+                substitution: {
+                    streamKey: stream.key,
+                    method: estimate.method,
+                    requestedMethod: requested,
+                    basis: estimate.basis,
+                    fallback: estimate.fallback,
+                    ratio: estimate.ratio ?? null,
+                    templateEntryId: template.stable_id || template.stableId || template.id,
+                },
+            });
+        });
+    });
+
+    return {
+        inputs: {
+            ...inputs,
+            fuels: [...(inputs.fuels || []), ...added.fuels],
+            electricity: [...(inputs.electricity || []), ...added.electricity],
+        },
+        gaps,
+    };
+}
+
+function monthDistance(a, b) {
+    const [ya, ma] = monthOf(a).split('-').map(Number);
+    const [yb, mb] = monthOf(b).split('-').map(Number);
+    return (ya - yb) * 12 + (ma - mb);
+}
@@ -0,0 +1,113 @@
+// ═══════════════════════════════════════════════════════════════
+//  On-site Generation — CBAM Implementing Reg. Annex II §6–7
+//  Power plants and CHP units: fuel emissions split between the
+//  electricity and heat they produce.
+// ═══════════════════════════════════════════════════════════════
+
+/** 1 MWh = 0.0036 TJ */
+export const MWH_TO_TJ = 0.0036;
+
+/**
+ * Reference efficiencies for separate production (η_ref).
+ * Used only to split CHP emissions; a power-only unit attributes
+ * all of its fuel emissions to electricity.
+ */
+export const CHP_REFERENCE_EFFICIENCY = {
+    electricity: 0.525,
+    heat: 0.9,
+};
+
+export const GENERATION_UNIT_TYPES = {
+    power: { id: 'power', label: 'Power plant', hasHeat: false },
+    chp: { id: 'chp', label: 'CHP unit', hasHeat: true },
+};
+
+/**
+ * Calculate the emissions and emission factors of one generation unit.
+ * Fuel input = combustion results booked on the unit's process in the period.
+ *
+ *   η_el   = E_el / E_in        η_heat = Q_heat / E_in
+ *   F_el   = (η_el / η_ref,el) / (η_el / η_ref,el + η_heat / η_ref,heat)
+ *   Em_el  = Em_in × F_el       Em_heat = Em_in − Em_el
+ *   EF_el  = Em_el / E_el (tCO₂e/MWh)
+ *   EF_heat = Em_heat / Q_heat (tCO₂e/TJ)
+ *
+ * @param {Object} unit - { period, processId, unitType, electricityMwh, heatTJ, refEffEl, refEffHeat }
+ * @param {Array} combustionResults - calculateTotalEmissions().combustion.entries
+ * @returns {{ electricityCO2e: number, heatCO2e: number, efElectricity: number|null, efHeat: number|null, error: string|null, warning: string|null, lineage: Object }}
+ */
+export function calcGenerationUnit(unit, combustionResults = []) {
+    const type = GENERATION_UNIT_TYPES[unit.unit_type || unit.unitType] || GENERATION_UNIT_TYPES.power;
+    const processId = unit.process_id || unit.processId || '';
+    const electricityMwh = Number(unit.electricity_mwh ?? unit.electricityMwh) || 0;
+    const heatTJ = type.hasHeat ? (Number(unit.heat_tj ?? unit.heatTJ) || 0) : 0;
+    const refEl = Number(unit.ref_eff_el ?? unit.refEffEl) || CHP_REFERENCE_EFFICIENCY.electricity;
+    const refHeat = Number(unit.ref_eff_heat ?? unit.refEffHeat) || CHP_REFERENCE_EFFICIENCY.heat;
+
+    const fuels = combustionResults.filter(r => r.processId === processId && r.period === unit.period && !r.error);
+    const fuelCO2e = fuels.reduce((s, r) => s + r.co2e, 0);
+    const fuelTJ = fuels.reduce((s, r) => s + r.energyTJ, 0);
+    const electricityTJ = electricityMwh * MWH_TO_TJ;
+
+    let error = null;
+    let warning = null;
+    if (fuelTJ <= 0) {
+        error = `No fuels recorded for ${processId || 'the unit'} in ${unit.period}`;
+    } else if (electricityMwh <= 0) {
+        error = 'No electricity output entered';
+    }
+
+    const etaEl = fuelTJ > 0 ? electricityTJ / fuelTJ : 0;
+    const etaHeat = fuelTJ > 0 ? heatTJ / fuelTJ : 0;
+    if (!error && etaEl + etaHeat > 1) {
+        warning = `Outputs exceed fuel input (η = ${((etaEl + etaHeat) * 100).toFixed(1)}%) — check metering`;
+    }
+
+    const weightEl = etaEl / refEl;
+    const weightHeat = etaHeat / refHeat;
+    const fEl = error ? 0 : (weightEl + weightHeat > 0 ? weightEl / (weightEl + weightHeat) : 1);
+    const electricityCO2e = error ? 0 : fuelCO2e * fEl;
+    const heatCO2e = error ? 0 : fuelCO2e - electricityCO2e;
+    const efElectricity = !error && electricityMwh > 0 ? electricityCO2e / electricityMwh : null;
+    const efHeat = !error && heatTJ > 0 ? heatCO2e / heatTJ : null;
+
+    return {
+        unitType: type.id,
+        processId,
+        electricityMwh,
+        heatTJ,
+        fuelTJ,
+        fuelCO2e,
+        electricityCO2e,
+        heatCO2e,
+        efElectricity,
+        efHeat,
+        error,
+        warning,
+        lineage: {
+            type: 'generation',
+            formula: type.hasHeat ? 'Em_el = Em_in × F_el' : 'Em_el = Em_in',
+            inputs: {
+                fuel: { value: fuelTJ, unit: 'TJ', co2e: fuelCO2e, entryIds: fuels.map(r => r.entryId) },
+                electricity: { value: electricityMwh, unit: 'MWh', tj: electricityTJ },
+                heat: { value: heatTJ, unit: 'TJ' },
+            },
+            chp: type.hasHeat ? {
+                etaEl,
+                etaHeat,
+                refEffEl: refEl,
+                refEffHeat: refHeat,
+                fEl,
+                formula: 'F_el = (η_el/η_ref,el) / (η_el/η_ref,el + η_heat/η_ref,heat)',
+            } : null,
+            outputs: {
+                electricityCO2e: { value: electricityCO2e, unit: 't CO₂e' },
+                heatCO2e: { value: heatCO2e, unit: 't CO₂e' },
+                efElectricity: { value: efElectricity, unit: 'tCO₂e/MWh', formula: 'Em_el / E_el' },
+                efHeat: { value: efHeat, unit: 'tCO₂e/TJ', formula: 'Em_heat / Q_heat' },
+            },
+            error,
+            warning,
+        },
+    };
+}
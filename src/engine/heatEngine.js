@@ -0,0 +1,152 @@
+// ═══════════════════════════════════════════════════════════════
+//  Measurable Heat — CBAM Implementing Reg. Annex II §6
+//  Heat imported, exported or passed between production processes
+//  carries the emissions of the fuels that produced it.
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Defaults for heat emission factors.
+ *   defaultEf         — tCO₂/TJ heat; natural gas at 90% boiler efficiency (56.1 / 0.9)
+ *   boilerEfficiency  — η used to turn a fuel-mix EF (per TJ fuel) into an EF per TJ heat
+ */
+export const HEAT_DEFAULTS = {
+    defaultEf: 62.3,
+    boilerEfficiency: 0.9,
+};
+
+/**
+ * Flow direction relative to the installation boundary.
+ * Imports add to the receiving process, exports subtract from the supplying
+ * process (and the installation), internal flows move emissions between processes.
+ */
+export const HEAT_FLOW_TYPES = {
+    import: { id: 'import', label: 'Import', needsFrom: false, needsTo: true },
+    export: { id: 'export', label: 'Export', needsFrom: true, needsTo: false },
+    internal: { id: 'internal', label: 'Internal', needsFrom: true, needsTo: true },
+};
+
+export const HEAT_EF_SOURCES = {
+    fuel_mix: { id: 'fuel_mix', label: 'Fuel mix' },
+    default: { id: 'default', label: 'Default' },
+    custom: { id: 'custom', label: 'Measured / supplier' },
+};
+
+/** Set on results whose fuel-mix EF came from a CHP unit's heat share */
+export const HEAT_EF_CHP = 'chp';
+
+/**
+ * Emission factor of the fuels burnt in a process during a period,
+ * per TJ of heat: Σ tCO₂e / Σ TJ fuel / η.
+ *
+ * @param {Array} combustionResults - calculateTotalEmissions().combustion.entries
+ * @param {string} processId
+ * @param {string} period
+ * @param {number} efficiency - Heat production efficiency η
+ * @returns {{ ef: number|null, co2e: number, energyTJ: number, entryIds: string[] }}
+ */
+export function fuelMixHeatEf(combustionResults, processId, period, efficiency = HEAT_DEFAULTS.boilerEfficiency) {
+    const fuels = combustionResults.filter(r => r.processId === processId && r.period === period && !r.error);
+    const co2e = fuels.reduce((s, r) => s + r.co2e, 0);
+    const energyTJ = fuels.reduce((s, r) => s + r.energyTJ, 0);
+    return {
+        ef: energyTJ > 0 && efficiency > 0 ? co2e / energyTJ / efficiency : null,
+        co2e,
+        energyTJ,
+        entryIds: fuels.map(r => r.entryId),
+    };
+}
+
+/**
+ * Calculate the emissions carried by one heat flow.
+ * Em_heat = Q (TJ) × EF_heat (tCO₂e/TJ)
+ *
+ * A fuel-mix EF needs the supplying process's fuels; imports have no supplying
+ * process inside the boundary, so they fall back to the default factor.
+ * When the supplying process runs a CHP unit, its heat EF replaces the fuel
+ * mix so the electricity share of the fuel is not carried by the heat.
+ *
+ * @param {Object} flow - { period, flowType, fromProcessId, toProcessId, quantityTJ, efSource, customEf }
+ * @param {Array} combustionResults - calculateTotalEmissions().combustion.entries
+ * @param {Array} generationResults - calculateTotalEmissions().generation.entries
+ * @returns {{ co2e: number, ef: number, efSource: string, warning: string|null, adjustments: Array, lineage: Object }}
+ */
+export function calcHeatFlow(flow, combustionResults = [], generationResults = []) {
+    const type = HEAT_FLOW_TYPES[flow.flow_type || flow.flowType] || HEAT_FLOW_TYPES.internal;
+    const fromProcessId = flow.from_process_id || flow.fromProcessId || '';
+    const toProcessId = flow.to_process_id || flow.toProcessId || '';
+    const quantityTJ = Number(flow.quantity_tj ?? flow.quantityTJ) || 0;
+    const requested = HEAT_EF_SOURCES[flow.ef_source || flow.efSource] || HEAT_EF_SOURCES.fuel_mix;
+
+    let ef = HEAT_DEFAULTS.defaultEf;
+    let efSource = HEAT_EF_SOURCES.default.id;
+    let mix = null;
+    let chpUnitId = null;
+    let warning = null;
+
+    if (requested.id === 'custom') {
+        const customEf = flow.custom_ef ?? flow.customEf;
+        if (customEf !== '' && customEf != null && Number(customEf) >= 0) {
+            ef = Number(customEf);
+            efSource = 'custom';
+        } else {
+            warning = 'No measured EF entered — default heat EF applied';
+        }
+    } else if (requested.id === 'fuel_mix') {
+        const chp = type.needsFrom && generationResults.find(g =>
+            g.processId === fromProcessId && g.period === flow.period && g.efHeat !== null);
+        if (chp) {
+            ef = chp.efHeat;
+            efSource = HEAT_EF_CHP;
+            chpUnitId = chp.unitId;
+        } else if (type.needsFrom && fromProcessId) {
+            mix = fuelMixHeatEf(combustionResults, fromProcessId, flow.period);
+            if (mix.ef !== null) {
+                ef = mix.ef;
+                efSource = 'fuel_mix';
+            } else {
+                warning = `No fuels recorded for ${fromProcessId} in ${flow.period} — default heat EF applied`;
+            }
+        } else {
+            warning = 'Imported heat has no fuel mix inside the boundary — default heat EF applied';
+        }
+    }
+
+    const co2e = quantityTJ * ef;
+
+    // Signed per-process effects; processId '' = outside the installation
+    const adjustments = [];
+    if (type.needsFrom) adjustments.push({ processId: fromProcessId, co2e: -co2e });
+    if (type.needsTo) adjustments.push({ processId: toProcessId, co2e });
+
+    return {
+        flowType: type.id,
+        fromProcessId,
+        toProcessId,
+        quantityTJ,
+        ef,
+        efSource,
+        co2e,
+        warning,
+        adjustments,
+        lineage: {
+            type: 'heat',
+            formula: 'Em_heat = Q × EF_heat',
+            inputs: {
+                quantity: { value: quantityTJ, unit: 'TJ' },
+                ef: { value: ef, unit: 'tCO₂e/TJ', source: efSource },
+            },
+            fuelMix: mix && {
+                co2e: mix.co2e,
+                energyTJ: mix.energyTJ,
+                efficiency: HEAT_DEFAULTS.boilerEfficiency,
+                entryIds: mix.entryIds,
+                formula: 'Σ tCO₂e / Σ TJ fuel / η',
+            },
+            chpUnitId,
+            outputs: {
+                co2e: { value: co2e, unit: 't CO₂e' },
+            },
+            warning,
+        },
+    };
+}
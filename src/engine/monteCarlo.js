@@ -0,0 +1,257 @@
+// ═══════════════════════════════════════════════════════════════
+//  Monte Carlo Uncertainty Simulation
+//  Fuel and electricity quantities, emission block parameters, NCVs and
+//  emission factors are drawn from their declared distributions and the full
+//  calculation (calculateTotalEmissions + calculatePCF) is repeated.
+//  Runs in a Web Worker (workers/monteCarlo.worker.js).
+// ═══════════════════════════════════════════════════════════════
+
+import { calculateTotalEmissions, calculatePCF } from './emissionEngine.js';
+import { uncertaintyOf } from './uncertaintyEngine.js';
+
+/**
+ * Sampling distributions. Every distribution is centred on the entered
+ * value and given the standard deviation implied by the declared
+ * uncertainty (% at 95 % confidence: σ = U / 1.96).
+ */
+export const DISTRIBUTIONS = {
+    normal: { id: 'normal', label: 'Normal', description: 'Symmetric, unbounded' },
+    lognormal: { id: 'lognormal', label: 'Lognormal', description: 'Positive, right-skewed — same mean and σ' },
+    triangular: { id: 'triangular', label: 'Triangular', description: 'Symmetric, bounded at ±σ√6' },
+    uniform: { id: 'uniform', label: 'Uniform', description: 'Flat, bounded at ±σ√3' },
+};
+
+/**
+ * Default simulation settings. Activity quantities and block parameters
+ * take their uncertainty from the entry; NCVs and emission factors from
+ * the installation-wide declaration here (0 = held fixed).
+ */
+export const DEFAULT_SIMULATION_SETTINGS = {
+    iterations: 5000,
+    seed: 1,
+    activity: { distribution: 'normal' },
+    parameters: { distribution: 'normal' },
+    ncv: { distribution: 'normal', uncertainty: 0 },
+    ef: { distribution: 'normal', uncertainty: 0 },
+};
+
+/** Upper bound on iterations: each one is a full recalculation */
+export const MAX_SIMULATION_ITERATIONS = 100000;
+
+export const SIMULATION_PERCENTILES = [2.5, 5, 50, 95, 97.5];
+
+// ─── Sampling ────────────────────────────────────────────────
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so a run can be repeated.
+ *
+ * @param {number} seed
+ * @returns {() => number} Uniform [0, 1)
+ */
+export function createRng(seed = 1) {
+    let a = (Number(seed) || 0) >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Box–Muller; 1 − u keeps the logarithm finite
+function standardNormal(rng) {
+    return Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+}
+
+/**
+ * Draw one value around `value`.
+ *
+ * @param {number} value - Central value
+ * @param {number} uncertainty - % at 95 % confidence
+ * @param {string} distribution - DISTRIBUTIONS id
+ * @param {() => number} rng
+ * @returns {number}
+ */
+export function sampleValue(value, uncertainty, distribution, rng) {
+    const sigma = Math.abs(value) * uncertainty / 100 / 1.96;
+    if (!sigma) return value;
+    switch (distribution) {
+        case 'lognormal': {
+            if (!(value > 0)) return value + sigma * standardNormal(rng);
+            const s2 = Math.log(1 + (sigma / value) ** 2);
+            return Math.exp(Math.log(value) - s2 / 2 + Math.sqrt(s2) * standardNormal(rng));
+        }
+        case 'triangular': {
+            const a = sigma * Math.sqrt(6);
+            const u = rng();
+            return value + (u < 0.5 ? a * (Math.sqrt(2 * u) - 1) : a * (1 - Math.sqrt(2 * (1 - u))));
+        }
+        case 'uniform':
+            return value + sigma * Math.sqrt(3) * (2 * rng() - 1);
+        default:
+            return value + sigma * standardNormal(rng);
+    }
+}
+
+// Entry-level factor overrides and the factorScales field they follow
+const CUSTOM_FACTORS = [
+    ['custom_ncv', 'customNcv', 'ncv'],
+    ['custom_ef_co2', 'customEfCo2', 'efCO2'],
+    ['custom_ef_ch4', 'customEfCh4', 'efCH4'],
+    ['custom_ef_n2o', 'customEfN2o', 'efN2O'],
+];
+
+/**
+ * One random realisation of the calculation inputs. Factor uncertainty is
+ * systematic: one draw per fuel type for its NCV and one per fuel type and
+ * gas for its emission factor is applied to every period. The draws scale
+ * library and default factors alike (calculateTotalEmissions
+ * factorScales) and the entry's own NCV and factor overrides.
+ *
+ * @param {Object} inputs - calculateTotalEmissions() inputs
+ * @param {Object} settings - DEFAULT_SIMULATION_SETTINGS shape
+ * @param {() => number} rng
+ * @returns {Object} Inputs with sampled values
+ */
+export function perturbInputs(inputs, settings, rng) {
+    let factorScales = null;
+    if (settings.ncv.uncertainty > 0 || settings.ef.uncertainty > 0) {
+        const draw = (declared) => declared.uncertainty > 0 ? sampleValue(1, declared.uncertainty, declared.distribution, rng) : 1;
+        factorScales = {};
+        (inputs.fuels || []).forEach(entry => {
+            const fuelTypeId = entry.fuel_type_id || entry.fuelTypeId;
+            if (fuelTypeId in factorScales) return;
+            factorScales[fuelTypeId] = { ncv: draw(settings.ncv), efCO2: draw(settings.ef), efCH4: draw(settings.ef), efN2O: draw(settings.ef) };
+        });
+    }
+
+    const fuels = (inputs.fuels || []).map(entry => {
+        const u = uncertaintyOf(entry.uncertainty);
+        const scales = factorScales?.[entry.fuel_type_id || entry.fuelTypeId];
+        const sampled = { ...entry };
+        if (u) sampled.quantity = sampleValue(Number(entry.quantity) || 0, u, settings.activity.distribution, rng);
+        if (scales) {
+            CUSTOM_FACTORS.forEach(([snake, camel, scale]) => {
+                if (Number(entry[snake])) sampled[snake] = Number(entry[snake]) * scales[scale];
+                if (Number(entry[camel])) sampled[camel] = Number(entry[camel]) * scales[scale];
+            });
+        }
+        return u || scales ? sampled : entry;
+    });
+
+    const electricity = (inputs.electricity || []).map(entry => {
+        const u = uncertaintyOf(entry.uncertainty);
+        return u ? { ...entry, mwh: sampleValue(Number(entry.mwh) || 0, u, settings.activity.distribution, rng) } : entry;
+    });
+
+    const emissionBlocks = (inputs.emissionBlocks || []).map(block => {
+        if (!(block.parameters || []).some(p => uncertaintyOf(p.uncertainty))) return block;
+        return {
+            ...block,
+            parameters: block.parameters.map(p => {
+                const u = uncertaintyOf(p.uncertainty);
+                const value = p.value ?? p.defaultValue ?? 0;
+                return u ? { ...p, value: sampleValue(Number(value) || 0, u, p.distribution || settings.parameters.distribution, rng) } : p;
+            }),
+        };
+    });
+
+    return { ...inputs, fuels, electricity, emissionBlocks, factorScales };
+}
+
+// ─── Statistics ──────────────────────────────────────────────
+
+/**
+ * Percentile of sorted samples (linear interpolation).
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(rank);
+    const hi = Math.ceil(rank);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+/**
+ * Summary statistics and histogram of a sample.
+ *
+ * @param {number[]} samples
+ * @param {number} bins
+ * @returns {{ n, mean, sd, min, max, percentiles: Object, histogram: Array<{ from, to, count }> }}
+ *   percentiles keyed by SIMULATION_PERCENTILES ('2.5', '5', …)
+ */
+export function summarizeSamples(samples, bins = 30) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const n = sorted.length;
+    const mean = n ? sorted.reduce((s, x) => s + x, 0) / n : 0;
+    const sd = n > 1 ? Math.sqrt(sorted.reduce((s, x) => s + (x - mean) ** 2, 0) / (n - 1)) : 0;
+    const min = sorted[0] ?? 0;
+    const max = sorted[n - 1] ?? 0;
+    const width = (max - min) / bins || 1;
+    const histogram = Array.from({ length: max > min ? bins : 1 }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+    sorted.forEach(x => {
+        histogram[Math.min(histogram.length - 1, Math.floor((x - min) / width))].count += 1;
+    });
+    return {
+        n,
+        mean,
+        sd,
+        min,
+        max,
+        percentiles: Object.fromEntries(SIMULATION_PERCENTILES.map(p => [String(p), percentile(sorted, p)])),
+        histogram,
+    };
+}
+
+// ─── Simulation ──────────────────────────────────────────────
+
+/**
+ * Run the simulation. Iterations are capped at MAX_SIMULATION_ITERATIONS.
+ *
+ * @param {Object} model - { inputs, products, allocationSettings, productionOutput, processes }
+ * @param {Object} settings - DEFAULT_SIMULATION_SETTINGS shape
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {{ iterations, seed, baseline: Object, total: Object, direct: Object, products: Array }}
+ *   total / direct: summarizeSamples() of t CO₂e; products: { productId, productName, baseline, see }
+ */
+export function runSimulation({ inputs, products = [], allocationSettings, productionOutput = [], processes = [] }, settings = DEFAULT_SIMULATION_SETTINGS, onProgress = null) {
+    const config = { ...DEFAULT_SIMULATION_SETTINGS, ...settings };
+    const iterations = Math.min(MAX_SIMULATION_ITERATIONS, Math.max(1, Math.round(Number(config.iterations) || DEFAULT_SIMULATION_SETTINGS.iterations)));
+    const rng = createRng(config.seed);
+    const calculate = (calcInputs) => {
+        const emissions = calculateTotalEmissions(calcInputs);
+        const pcf = calculatePCF(emissions, products, allocationSettings, { productionOutput, processes });
+        return { emissions, pcf };
+    };
+
+    const baseline = calculate(inputs);
+    const totals = [];
+    const directs = [];
+    const see = Object.fromEntries(baseline.pcf.map(r => [r.productId, []]));
+
+    for (let i = 0; i < iterations; i += 1) {
+        const { emissions, pcf } = calculate(perturbInputs(inputs, config, rng));
+        totals.push(emissions.summary.totalCO2e);
+        directs.push(emissions.summary.directCO2e);
+        pcf.forEach(r => see[r.productId]?.push(r.pcf));
+        if (onProgress && (i + 1) % 100 === 0) onProgress(i + 1, iterations);
+    }
+
+    return {
+        iterations,
+        seed: config.seed,
+        baseline: {
+            totalCO2e: baseline.emissions.summary.totalCO2e,
+            directCO2e: baseline.emissions.summary.directCO2e,
+        },
+        total: summarizeSamples(totals),
+        direct: summarizeSamples(directs),
+        products: baseline.pcf.map(r => ({
+            productId: r.productId,
+            productName: r.productName,
+            baseline: r.pcf,
+            see: summarizeSamples(see[r.productId]),
+        })),
+    };
+}
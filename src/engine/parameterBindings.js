@@ -0,0 +1,143 @@
+// ═══════════════════════════════════════════════════════════════
+//  Emission Block Parameter Bindings
+//  A parameter can take its value from activity data instead of a
+//  typed-in number: the production output of a product or the fuel
+//  quantity of a source stream in the block's period. Bindings are
+//  resolved at calculation time, so the block follows the data it is
+//  derived from. A binding that does not resolve fails the block.
+// ═══════════════════════════════════════════════════════════════
+
+import { FUEL_UNITS } from './unitConversion.js';
+import { monthOf } from './periodScope.js';
+
+/**
+ * Binding sources. A binding is stored on the parameter:
+ *   { source: 'production_output', productId }   — '' = every product
+ *   { source: 'fuel_quantity', fuelTypeId, unit } — unit from FUEL_UNITS
+ */
+export const BINDING_SOURCES = {
+    production_output: {
+        id: 'production_output',
+        label: 'Production output',
+        description: 'Sum of production output of a product in the block period',
+    },
+    fuel_quantity: {
+        id: 'fuel_quantity',
+        label: 'Fuel quantity',
+        description: 'Sum of fuel entries of a fuel type in the block period',
+    },
+};
+
+/**
+ * Unit a binding resolves in — the parameter's unit while it is bound.
+ * Fuel units are given by their FUEL_UNITS id, which unit checking
+ * (unitAnalysis.js) reads.
+ *
+ * @param {Object} binding
+ * @returns {string}
+ */
+export function bindingUnit(binding) {
+    if (binding?.source === 'fuel_quantity') return binding.unit || 't';
+    return 't';
+}
+
+/**
+ * Resolve one binding for a period.
+ * Fuel entries in the binding's unit family are scaled directly; entries
+ * in another family are converted with the NCV and density their
+ * combustion calculation applied (data.combustion, see unitConversion.js).
+ *
+ * @param {Object} binding - { source, productId } or { source, fuelTypeId, unit }
+ * @param {string} period - Block period 'YYYY-MM'
+ * @param {Object} data - { productionOutput, fuels, products, combustion }
+ * @returns {{ value: number, unit: string, error: string|null, source: { type, label, period, rows: string[], estimated: number, converted: string[], skipped: string[] } }}
+ *   rows: ids of the rows summed; estimated: gap-filled rows among them;
+ *   converted: rows converted from another unit family; skipped: rows
+ *   without the NCV or density to convert them
+ */
+export function resolveBinding(binding, period, data = {}) {
+    const month = monthOf(period);
+    const unit = bindingUnit(binding);
+    const source = { type: binding?.source || null, label: '', period: month, rows: [], estimated: 0, converted: [], skipped: [] };
+    const fail = (error) => ({ value: 0, unit, error, source });
+
+    if (!month) return fail('Block has no period to resolve the binding in');
+
+    if (binding?.source === 'production_output') {
+        const product = (data.products || []).find(p => p.id === binding.productId);
+        if (binding.productId && !product) return fail(`Product "${binding.productId}" not found`);
+        source.label = `Production output · ${product ? product.name : 'all products'}`;
+        const rows = (data.productionOutput || []).filter(po =>
+            monthOf(po.period) === month && (!binding.productId || (po.product_id || po.productId) === binding.productId));
+        source.rows = rows.map(po => po.id);
+        if (rows.length === 0) return fail(`No production output recorded in ${month}`);
+        return { value: rows.reduce((s, po) => s + (Number(po.quantity) || 0), 0), unit, error: null, source };
+    }
+
+    if (binding?.source === 'fuel_quantity') {
+        const target = FUEL_UNITS[binding.unit || 't'];
+        if (!target) return fail(`Unknown unit "${binding.unit}"`);
+        source.label = `Fuel quantity · ${binding.fuelTypeId || '—'}`;
+        const rows = (data.fuels || []).filter(f => monthOf(f.period) === month && (f.fuel_type_id || f.fuelTypeId) === binding.fuelTypeId);
+        const combustionById = Object.fromEntries((data.combustion || []).map(r => [r.entryId, r]));
+        let value = 0;
+        rows.forEach(f => {
+            const id = f.stable_id || f.stableId || f.id;
+            const from = FUEL_UNITS[f.unit || 't'];
+            const quantity = Number(f.quantity) || 0;
+            let base = null;
+            if (from && from.family === target.family) {
+                base = quantity * from.toBase;
+            } else if (quantity === 0) {
+                base = 0;
+            } else {
+                // Across unit families through the NCV and density combustion applied
+                const calculated = combustionById[id];
+                const conversion = calculated && !calculated.error ? calculated.lineage.conversion : null;
+                base = conversion
+                    ? { mass: conversion.massT, volume: conversion.volumeM3, energy: conversion.energyGJ.value || null }[target.family] ?? null
+                    : null;
+                if (base !== null) source.converted.push(id);
+            }
+            if (base === null) {
+                source.skipped.push(id);
+                return;
+            }
+            value += base / target.toBase;
+            source.rows.push(id);
+            if (f.substitution) source.estimated += 1;
+        });
+        if (source.rows.length === 0) {
+            return fail(rows.length > 0
+                ? `Fuel entries of ${binding.fuelTypeId} in ${month} cannot be converted to ${target.family} — no NCV or density`
+                : `No ${binding.fuelTypeId || 'fuel'} entries in ${month}`);
+        }
+        return { value, unit, error: null, source };
+    }
+
+    return fail(`Unknown binding source "${binding?.source}"`);
+}
+
+/**
+ * Emission blocks with every bound parameter's value replaced by its
+ * resolved value. The resolution is kept on the parameter as `bound`
+ * for the block panel and lineage; a binding that does not resolve
+ * keeps its error there and calcEmissionBlock() fails the block.
+ *
+ * @param {Array} blocks - Emission blocks
+ * @param {Object} data - { productionOutput, fuels, products, combustion }
+ * @returns {Array} Blocks (unchanged objects when nothing is bound)
+ */
+export function bindBlockParameters(blocks, data) {
+    return blocks.map(block => {
+        if (!(block.parameters || []).some(p => p.binding)) return block;
+        return {
+            ...block,
+            parameters: block.parameters.map(p => {
+                if (!p.binding) return p;
+                const bound = resolveBinding(p.binding, block.period, data);
+                return { ...p, value: bound.value, bound };
+            }),
+        };
+    });
+}
@@ -0,0 +1,268 @@
+// ═══════════════════════════════════════════════════════════════
+//  Reporting Period Scope
+//  Activity rows carry a 'YYYY-MM' period. A calculation only takes
+//  rows inside its window; rows outside it are listed, not counted.
+// ═══════════════════════════════════════════════════════════════
+
+/** Window granularities; 'reporting' is the whole installation period */
+export const PERIOD_GRANULARITIES = {
+    reporting: { id: 'reporting', label: 'Reporting period', months: null },
+    year: { id: 'year', label: 'Year', months: 12 },
+    quarter: { id: 'quarter', label: 'Quarter', months: 3 },
+    month: { id: 'month', label: 'Month', months: 1 },
+};
+
+/** calculateTotalEmissions() input arrays that carry a period */
+const SCOPED_SOURCES = {
+    fuels: 'Fuel',
+    electricity: 'Electricity',
+    processEvents: 'Process event',
+    emissionBlocks: 'Emission block',
+    massBalanceStreams: 'Mass balance stream',
+    cemsSources: 'CEMS source',
+    heatFlows: 'Heat flow',
+    generationUnits: 'Generation unit',
+    co2Transfers: 'CO₂ transfer',
+};
+
+/**
+ * Month of a period value ('YYYY-MM' or 'YYYY-MM-DD').
+ *
+ * @param {string} period
+ * @returns {string|null} 'YYYY-MM', or null when undated
+ */
+export function monthOf(period) {
+    const match = /^(\d{4})-(\d{2})/.exec(period || '');
+    return match ? `${match[1]}-${match[2]}` : null;
+}
+
+/**
+ * Key of the month, quarter or year a period falls in.
+ *
+ * @param {string} period - 'YYYY-MM'
+ * @param {string} granularity - 'month' | 'quarter' | 'year'
+ * @returns {string|null} '2025-03', '2025-Q1' or '2025'
+ */
+export function periodKey(period, granularity = 'month') {
+    const month = monthOf(period);
+    if (!month) return null;
+    const [year, mm] = month.split('-');
+    if (granularity === 'year') return year;
+    if (granularity === 'quarter') return `${year}-Q${Math.ceil(Number(mm) / 3)}`;
+    return month;
+}
+
+/**
+ * First and last month of a period key.
+ *
+ * @param {string} key - '2025', '2025-Q1' or '2025-03'
+ * @returns {{ start: string, end: string }|null} null for anything else
+ */
+export function periodRange(key) {
+    const pad = (m) => String(m).padStart(2, '0');
+    let match = /^(\d{4})$/.exec(key || '');
+    if (match) return { start: `${match[1]}-01`, end: `${match[1]}-12` };
+    match = /^(\d{4})-Q([1-4])$/.exec(key || '');
+    if (match) {
+        const first = (Number(match[2]) - 1) * 3 + 1;
+        return { start: `${match[1]}-${pad(first)}`, end: `${match[1]}-${pad(first + 2)}` };
+    }
+    match = /^\d{4}-(0[1-9]|1[0-2])$/.exec(key || '');
+    return match ? { start: key, end: key } : null;
+}
+
+/**
+ * Calculation window from the installation's reporting period and an
+ * optional sub-period selection ({ granularity, key }). A selection is
+ * clipped to the reporting period. Empty bounds stay open.
+ *
+ * @param {Object} meta - { periodStart, periodEnd }
+ * @param {Object} [selection] - { granularity, key }
+ * @returns {{ start: string|null, end: string|null, granularity: string, key: string|null }|null}
+ *   null when the selection key is not a year, quarter or month, or lies
+ *   outside the reporting period (see periodSelectionError)
+ */
+export function reportingWindow(meta, selection = null) {
+    const start = monthOf(meta?.periodStart);
+    const end = monthOf(meta?.periodEnd);
+    if (!selection || selection.granularity === 'reporting') return { start, end, granularity: 'reporting', key: null };
+    const range = periodRange(selection.key);
+    if (!range) return null;
+    const window = {
+        start: start && start > range.start ? start : range.start,
+        end: end && end < range.end ? end : range.end,
+        granularity: selection.granularity,
+        key: selection.key,
+    };
+    return window.start > window.end ? null : window;
+}
+
+/**
+ * Why a sub-period selection has no calculation window, if it has none.
+ *
+ * @param {Object} meta - { periodStart, periodEnd }
+ * @param {Object} selection - { granularity, key }
+ * @returns {string|null}
+ */
+export function periodSelectionError(meta, selection) {
+    if (reportingWindow(meta, selection)) return null;
+    if (!periodRange(selection.key)) return `Period "${selection.key}" is not a year (2025), quarter (2025-Q1) or month (2025-03)`;
+    return `Period "${selection.key}" lies outside the reporting period ${monthOf(meta?.periodStart) || '…'} → ${monthOf(meta?.periodEnd) || '…'}`;
+}
+
+/**
+ * Whether a dated period lies in a window. Undated periods are not
+ * tested here (see scopeInputs).
+ */
+export function inWindow(period, window) {
+    const month = monthOf(period);
+    if (!month || !window) return true;
+    return (!window.start || month >= window.start) && (!window.end || month <= window.end);
+}
+
+// Month, quarter and year windows leave undated rows out
+const isSubPeriod = (window) => !!window?.granularity && window.granularity !== 'reporting';
+
+/**
+ * Whether a row with this period is counted in a window: dated rows when
+ * they lie in it, undated rows only in the whole reporting period.
+ */
+export function countsInWindow(period, window) {
+    return monthOf(period) ? inWindow(period, window) : !isSubPeriod(window);
+}
+
+/**
+ * Month, quarter or year keys covering a closed window, in order.
+ *
+ * @param {Object} window - { start, end }
+ * @param {string} granularity - 'month' | 'quarter' | 'year'
+ * @returns {Array<{ key: string, start: string, end: string }>} Ranges clipped to the window
+ */
+export function windowBuckets(window, granularity = 'month') {
+    if (!window?.start || !window?.end || window.start > window.end) return [];
+    const buckets = [];
+    let [year, month] = window.start.split('-').map(Number);
+    for (;;) {
+        const current = `${year}-${String(month).padStart(2, '0')}`;
+        if (current > window.end) break;
+        const key = periodKey(current, granularity);
+        if (!buckets.length || buckets[buckets.length - 1].key !== key) {
+            const range = periodRange(key);
+            buckets.push({
+                key,
+                start: range.start < window.start ? window.start : range.start,
+                end: range.end > window.end ? window.end : range.end,
+            });
+        }
+        month += 1;
+        if (month > 12) { month = 1; year += 1; }
+    }
+    return buckets;
+}
+
+/**
+ * First and last month of the dated input rows, to fill the open bounds
+ * of a window.
+ *
+ * @param {Object} inputs - calculateTotalEmissions() inputs
+ * @param {Object|null} window - { start, end }; set bounds are kept
+ * @returns {{ start: string|null, end: string|null }}
+ */
+export function dataWindow(inputs, window = null) {
+    const months = Object.keys(SCOPED_SOURCES)
+        .flatMap(source => (inputs[source] || []).map(row => monthOf(row.period)))
+        .filter(Boolean)
+        .sort();
+    return {
+        start: window?.start || months[0] || null,
+        end: window?.end || months[months.length - 1] || null,
+    };
+}
+
+/**
+ * Keep only the input rows inside a window. Undated rows cannot be
+ * placed in a month, so they count towards the whole reporting period
+ * only and are left out of month, quarter and year windows; either way
+ * they are listed as undated.
+ *
+ * @param {Object} inputs - calculateTotalEmissions() inputs
+ * @param {Object|null} window - { start, end }; null keeps everything
+ * @returns {{ inputs: Object, excluded: Array, undated: Array }}
+ *   excluded / undated: { source, label, id, period }
+ */
+export function scopeInputs(inputs, window) {
+    const scoped = { ...inputs };
+    const excluded = [];
+    const undated = [];
+    Object.entries(SCOPED_SOURCES).forEach(([source, label]) => {
+        if (!inputs[source]) return;
+        scoped[source] = inputs[source].filter(row => {
+            const ref = { source, label, id: row.stable_id || row.stableId || row.id, period: row.period || null };
+            if (!monthOf(row.period)) {
+                undated.push(ref);
+                return !isSubPeriod(window);
+            }
+            if (inWindow(row.period, window)) return true;
+            excluded.push(ref);
+            return false;
+        });
+    });
+    return { inputs: scoped, excluded, undated };
+}
+
+/**
+ * Production output and product quantities of a window. Product
+ * quantities stay authoritative: a product with output records is
+ * scaled, together with its precursor masses, by the share of its
+ * recorded output that falls in the window. Products without output
+ * records cannot be scaled; in a month, quarter or year window they keep
+ * their reporting-period quantity and are listed as unscoped.
+ *
+ * @param {Array} products
+ * @param {Array} productionOutput - production_output rows
+ * @param {Object|null} window - { start, end }
+ * @returns {{ products: Array, productionOutput: Array, excluded: Array, unscoped: Array<{ id, name }> }}
+ */
+export function scopeProduction(products, productionOutput, window) {
+    const recorded = {};
+    const inside = {};
+    const excluded = [];
+    const scopedOutput = productionOutput.filter(po => {
+        const productId = po.product_id || po.productId;
+        const quantity = Number(po.quantity) || 0;
+        recorded[productId] = (recorded[productId] || 0) + quantity;
+        if (!countsInWindow(po.period, window)) {
+            excluded.push({ source: 'productionOutput', label: 'Production output', id: po.id, period: po.period || null });
+            return false;
+        }
+        inside[productId] = (inside[productId] || 0) + quantity;
+        return true;
+    });
+    const unscoped = isSubPeriod(window)
+        ? products.filter(p => !(recorded[p.id] > 0)).map(p => ({ id: p.id, name: p.name || p.id }))
+        : [];
+    if (!excluded.length) return { products, productionOutput, excluded, unscoped };
+    return {
+        products: products.map(p => {
+            if (!(recorded[p.id] > 0)) return p;
+            const share = (inside[p.id] || 0) / recorded[p.id];
+            return {
+                ...p,
+                quantity: (Number(p.quantity) || 0) * share,
+                precursors: p.precursors?.map(pc => ({ ...pc, mass: (Number(pc.mass) || 0) * share })),
+            };
+        }),
+        productionOutput: scopedOutput,
+        excluded,
+        unscoped,
+    };
+}
+
+/**
+ * Human label of a window, e.g. '2025-Q1 (2025-01 → 2025-03)'.
+ */
+export function windowLabel(window) {
+    if (!window) return 'All periods';
+    const range = `${window.start || '…'} → ${window.end || '…'}`;
+    return window.key ? `${window.key} (${range})` : range;
+}
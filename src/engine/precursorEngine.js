@@ -0,0 +1,97 @@
+// ═══════════════════════════════════════════════════════════════
+//  Precursors — CBAM Implementing Reg. Annex II §4
+//  Embedded emissions of purchased precursors added to the SEE of
+//  complex goods: SEE = (AttrEm + Σ M_i × SEE_i) / AL
+//  EU default values are resolved onto the precursor before it gets
+//  here (data/precursorDefaults.js).
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Where a precursor's SEE comes from.
+ *   actual  — supplier's emissions data communication
+ *   default — EU default value for the country of origin and CN code
+ */
+export const PRECURSOR_SOURCES = {
+    actual: { id: 'actual', label: 'Actual' },
+    default: { id: 'default', label: 'Default' },
+};
+
+export const DEFAULT_PRECURSOR_COUNTRY = 'Kazakhstan';
+
+/**
+ * Calculate the embedded emissions of one precursor.
+ * EE = M × SEE, split into direct and indirect. A precursor on default
+ * values takes its SEE from `defaultValue` (withPrecursorDefault()).
+ *
+ * @param {Object} precursor - { name, cnCode, mass, seeDirect, seeIndirect, sourceType, country, defaultValue }
+ * @returns {{ mass: number, seeDirect: number, seeIndirect: number, direct: number, indirect: number, total: number, sourceType: string, warning: string|null, lineage: Object }}
+ */
+export function calcPrecursorEmissions(precursor) {
+    const source = PRECURSOR_SOURCES[precursor.source_type || precursor.sourceType] || PRECURSOR_SOURCES.actual;
+    const cnCode = precursor.cn_code || precursor.cnCode || '';
+    const country = precursor.country || DEFAULT_PRECURSOR_COUNTRY;
+    const mass = Number(precursor.mass) || 0;
+    let seeDirect = Number(precursor.see_direct ?? precursor.seeDirect) || 0;
+    let seeIndirect = Number(precursor.see_indirect ?? precursor.seeIndirect) || 0;
+    let defaultValue = null;
+    let warning = null;
+
+    if (source.id === 'default') {
+        defaultValue = precursor.defaultValue || null;
+        if (defaultValue) {
+            seeDirect = defaultValue.d || 0;
+            seeIndirect = defaultValue.i || 0;
+        } else {
+            warning = `No EU default value for CN ${cnCode || '—'} (${country}) — entered SEE used`;
+        }
+    } else if (seeDirect + seeIndirect === 0 && mass > 0) {
+        warning = 'No actual SEE entered — precursor carries no emissions';
+    }
+
+    const direct = mass * seeDirect;
+    const indirect = mass * seeIndirect;
+
+    return {
+        mass,
+        seeDirect,
+        seeIndirect,
+        direct,
+        indirect,
+        total: direct + indirect,
+        sourceType: source.id,
+        warning,
+        lineage: {
+            type: 'precursor',
+            formula: 'EE = M × SEE',
+            inputs: {
+                mass: { value: mass, unit: 't' },
+                seeDirect: { value: seeDirect, unit: 'tCO₂e/t', source: source.id },
+                seeIndirect: { value: seeIndirect, unit: 'tCO₂e/t', source: source.id },
+            },
+            defaultValue: defaultValue && { country, cn: defaultValue.cn, description: defaultValue.desc },
+            outputs: {
+                direct: { value: direct, unit: 't CO₂e' },
+                indirect: { value: indirect, unit: 't CO₂e' },
+            },
+            warning,
+        },
+    };
+}
+
+/**
+ * Sum the embedded emissions of all precursors of a product.
+ *
+ * @param {Array} precursors - product.precursors
+ * @returns {{ entries: Array, direct: number, indirect: number, total: number }}
+ */
+export function calcProductPrecursors(precursors = []) {
+    const entries = precursors.map(pc => ({
+        precursorId: pc.stable_id || pc.stableId || pc.id,
+        name: pc.name || '',
+        cnCode: pc.cn_code || pc.cnCode || '',
+        ...calcPrecursorEmissions(pc),
+    }));
+    const direct = entries.reduce((s, e) => s + e.direct, 0);
+    const indirect = entries.reduce((s, e) => s + e.indirect, 0);
+    return { entries, direct, indirect, total: direct + indirect };
+}
@@ -0,0 +1,108 @@
+// ═══════════════════════════════════════════════════════════════
+//  CO₂ Transfers — MRR Art. 49
+//  CO₂ leaving the installation for capture, transport or geological
+//  storage, or permanently chemically bound in a product, is deducted
+//  from direct emissions only when every condition of Art. 49 is met.
+//  Other transfers are recorded but stay in the installation's total.
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Transfer types. `deductible`: may be subtracted under Art. 49(1);
+ * `requiresMeasurement`: the transferred quantity must be determined
+ * with a measurement-based methodology (Art. 49(2), Art. 40–46).
+ */
+export const CO2_TRANSFER_TYPES = {
+    capture_installation: {
+        id: 'capture_installation',
+        label: 'Capture installation',
+        description: 'Transferred to a capture installation for transport and geological storage',
+        deductible: true,
+        requiresMeasurement: true,
+    },
+    transport_network: {
+        id: 'transport_network',
+        label: 'Transport network',
+        description: 'Transferred to a transport network for geological storage',
+        deductible: true,
+        requiresMeasurement: true,
+    },
+    storage_site: {
+        id: 'storage_site',
+        label: 'Storage site',
+        description: 'Transferred to a storage site permitted under Directive 2009/31/EC',
+        deductible: true,
+        requiresMeasurement: true,
+    },
+    permanently_bound: {
+        id: 'permanently_bound',
+        label: 'Permanently bound',
+        description: 'Permanently chemically bound in a product (Art. 49(1)(b))',
+        deductible: true,
+        requiresMeasurement: false,
+    },
+    other: {
+        id: 'other',
+        label: 'Other use',
+        description: 'Any other transfer (e.g. beverages, greenhouses) — not deductible',
+        deductible: false,
+        requiresMeasurement: false,
+    },
+};
+
+export const CO2_TRANSFER_MEASUREMENTS = {
+    measured: { id: 'measured', label: 'Measured (CEMS / flow meter)' },
+    calculated: { id: 'calculated', label: 'Calculated' },
+};
+
+/**
+ * Deduction of one CO₂ transfer.
+ *
+ * @param {Object} transfer - { period, processId, transferType, receivingInstallationId, quantity, measurementMethod, evidence }
+ * @returns {{ quantity: number, deduction: number, deductible: boolean, conditions: Array<{ id, label, met }>, warning: string|null, lineage: Object }}
+ *   quantity / deduction in t CO₂
+ */
+export function calcCo2Transfer(transfer) {
+    const type = CO2_TRANSFER_TYPES[transfer.transfer_type || transfer.transferType] || CO2_TRANSFER_TYPES.other;
+    const quantity = Number(transfer.quantity) || 0;
+    const receivingId = (transfer.receiving_installation_id ?? transfer.receivingInstallationId ?? '').trim();
+    const measurement = CO2_TRANSFER_MEASUREMENTS[transfer.measurement_method || transfer.measurementMethod] || CO2_TRANSFER_MEASUREMENTS.calculated;
+    const evidence = (transfer.evidence || '').trim();
+
+    const conditions = [
+        { id: 'type', label: `${type.label} transfers may be deducted`, met: type.deductible },
+        { id: 'receiver', label: 'Receiving installation identified', met: receivingId !== '' },
+        { id: 'evidence', label: 'Measurement evidence recorded', met: evidence !== '' },
+        ...(type.requiresMeasurement
+            ? [{ id: 'measurement', label: 'Quantity determined by measurement', met: measurement.id === 'measured' }]
+            : []),
+    ];
+    const deductible = quantity > 0 && conditions.every(c => c.met);
+    const deduction = deductible ? quantity : 0;
+    const unmet = conditions.filter(c => !c.met).map(c => c.label.toLowerCase());
+    const warning = quantity > 0 && !deductible
+        ? `Not deducted — ${type.deductible ? `missing: ${unmet.join(', ')}` : type.description}`
+        : null;
+
+    return {
+        quantity,
+        deduction,
+        deductible,
+        conditions,
+        warning,
+        lineage: {
+            type: 'co2_transfer',
+            transferType: { id: type.id, label: type.label },
+            inputs: {
+                quantity: { value: quantity, unit: 't CO₂' },
+                measurement: { id: measurement.id, label: measurement.label },
+                receivingInstallationId: receivingId || null,
+                evidence: evidence || null,
+            },
+            conditions,
+            outputs: {
+                deduction: { value: deduction, unit: 't CO₂', formula: deductible ? 'transferred quantity (Art. 49)' : 'not deductible' },
+            },
+            warning,
+        },
+    };
+}
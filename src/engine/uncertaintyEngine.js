@@ -0,0 +1,281 @@
+// ═══════════════════════════════════════════════════════════════
+//  Uncertainty & Tier Assessment — MRR Art. 12, 19, 26, Annex II
+//  Instrument uncertainties (% at 95 % confidence) are propagated to
+//  emissions, source streams are classified by their share of the
+//  installation's emissions, and the achieved uncertainty of each
+//  stream is checked against the tier it is required to meet.
+// ═══════════════════════════════════════════════════════════════
+
+import { evaluate } from './formulaEvaluator.js';
+
+/**
+ * Activity data tiers (MRR Annex II, 1): maximum permissible
+ * uncertainty over the reporting period, in %.
+ */
+export const UNCERTAINTY_TIERS = [
+    { tier: 4, maxUncertainty: 1.5 },
+    { tier: 3, maxUncertainty: 2.5 },
+    { tier: 2, maxUncertainty: 5.0 },
+    { tier: 1, maxUncertainty: 7.5 },
+];
+
+/**
+ * Installation categories by average annual verified emissions (MRR Art. 19(2)).
+ */
+export const INSTALLATION_CATEGORIES = {
+    A: { id: 'A', label: 'Category A', description: '≤ 50 000 t CO₂e/year', maxTonnes: 50000 },
+    B: { id: 'B', label: 'Category B', description: '> 50 000 and ≤ 500 000 t CO₂e/year', maxTonnes: 500000 },
+    C: { id: 'C', label: 'Category C', description: '> 500 000 t CO₂e/year', maxTonnes: Infinity },
+};
+
+/**
+ * Source stream classes (MRR Art. 19(3)). Thresholds apply to the streams
+ * of a class jointly: below `tonnes` or below `share` of the total,
+ * whichever is higher, but never above `cap`.
+ */
+export const STREAM_CLASSES = {
+    de_minimis: { id: 'de_minimis', label: 'De-minimis', tonnes: 1000, share: 0.02, cap: 20000 },
+    minor: { id: 'minor', label: 'Minor', tonnes: 5000, share: 0.10, cap: 100000 },
+    major: { id: 'major', label: 'Major', tonnes: null, share: null, cap: null },
+};
+
+/**
+ * Tier each stream class must reach per installation category
+ * (MRR Art. 26). null: no tier required — a conservative estimate suffices.
+ */
+export const REQUIRED_TIERS = {
+    major: { A: 2, B: 4, C: 4 },
+    minor: { A: 1, B: 1, C: 1 },
+    de_minimis: { A: null, B: null, C: null },
+};
+
+// ─── Propagation ─────────────────────────────────────────────
+
+/**
+ * Declared uncertainty in %, or null when none is documented.
+ */
+export function uncertaintyOf(value) {
+    const pct = Number(value);
+    return value === null || value === undefined || value === '' || !(pct >= 0) ? null : pct;
+}
+
+/**
+ * Relative uncertainty of a product or quotient of independent factors:
+ * u = √(Σ uᵢ²).
+ *
+ * @param {Array<number|null>} relatives - Factor uncertainties in %
+ * @returns {number|null} % — null when any factor is undocumented
+ */
+export function propagateProduct(relatives) {
+    if (relatives.some(u => u === null)) return null;
+    return Math.sqrt(relatives.reduce((s, u) => s + u * u, 0));
+}
+
+/**
+ * Absolute uncertainty of a sum of independent terms: U = √(Σ Uᵢ²).
+ *
+ * @param {Array<number|null>} absolutes - Term uncertainties in the unit of the sum
+ * @returns {number|null} null when any term is undocumented
+ */
+export function propagateSum(absolutes) {
+    if (absolutes.some(u => u === null)) return null;
+    return Math.sqrt(absolutes.reduce((s, u) => s + u * u, 0));
+}
+
+/**
+ * First-order propagation through a formula (GUM law of propagation):
+ * U² = Σ (∂f/∂xᵢ · Uᵢ)², with the partial derivatives taken numerically.
+ * For products and sums this reduces to propagateProduct / propagateSum.
+ * Variables without an uncertainty are treated as exact.
+ *
+ * @param {string} formula
+ * @param {Object} variables - { key: value }
+ * @param {Object} uncertainties - { key: % at 95 % confidence }
+ * @returns {{ value: number, absolute: number, relative: number|null, contributions: Array<{ key, sensitivity, absolute }> }|null}
+ *   null when the formula does not evaluate
+ */
+export function propagateFormula(formula, variables, uncertainties) {
+    const base = evaluate(formula, variables);
+    if (base.error) return null;
+    const contributions = Object.entries(uncertainties)
+        .filter(([key, pct]) => key in variables && pct !== null)
+        .map(([key, pct]) => {
+            const x = Number(variables[key]) || 0;
+            const h = Math.abs(x) * 1e-6 || 1e-9;
+            const up = evaluate(formula, { ...variables, [key]: x + h });
+            const down = evaluate(formula, { ...variables, [key]: x - h });
+            const sensitivity = up.error || down.error ? 0 : (up.value - down.value) / (2 * h);
+            return { key, sensitivity, absolute: Math.abs(sensitivity * x * pct / 100) };
+        });
+    const absolute = propagateSum(contributions.map(c => c.absolute)) || 0;
+    return {
+        value: base.value,
+        absolute,
+        relative: base.value ? absolute / Math.abs(base.value) * 100 : null,
+        contributions,
+    };
+}
+
+/**
+ * Uncertainty of a fuel entry's emissions from its activity data only.
+ * NCV and emission factor uncertainties are excluded: the MRR tiers of
+ * Annex II, 1 are set for activity data, and calculation factors are
+ * tiered separately (Art. 26, Annex II, 2). The result is therefore the
+ * activity data uncertainty, not the total uncertainty of the emissions;
+ * the Monte Carlo simulation covers the factors.
+ *
+ * @param {Object} entry - Fuel entry { uncertainty }
+ * @param {number} co2e - Calculated emissions
+ * @returns {Object|null} lineage.uncertainty, null when undocumented
+ */
+export function combustionUncertainty(entry, co2e) {
+    const activity = uncertaintyOf(entry.uncertainty);
+    if (activity === null) return null;
+    const relative = propagateProduct([activity]);
+    return {
+        activityData: { value: activity, unit: '%', source: 'instrument' },
+        relative: { value: relative, unit: '%', formula: 'U_AD (NCV and EF excluded)' },
+        absolute: { value: Math.abs(co2e) * relative / 100, unit: 't CO₂e' },
+    };
+}
+
+/**
+ * Uncertainty of an emission block from its parameter uncertainties.
+ *
+ * @param {Object} block - { formula, parameters: [{ key, uncertainty }] }
+ * @param {Object} variables - Values the block was evaluated with
+ * @param {number} gwpFactor
+ * @returns {Object|null} lineage.uncertainty, null when no parameter has one
+ */
+export function blockUncertainty(block, variables, gwpFactor = 1) {
+    const uncertainties = Object.fromEntries((block.parameters || [])
+        .map(p => [p.key, uncertaintyOf(p.uncertainty)])
+        .filter(([, u]) => u !== null));
+    if (Object.keys(uncertainties).length === 0) return null;
+    const result = propagateFormula(block.formula, variables, uncertainties);
+    if (!result) return null;
+    return {
+        parameters: result.contributions.map(c => ({ key: c.key, uncertainty: uncertainties[c.key], sensitivity: c.sensitivity, contribution: c.absolute })),
+        relative: { value: result.relative, unit: '%', formula: '√Σ(∂f/∂xᵢ · Uᵢ)² / f' },
+        absolute: { value: result.absolute * gwpFactor, unit: 't CO₂e' },
+    };
+}
+
+// ─── Source Streams ──────────────────────────────────────────
+
+/**
+ * Achieved tier for an uncertainty.
+ *
+ * @param {number|null} uncertainty - %
+ * @returns {number|null} 4 (best) … 1, 0 when worse than tier 1, null when undocumented
+ */
+export function tierForUncertainty(uncertainty) {
+    if (uncertainty === null || uncertainty === undefined) return null;
+    // Numeric derivatives leave noise in the last digits
+    const rounded = Math.round(uncertainty * 1e6) / 1e6;
+    return UNCERTAINTY_TIERS.find(t => rounded <= t.maxUncertainty)?.tier ?? 0;
+}
+
+const maxUncertaintyOf = (tier) => UNCERTAINTY_TIERS.find(t => t.tier === tier)?.maxUncertainty ?? null;
+
+/**
+ * Installation category for annual emissions.
+ */
+export function installationCategory(annualTonnes) {
+    return Object.values(INSTALLATION_CATEGORIES).find(c => annualTonnes <= c.maxTonnes) || INSTALLATION_CATEGORIES.C;
+}
+
+/**
+ * Group calculated entries into source streams: one per fuel type and one
+ * per emission block template (or name). Fuels measured by CEMS are left
+ * out — their emissions are determined by measurement.
+ *
+ * Entries of a stream at the same process are read from the same
+ * instrument, whose uncertainty is systematic over the period: their
+ * absolute uncertainties add linearly. Different instruments are
+ * independent and combine as √(Σ Uᵢ²).
+ *
+ * @param {Object} emissions - calculateTotalEmissions() result
+ * @returns {Array<{ key, type, name, co2e, entries: number, undocumented: number, absolute: number|null, uncertainty: number|null }>}
+ */
+export function groupSourceStreams(emissions) {
+    const streams = {};
+    const add = (key, type, name, result) => {
+        const stream = streams[key] || (streams[key] = { key, type, name, co2e: 0, entries: 0, undocumented: 0, instruments: {} });
+        const absolute = result.lineage?.uncertainty?.absolute?.value ?? null;
+        const instrument = result.processId || '';
+        stream.co2e += result.co2e;
+        stream.entries += 1;
+        if (absolute === null) stream.undocumented += 1;
+        const previous = stream.instruments[instrument];
+        stream.instruments[instrument] = previous === null || absolute === null ? null : (previous || 0) + absolute;
+    };
+    (emissions.combustion?.entries || [])
+        .filter(r => !r.coveredByCems && !r.error)
+        .forEach(r => add(`fuel:${r.fuelTypeId}`, 'fuel', r.lineage.fuelType, r));
+    (emissions.emissionBlocks?.entries || [])
+        .filter(r => !r.error)
+        .forEach(r => add(`block:${r.templateId || r.name}`, 'block', r.name, r));
+
+    return Object.values(streams).map(({ instruments, ...stream }) => {
+        const absolute = propagateSum(Object.values(instruments));
+        return {
+            ...stream,
+            absolute,
+            uncertainty: absolute === null || stream.co2e === 0 ? null : absolute / Math.abs(stream.co2e) * 100,
+        };
+    });
+}
+
+/**
+ * Classify source streams and check their tiers.
+ * Streams are assigned to the de-minimis class smallest first while their
+ * joint emissions stay within its threshold, then likewise to the minor
+ * class; the rest are major. The installation category follows from the
+ * annual direct emissions.
+ *
+ * @param {Object} emissions - calculateTotalEmissions() result over the reporting period
+ * @returns {{ category: Object, totalCO2e: number, thresholds: Object, streams: Array }}
+ *   streams: groupSourceStreams() rows with streamClass, requiredTier,
+ *   maxUncertainty, achievedTier and status 'ok' | 'exceeds' | 'undocumented' | 'not_required'
+ */
+export function assessSourceStreams(emissions) {
+    const streams = groupSourceStreams(emissions).sort((a, b) => Math.abs(a.co2e) - Math.abs(b.co2e));
+    const totalCO2e = streams.reduce((s, r) => s + Math.abs(r.co2e), 0);
+    const category = installationCategory(Math.max(0, emissions.summary?.directCO2e || 0));
+    const limit = (cls) => Math.min(Math.max(cls.tonnes, cls.share * totalCO2e), cls.cap);
+    const thresholds = { de_minimis: limit(STREAM_CLASSES.de_minimis), minor: limit(STREAM_CLASSES.minor) };
+
+    let deMinimis = 0;
+    let minor = 0;
+    return {
+        category,
+        totalCO2e,
+        thresholds,
+        streams: streams.map(stream => {
+            const tonnes = Math.abs(stream.co2e);
+            let streamClass = 'major';
+            if (deMinimis + tonnes < thresholds.de_minimis) {
+                deMinimis += tonnes;
+                streamClass = 'de_minimis';
+            } else if (minor + tonnes < thresholds.minor) {
+                minor += tonnes;
+                streamClass = 'minor';
+            }
+            const requiredTier = REQUIRED_TIERS[streamClass][category.id];
+            const achievedTier = tierForUncertainty(stream.uncertainty);
+            const status = requiredTier === null ? 'not_required'
+                : achievedTier === null ? 'undocumented'
+                    : achievedTier >= requiredTier ? 'ok' : 'exceeds';
+            return {
+                ...stream,
+                share: totalCO2e > 0 ? tonnes / totalCO2e : 0,
+                streamClass,
+                requiredTier,
+                maxUncertainty: maxUncertaintyOf(requiredTier),
+                achievedTier,
+                status,
+            };
+        }).sort((a, b) => Math.abs(b.co2e) - Math.abs(a.co2e)),
+    };
+}
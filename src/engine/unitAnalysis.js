@@ -0,0 +1,385 @@
+// ═══════════════════════════════════════════════════════════════
+//  Dimensional Analysis — Emission Block Units
+//  Parses parameter unit strings ('t', 'kg/t Al', 'min/cell·day',
+//  't CF₄/(t Al × AEM)') into dimensions and a scale, carries them
+//  through the formula's syntax tree and checks that the block result
+//  is a mass in tonnes — the unit calcEmissionBlock() reads it in. A
+//  block whose units do not reach tonnes is not calculated.
+// ═══════════════════════════════════════════════════════════════
+
+import { parseFormula } from './formulaEvaluator.js';
+
+// Base unit of each dimension, used when a unit has no name of its own
+const BASE_SYMBOLS = { mass: 't', time: 's', energy: 'GJ', volume: 'm³', length: 'm', cell: 'cell' };
+
+// Symbols results are shown in when one matches exactly
+const DISPLAY_SYMBOLS = ['t', 'kg', 'g', 'kt', 'Mt', 's', 'min', 'h', 'day', 'GJ', 'MJ', 'TJ', 'MWh', 'm³', 'l', 'm', 'cell', '%', '‰', 'ppm'];
+
+const unit = (dims, scale = 1) => ({ dims, scale });
+const DIMENSIONLESS = unit({});
+
+/**
+ * Recognised unit symbols: dimension exponents and the size of the unit
+ * in base units (t, s, GJ, m³, m, cell). Words after a unit that are not
+ * units themselves name the substance and are ignored: 't Al', 'kg/t CKD',
+ * 'tCO₂'.
+ */
+export const UNITS = {
+    // Mass
+    t: unit({ mass: 1 }),
+    tonne: unit({ mass: 1 }),
+    tonnes: unit({ mass: 1 }),
+    kt: unit({ mass: 1 }, 1e3),
+    Mt: unit({ mass: 1 }, 1e6),
+    kg: unit({ mass: 1 }, 1e-3),
+    g: unit({ mass: 1 }, 1e-6),
+    mg: unit({ mass: 1 }, 1e-9),
+    // Time
+    s: unit({ time: 1 }),
+    min: unit({ time: 1 }, 60),
+    h: unit({ time: 1 }, 3600),
+    d: unit({ time: 1 }, 86400),
+    day: unit({ time: 1 }, 86400),
+    yr: unit({ time: 1 }, 365 * 86400),
+    // Energy
+    kJ: unit({ energy: 1 }, 1e-6),
+    MJ: unit({ energy: 1 }, 1e-3),
+    GJ: unit({ energy: 1 }),
+    TJ: unit({ energy: 1 }, 1e3),
+    kWh: unit({ energy: 1 }, 3.6e-3),
+    MWh: unit({ energy: 1 }, 3.6),
+    GWh: unit({ energy: 1 }, 3600),
+    therm: unit({ energy: 1 }, 0.105506),
+    // Volume and length
+    'm³': unit({ volume: 1 }),
+    m3: unit({ volume: 1 }),
+    'Nm³': unit({ volume: 1 }),
+    Nm3: unit({ volume: 1 }),
+    'kNm³': unit({ volume: 1 }, 1e3),
+    kNm3: unit({ volume: 1 }, 1e3),
+    l: unit({ volume: 1 }, 1e-3),
+    L: unit({ volume: 1 }, 1e-3),
+    kL: unit({ volume: 1 }),
+    m: unit({ length: 1 }),
+    km: unit({ length: 1 }, 1e3),
+    // Counts
+    cell: unit({ cell: 1 }),
+    cells: unit({ cell: 1 }),
+    // Dimensionless
+    fraction: DIMENSIONLESS,
+    ratio: DIMENSIONLESS,
+    '-': DIMENSIONLESS,
+    '1': DIMENSIONLESS,
+    '%': unit({}, 1e-2),
+    '‰': unit({}, 1e-3),
+    ppm: unit({}, 1e-6),
+    // Anode effect minutes per cell-day (IPCC slope method)
+    AEM: unit({ cell: -1 }, 60 / 86400),
+};
+
+// ─── Unit Algebra ────────────────────────────────────────────
+
+function combine(a, b, sign) {
+    const dims = { ...a.dims };
+    Object.entries(b.dims).forEach(([d, e]) => { dims[d] = (dims[d] || 0) + sign * e; });
+    Object.keys(dims).forEach(d => { if (!dims[d]) delete dims[d]; });
+    return unit(dims, sign > 0 ? a.scale * b.scale : a.scale / b.scale);
+}
+
+const multiply = (a, b) => combine(a, b, 1);
+const divide = (a, b) => combine(a, b, -1);
+const power = (a, n) => unit(Object.fromEntries(Object.entries(a.dims).map(([d, e]) => [d, e * n])), a.scale ** n);
+
+function sameDimensions(a, b) {
+    const keys = new Set([...Object.keys(a.dims), ...Object.keys(b.dims)]);
+    return [...keys].every(d => (a.dims[d] || 0) === (b.dims[d] || 0));
+}
+
+const sameScale = (a, b) => Math.abs(a.scale / b.scale - 1) < 1e-9;
+
+const SUPERSCRIPTS = { '-': '⁻', 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+const superscript = (n) => String(n).split('').map(c => SUPERSCRIPTS[c] ?? c).join('');
+
+/**
+ * Readable form of a unit: a named unit where one matches ('kg', 'MWh',
+ * '%'), else base units with exponents and any scale in front.
+ *
+ * @param {{ dims: Object, scale: number }} u
+ * @returns {string}
+ */
+export function formatUnit(u) {
+    const named = DISPLAY_SYMBOLS.find(symbol => sameDimensions(UNITS[symbol], u) && sameScale(UNITS[symbol], u));
+    if (named) return named;
+    const dims = Object.entries(u.dims);
+    if (dims.length === 0) return sameScale(u, DIMENSIONLESS) ? 'dimensionless' : `× ${u.scale.toPrecision(3)}`;
+
+    const part = ([d, e]) => `${BASE_SYMBOLS[d]}${Math.abs(e) === 1 ? '' : superscript(Math.abs(e))}`;
+    const numerator = dims.filter(([, e]) => e > 0).map(part).join('·') || '1';
+    const denominator = dims.filter(([, e]) => e < 0).map(part).join('·');
+    const body = denominator ? `${numerator}/${denominator.includes('·') ? `(${denominator})` : denominator}` : numerator;
+    return sameScale(u, DIMENSIONLESS) ? body : `${u.scale.toPrecision(3)} ${body}`;
+}
+
+// ─── Unit Strings ────────────────────────────────────────────
+
+// Unit for one word: an exact symbol, a symbol with a ²/³ exponent, or a
+// symbol run into an upper-case substance ('tCO₂')
+function resolveWord(word) {
+    if (Object.hasOwn(UNITS, word)) return UNITS[word];
+    const exponent = { '²': 2, '³': 3 }[word.slice(-1)];
+    if (exponent && Object.hasOwn(UNITS, word.slice(0, -1))) return power(UNITS[word.slice(0, -1)], exponent);
+    const prefix = Object.keys(UNITS)
+        .filter(symbol => word.startsWith(symbol) && /^[A-Z]/.test(word.slice(symbol.length)))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? UNITS[prefix] : null;
+}
+
+// Grammar (everything after '/' up to the next '/' is in the denominator):
+//   quotient = product ('/' product)*
+//   product  = factor ((('·' | '×' | '*') | ' ') factor)*     — words that are not units are skipped
+//   factor   = '(' quotient ')' | WORD ('^' INTEGER)?
+class UnitParser {
+    constructor(text) {
+        this.tokens = text.match(/[()/·×*^]|\s+|[^\s()/·×*^]+/g) || [];
+        this.pos = 0;
+    }
+
+    peek() { return this.tokens[this.pos]; }
+
+    skipSpace() {
+        const spaced = /^\s+$/.test(this.peek() || '');
+        if (spaced) this.pos++;
+        return spaced;
+    }
+
+    parse() {
+        const u = this.quotient();
+        this.skipSpace();
+        if (this.pos < this.tokens.length) throw new Error(`Unexpected "${this.peek()}"`);
+        return u;
+    }
+
+    quotient() {
+        let u = this.product();
+        this.skipSpace();
+        while (this.peek() === '/') {
+            this.pos++;
+            u = divide(u, this.product());
+            this.skipSpace();
+        }
+        return u;
+    }
+
+    product() {
+        let u = this.factor();
+        for (;;) {
+            const spaced = this.skipSpace();
+            const tok = this.peek();
+            if (tok === '·' || tok === '×' || tok === '*') {
+                this.pos++;
+                this.skipSpace();
+                u = multiply(u, this.factor());
+            } else if (spaced && tok === '(') {
+                u = multiply(u, this.factor());
+            } else if (spaced && tok && !'()/^'.includes(tok)) {
+                if (resolveWord(tok)) u = multiply(u, this.factor());
+                else this.pos++;   // substance: 't Al', 'kg/t CKD'
+            } else {
+                return u;
+            }
+        }
+    }
+
+    factor() {
+        this.skipSpace();
+        const tok = this.peek();
+        let u;
+        if (tok === '(') {
+            this.pos++;
+            u = this.quotient();
+            if (this.peek() !== ')') throw new Error('Missing ")"');
+            this.pos++;
+        } else {
+            if (!tok || '()/^·×*'.includes(tok)) throw new Error(`Unexpected "${tok ?? 'end'}"`);
+            u = resolveWord(tok);
+            if (!u) throw new Error(`Unknown unit "${tok}"`);
+            this.pos++;
+        }
+        if (this.peek() === '^') {
+            this.pos++;
+            const n = Number(this.peek());
+            if (!Number.isInteger(n)) throw new Error(`Exponent must be an integer, got "${this.peek()}"`);
+            this.pos++;
+            u = power(u, n);
+        }
+        return u;
+    }
+}
+
+/**
+ * Parse a unit string.
+ *
+ * @param {string} text - e.g. 'kg/t Al', 'min/cell·day', 'fraction'
+ * @returns {{ unit: { dims: Object, scale: number }|null, error: string|null }}
+ *   unit null and no error when the text is empty (undeclared)
+ */
+export function parseUnit(text) {
+    const source = String(text ?? '').trim();
+    if (!source) return { unit: null, error: null };
+    try {
+        return { unit: new UnitParser(source).parse(), error: null };
+    } catch (err) {
+        return { unit: null, error: err.message };
+    }
+}
+
+// ─── Formula Analysis ────────────────────────────────────────
+
+// A literal power of ten (1000, 0.001, 1e6 …) multiplying or dividing a
+// quantity is read as a unit conversion, not a factor: kg ÷ 1000 = t.
+function literalUnit(value) {
+    const exponent = Math.log10(Math.abs(value));
+    return value !== 0 && Number.isInteger(exponent) && exponent !== 0 ? unit({}, 1 / Math.abs(value)) : DIMENSIONLESS;
+}
+
+const constantOf = (node) => node.type === 'number' ? node.value
+    : node.type === 'unary' && node.operand.type === 'number' ? -node.operand.value
+        : null;
+
+class UnitAnalyzer {
+    constructor(units) {
+        this.units = units;
+        this.issues = [];
+    }
+
+    // Operands that must share a unit; bare numbers take the other operand's unit
+    agree(results, context) {
+        if (results.some(r => r === null)) return null;
+        const quantities = results.filter(r => !r.literal);
+        if (quantities.length === 0) return { unit: DIMENSIONLESS, literal: true };
+        const [first, ...rest] = quantities;
+        rest.forEach(r => {
+            if (!sameDimensions(first.unit, r.unit)) {
+                this.issues.push(`${context}: ${formatUnit(first.unit)} and ${formatUnit(r.unit)} have different dimensions`);
+            } else if (!sameScale(first.unit, r.unit)) {
+                this.issues.push(`${context}: ${formatUnit(first.unit)} and ${formatUnit(r.unit)} differ by a factor of ${formatFactor(r.unit.scale / first.unit.scale)} — convert first`);
+            }
+        });
+        return { unit: first.unit, literal: false };
+    }
+
+    // Returns { unit, literal } or null when a parameter's unit is not known
+    visit(node) {
+        switch (node.type) {
+            case 'number':
+                return { unit: literalUnit(node.value), literal: true };
+            case 'variable':
+                return this.units[node.name] ? { unit: this.units[node.name], literal: false } : null;
+            case 'unary':
+                return this.visit(node.operand);
+            case 'compare': {
+                const agreed = this.agree([this.visit(node.left), this.visit(node.right)], `Comparison ${node.op}`);
+                return agreed && { unit: DIMENSIONLESS, literal: false };
+            }
+            case 'call':
+                return this.visitCall(node);
+            default:
+                return this.visitBinary(node);
+        }
+    }
+
+    visitBinary(node) {
+        const left = this.visit(node.left);
+        if (node.op === '^') {
+            const exponent = constantOf(node.right);
+            this.visit(node.right);
+            if (!left) return null;
+            if (exponent !== null) return { unit: power(left.unit, exponent), literal: left.literal };
+            if (Object.keys(left.unit.dims).length > 0) {
+                this.issues.push(`Power: a quantity in ${formatUnit(left.unit)} can only be raised to a constant`);
+            }
+            return { unit: DIMENSIONLESS, literal: false };
+        }
+        const right = this.visit(node.right);
+        if (node.op === '+' || node.op === '-') {
+            return this.agree([left, right], node.op === '+' ? 'Addition' : 'Subtraction');
+        }
+        if (!left || !right) return null;
+        const combined = node.op === '*' ? multiply(left.unit, right.unit) : divide(left.unit, right.unit);
+        return { unit: combined, literal: left.literal && right.literal };
+    }
+
+    visitCall(node) {
+        const args = node.args.map(arg => this.visit(arg));
+        switch (node.name) {
+            case 'if':
+                return this.agree(args.slice(1), 'if() branches');
+            case 'abs':
+            case 'round':
+                return args[0];
+            default:
+                return this.agree(args, `${node.name}()`);
+        }
+    }
+}
+
+// Size of a scale difference, ≥ 1: 1e-3 and 1e3 both read '1000'
+function formatFactor(ratio) {
+    return String(Number(Math.max(ratio, 1 / ratio).toPrecision(4)));
+}
+
+/**
+ * Check the units of an emission block. The result must be a mass in
+ * tonnes of the output gas.
+ *
+ * @param {Object} block - { formula, outputGas, parameters: [{ key, unit }] }
+ * @param {string[]} references - Output names of other blocks the formula may use; their results are in t
+ * @returns {{ status: 'ok'|'mismatch'|'incomplete'|'invalid', unit: string|null, expected: string, issues: string[], undeclared: string[], unknownUnits: Array<{ key, unit, error }> }}
+ *   incomplete: a parameter used in the formula has no or an unrecognised unit
+ */
+export function checkBlockUnits(block, references = []) {
+    const expected = `t ${block.outputGas || 'CO2'}`;
+    const empty = { unit: null, expected, issues: [], undeclared: [], unknownUnits: [] };
+    if (!block.formula || !block.formula.trim()) return { ...empty, status: 'ok' };
+    const { ast, error } = parseFormula(block.formula);
+    if (error) return { ...empty, status: 'invalid', issues: [error] };
+
+    const units = Object.fromEntries(references.map(name => [name, UNITS.t]));
+    const undeclared = [];
+    const unknownUnits = [];
+    (block.parameters || []).forEach(p => {
+        const parsed = parseUnit(p.unit);
+        delete units[p.key];  // Parameters shadow output names
+        if (parsed.unit) units[p.key] = parsed.unit;
+        else if (parsed.error) unknownUnits.push({ key: p.key, unit: p.unit, error: parsed.error });
+        else undeclared.push(p.key);
+    });
+
+    const analyzer = new UnitAnalyzer(units);
+    const result = analyzer.visit(ast);
+    const issues = [...analyzer.issues];
+    if (result && !result.literal) {
+        const target = UNITS.t;
+        if (!sameDimensions(result.unit, target)) {
+            issues.push(`Result is in ${formatUnit(result.unit)}, expected ${expected}`);
+        } else if (!sameScale(result.unit, target)) {
+            const direction = result.unit.scale < 1 ? 'large' : 'small';
+            issues.push(`Result is in ${formatUnit(result.unit)}, expected ${expected} — values are ${formatFactor(result.unit.scale)}× too ${direction}`);
+        }
+    }
+
+    const status = issues.length > 0 ? 'mismatch' : result ? 'ok' : 'incomplete';
+    return {
+        status,
+        unit: result ? formatUnit(result.unit) : null,
+        expected,
+        issues,
+        undeclared: undeclared.filter(key => ast && usesVariable(ast, key)),
+        unknownUnits: unknownUnits.filter(u => usesVariable(ast, u.key)),
+    };
+}
+
+function usesVariable(node, name) {
+    if (node.type === 'variable') return node.name === name;
+    return [node.operand, node.left, node.right, ...(node.args || [])].some(child => child && usesVariable(child, name));
+}
@@ -0,0 +1,118 @@
+// ═══════════════════════════════════════════════════════════════
+//  Fuel Unit Conversion
+//  Mass / volume / energy quantities → energy (GJ)
+//  Every conversion returns the path it took, for lineage.
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Supported fuel quantity units.
+ * toBase converts into the family base unit: t (mass), m³ (volume), GJ (energy).
+ * Volume units are restricted to the physical phase they are metered in —
+ * Nm³ only makes sense for gases, litres only for liquids.
+ */
+export const FUEL_UNITS = {
+    t: { label: 't', family: 'mass', toBase: 1 },
+    kg: { label: 'kg', family: 'mass', toBase: 0.001 },
+    Nm3: { label: 'Nm³', family: 'volume', toBase: 1, phases: ['gas'] },
+    kNm3: { label: '1000 Nm³', family: 'volume', toBase: 1000, phases: ['gas'] },
+    m3: { label: 'm³', family: 'volume', toBase: 1, phases: ['gas', 'liquid'] },
+    L: { label: 'L', family: 'volume', toBase: 0.001, phases: ['liquid'] },
+    kL: { label: 'kL', family: 'volume', toBase: 1, phases: ['liquid'] },
+    GJ: { label: 'GJ', family: 'energy', toBase: 1 },
+    TJ: { label: 'TJ', family: 'energy', toBase: 1000 },
+    MWh: { label: 'MWh', family: 'energy', toBase: 3.6 },
+    therm: { label: 'therm', family: 'energy', toBase: 0.105506 },
+};
+
+const BASE_UNIT = { mass: 't', volume: 'm³', energy: 'GJ' };
+
+const fmt = (v) => Number(v.toPrecision(6)).toLocaleString('en-US', { maximumFractionDigits: 6 });
+
+/**
+ * List the units a fuel can be reported in.
+ * Mass and energy are always accepted; volume needs a matching phase.
+ *
+ * @param {Object} fuelDef - Fuel definition from DEFAULT_EMISSION_FACTORS
+ * @returns {string[]} Unit ids from FUEL_UNITS
+ */
+export function getUnitsForFuel(fuelDef) {
+    return Object.entries(FUEL_UNITS)
+        .filter(([, u]) => u.family !== 'volume' || (fuelDef?.phase && u.phases.includes(fuelDef.phase)))
+        .map(([id]) => id);
+}
+
+/**
+ * Convert a fuel quantity into energy (GJ).
+ *
+ *   mass   → energy: t × NCV (GJ/t)
+ *   volume → energy: m³ × NCV_vol (GJ/m³), or m³ × density (t/m³) × NCV (GJ/t)
+ *   energy → energy: direct scaling; mass is back-calculated when NCV is known
+ *
+ * The volume (m³) is derived likewise where NCV_vol or density allow, so
+ * a quantity can be read back in any unit family.
+ *
+ * A custom mass NCV takes precedence over the fuel's volumetric NCV, so
+ * volume is then routed through density.
+ *
+ * @param {number} quantity - Reported quantity
+ * @param {string} unit - Unit id from FUEL_UNITS (defaults to 't')
+ * @param {Object} fuelDef - { name, phase, ncv, ncvVolume, density }
+ * @param {Object} options - { ncv, ncvOverridden }
+ * @returns {{ energyGJ: number, massT: number|null, volumeM3: number|null, family: string|null, path: Array, error: string|null }}
+ */
+export function convertToEnergy(quantity, unit, fuelDef, { ncv = fuelDef?.ncv || 0, ncvOverridden = false } = {}) {
+    const unitId = unit || 't';
+    const def = FUEL_UNITS[unitId];
+    const fuelName = fuelDef?.name || 'this fuel';
+    const fail = (error) => ({ energyGJ: 0, massT: null, volumeM3: null, family: def?.family || null, path: [], error });
+    const density = fuelDef?.density || 0;
+
+    if (!def) return fail(`Unknown unit "${unitId}"`);
+
+    const path = [];
+    const baseValue = quantity * def.toBase;
+    if (def.toBase !== 1) {
+        path.push({
+            step: `${def.label} → ${BASE_UNIT[def.family]}`,
+            value: baseValue,
+            unit: BASE_UNIT[def.family],
+            formula: `${fmt(quantity)} ${def.label} × ${def.toBase}`,
+        });
+    }
+
+    if (def.family === 'mass') {
+        const volumeM3 = density > 0 ? baseValue / density : null;
+        // Mass is still known without an NCV — the carbon-content route can use it
+        if (!(ncv > 0)) return { energyGJ: 0, massT: baseValue, volumeM3, family: 'mass', path, error: `No NCV available for ${fuelName}` };
+        const energyGJ = baseValue * ncv;
+        path.push({ step: 'Mass → energy', value: energyGJ, unit: 'GJ', formula: `${fmt(baseValue)} t × ${ncv} GJ/t` });
+        return { energyGJ, massT: baseValue, volumeM3, family: 'mass', path, error: null };
+    }
+
+    if (def.family === 'volume') {
+        if (!fuelDef?.phase || !def.phases.includes(fuelDef.phase)) {
+            return fail(`Unit "${def.label}" is not valid for ${fuelName}${fuelDef?.phase ? ` (${fuelDef.phase} fuel)` : ''}`);
+        }
+        const massT = density > 0 ? baseValue * density : null;
+
+        if (fuelDef.ncvVolume > 0 && !ncvOverridden) {
+            const energyGJ = baseValue * fuelDef.ncvVolume;
+            path.push({ step: 'Volume → energy', value: energyGJ, unit: 'GJ', formula: `${fmt(baseValue)} m³ × ${fuelDef.ncvVolume} GJ/m³` });
+            return { energyGJ, massT, volumeM3: baseValue, family: 'volume', path, error: null };
+        }
+        if (massT !== null && ncv > 0) {
+            path.push({ step: 'Volume → mass', value: massT, unit: 't', formula: `${fmt(baseValue)} m³ × ${density} t/m³` });
+            const energyGJ = massT * ncv;
+            path.push({ step: 'Mass → energy', value: energyGJ, unit: 'GJ', formula: `${fmt(massT)} t × ${ncv} GJ/t` });
+            return { energyGJ, massT, volumeM3: baseValue, family: 'volume', path, error: null };
+        }
+        return fail(`No density or volumetric NCV available for ${fuelName}`);
+    }
+
+    // Energy units — the quantity already is the activity data
+    const massT = ncv > 0 ? baseValue / ncv : null;
+    const volumeM3 = fuelDef?.ncvVolume > 0 && !ncvOverridden
+        ? baseValue / fuelDef.ncvVolume
+        : massT !== null && density > 0 ? massT / density : null;
+    return { energyGJ: baseValue, massT, volumeM3, family: 'energy', path, error: null };
+}
@@ -1,8 +1,11 @@
 import React, { useMemo } from 'react';
 import { useApp } from '../context/AppContext';
 import { FUEL_TYPES, GRID_EF_BY_COUNTRY, getGridEf } from '../data/referenceData';
-import { calcCombustionEmissions, calcElectricityEmissions, DEFAULT_EMISSION_FACTORS, GWP_AR6 } from '../engine/emissionEngine';
-import { Flame, Zap, Info, Paperclip } from 'lucide-react';
+import { calculateTotalEmissions, emissionInputsFromState, DEFAULT_EMISSION_FACTORS, COMBUSTION_METHODS } from '../engine/emissionEngine';
+import { FUEL_UNITS, getUnitsForFuel } from '../engine/unitConversion';
+import { reportingWindow, inWindow } from '../engine/periodScope';
+import { GAP_METHODS } from '../engine/gapFilling';
+import { Flame, Zap, Info, Paperclip, AlertTriangle } from 'lucide-react';
 
 const DATA_SOURCES = [
     { id: 'manual', label: 'Manual Entry' },
@@ -13,6 +16,60 @@ const DATA_SOURCES = [
     { id: 'third_party', label: 'Third-Party Report' },
 ];
 import EmissionBlockPanel from './EmissionBlockPanel';
+import MassBalancePanel from './MassBalancePanel';
+import CemsPanel from './CemsPanel';
+import HeatFlowPanel from './HeatFlowPanel';
+import GenerationPanel from './GenerationPanel';
+import FactorLibraryPanel from './FactorLibraryPanel';
+import GapFillingPanel from './GapFillingPanel';
+import Co2TransferPanel from './Co2TransferPanel';
+import SourceStreamPanel from './SourceStreamPanel';
+
+// Entry period input, flagged when the entry falls outside the calculation window
+function PeriodInput({ value, outside, onChange }) {
+    return (
+        <div>
+            <input type="month" value={value} className={`input-cell ${outside ? 'text-amber-600' : ''}`} onChange={onChange} />
+            {outside && <div className="text-[10px] text-amber-600" title="Not counted in totals, SEE or exports for the selected period">outside period</div>}
+        </div>
+    );
+}
+
+// Which factor library row a calculation used: version and validity start
+function FactorVersion({ factor }) {
+    if (!factor) {
+        return <div className="text-[10px] text-amber-600" title="No factor row in force for this period — built-in default used">default</div>;
+    }
+    return (
+        <div className="text-[10px] text-slate-400" title={`${factor.id} · ${factor.region}${factor.source ? ` · ${factor.source}` : ''}`}>
+            v{factor.version}{factor.effectiveDate ? ` · from ${factor.effectiveDate}` : ''}
+        </div>
+    );
+}
+
+// Substitute entry for a missing month (gapFilling.js) — read-only, counted like entered data
+function SubstituteRow({ entry, result, outside, cells, basisSpan, trailingSpan }) {
+    const { substitution } = entry;
+    return (
+        <tr className="bg-rose-50/50 text-slate-500">
+            <td className={`font-mono text-xs ${outside ? 'text-amber-600' : ''}`}>{entry.period}</td>
+            <td className="text-xs">{entry.processId || entry.process_id}</td>
+            {cells.map((cell, i) => <td key={i} className="font-mono text-xs">{cell}</td>)}
+            <td colSpan={basisSpan} className="text-xs">
+                {GAP_METHODS[substitution.method].label}
+                {substitution.basis.length > 0 && ` · ${substitution.basis.map(b => b.period).join(', ')}`}
+                {substitution.fallback && <div className="text-amber-600">{substitution.fallback}</div>}
+            </td>
+            <td className="font-mono font-semibold text-rose-600 text-right">
+                {result.error ? '—' : result.co2e.toFixed(1)}
+            </td>
+            <td colSpan={trailingSpan}>
+                <span className="px-1 rounded bg-rose-100 text-rose-700 text-[9px] font-semibold"
+                    title="No data for this month — estimate substituted under Data Gaps & Substitution, not entered data">SUBSTITUTED</span>
+            </td>
+        </tr>
+    );
+}
 
 export default function ActivityView() {
     const { state, dispatch } = useApp();
@@ -26,11 +83,33 @@ export default function ActivityView() {
         return [...state.activity.electricity].sort((a, b) => (a.period || '').localeCompare(b.period || ''));
     }, [state.activity.electricity]);
 
-    const fuelResults = sortedFuels.map(f => calcCombustionEmissions(f));
-    const totalFuelEmissions = fuelResults.reduce((sum, r) => sum + r.co2e, 0);
-    const totalElecEmissions = sortedElectricity.reduce((sum, e) => sum + calcElectricityEmissions(e).co2e, 0);
+    // Fuel factors are resolved from the factor library per entry period.
+    // Every entry is calculated for display; totals cover the selected window only.
+    const inputs = useMemo(() => emissionInputsFromState(state, null), [state]);
+    const emissionResult = useMemo(() => calculateTotalEmissions(inputs), [inputs]);
+    // Months without data that gap filling substitutes, shown after the entered rows
+    const substituteFuels = inputs.fuels.filter(f => f.substitution);
+    const substituteElectricity = inputs.electricity.filter(e => e.substitution);
+    const calcWindow = reportingWindow(state.meta, state.periodScope) || reportingWindow(state.meta);
+    const fuelResultById = Object.fromEntries(emissionResult.combustion.entries.map(r => [r.entryId, r]));
+    const totalFuelEmissions = emissionResult.combustion.entries
+        .filter(r => inWindow(r.period, calcWindow))
+        .reduce((sum, r) => sum + r.co2e, 0);
+
+    // Self-generated electricity takes its EF from the generation unit results
+    const electricityResults = emissionResult.electricity;
+    const elecResultById = Object.fromEntries(electricityResults.entries.map(r => [r.entryId, r]));
+    const totalElecEmissions = electricityResults.entries
+        .filter(r => inWindow(r.period, calcWindow))
+        .reduce((sum, r) => sum + r.co2e, 0);
+    const generationUnits = state.generationUnits || [];
 
     const handleGridCountryChange = (id, countryCode) => {
+        if (countryCode.startsWith('unit:')) {
+            dispatch({ type: 'UPDATE_ELEC', payload: { id, field: 'generationUnitId', value: countryCode.slice(5) } });
+            return;
+        }
+        dispatch({ type: 'UPDATE_ELEC', payload: { id, field: 'generationUnitId', value: '' } });
         const gridEf = getGridEf(countryCode);
         dispatch({ type: 'UPDATE_ELEC', payload: { id, field: 'gridCountry', value: countryCode } });
         const entry = state.activity.electricity.find(e => e.id === id);
@@ -59,7 +138,9 @@ export default function ActivityView() {
                                 processId: state.processes[0]?.id || '',
                                 fuelTypeId: 'natural_gas', quantity: 0, unit: 't',
                                 source: 'manual', comment: '', attachment: null,
-                                customNcv: 0, customEf: 0, customEfCo2: 0, customEfCh4: 0, customEfN2o: 0
+                                customNcv: 0, customEf: 0, customEfCo2: 0, customEfCh4: 0, customEfN2o: 0,
+                                biomassFraction: null, biomassSustainable: false,
+                                calcMethod: 'ncv_ef', oxidationFactor: null, carbonContent: null, uncertainty: null
                             }
                         })}>+ Add Row</button>
                     </div>
@@ -72,9 +153,11 @@ export default function ActivityView() {
                                     <th style={{ width: 100 }}>Period</th>
                                     <th style={{ width: 120 }}>Process</th>
                                     <th style={{ width: 160 }}>Fuel Type</th>
-                                    <th style={{ width: 100 }}>Qty (t)</th>
+                                    <th style={{ width: 170 }}>Quantity</th>
                                     <th style={{ width: 80 }}>NCV</th>
                                     <th style={{ width: 80 }}>EF<sub>CO₂</sub></th>
+                                    <th style={{ width: 150 }} title="MRR Art. 24 standard method variant · oxidation factor · carbon content">Method</th>
+                                    <th style={{ width: 110 }} title="Biomass share of carbon (%) · sustainability criteria met">Biomass %</th>
                                     <th style={{ width: 100 }}>tCO₂e</th>
                                     <th style={{ width: 100 }}>Source</th>
                                     <th>Comment</th>
@@ -83,15 +166,18 @@ export default function ActivityView() {
                                 </tr>
                             </thead>
                             <tbody>
-                                {sortedFuels.map((f, idx) => {
+                                {sortedFuels.map(f => {
                                     const fuelType = FUEL_TYPES.find(ft => ft.id === f.fuelTypeId);
                                     const efDef = DEFAULT_EMISSION_FACTORS[f.fuelTypeId] || DEFAULT_EMISSION_FACTORS.custom;
-                                    const emissions = fuelResults[idx] || calcCombustionEmissions(f);
+                                    const emissions = fuelResultById[f.id];
+                                    const factorRow = emissions.lineage.factorResolution?.rows.CO2 || null;
                                     const isCustom = f.fuelTypeId === 'other' || f.fuelTypeId === 'custom';
+                                    const unitOptions = getUnitsForFuel(efDef);
+                                    if (f.unit && !unitOptions.includes(f.unit)) unitOptions.push(f.unit);
                                     return (
                                         <tr key={f.id}>
                                             <td>
-                                                <input type="month" value={f.period} className="input-cell"
+                                                <PeriodInput value={f.period} outside={!inWindow(f.period, calcWindow)}
                                                     onChange={(e) => dispatch({ type: 'UPDATE_FUEL', payload: { id: f.id, field: 'period', value: e.target.value } })} />
                                             </td>
                                             <td>
@@ -107,25 +193,83 @@ export default function ActivityView() {
                                                 </select>
                                             </td>
                                             <td>
-                                                <input type="number" value={f.quantity} className="input-cell font-mono"
-                                                    onChange={(e) => dispatch({ type: 'UPDATE_FUEL', payload: { id: f.id, field: 'quantity', value: e.target.value } })} />
+                                                <div className="flex items-center gap-1">
+                                                    <input type="number" value={f.quantity} className="input-cell font-mono"
+                                                        onChange={(e) => dispatch({ type: 'UPDATE_FUEL', payload: { id: f.id, field: 'quantity', value: e.target.value } })} />
+                                                    <select value={f.unit || 't'} className={`input-cell text-xs w-20 ${emissions.error ? 'text-red-600' : ''}`}
+                                                        onChange={(e) => dispatch({ type: 'UPDATE_FUEL', payload: { id: f.id, field: 'unit', value: e.target.value } })}>
+                                                        {unitOptions.map(u => <option key={u} value={u}>{FUEL_UNITS[u]?.label || u}</option>)}
+                                                    </select>
+                                                </div>
+                                                <div className="flex items-center gap-1 mt-1 text-[10px] text-slate-400">
+                                                    <span title="Measurement uncertainty of the quantity (% at 95 % confidence)">±</span>
+                                                    <input type="number" step="0.1" min="0" className="input-cell text-xs w-14 font-mono"
+                                                        value={f.uncertainty ?? ''} placeholder="%"
+                                                        onChange={(e) => dispatch({ type: 'UPDATE_FUEL', payload: { id: f.id, field: 'uncertainty', value: e.target.value } })} />
+                                                    %
+                                                </div>
                                             </td>
                                             <td className="text-xs text-slate-400 font-mono text-center">
                                                 {isCustom ? (
                                                     <input type="number" value={f.customNcv} className="input-cell text-xs w-16"
                                                         placeholder="NCV"
                                                         onChange={(e) => dispatch({ type: 'UPDATE_FUEL', payload: { id: f.id, field: 'customNcv', value: e.target.value } })} />
-                                                ) : efDef.ncv || fuelType?.ncv || '—'}
+                                                ) : emissions.lineage.inputs.ncv.value || fuelType?.ncv || '—'}
                                             </td>
                                             <td className="text-xs text-slate-400 font-mono text-center">
                                                 {isCustom ? (
                                                     <input type="number" value={f.customEf} className="input-cell text-xs w-16"
                                                         placeholder="EF"
                                                         onChange={(e) => dispatch({ type: 'UPDATE_FUEL', payload: { id: f.id, field: 'customEf', value: e.target.value } })} />
-                                                ) : efDef.efCO2 || fuelType?.efCO2 || '—'}
+                                                ) : (
+                                                    <>
+                                                        {emissions.lineage.factors.efCO2?.value || fuelType?.efCO2 || '—'}
+                                                        {emissions.lineage.factors.efCO2 && !f.customEfCo2 && <FactorVersion factor={factorRow} />}
+                                                    </>
+                                                )}
                                             </td>
-                                            <td className="font-mono font-semibold text-blue-700 text-right">
-                                                {emissions.co2e.toFixed(1)}
+                                            <td>
+                                                <select value={f.calcMethod || 'ncv_ef'} className="input-cell text-xs"
+                                                    onChange={(e) => dispatch({ type: 'UPDATE_FUEL', payload: { id: f.id, field: 'calcMethod', value: e.target.value } })}>
+                                                    {Object.values(COMBUSTION_METHODS).map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                                                </select>
+                                                <div className="flex items-center gap-1 mt-1 text-[10px] text-slate-400">
+                                                    <span title="Oxidation factor">OF</span>
+                                                    <input type="number" step="0.01" min="0" max="1" className="input-cell text-xs w-14 font-mono"
+                                                        value={f.oxidationFactor ?? ''} placeholder="1"
+                                                        onChange={(e) => dispatch({ type: 'UPDATE_FUEL', payload: { id: f.id, field: 'oxidationFactor', value: e.target.value } })} />
+                                                    {f.calcMethod === 'carbon_content' && (
+                                                        <>
+                                                            <span title="Carbon content (t C / t fuel)">C</span>
+                                                            <input type="number" step="0.001" min="0" max="1" className="input-cell text-xs w-16 font-mono"
+                                                                value={f.carbonContent ?? ''} placeholder="t C/t"
+                                                                onChange={(e) => dispatch({ type: 'UPDATE_FUEL', payload: { id: f.id, field: 'carbonContent', value: e.target.value } })} />
+                                                        </>
+                                                    )}
+                                                </div>
+                                            </td>
+                                            <td>
+                                                <div className="flex items-center gap-1">
+                                                    <input type="number" min="0" max="100" className="input-cell text-xs w-14 font-mono"
+                                                        value={f.biomassFraction === null || f.biomassFraction === undefined ? '' : +(f.biomassFraction * 100).toFixed(4)}
+                                                        placeholder={String((efDef.biomassFraction || 0) * 100)}
+                                                        onChange={(e) => dispatch({ type: 'UPDATE_FUEL', payload: { id: f.id, field: 'biomassFraction', value: e.target.value === '' ? '' : parseFloat(e.target.value) / 100 } })} />
+                                                    <input type="checkbox" checked={f.biomassSustainable === true}
+                                                        title="Biomass meets the sustainability criteria (zero-rated) — tick only with evidence; unticked biomass CO₂ counts as fossil"
+                                                        onChange={(e) => dispatch({ type: 'UPDATE_FUEL', payload: { id: f.id, field: 'biomassSustainable', value: e.target.checked } })} />
+                                                </div>
+                                            </td>
+                                            <td className="font-mono font-semibold text-blue-700 text-right"
+                                                title={emissions.co2Biogenic > 0 ? `Biogenic CO₂ (memo): ${emissions.co2Biogenic.toFixed(1)} t` : undefined}>
+                                                {emissions.error ? (
+                                                    <span className="inline-flex items-center gap-1 text-red-600" title={emissions.error}>
+                                                        <AlertTriangle size={13} /> —
+                                                    </span>
+                                                ) : emissions.co2e.toFixed(1)}
+                                                {emissions.coveredByCems && (
+                                                    <span className="ml-1 px-1 rounded bg-teal-100 text-teal-700 text-[9px] font-semibold align-middle"
+                                                        title="CO₂ measured by CEMS — the calculated CO₂ is the corroborating check and is not counted in totals; CH₄ and N₂O are">CEMS</span>
+                                                )}
                                             </td>
                                             <td>
                                                 <select value={f.source || 'manual'} className="input-cell text-xs"
@@ -153,6 +297,15 @@ export default function ActivityView() {
                                         </tr>
                                     );
                                 })}
+                                {substituteFuels.map(f => (
+                                    <SubstituteRow key={f.id} entry={f} result={fuelResultById[f.id]}
+                                        outside={!inWindow(f.period, calcWindow)}
+                                        cells={[
+                                            FUEL_TYPES.find(ft => ft.id === f.fuelTypeId)?.name || f.fuelTypeId,
+                                            `${Number(f.quantity.toFixed(3))} ${FUEL_UNITS[f.unit || 't']?.label || f.unit}`,
+                                        ]}
+                                        basisSpan={4} trailingSpan={4} />
+                                ))}
                             </tbody>
                         </table>
                     </div>
@@ -160,7 +313,7 @@ export default function ActivityView() {
 
                 <div className="mt-3 flex items-start gap-2 text-xs text-slate-400">
                     <Info size={14} className="mt-0.5 shrink-0" />
-                    <span>Formula: tCO₂ = Quantity (t) × NCV (GJ/t) × EF (tCO₂/TJ) ÷ 1000. Source: IPCC 2006 Guidelines.</span>
+                    <span>Formula: tCO₂ = Quantity (t) × NCV (GJ/t) × EF (tCO₂/TJ) ÷ 1000 × OF, or with lab data: Quantity (t) × C × 44/12 × OF. Volumes are converted with the fuel's volumetric NCV (or density), energy units (GJ, MWh, therm) are used directly. The biomass share of CO₂ is zero-rated when sustainability criteria are met and reported as biogenic CO₂ (memo item). Source: IPCC 2006 Guidelines.</span>
                 </div>
             </div>
 
@@ -180,7 +333,7 @@ export default function ActivityView() {
                                 id: `e${Date.now()}`,
                                 period: state.meta.periodStart || '2025-01',
                                 processId: state.processes[0]?.id || '',
-                                mwh: 0, gridCountry: 'KZ', ef: getGridEf('KZ'), efOverride: false,
+                                mwh: 0, gridCountry: 'KZ', ef: getGridEf('KZ'), efOverride: false, uncertainty: null,
                                 source: 'manual', comment: '', attachment: null
                             }
                         })}>+ Add Row</button>
@@ -205,11 +358,12 @@ export default function ActivityView() {
                             </thead>
                             <tbody>
                                 {sortedElectricity.map(e => {
-                                    const elecEmissions = calcElectricityEmissions(e);
+                                    const elecEmissions = elecResultById[e.id] || { co2e: 0, lineage: { inputs: { ef: { value: e.ef } } } };
+                                    const selfGenerated = !!elecEmissions.generationUnitId;
                                     return (
                                         <tr key={e.id}>
                                             <td>
-                                                <input type="month" value={e.period} className="input-cell"
+                                                <PeriodInput value={e.period} outside={!inWindow(e.period, calcWindow)}
                                                     onChange={(ev) => dispatch({ type: 'UPDATE_ELEC', payload: { id: e.id, field: 'period', value: ev.target.value } })} />
                                             </td>
                                             <td>
@@ -221,21 +375,50 @@ export default function ActivityView() {
                                             <td>
                                                 <input type="number" value={e.mwh} className="input-cell font-mono"
                                                     onChange={(ev) => dispatch({ type: 'UPDATE_ELEC', payload: { id: e.id, field: 'mwh', value: ev.target.value } })} />
+                                                <div className="flex items-center gap-1 mt-1 text-[10px] text-slate-400">
+                                                    <span title="Measurement uncertainty of the MWh (% at 95 % confidence)">±</span>
+                                                    <input type="number" step="0.1" min="0" className="input-cell text-xs w-14 font-mono"
+                                                        value={e.uncertainty ?? ''} placeholder="%"
+                                                        onChange={(ev) => dispatch({ type: 'UPDATE_ELEC', payload: { id: e.id, field: 'uncertainty', value: ev.target.value } })} />
+                                                    %
+                                                </div>
                                             </td>
                                             <td>
-                                                <select value={e.gridCountry} className="input-cell text-sm"
+                                                <select value={e.generationUnitId ? `unit:${e.generationUnitId}` : e.gridCountry} className="input-cell text-sm"
                                                     onChange={(ev) => handleGridCountryChange(e.id, ev.target.value)}>
-                                                    {Object.entries(GRID_EF_BY_COUNTRY).map(([code, info]) => (
-                                                        <option key={code} value={code}>{code} — {info.name}</option>
+                                                    {GRID_EF_BY_COUNTRY.map(c => (
+                                                        <option key={c.code} value={c.code}>{c.code} — {c.name}</option>
                                                     ))}
+                                                    {generationUnits.length > 0 && (
+                                                        <optgroup label="On-site generation">
+                                                            {generationUnits.map(gu => (
+                                                                <option key={gu.id} value={`unit:${gu.id}`}>{gu.name || gu.id} · {gu.period}</option>
+                                                            ))}
+                                                        </optgroup>
+                                                    )}
                                                 </select>
                                             </td>
                                             <td>
-                                                <input type="number" step="0.001" value={e.ef} className="input-cell font-mono text-sm"
-                                                    onChange={(ev) => {
-                                                        dispatch({ type: 'UPDATE_ELEC', payload: { id: e.id, field: 'ef', value: ev.target.value } });
-                                                        dispatch({ type: 'UPDATE_ELEC', payload: { id: e.id, field: 'efOverride', value: true } });
-                                                    }} />
+                                                {selfGenerated ? (
+                                                    <span className="font-mono text-sm text-amber-700" title="Derived from the generation unit">
+                                                        {elecEmissions.lineage.inputs.ef.value.toFixed(3)}
+                                                    </span>
+                                                ) : (
+                                                    <>
+                                                        <input type="number" step="0.001" value={e.efOverride ? e.ef : elecEmissions.lineage.inputs.ef.value}
+                                                            className="input-cell font-mono text-sm"
+                                                            onChange={(ev) => {
+                                                                dispatch({ type: 'UPDATE_ELEC', payload: { id: e.id, field: 'ef', value: ev.target.value } });
+                                                                dispatch({ type: 'UPDATE_ELEC', payload: { id: e.id, field: 'efOverride', value: true } });
+                                                            }} />
+                                                        {e.efOverride ? (
+                                                            <button className="text-[10px] text-violet-600 hover:underline" title="Use the grid factor in force for this period"
+                                                                onClick={() => dispatch({ type: 'UPDATE_ELEC', payload: { id: e.id, field: 'efOverride', value: false } })}>
+                                                                override · reset
+                                                            </button>
+                                                        ) : <FactorVersion factor={elecEmissions.lineage.factorResolution?.rows.CO2e || null} />}
+                                                    </>
+                                                )}
                                             </td>
                                             <td className="font-mono font-semibold text-blue-700 text-right">
                                                 {elecEmissions.co2e.toFixed(1)}
@@ -266,6 +449,12 @@ export default function ActivityView() {
                                         </tr>
                                     );
                                 })}
+                                {substituteElectricity.map(e => (
+                                    <SubstituteRow key={e.id} entry={e} result={elecResultById[e.id]}
+                                        outside={!inWindow(e.period, calcWindow)}
+                                        cells={[Number(e.mwh.toFixed(3)), e.generationUnitId ? `unit:${e.generationUnitId}` : e.gridCountry]}
+                                        basisSpan={1} trailingSpan={4} />
+                                ))}
                             </tbody>
                         </table>
                     </div>
@@ -273,12 +462,34 @@ export default function ActivityView() {
 
                 <div className="mt-3 flex items-start gap-2 text-xs text-slate-400">
                     <Info size={14} className="mt-0.5 shrink-0" />
-                    <span>Formula: tCO₂ = MWh × Grid EF (tCO₂/MWh). EF auto-populated from country selection, editable for site-specific data.</span>
+                    <span>Formula: tCO₂ = MWh × Grid EF (tCO₂/MWh). EF auto-populated from country selection, editable for site-specific data. Self-consumed electricity from an on-site unit uses the unit's derived EF.</span>
                 </div>
             </div>
 
+            {/* Mass Balance — Carbon In / Out */}
+            <MassBalancePanel />
+
+            {/* Measurement-based — CEMS */}
+            <CemsPanel />
+
+            {/* Measurable Heat — imports, exports, internal transfers */}
+            <HeatFlowPanel />
+
+            {/* On-site Generation — power plant and CHP split */}
+            <GenerationPanel />
+
+            {/* CO₂ transferred out — MRR Art. 49 deductions */}
+            <Co2TransferPanel />
+
+            <GapFillingPanel />
+
+            <FactorLibraryPanel />
+
             {/* Process Emissions — Formula Builder */}
             <EmissionBlockPanel />
+
+            {/* Source stream classification and tier check */}
+            <SourceStreamPanel />
         </div>
     );
 }
@@ -1,9 +1,13 @@
 import React, { useState } from 'react';
 import { useApp } from '../context/AppContext';
 import { CBAM_CN_CODES, getCnCodeInfo, getSectors } from '../data/referenceData';
-import { calculateTotalEmissions } from '../engine/emissionEngine';
+import { calculateTotalEmissions, emissionInputsFromState, calculatePCF, compareAllocationMethods } from '../engine/emissionEngine';
+import { attributeEmissions, UNASSIGNED_RULES, ALLOCATION_METHODS } from '../engine/attributionEngine';
+import { calcPrecursorEmissions, PRECURSOR_SOURCES, DEFAULT_PRECURSOR_COUNTRY } from '../engine/precursorEngine';
+import { AVAILABLE_COUNTRIES } from '../data/cbamDefaultValues';
+import { reportingWindow, countsInWindow, windowLabel } from '../engine/periodScope';
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from 'recharts';
-import { ChevronDown, ChevronRight, Package, AlertTriangle } from 'lucide-react';
+import { ChevronDown, ChevronRight, Package, AlertTriangle, Factory, Scale } from 'lucide-react';
 
 export default function AllocationView() {
     const { state, dispatch } = useApp();
@@ -11,18 +15,34 @@ export default function AllocationView() {
     const [cnSearch, setCnSearch] = useState({});
 
     // --- Calculations (Multi-Gas) ---
-    const emissionResult = calculateTotalEmissions({
-        fuels: state.activity.fuels,
-        electricity: state.activity.electricity,
-        processEvents: state.processEvents || [],
-        emissionBlocks: state.emissionBlocks || [],
-    });
+    const emissionResult = calculateTotalEmissions(emissionInputsFromState(state));
     const totalDirect = Math.round(emissionResult.summary.directCO2e);
     const totalIndirect = Math.round(emissionResult.summary.indirectCO2e);
 
     const treatResidueAsWaste = state.allocationSettings.treatResidueAsWaste;
-    const validProducts = state.products.filter(p => !treatResidueAsWaste || !p.isResidue);
-    const totalMass = validProducts.reduce((sum, p) => sum + (parseFloat(p.quantity) || 0), 0);
+    const attributionContext = { productionOutput: state.productionOutput, processes: state.processes };
+    const pcfById = Object.fromEntries(calculatePCF(emissionResult, state.products, state.allocationSettings, attributionContext)
+        .map(r => [r.productId, r]));
+    const hasProcessMapping = (state.productionOutput || []).some(po => po.processId);
+    const calcWindow = reportingWindow(state.meta, state.periodScope) || reportingWindow(state.meta);
+    const attribution = attributeEmissions(emissionResult, { ...attributionContext, products: state.products, allocationSettings: state.allocationSettings });
+    const unassignedByProcess = {};
+    attribution.unassigned.sources.forEach(src => {
+        const key = src.processId || '—';
+        if (!unassignedByProcess[key]) unassignedByProcess[key] = { processId: key, reason: src.reason, direct: 0, indirect: 0 };
+        unassignedByProcess[key].direct += src.direct;
+        unassignedByProcess[key].indirect += src.indirect;
+    });
+    const precursorResults = Object.fromEntries(state.products.flatMap(p => p.precursors || [])
+        .map(pc => [pc.id, calcPrecursorEmissions(pc)]));
+    const comparison = compareAllocationMethods(emissionResult, state.products, state.allocationSettings, attributionContext);
+    const defaultMethod = ALLOCATION_METHODS[state.allocationSettings.method] || ALLOCATION_METHODS.mass;
+    const processById = Object.fromEntries(state.processes.map(p => [p.id, p]));
+    const setManualShare = (processId, productId, value) => dispatch({
+        type: 'UPDATE_PROCESS',
+        payload: { id: processId, field: 'manualShares', value: { ...(processById[processId]?.manualShares || {}), [productId]: parseFloat(value) || 0 } }
+    });
+    const UNASSIGNED_REASONS = { no_process: 'No process', unknown_process: 'Unknown process', no_output: 'No production output' };
 
     const toggleExpand = (productId) => {
         setExpandedProducts(prev => ({ ...prev, [productId]: !prev[productId] }));
@@ -72,6 +92,9 @@ export default function AllocationView() {
                                     const isComplex = cnInfo?.isComplex || false;
                                     const isExpanded = expandedProducts[p.id];
                                     const hasPrecursors = (p.precursors || []).length > 0;
+                                    // Production process(es) this good is made in, from its production output in the window
+                                    const windowOutput = (state.productionOutput || []).filter(po => po.productId === p.id && countsInWindow(po.period, calcWindow));
+                                    const outputProcesses = [...new Set(windowOutput.map(po => po.processId).filter(Boolean))];
 
                                     return (
                                         <div key={p.id} className="border border-slate-200 rounded-lg overflow-hidden">
@@ -128,6 +151,29 @@ export default function AllocationView() {
                                                     {p.isResidue && (
                                                         <span className="text-[10px] font-semibold px-2 py-0.5 rounded-full bg-slate-100 text-slate-500 uppercase">Residue</span>
                                                     )}
+                                                    {outputProcesses.length > 1 ? outputProcesses.map(id => (
+                                                        <span key={id} className="text-[10px] font-semibold px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-600">{id}</span>
+                                                    )) : (
+                                                        <select value={outputProcesses[0] || ''} disabled={!windowOutput.length}
+                                                            className={`text-[10px] font-semibold px-1 py-0.5 rounded-full border-0 ${outputProcesses.length ? 'bg-indigo-50 text-indigo-600' : 'bg-amber-50 text-amber-600'}`}
+                                                            title={windowOutput.length
+                                                                ? `Production process of the output recorded in ${windowLabel(calcWindow)} — the good carries this process's emissions`
+                                                                : `No production output recorded in ${windowLabel(calcWindow)} — import output records to assign a process`}
+                                                            onChange={(e) => dispatch({ type: 'SET_PRODUCT_PROCESS', payload: { productId: p.id, processId: e.target.value } })}>
+                                                            {!outputProcesses.length && <option value="">{windowOutput.length ? 'No process' : 'No output'}</option>}
+                                                            {state.processes.filter(pr => pr.active).map(pr => <option key={pr.id} value={pr.id}>{pr.id}</option>)}
+                                                        </select>
+                                                    )}
+                                                    <label className="flex items-center gap-1 text-[10px] text-slate-400" title="Price for economic allocation">
+                                                        €/t
+                                                        <input type="number" value={p.price ?? ''} className="input-cell text-[10px] w-16 font-mono"
+                                                            onChange={(e) => dispatch({ type: 'UPDATE_PRODUCT', payload: { id: p.id, field: 'price', value: e.target.value } })} />
+                                                    </label>
+                                                    <label className="flex items-center gap-1 text-[10px] text-slate-400" title="Energy content for energy allocation">
+                                                        GJ/t
+                                                        <input type="number" value={p.energyContent ?? ''} className="input-cell text-[10px] w-14 font-mono"
+                                                            onChange={(e) => dispatch({ type: 'UPDATE_PRODUCT', payload: { id: p.id, field: 'energyContent', value: e.target.value } })} />
+                                                    </label>
                                                     {(isComplex || !cnInfo) && (
                                                         <button
                                                             onClick={() => toggleExpand(p.id)}
@@ -146,7 +192,16 @@ export default function AllocationView() {
                                                     <div className="flex items-center justify-between mb-2">
                                                         <span className="text-xs font-semibold text-slate-500 uppercase">Precursor Inputs</span>
                                                         <button className="text-xs text-blue-500 hover:text-blue-700 font-medium"
-                                                            onClick={() => dispatch({ type: 'ADD_PRECURSOR', payload: { productId: p.id } })}>
+                                                            onClick={() => dispatch({
+                                                                type: 'ADD_PRECURSOR', payload: {
+                                                                    productId: p.id,
+                                                                    precursor: {
+                                                                        id: `pc${Date.now()}`, name: '', cnCode: '', mass: 0,
+                                                                        seeDirect: 0, seeIndirect: 0, sourceType: 'actual',
+                                                                        country: DEFAULT_PRECURSOR_COUNTRY, supplier: '',
+                                                                    }
+                                                                }
+                                                            })}>
                                                             + Add Precursor
                                                         </button>
                                                     </div>
@@ -156,58 +211,91 @@ export default function AllocationView() {
                                                             <thead>
                                                                 <tr className="text-slate-400">
                                                                     <th className="text-left p-1 font-medium">Name</th>
-                                                                    <th className="text-left p-1 font-medium" style={{ width: 140 }}>CN Code</th>
-                                                                    <th className="text-right p-1 font-medium" style={{ width: 80 }}>Mass (t/t)</th>
-                                                                    <th className="text-right p-1 font-medium" style={{ width: 100 }}>SEE (tCO₂/t)</th>
-                                                                    <th className="text-center p-1 font-medium" style={{ width: 70 }}>Source</th>
+                                                                    <th className="text-left p-1 font-medium" style={{ width: 120 }}>CN Code</th>
+                                                                    <th className="text-right p-1 font-medium" style={{ width: 80 }}>Mass (t)</th>
+                                                                    <th className="text-center p-1 font-medium" style={{ width: 120 }}>Source</th>
+                                                                    <th className="text-right p-1 font-medium" style={{ width: 80 }}>SEE dir.</th>
+                                                                    <th className="text-right p-1 font-medium" style={{ width: 80 }}>SEE ind.</th>
+                                                                    <th className="text-right p-1 font-medium" style={{ width: 70 }}>tCO₂e</th>
                                                                     <th style={{ width: 30 }}></th>
                                                                 </tr>
                                                             </thead>
                                                             <tbody>
-                                                                {p.precursors.map(pc => (
-                                                                    <tr key={pc.id}>
-                                                                        <td className="p-1">
-                                                                            <input type="text" value={pc.name} className="input-cell text-xs"
-                                                                                placeholder="e.g. Hot Metal"
-                                                                                onChange={(e) => dispatch({ type: 'UPDATE_PRECURSOR', payload: { productId: p.id, precursorId: pc.id, field: 'name', value: e.target.value } })} />
-                                                                        </td>
-                                                                        <td className="p-1">
-                                                                            <input
-                                                                                list="cn-codes-list"
-                                                                                value={pc.cnCode}
-                                                                                className="input-cell text-xs w-full"
-                                                                                placeholder="CN code..."
-                                                                                onChange={(e) => dispatch({ type: 'UPDATE_PRECURSOR', payload: { productId: p.id, precursorId: pc.id, field: 'cnCode', value: e.target.value } })}
-                                                                            />
-                                                                        </td>
-                                                                        <td className="p-1">
-                                                                            <input type="number" step="0.01" value={pc.mass} className="input-cell text-xs font-mono text-right"
-                                                                                onChange={(e) => dispatch({ type: 'UPDATE_PRECURSOR', payload: { productId: p.id, precursorId: pc.id, field: 'mass', value: e.target.value } })} />
-                                                                        </td>
-                                                                        <td className="p-1">
-                                                                            <input type="number" step="0.001" value={pc.see} className="input-cell text-xs font-mono text-right"
-                                                                                onChange={(e) => dispatch({ type: 'UPDATE_PRECURSOR', payload: { productId: p.id, precursorId: pc.id, field: 'see', value: e.target.value } })} />
-                                                                        </td>
-                                                                        <td className="p-1 text-center">
-                                                                            <select value={pc.sourceType} className="input-cell text-[10px]"
-                                                                                onChange={(e) => dispatch({ type: 'UPDATE_PRECURSOR', payload: { productId: p.id, precursorId: pc.id, field: 'sourceType', value: e.target.value } })}>
-                                                                                <option value="actual">Actual</option>
-                                                                                <option value="default">Default</option>
-                                                                            </select>
-                                                                        </td>
-                                                                        <td className="p-1 text-right">
-                                                                            <button className="text-red-400 hover:text-red-600"
-                                                                                onClick={() => dispatch({ type: 'DELETE_PRECURSOR', payload: { productId: p.id, precursorId: pc.id } })}>
-                                                                                &times;
-                                                                            </button>
-                                                                        </td>
-                                                                    </tr>
-                                                                ))}
+                                                                {p.precursors.map(pc => {
+                                                                    const update = (field, value) => dispatch({ type: 'UPDATE_PRECURSOR', payload: { productId: p.id, precursorId: pc.id, field, value } });
+                                                                    const result = precursorResults[pc.id];
+                                                                    const resolvedDefault = !!result?.lineage.defaultValue;
+                                                                    return (
+                                                                        <tr key={pc.id}>
+                                                                            <td className="p-1">
+                                                                                <input type="text" value={pc.name} className="input-cell text-xs"
+                                                                                    placeholder="e.g. Hot Metal"
+                                                                                    onChange={(e) => update('name', e.target.value)} />
+                                                                            </td>
+                                                                            <td className="p-1">
+                                                                                <input
+                                                                                    list="cn-codes-list"
+                                                                                    value={pc.cnCode}
+                                                                                    className="input-cell text-xs w-full"
+                                                                                    placeholder="CN code..."
+                                                                                    onChange={(e) => update('cnCode', e.target.value)}
+                                                                                />
+                                                                            </td>
+                                                                            <td className="p-1">
+                                                                                <input type="number" step="0.01" value={pc.mass} className="input-cell text-xs font-mono text-right"
+                                                                                    onChange={(e) => update('mass', e.target.value)} />
+                                                                            </td>
+                                                                            <td className="p-1">
+                                                                                <div className="flex items-center gap-1">
+                                                                                    <select value={pc.sourceType} className="input-cell text-[10px]"
+                                                                                        onChange={(e) => update('sourceType', e.target.value)}>
+                                                                                        {Object.values(PRECURSOR_SOURCES).map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                                                                                    </select>
+                                                                                    {pc.sourceType === 'default' && (
+                                                                                        <select value={pc.country || DEFAULT_PRECURSOR_COUNTRY} className="input-cell text-[10px]"
+                                                                                            title="Country of origin for the EU default value"
+                                                                                            onChange={(e) => update('country', e.target.value)}>
+                                                                                            {AVAILABLE_COUNTRIES.map(c => <option key={c} value={c}>{c}</option>)}
+                                                                                        </select>
+                                                                                    )}
+                                                                                </div>
+                                                                            </td>
+                                                                            <td className="p-1">
+                                                                                {resolvedDefault ? (
+                                                                                    <div className="font-mono text-right text-slate-500">{result.seeDirect.toFixed(3)}</div>
+                                                                                ) : (
+                                                                                    <input type="number" step="0.001" value={pc.seeDirect} className="input-cell text-xs font-mono text-right"
+                                                                                        onChange={(e) => update('seeDirect', e.target.value)} />
+                                                                                )}
+                                                                            </td>
+                                                                            <td className="p-1">
+                                                                                {resolvedDefault ? (
+                                                                                    <div className="font-mono text-right text-slate-500">{result.seeIndirect.toFixed(3)}</div>
+                                                                                ) : (
+                                                                                    <input type="number" step="0.001" value={pc.seeIndirect} className="input-cell text-xs font-mono text-right"
+                                                                                        onChange={(e) => update('seeIndirect', e.target.value)} />
+                                                                                )}
+                                                                            </td>
+                                                                            <td className="p-1 text-right font-mono">
+                                                                                {result?.warning && (
+                                                                                    <span className="inline-flex mr-1 text-amber-500 align-middle" title={result.warning}><AlertTriangle size={11} /></span>
+                                                                                )}
+                                                                                {(result?.total || 0).toFixed(1)}
+                                                                            </td>
+                                                                            <td className="p-1 text-right">
+                                                                                <button className="text-red-400 hover:text-red-600"
+                                                                                    onClick={() => dispatch({ type: 'DELETE_PRECURSOR', payload: { productId: p.id, precursorId: pc.id } })}>
+                                                                                    &times;
+                                                                                </button>
+                                                                            </td>
+                                                                        </tr>
+                                                                    );
+                                                                })}
                                                             </tbody>
                                                         </table>
                                                     ) : (
                                                         <div className="text-xs text-slate-400 text-center py-3 border border-dashed border-slate-200 rounded">
-                                                            No precursors defined. For complex goods, add procured inputs with their embedded emissions.
+                                                            No precursors defined. For complex goods, add procured inputs (t consumed in the period) with their embedded emissions.
                                                         </div>
                                                     )}
                                                 </div>
@@ -232,9 +320,187 @@ export default function AllocationView() {
                                     <span className="slider round"></span>
                                 </label>
                             </div>
+                            <div className="flex items-center justify-between mt-4">
+                                <div>
+                                    <strong className="text-sm">Default allocation method</strong>
+                                    <p className="text-xs text-slate-400 mt-0.5">{defaultMethod.description}. Processes may override it.</p>
+                                </div>
+                                <select value={defaultMethod.id} className="input-cell text-sm"
+                                    onChange={(e) => dispatch({ type: 'UPDATE_ALLOC_SETTINGS', payload: { field: 'method', value: e.target.value } })}>
+                                    {Object.values(ALLOCATION_METHODS).map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                                </select>
+                            </div>
+                            <div className="flex items-center justify-between mt-4">
+                                <div>
+                                    <strong className="text-sm">Unassigned emissions</strong>
+                                    <p className="text-xs text-slate-400 mt-0.5">
+                                        {(UNASSIGNED_RULES[state.allocationSettings.unassignedRule] || UNASSIGNED_RULES.output_share).description}.
+                                    </p>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <select value={state.allocationSettings.unassignedRule || 'output_share'} className="input-cell text-sm"
+                                        onChange={(e) => dispatch({ type: 'UPDATE_ALLOC_SETTINGS', payload: { field: 'unassignedRule', value: e.target.value } })}>
+                                        {Object.values(UNASSIGNED_RULES).map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                                    </select>
+                                    {state.allocationSettings.unassignedRule === 'designated' && (
+                                        <select value={state.allocationSettings.unassignedProcessId || ''} className="input-cell text-sm"
+                                            onChange={(e) => dispatch({ type: 'UPDATE_ALLOC_SETTINGS', payload: { field: 'unassignedProcessId', value: e.target.value } })}>
+                                            <option value="">Select process…</option>
+                                            {attribution.processes.filter(p => p.output > 0).map(p => <option key={p.processId} value={p.processId}>{p.processId}</option>)}
+                                        </select>
+                                    )}
+                                </div>
+                            </div>
                         </div>
                     </div>
 
+                    {/* Process Attribution */}
+                    {hasProcessMapping && (
+                        <div className="card">
+                            <div className="flex items-center gap-2 mb-4">
+                                <Factory size={20} className="text-indigo-500" />
+                                <h3 className="text-lg font-semibold text-slate-700">Process Attribution</h3>
+                            </div>
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Production process</th>
+                                        <th className="text-right">Own Direct</th>
+                                        <th className="text-right">Own Indirect</th>
+                                        <th className="text-right">+ Unassigned</th>
+                                        <th className="text-right">Output (t)</th>
+                                        <th className="text-right">SEE (tCO₂e/t)</th>
+                                        <th style={{ width: 140 }}>Allocation</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {attribution.processes.map(p => {
+                                        const goods = p.products.filter(x => !x.excluded && x.quantity > 0);
+                                        const manual = processById[p.processId]?.manualShares || {};
+                                        const manualSum = goods.reduce((s, x) => s + (Number(manual[x.productId]) || 0), 0);
+                                        return (
+                                            <React.Fragment key={p.processId}>
+                                                <tr className={p.output > 0 ? '' : 'row-muted'}>
+                                                    <td>
+                                                        <div className="font-semibold">{p.processId}</div>
+                                                        <div className="text-xs text-slate-400">{p.name}</div>
+                                                    </td>
+                                                    <td className="font-mono text-right">{Math.round(p.own.direct).toLocaleString()}</td>
+                                                    <td className="font-mono text-right">{Math.round(p.own.indirect).toLocaleString()}</td>
+                                                    <td className="font-mono text-right text-slate-500">{Math.round(p.received.direct + p.received.indirect).toLocaleString()}</td>
+                                                    <td className="font-mono text-right">{Math.round(p.output).toLocaleString()}</td>
+                                                    <td className="font-mono text-right font-bold">{(p.seeDirect + p.seeIndirect).toFixed(3)}</td>
+                                                    <td>
+                                                        {processById[p.processId] && goods.length > 0 ? (
+                                                            <div className="flex items-center gap-1">
+                                                                <select value={processById[p.processId].allocationMethod || ''} className="input-cell text-xs"
+                                                                    onChange={(e) => dispatch({ type: 'UPDATE_PROCESS', payload: { id: p.processId, field: 'allocationMethod', value: e.target.value } })}>
+                                                                    <option value="">Default ({defaultMethod.label})</option>
+                                                                    {Object.values(ALLOCATION_METHODS).map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                                                                </select>
+                                                                {p.allocationWarning && (
+                                                                    <span className="inline-flex text-amber-500" title={p.allocationWarning}><AlertTriangle size={13} /></span>
+                                                                )}
+                                                            </div>
+                                                        ) : <span className="text-xs text-slate-400">—</span>}
+                                                    </td>
+                                                </tr>
+                                                {p.requestedMethod === 'manual' && goods.length > 0 && (
+                                                    <tr className="bg-slate-50">
+                                                        <td colSpan={7}>
+                                                            <div className="flex flex-wrap items-center gap-3 text-xs">
+                                                                {goods.map(x => (
+                                                                    <label key={x.productId} className="flex items-center gap-1 text-slate-500">
+                                                                        {state.products.find(pr => pr.id === x.productId)?.name || x.productId}
+                                                                        <input type="number" value={manual[x.productId] ?? ''} className="input-cell text-xs w-16 font-mono"
+                                                                            onChange={(e) => setManualShare(p.processId, x.productId, e.target.value)} />
+                                                                        %
+                                                                    </label>
+                                                                ))}
+                                                                <span className={`ml-auto font-mono ${Math.abs(manualSum - 100) <= 0.01 ? 'text-emerald-600' : 'text-red-500'}`}>
+                                                                    Σ {manualSum.toFixed(1)}%
+                                                                </span>
+                                                            </div>
+                                                        </td>
+                                                    </tr>
+                                                )}
+                                            </React.Fragment>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+
+                            {Object.keys(unassignedByProcess).length > 0 && (
+                                <div className="mt-4">
+                                    <div className="text-xs font-semibold text-slate-500 uppercase mb-2">Unassigned sources</div>
+                                    <div className="space-y-1">
+                                        {Object.values(unassignedByProcess).map(u => (
+                                            <div key={u.processId} className="flex justify-between text-xs text-slate-500">
+                                                <span>{u.processId} · {UNASSIGNED_REASONS[u.reason]}</span>
+                                                <span className="font-mono">{Math.round(u.direct + u.indirect).toLocaleString()} tCO₂e</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+                            {attribution.unattributed.reason && (
+                                <div className="mt-3 flex items-start gap-2 text-xs text-amber-700 bg-amber-50 rounded-lg p-2">
+                                    <AlertTriangle size={14} className="mt-0.5 shrink-0" />
+                                    <span>
+                                        {Math.round(attribution.unattributed.direct + attribution.unattributed.indirect).toLocaleString()} tCO₂e not carried by any good — {attribution.unattributed.reason}.
+                                    </span>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Allocation Method Comparison */}
+                    {state.products.length > 0 && (
+                        <div className="card">
+                            <div className="flex items-center gap-2 mb-4">
+                                <Scale size={20} className="text-violet-500" />
+                                <h3 className="text-lg font-semibold text-slate-700">Allocation Method Comparison</h3>
+                                <span className="text-xs text-slate-400">SEE (tCO₂e/t) with each method applied to every process</span>
+                            </div>
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Product</th>
+                                        {comparison.map(c => (
+                                            <th key={c.method} className={`text-right ${c.method === defaultMethod.id ? 'text-violet-600' : ''}`}>{c.label}</th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {comparison[0].pcf.map(row => (
+                                        <tr key={row.productId}>
+                                            <td className="font-semibold">{row.productName}</td>
+                                            {comparison.map(c => {
+                                                const r = c.pcf.find(x => x.productId === row.productId);
+                                                return (
+                                                    <td key={c.method} className="font-mono text-right">
+                                                        <div className={c.method === defaultMethod.id ? 'font-bold text-violet-700' : ''}>{(r?.pcf || 0).toFixed(3)}</div>
+                                                        <div className="text-[10px] text-slate-400">D {(r?.pcfDirect || 0).toFixed(3)} · I {(r?.pcfIndirect || 0).toFixed(3)}</div>
+                                                    </td>
+                                                );
+                                            })}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {comparison.some(c => c.warnings.length > 0) && (
+                                <div className="mt-3 space-y-1">
+                                    {comparison.filter(c => c.warnings.length > 0).map(c => (
+                                        <div key={c.method} className="flex items-start gap-2 text-xs text-amber-700">
+                                            <AlertTriangle size={12} className="mt-0.5 shrink-0" />
+                                            <span><strong>{c.label}:</strong> {c.warnings.join('; ')}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    )}
+
                     {/* Verification Table */}
                     <div className="card">
                         <h3 className="text-lg font-semibold text-slate-700 mb-4">Allocation Verification</h3>
@@ -250,13 +516,11 @@ export default function AllocationView() {
                             </thead>
                             <tbody>
                                 {state.products.map(p => {
-                                    let ratio = 0;
-                                    let isExcluded = treatResidueAsWaste && p.isResidue;
-                                    if (!isExcluded && totalMass > 0) {
-                                        ratio = (parseFloat(p.quantity) || 0) / totalMass;
-                                    }
-                                    const allocDirect = Math.round(totalDirect * ratio);
-                                    const allocIndirect = Math.round(totalIndirect * ratio);
+                                    const isExcluded = treatResidueAsWaste && p.isResidue;
+                                    const attributed = isExcluded ? null : pcfById[p.id];
+                                    const ratio = attributed?.share || 0;
+                                    const allocDirect = Math.round(attributed?.allocatedDirect || 0);
+                                    const allocIndirect = Math.round(attributed?.allocatedIndirect || 0);
                                     const allocTotal = allocDirect + allocIndirect;
                                     const cnInfo = getCnCodeInfo(p.cnCode);
 
@@ -292,7 +556,7 @@ export default function AllocationView() {
                                 <Pie
                                     data={state.products.map(p => {
                                         const isExcluded = treatResidueAsWaste && p.isResidue;
-                                        const ratio = (!isExcluded && totalMass > 0) ? ((parseFloat(p.quantity) || 0) / totalMass) : 0;
+                                        const ratio = isExcluded ? 0 : (pcfById[p.id]?.share || 0);
                                         return { name: p.name, value: ratio * 100 };
                                     })}
                                     cx="50%"
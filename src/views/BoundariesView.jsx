@@ -1,9 +1,12 @@
 import React from 'react';
 import { useApp } from '../context/AppContext';
 import { GRID_EF_BY_COUNTRY } from '../data/referenceData';
+import { GWP_SETS } from '../engine/emissionEngine';
+import { CBAM_GWP_SET_ID } from '../engine/factorResolver';
 
 export default function BoundariesView() {
     const { state, dispatch } = useApp();
+    const gwpSets = state.factorLibrary?.gwpSets?.length ? state.factorLibrary.gwpSets : Object.values(GWP_SETS);
 
     return (
         <>
@@ -40,6 +43,18 @@ export default function BoundariesView() {
                         onChange={(e) => dispatch({ type: 'UPDATE_META', payload: { field: 'periodEnd', value: e.target.value } })}
                     />
                 </div>
+                <div className="form-group">
+                    <label>GWP Set</label>
+                    <select value={state.meta.gwpSetId || CBAM_GWP_SET_ID}
+                        onChange={(e) => dispatch({ type: 'UPDATE_META', payload: { field: 'gwpSetId', value: e.target.value } })}>
+                        {gwpSets.map(g => (
+                            <option key={g.id} value={g.id}>{g.name}</option>
+                        ))}
+                    </select>
+                    {state.meta.gwpSetId && state.meta.gwpSetId !== CBAM_GWP_SET_ID && (
+                        <p style={{ color: 'var(--text-muted)', fontSize: '0.75rem', marginTop: '0.25rem' }}>Inventory views only — the CBAM export always uses the EU CBAM set.</p>
+                    )}
+                </div>
             </div>
 
             {/* Boundaries Table */}
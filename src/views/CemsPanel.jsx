@@ -0,0 +1,195 @@
+import React, { useMemo, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { calculateTotalEmissions, emissionInputsFromState } from '../engine/emissionEngine';
+import { CEMS_CONCENTRATION_UNITS, CEMS_GASES, CEMS_RULES, parseCemsSeries, formatCemsSeries, hoursInPeriod } from '../engine/cemsEngine';
+import { Activity, Info, AlertTriangle, CheckCircle, ChevronDown, ChevronRight } from 'lucide-react';
+
+export default function CemsPanel() {
+    const { state, dispatch } = useApp();
+    const [expandedId, setExpandedId] = useState(null);
+    const sources = state.cemsSources;
+
+    const sortedSources = useMemo(() => {
+        return [...(sources || [])].sort((a, b) => (a.period || '').localeCompare(b.period || ''));
+    }, [sources]);
+
+    // Full calculation — the corroborating check needs the fuel entries
+    const cems = useMemo(() => calculateTotalEmissions(emissionInputsFromState(state, null)).cems, [state]);
+    const resultById = Object.fromEntries(cems.entries.map(r => [r.sourceId, r]));
+
+    const update = (id, field, value) => dispatch({ type: 'UPDATE_CEMS_SOURCE', payload: { id, field, value } });
+
+    return (
+        <div className="card">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <Activity size={20} className="text-teal-600" />
+                    <h3 className="text-lg font-semibold text-slate-700">Measurement-Based — CEMS (Scope 1)</h3>
+                </div>
+                <div className="flex items-center gap-4">
+                    <span className="text-sm font-mono text-slate-500">
+                        Total: <strong className="text-slate-800">{cems.totalCO2e.toFixed(1)} tCO₂e</strong>
+                    </span>
+                    <button className="btn ghost small" onClick={() => dispatch({
+                        type: 'ADD_CEMS_SOURCE', payload: {
+                            id: `cems${Date.now()}`,
+                            period: state.meta.periodStart || '2025-01',
+                            processId: state.processes[0]?.id || '',
+                            name: '', gas: 'CO2', concentrationUnit: 'mg_Nm3',
+                            hours: [], coversCombustion: false,
+                            evidence: '', notes: '',
+                        }
+                    })}>+ Add Stack</button>
+                </div>
+            </div>
+
+            {sortedSources.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th style={{ width: 28 }}></th>
+                                <th style={{ width: 100 }}>Period</th>
+                                <th style={{ width: 110 }}>Process</th>
+                                <th>Stack</th>
+                                <th style={{ width: 80 }}>Gas</th>
+                                <th style={{ width: 100 }}>Conc. unit</th>
+                                <th style={{ width: 90 }} className="text-right">Hours</th>
+                                <th style={{ width: 80 }} className="text-right">Avail.</th>
+                                <th style={{ width: 70 }} className="text-center">Fuels</th>
+                                <th style={{ width: 110 }} className="text-right">Corroboration</th>
+                                <th style={{ width: 90 }} className="text-right">tCO₂e</th>
+                                <th style={{ width: 40 }}></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sortedSources.map(cs => {
+                                const r = resultById[cs.id];
+                                const expected = hoursInPeriod(cs.period) || cs.hours.length;
+                                const isOpen = expandedId === cs.id;
+                                const availabilityClass = !r || r.error || r.availability < CEMS_RULES.minAvailability
+                                    ? 'text-red-600'
+                                    : r.availability < CEMS_RULES.warnAvailability ? 'text-amber-600' : 'text-emerald-600';
+                                return (
+                                    <React.Fragment key={cs.id}>
+                                        <tr>
+                                            <td>
+                                                <button className="btn ghost small" onClick={() => setExpandedId(isOpen ? null : cs.id)}
+                                                    title="Hourly data">
+                                                    {isOpen ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                                                </button>
+                                            </td>
+                                            <td>
+                                                <input type="month" value={cs.period} className="input-cell"
+                                                    onChange={(e) => update(cs.id, 'period', e.target.value)} />
+                                            </td>
+                                            <td>
+                                                <select value={cs.processId} className="input-cell"
+                                                    onChange={(e) => update(cs.id, 'processId', e.target.value)}>
+                                                    {state.processes.filter(p => p.active).map(p => <option key={p.id} value={p.id}>{p.id}</option>)}
+                                                </select>
+                                            </td>
+                                            <td>
+                                                <input type="text" value={cs.name} className="input-cell text-sm"
+                                                    placeholder="e.g. Boiler stack S1"
+                                                    onChange={(e) => update(cs.id, 'name', e.target.value)} />
+                                            </td>
+                                            <td>
+                                                <select value={cs.gas} className="input-cell text-xs"
+                                                    onChange={(e) => update(cs.id, 'gas', e.target.value)}>
+                                                    {CEMS_GASES.map(g => <option key={g} value={g}>{g}</option>)}
+                                                </select>
+                                            </td>
+                                            <td>
+                                                <select value={cs.concentrationUnit} className="input-cell text-xs"
+                                                    onChange={(e) => update(cs.id, 'concentrationUnit', e.target.value)}>
+                                                    {Object.values(CEMS_CONCENTRATION_UNITS).map(u => <option key={u.id} value={u.id}>{u.label}</option>)}
+                                                </select>
+                                            </td>
+                                            <td className="font-mono text-right text-xs text-slate-500">
+                                                {r?.lineage.hours.valid ?? 0} / {expected}
+                                            </td>
+                                            <td className={`font-mono text-right text-xs ${availabilityClass}`}>
+                                                {r ? `${(r.availability * 100).toFixed(1)}%` : '—'}
+                                            </td>
+                                            <td className="text-center">
+                                                <input type="checkbox" checked={cs.gas === 'CO2' && cs.coversCombustion}
+                                                    disabled={cs.gas !== 'CO2'}
+                                                    title={cs.gas === 'CO2' ? 'Stack measures the CO₂ of the fuels of this process and period' : 'Only a CO₂ stack replaces calculated fuel CO₂'}
+                                                    onChange={(e) => update(cs.id, 'coversCombustion', e.target.checked)} />
+                                            </td>
+                                            <td className="font-mono text-right text-xs">
+                                                {r?.corroboration.status === 'ok' && (
+                                                    <span className="inline-flex items-center gap-1 text-emerald-600"><CheckCircle size={12} /> {(r.corroboration.deviation * 100).toFixed(1)}%</span>
+                                                )}
+                                                {r?.corroboration.status === 'deviation' && (
+                                                    <span className="inline-flex items-center gap-1 text-amber-600"><AlertTriangle size={12} /> {(r.corroboration.deviation * 100).toFixed(1)}%</span>
+                                                )}
+                                                {(!r || r.corroboration.status === 'no_reference') && <span className="text-slate-400">—</span>}
+                                            </td>
+                                            <td className="font-mono font-semibold text-blue-700 text-right">
+                                                {r?.error ? (
+                                                    <span className="inline-flex items-center gap-1 text-red-600" title={r.error}>
+                                                        <AlertTriangle size={13} /> —
+                                                    </span>
+                                                ) : (r?.co2e || 0).toFixed(1)}
+                                            </td>
+                                            <td className="text-right">
+                                                <button className="btn ghost small danger-hover" onClick={() => dispatch({ type: 'DELETE_CEMS_SOURCE', payload: cs.id })}>&times;</button>
+                                            </td>
+                                        </tr>
+                                        {isOpen && (
+                                            <tr>
+                                                <td></td>
+                                                <td colSpan={11}>
+                                                    <div className="grid grid-cols-3 gap-3 py-2">
+                                                        <div className="col-span-2">
+                                                            <div className="text-[10px] text-slate-400 mb-1">
+                                                                One hour per line: concentration ({CEMS_CONCENTRATION_UNITS[cs.concentrationUnit]?.label}), flue-gas flow (Nm³/h). Leave a cell empty for a missing reading.
+                                                            </div>
+                                                            <textarea key={cs.hours.length} rows={6}
+                                                                className="input-cell font-mono text-xs w-full"
+                                                                defaultValue={formatCemsSeries(cs.hours)}
+                                                                placeholder={'concentration,flow\n112000,48500\n,48700'}
+                                                                onBlur={(e) => update(cs.id, 'hours', parseCemsSeries(e.target.value))} />
+                                                        </div>
+                                                        {r && !r.error && (
+                                                            <div className="text-xs text-slate-500 space-y-1">
+                                                                <div className="flex justify-between"><span>Measured</span><span className="font-mono">{r.lineage.conversion.measured.value.toFixed(1)} t</span></div>
+                                                                <div className="flex justify-between"><span>Substituted ({r.lineage.hours.expected - r.lineage.hours.valid} h)</span><span className="font-mono">{r.lineage.conversion.substituted.value.toFixed(1)} t</span></div>
+                                                                {r.biogenic > 0 && (
+                                                                    <div className="flex justify-between"><span>Biogenic (memo)</span><span className="font-mono">−{r.biogenic.toFixed(1)} t</span></div>
+                                                                )}
+                                                                {r.corroboration.status !== 'no_reference' && (
+                                                                    <div className="flex justify-between"><span>Calculated</span><span className="font-mono">{r.corroboration.calculated.toFixed(1)} t</span></div>
+                                                                )}
+                                                                {r.warning && (
+                                                                    <div className="flex items-start gap-1 text-amber-700">
+                                                                        <AlertTriangle size={12} className="mt-0.5 shrink-0" /> {r.warning}
+                                                                    </div>
+                                                                )}
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            ) : <div className="empty-state">No CEMS stacks. Click "+ Add Stack" to start.</div>}
+
+            <div className="mt-3 flex items-start gap-2 text-xs text-slate-400">
+                <Info size={14} className="mt-0.5 shrink-0" />
+                <span>
+                    Formula: t = Σ hourly concentration × flue-gas flow (MRR Art. 43). Missing hours are substituted with mean + 2σ
+                    (concentration) or mean (flow) of the valid hours (Art. 45). Stacks that cover the process's fuels replace their
+                    calculated emissions; the calculation is kept as the corroborating check (Art. 46, ±{CEMS_RULES.corroborationTolerance * 100}%).
+                </span>
+            </div>
+        </div>
+    );
+}
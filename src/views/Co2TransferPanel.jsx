@@ -0,0 +1,138 @@
+import React, { useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { calculateTotalEmissions, emissionInputsFromState } from '../engine/emissionEngine';
+import { CO2_TRANSFER_TYPES, CO2_TRANSFER_MEASUREMENTS } from '../engine/transferEngine';
+import { PackageOpen, Info, AlertTriangle } from 'lucide-react';
+
+export default function Co2TransferPanel() {
+    const { state, dispatch } = useApp();
+    const transfers = state.co2Transfers;
+
+    const sortedTransfers = useMemo(() => {
+        return [...(transfers || [])].sort((a, b) => (a.period || '').localeCompare(b.period || ''));
+    }, [transfers]);
+
+    const results = useMemo(() => calculateTotalEmissions(emissionInputsFromState(state, null)).transfers, [state]);
+    const resultById = Object.fromEntries(results.entries.map(r => [r.transferId, r]));
+
+    const update = (id, field, value) => dispatch({ type: 'UPDATE_CO2_TRANSFER', payload: { id, field, value } });
+    const activeProcesses = state.processes.filter(p => p.active);
+
+    return (
+        <div className="card">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <PackageOpen size={20} className="text-emerald-600" />
+                    <h3 className="text-lg font-semibold text-slate-700">CO₂ Transfers & CCS</h3>
+                </div>
+                <div className="flex items-center gap-4">
+                    <span className="text-sm font-mono text-slate-500">
+                        Transferred: <strong className="text-slate-800">{results.transferredCO2.toFixed(1)}</strong>
+                        {' · '}Deducted: <strong className="text-slate-800">−{results.deductionCO2e.toFixed(1)}</strong> tCO₂
+                    </span>
+                    <button className="btn ghost small" onClick={() => dispatch({
+                        type: 'ADD_CO2_TRANSFER', payload: {
+                            id: `co2t${Date.now()}`,
+                            period: state.meta.periodStart || '2025-01',
+                            processId: activeProcesses[0]?.id || '',
+                            transferType: 'storage_site',
+                            receivingInstallationId: '', receivingInstallationName: '',
+                            quantity: 0, measurementMethod: 'measured',
+                            evidence: '', notes: '',
+                        }
+                    })}>+ Add Transfer</button>
+                </div>
+            </div>
+
+            {sortedTransfers.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th style={{ width: 100 }}>Period</th>
+                                <th style={{ width: 110 }}>Process</th>
+                                <th style={{ width: 150 }}>Type</th>
+                                <th>Receiving installation</th>
+                                <th style={{ width: 100 }}>tCO₂</th>
+                                <th style={{ width: 150 }}>Quantity from</th>
+                                <th>Evidence</th>
+                                <th style={{ width: 90 }} className="text-right">Deducted</th>
+                                <th style={{ width: 40 }}></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sortedTransfers.map(t => {
+                                const r = resultById[t.id];
+                                return (
+                                    <tr key={t.id}>
+                                        <td>
+                                            <input type="month" value={t.period} className="input-cell"
+                                                onChange={(e) => update(t.id, 'period', e.target.value)} />
+                                        </td>
+                                        <td>
+                                            <select value={t.processId} className="input-cell"
+                                                onChange={(e) => update(t.id, 'processId', e.target.value)}>
+                                                {activeProcesses.map(p => <option key={p.id} value={p.id}>{p.id}</option>)}
+                                            </select>
+                                        </td>
+                                        <td>
+                                            <select value={t.transferType} className="input-cell text-xs"
+                                                title={CO2_TRANSFER_TYPES[t.transferType]?.description}
+                                                onChange={(e) => update(t.id, 'transferType', e.target.value)}>
+                                                {Object.values(CO2_TRANSFER_TYPES).map(ty => <option key={ty.id} value={ty.id}>{ty.label}</option>)}
+                                            </select>
+                                        </td>
+                                        <td>
+                                            <div className="flex items-center gap-1">
+                                                <input type="text" value={t.receivingInstallationId} className="input-cell text-xs font-mono w-28"
+                                                    placeholder="Installation ID"
+                                                    onChange={(e) => update(t.id, 'receivingInstallationId', e.target.value)} />
+                                                <input type="text" value={t.receivingInstallationName} className="input-cell text-xs"
+                                                    placeholder="Name"
+                                                    onChange={(e) => update(t.id, 'receivingInstallationName', e.target.value)} />
+                                            </div>
+                                        </td>
+                                        <td>
+                                            <input type="number" value={t.quantity} className="input-cell font-mono"
+                                                onChange={(e) => update(t.id, 'quantity', e.target.value)} />
+                                        </td>
+                                        <td>
+                                            <select value={t.measurementMethod} className="input-cell text-xs"
+                                                onChange={(e) => update(t.id, 'measurementMethod', e.target.value)}>
+                                                {Object.values(CO2_TRANSFER_MEASUREMENTS).map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                                            </select>
+                                        </td>
+                                        <td>
+                                            <input type="text" value={t.evidence} className="input-cell text-xs"
+                                                placeholder="Meter record / certificate"
+                                                onChange={(e) => update(t.id, 'evidence', e.target.value)} />
+                                        </td>
+                                        <td className={`font-mono font-semibold text-right ${r?.deduction > 0 ? 'text-emerald-700' : 'text-slate-400'}`}>
+                                            {r?.warning && (
+                                                <span className="inline-flex mr-1 text-amber-500 align-middle" title={r.warning}><AlertTriangle size={13} /></span>
+                                            )}
+                                            {r?.deduction > 0 ? `−${r.deduction.toFixed(1)}` : '0.0'}
+                                        </td>
+                                        <td className="text-right">
+                                            <button className="btn ghost small danger-hover" onClick={() => dispatch({ type: 'DELETE_CO2_TRANSFER', payload: t.id })}>&times;</button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            ) : <div className="empty-state">No CO₂ transfers. Click "+ Add Transfer" to start.</div>}
+
+            <div className="mt-3 flex items-start gap-2 text-xs text-slate-400">
+                <Info size={14} className="mt-0.5 shrink-0" />
+                <span>
+                    MRR Art. 49: CO₂ transferred to a capture installation, transport network or storage site, or permanently
+                    bound in a product, is deducted from the transferring process's direct emissions. The receiving installation
+                    and measurement evidence are required; transfers for geological storage must be measured. Other transfers
+                    are recorded but not deducted.
+                </span>
+            </div>
+        </div>
+    );
+}
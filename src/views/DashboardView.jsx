@@ -1,6 +1,6 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { useApp } from '../context/AppContext';
-import { calculateTotalEmissions, calculatePCF, calcCombustionEmissions, calcElectricityEmissions } from '../engine/emissionEngine';
+import { calculateTotalEmissions, emissionInputsFromState, calculatePCF, calculateEmissionTimeSeries, SERIES_SOURCES } from '../engine/emissionEngine';
 import { calculateCBAMProjection } from '../engine/cbamCalculator';
 import { checkSectorCompleteness } from '../data/processTemplates';
 import {
@@ -9,22 +9,22 @@ import {
 } from 'lucide-react';
 import {
     PieChart, Pie, Cell, ResponsiveContainer,
-    BarChart, Bar, XAxis, YAxis, Tooltip, Legend
+    ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, Legend
 } from 'recharts';
 
 const SCOPE_COLORS = ['#3b82f6', '#06b6d4', '#8b5cf6'];
+const SOURCE_COLORS = {
+    combustion: '#3b82f6', cems: '#6366f1', process: '#8b5cf6', mass_balance: '#a855f7',
+    heat: '#f59e0b', generation: '#94a3b8', transfer: '#10b981', electricity: '#06b6d4',
+};
 const GAS_COLORS = { CO2: '#3b82f6', CH4: '#f59e0b', N2O: '#ef4444', CF4: '#8b5cf6', C2F6: '#ec4899' };
 
 export default function DashboardView() {
     const { state, dispatch } = useApp();
+    const [trendGranularity, setTrendGranularity] = useState('month');
 
     // ─── Compute emissions ────────────────────────────────────
-    const emissionResult = useMemo(() => calculateTotalEmissions({
-        fuels: state.activity.fuels,
-        electricity: state.activity.electricity,
-        processEvents: state.processEvents || [],
-        emissionBlocks: state.emissionBlocks || [],
-    }), [state.activity.fuels, state.activity.electricity, state.processEvents, state.emissionBlocks]);
+    const emissionResult = useMemo(() => calculateTotalEmissions(emissionInputsFromState(state)), [state]);
 
     const directEmissions = emissionResult.summary.directCO2e;
     const indirectEmissions = emissionResult.electricity.totals.co2e;
@@ -32,8 +32,9 @@ export default function DashboardView() {
 
     // ─── PCF ──────────────────────────────────────────────────
     const pcfResults = useMemo(() => calculatePCF(
-        emissionResult, state.products, state.allocationSettings
-    ), [emissionResult, state.products, state.allocationSettings]);
+        emissionResult, state.products, state.allocationSettings,
+        { productionOutput: state.productionOutput, processes: state.processes }
+    ), [emissionResult, state.products, state.allocationSettings, state.productionOutput, state.processes]);
 
     const mainProduct = pcfResults.find(p => !(p.isResidue || p.isExcluded));
 
@@ -93,21 +94,15 @@ export default function DashboardView() {
         } catch { return null; }
     }, [state.cbamSettings, mainProduct, totalEmissions, state.meta.goodCategory]);
 
-    // ─── Monthly trend data ───────────────────────────────────
-    const monthlyTrend = useMemo(() => {
-        const byMonth = {};
-        state.activity.fuels.forEach(f => {
-            const m = f.period || 'Unknown';
-            if (!byMonth[m]) byMonth[m] = { month: m, direct: 0, indirect: 0 };
-            byMonth[m].direct += calcCombustionEmissions(f).co2e;
-        });
-        state.activity.electricity.forEach(e => {
-            const m = e.period || 'Unknown';
-            if (!byMonth[m]) byMonth[m] = { month: m, direct: 0, indirect: 0 };
-            byMonth[m].indirect += calcElectricityEmissions(e).co2e;
-        });
-        return Object.values(byMonth).sort((a, b) => a.month.localeCompare(b.month));
-    }, [state.activity.fuels, state.activity.electricity]);
+    // ─── Emissions trend (engine time series) ─────────────────
+    const trend = useMemo(() => calculateEmissionTimeSeries(emissionInputsFromState(state), {
+        granularity: trendGranularity,
+        productionOutput: state.productionOutput,
+        products: state.products,
+    }), [state, trendGranularity]);
+    const trendData = trend.periods.map(p => ({ period: p.key, ...p.bySource, intensity: p.intensity }));
+    const trendSources = Object.keys(SERIES_SOURCES).filter(s => trend.periods.some(p => Math.abs(p.bySource[s]) >= 0.5));
+    const hasIntensity = trend.periods.some(p => p.intensity != null);
 
     // ─── Scope breakdown pie ──────────────────────────────────
     const scopeData = [
@@ -274,21 +269,34 @@ export default function DashboardView() {
 
                 {/* Monthly Trend */}
                 <div className="card">
-                    <h3 className="text-sm font-semibold text-slate-700 mb-3">Monthly Emissions Trend</h3>
-                    {monthlyTrend.length > 0 ? (
+                    <div className="flex items-center justify-between mb-3">
+                        <h3 className="text-sm font-semibold text-slate-700">Emissions Trend</h3>
+                        <select value={trendGranularity} className="input-cell text-xs" onChange={(e) => setTrendGranularity(e.target.value)}>
+                            <option value="month">Monthly</option>
+                            <option value="quarter">Quarterly</option>
+                        </select>
+                    </div>
+                    {trendData.length > 0 ? (
                         <div style={{ height: 250 }}>
                             <ResponsiveContainer width="100%" height="100%">
-                                <BarChart data={monthlyTrend} margin={{ left: 10, right: 10, bottom: 0 }}>
-                                    <XAxis dataKey="month" tick={{ fontSize: 10 }} />
-                                    <YAxis tick={{ fontSize: 10 }} />
+                                <ComposedChart data={trendData} stackOffset="sign" margin={{ left: 10, right: 10, bottom: 0 }}>
+                                    <XAxis dataKey="period" tick={{ fontSize: 10 }} />
+                                    <YAxis yAxisId="co2e" tick={{ fontSize: 10 }} />
+                                    {hasIntensity && <YAxis yAxisId="intensity" orientation="right" tick={{ fontSize: 10 }} />}
                                     <Tooltip
-                                        formatter={(v) => `${fmt(v)} tCO₂e`}
+                                        formatter={(v, name, item) => item.dataKey === 'intensity'
+                                            ? `${(v ?? 0).toFixed(3)} tCO₂e/t`
+                                            : `${fmt(v)} tCO₂e`}
                                         contentStyle={{ borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' }}
                                     />
                                     <Legend wrapperStyle={{ fontSize: 11 }} />
-                                    <Bar dataKey="direct" stackId="a" fill="#3b82f6" name="Direct (Scope 1)" radius={[0, 0, 0, 0]} />
-                                    <Bar dataKey="indirect" stackId="a" fill="#06b6d4" name="Indirect (Scope 2)" radius={[4, 4, 0, 0]} />
-                                </BarChart>
+                                    {trendSources.map(s => (
+                                        <Bar key={s} yAxisId="co2e" dataKey={s} stackId="a" fill={SOURCE_COLORS[s]} name={SERIES_SOURCES[s]} />
+                                    ))}
+                                    {hasIntensity && (
+                                        <Line yAxisId="intensity" dataKey="intensity" name="Intensity (tCO₂e/t)" stroke="#0f172a" strokeWidth={2} dot={{ r: 2 }} connectNulls />
+                                    )}
+                                </ComposedChart>
                             </ResponsiveContainer>
                         </div>
                     ) : (
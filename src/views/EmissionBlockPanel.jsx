@@ -1,9 +1,14 @@
 import React, { useMemo, useState } from 'react';
 import { useApp } from '../context/AppContext';
-import { calcEmissionBlock, GWP_AR6 } from '../engine/emissionEngine';
-import { validateFormula, extractVariables } from '../engine/formulaEvaluator';
+import { calcEmissionBlocks, calculateTotalEmissions, selectGwpSet, emissionInputsFromState, DEFAULT_EMISSION_FACTORS } from '../engine/emissionEngine';
+import { BINDING_SOURCES, bindBlockParameters, bindingUnit } from '../engine/parameterBindings';
+import { FUEL_UNITS } from '../engine/unitConversion';
+import { availableOutputs, OUTPUT_NAME_PATTERN } from '../engine/blockGraph';
+import { validateFormula, extractVariables, FORMULA_FUNCTIONS } from '../engine/formulaEvaluator';
+import { checkBlockUnits } from '../engine/unitAnalysis';
+import { DISTRIBUTIONS } from '../engine/monteCarlo';
 import { PROCESS_TEMPLATES, getTemplatesByCategory } from '../data/processTemplates';
-import { FlaskConical, Plus, Trash2, ChevronDown, ChevronRight, Info, Beaker, Pencil, Check, X, AlertTriangle } from 'lucide-react';
+import { FlaskConical, Plus, Trash2, ChevronDown, ChevronRight, Info, Beaker, Pencil, Check, X, AlertTriangle, Link2 } from 'lucide-react';
 
 // ─── Gas color mapping ───────────────────────────────────────
 const GAS_COLORS = {
@@ -22,14 +27,37 @@ export default function EmissionBlockPanel() {
     const [expandedBlocks, setExpandedBlocks] = useState(new Set());
     const [editingBlocks, setEditingBlocks] = useState(new Set());
 
-    // Compute results for all blocks
+    // Bound parameters resolved against the same activity data and fuel conversions the engine uses
+    const boundBlocks = useMemo(() => {
+        const inputs = emissionInputsFromState(state, null);
+        const combustion = calculateTotalEmissions(inputs).combustion.entries;
+        return bindBlockParameters(state.emissionBlocks || [], { ...inputs, combustion });
+    }, [state]);
+    const boundParams = useMemo(() => Object.fromEntries(boundBlocks.map(block => [
+        block.id,
+        Object.fromEntries(block.parameters.filter(p => p.bound).map(p => [p.key, p.bound])),
+    ])), [boundBlocks]);
+
+    // Compute results for all blocks, upstream blocks first
     const blockResults = useMemo(() => {
-        const results = {};
-        emissionBlocks.forEach(block => {
-            results[block.id] = calcEmissionBlock(block, GWP_AR6);
+        const gwp = selectGwpSet(state.factorLibrary, state.meta.gwpSetId);
+        return calcEmissionBlocks(boundBlocks, gwp);
+    }, [boundBlocks, state.factorLibrary, state.meta.gwpSetId]);
+
+    // Output names each block's formula may reference
+    const blockReferences = useMemo(() => {
+        const blocks = state.emissionBlocks || [];
+        return Object.fromEntries(blocks.map(block => [block.id, availableOutputs(block, blocks)]));
+    }, [state.emissionBlocks]);
+
+    // Dimensional check of each formula against its parameter units
+    const unitChecks = useMemo(() => {
+        const checks = {};
+        (state.emissionBlocks || []).forEach(block => {
+            checks[block.id] = checkBlockUnits(block, blockReferences[block.id]);
         });
-        return results;
-    }, [emissionBlocks]);
+        return checks;
+    }, [state.emissionBlocks, blockReferences]);
 
     // Totals
     const totalCO2e = useMemo(() =>
@@ -73,6 +101,9 @@ export default function EmissionBlockPanel() {
                 processId,
                 templateId: template.id,
                 name: template.name,
+                // Template output names are only taken while free in the period
+                outputName: template.outputName && !emissionBlocks.some(b => b.period === period && b.outputName === template.outputName)
+                    ? template.outputName : '',
                 outputGas: template.outputGas,
                 formula: template.formula,
                 formulaDisplay: template.formulaDisplay,
@@ -95,6 +126,10 @@ export default function EmissionBlockPanel() {
         });
     };
 
+    // Update a parameter's measurement uncertainty (%; empty = undocumented)
+    const updateParamUncertainty = (blockId, paramKey, value) =>
+        updateParamMeta(blockId, paramKey, 'uncertainty', value === '' ? null : parseFloat(value));
+
     // Toggle edit mode for a block
     const toggleEdit = (id) => {
         setEditingBlocks(prev => {
@@ -120,6 +155,14 @@ export default function EmissionBlockPanel() {
         });
     };
 
+    // Update the name other blocks reference this block's result by
+    const updateOutputName = (blockId, outputName) => {
+        dispatch({
+            type: 'UPDATE_EMISSION_BLOCK',
+            payload: { id: blockId, data: { outputName } }
+        });
+    };
+
     // Update output gas
     const updateOutputGas = (blockId, outputGas) => {
         dispatch({
@@ -152,6 +195,25 @@ export default function EmissionBlockPanel() {
         });
     };
 
+    // Bind a parameter to activity data, or back to a typed-in value (null)
+    const updateParamBinding = (blockId, paramKey, binding) => {
+        const block = emissionBlocks.find(b => b.id === blockId);
+        if (!block) return;
+        const newParams = block.parameters.map(p => {
+            if (p.key !== paramKey) return p;
+            return binding ? { ...p, binding, unit: bindingUnit(binding) } : { ...p, binding: null };
+        });
+        dispatch({
+            type: 'UPDATE_EMISSION_BLOCK',
+            payload: { id: blockId, data: { parameters: newParams } }
+        });
+    };
+
+    // Default binding of a source: the first product or the first fuel type in use
+    const newBinding = (source) => source === 'production_output'
+        ? { source, productId: state.products[0]?.id || '' }
+        : { source, fuelTypeId: state.activity.fuels[0]?.fuelTypeId || 'natural_gas', unit: 't' };
+
     // Update a parameter's metadata (key, label, unit) — not value
     const updateParamMeta = (blockId, oldKey, field, newValue) => {
         const block = emissionBlocks.find(b => b.id === blockId);
@@ -258,6 +320,7 @@ export default function EmissionBlockPanel() {
                                     const result = blockResults[block.id] || { tonnes: 0, co2e: 0, gas: 'CO2', error: null };
                                     const gasColor = GAS_COLORS[block.outputGas] || defaultGasColor;
                                     const isExpanded = expandedBlocks.has(block.id);
+                                    const unitCheck = unitChecks[block.id];
 
                                     return (
                                         <div
@@ -282,6 +345,16 @@ export default function EmissionBlockPanel() {
                                                             {block.templateId}
                                                         </span>
                                                     )}
+                                                    {block.outputName && (
+                                                        <span className="text-[10px] font-mono px-1.5 py-0.5 rounded bg-indigo-50 text-indigo-600" title="Output name other blocks reference">
+                                                            = {block.outputName}
+                                                        </span>
+                                                    )}
+                                                    {unitCheck?.status === 'mismatch' && (
+                                                        <span className="text-[10px] px-1.5 py-0.5 rounded bg-red-50 text-red-600 border border-red-200 flex items-center gap-1" title={unitCheck.issues.join('\n')}>
+                                                            <AlertTriangle size={10} /> Unit mismatch
+                                                        </span>
+                                                    )}
                                                 </div>
                                                 <div className="flex items-center gap-4">
                                                     {result.error ? (
@@ -307,9 +380,15 @@ export default function EmissionBlockPanel() {
                                             {isExpanded && (() => {
                                                 const isEditing = editingBlocks.has(block.id);
                                                 const paramKeys = block.parameters.map(p => p.key);
-                                                const validation = block.formula ? validateFormula(block.formula, paramKeys) : { valid: true, error: null, unknownVars: [] };
+                                                const references = (blockReferences[block.id] || []).filter(name => !paramKeys.includes(name));
+                                                const validation = block.formula ? validateFormula(block.formula, [...paramKeys, ...references]) : { valid: true, error: null, unknownVars: [] };
                                                 const formulaVars = extractVariables(block.formula);
-                                                const missingVars = formulaVars.filter(v => !paramKeys.includes(v));
+                                                const missingVars = formulaVars.filter(v => !paramKeys.includes(v) && !references.includes(v));
+                                                const outputNameError = !block.outputName ? null
+                                                    : !OUTPUT_NAME_PATTERN.test(block.outputName) ? 'Letters, digits and _ only; must not start with a digit'
+                                                    : emissionBlocks.some(b => b.id !== block.id && b.period === block.period && b.outputName === block.outputName) ? `Another block in ${block.period} uses this name`
+                                                    : paramKeys.includes(block.outputName) ? 'Same as one of this block\'s parameters'
+                                                    : null;
 
                                                 return (
                                                     <div className="px-4 py-3 border-t border-slate-100 bg-white">
@@ -361,6 +440,13 @@ export default function EmissionBlockPanel() {
                                                                         {block.formula && validation.valid && (
                                                                             <div className="mt-1 text-[11px] text-emerald-600">✓ Formula valid</div>
                                                                         )}
+                                                                        {block.formula && validation.valid && result.error && (
+                                                                            <div className="flex items-center gap-1 mt-1 text-[11px] text-red-500">
+                                                                                <AlertTriangle size={11} />
+                                                                                {result.error}
+                                                                            </div>
+                                                                        )}
+                                                                        {block.formula && validation.valid && <UnitCheck check={unitCheck} />}
                                                                         {/* Variable hints */}
                                                                         {block.formula && (
                                                                             <div className="mt-1.5 flex flex-wrap items-center gap-1">
@@ -368,15 +454,37 @@ export default function EmissionBlockPanel() {
                                                                                 {formulaVars.length === 0 ? (
                                                                                     <span className="text-[10px] text-slate-300 italic">none detected</span>
                                                                                 ) : formulaVars.map(v => (
-                                                                                    <span key={v} className={`text-[10px] font-mono px-1.5 py-0.5 rounded ${paramKeys.includes(v)
-                                                                                            ? 'bg-emerald-50 text-emerald-700 border border-emerald-200'
-                                                                                            : 'bg-amber-50 text-amber-700 border border-amber-200'
-                                                                                        }`}>
-                                                                                        {v}{!paramKeys.includes(v) && ' ⚠'}
-                                                                                    </span>
+                                                                                    references.includes(v) ? (
+                                                                                        <span key={v} className="text-[10px] font-mono px-1.5 py-0.5 rounded bg-indigo-50 text-indigo-700 border border-indigo-200" title="Output of another block in this period (t)">
+                                                                                            {v} ↗
+                                                                                        </span>
+                                                                                    ) : (
+                                                                                        <span key={v} className={`text-[10px] font-mono px-1.5 py-0.5 rounded ${paramKeys.includes(v)
+                                                                                                ? 'bg-emerald-50 text-emerald-700 border border-emerald-200'
+                                                                                                : 'bg-amber-50 text-amber-700 border border-amber-200'
+                                                                                            }`}>
+                                                                                            {v}{!paramKeys.includes(v) && ' ⚠'}
+                                                                                        </span>
+                                                                                    )
                                                                                 ))}
                                                                             </div>
                                                                         )}
+                                                                        <div className="mt-1 flex flex-wrap items-center gap-1 text-[10px] text-slate-400">
+                                                                            <span>Functions:</span>
+                                                                            {Object.entries(FORMULA_FUNCTIONS).map(([name, fn]) => (
+                                                                                <span key={name} className="font-mono px-1 rounded bg-slate-50" title={`${fn.signature} — ${fn.description}`}>{name}</span>
+                                                                            ))}
+                                                                            <span className="ml-1">Comparisons:</span>
+                                                                            <span className="font-mono">&lt; &lt;= &gt; &gt;= == !=</span>
+                                                                            {references.length > 0 && (
+                                                                                <>
+                                                                                    <span className="ml-1">Block outputs:</span>
+                                                                                    {references.map(name => (
+                                                                                        <span key={name} className="font-mono px-1 rounded bg-indigo-50 text-indigo-600">{name}</span>
+                                                                                    ))}
+                                                                                </>
+                                                                            )}
+                                                                        </div>
                                                                         {/* Auto-create missing parameters */}
                                                                         {missingVars.length > 0 && (
                                                                             <button
@@ -405,6 +513,19 @@ export default function EmissionBlockPanel() {
                                                                             </button>
                                                                         )}
                                                                     </div>
+                                                                    <div className="w-32">
+                                                                        <label className="text-[10px] text-slate-500 font-medium block mb-1" title="Other blocks in this period can use this name in their formulas">Output Name</label>
+                                                                        <input
+                                                                            type="text"
+                                                                            value={block.outputName || ''}
+                                                                            className={`input-cell font-mono text-sm w-full ${outputNameError ? 'border-red-300 bg-red-50' : ''}`}
+                                                                            placeholder="e.g. cf4"
+                                                                            onChange={(e) => updateOutputName(block.id, e.target.value.trim())}
+                                                                        />
+                                                                        {outputNameError && (
+                                                                            <div className="mt-1 text-[10px] text-red-500">{outputNameError}</div>
+                                                                        )}
+                                                                    </div>
                                                                     <div className="w-28">
                                                                         <label className="text-[10px] text-slate-500 font-medium block mb-1">Output Gas</label>
                                                                         <select
@@ -439,44 +560,115 @@ export default function EmissionBlockPanel() {
                                                                     ) : (
                                                                         <div className="space-y-1.5">
                                                                             {block.parameters.map(param => (
-                                                                                <div key={param.key} className="flex items-center gap-2 bg-slate-50 rounded p-2">
-                                                                                    <input
-                                                                                        type="text"
-                                                                                        value={param.key}
-                                                                                        className="input-cell font-mono text-xs w-24"
-                                                                                        placeholder="key"
-                                                                                        title="Variable name (used in formula)"
-                                                                                        onChange={(e) => updateParamMeta(block.id, param.key, 'key', e.target.value.replace(/[^a-zA-Z0-9_]/g, ''))}
-                                                                                    />
-                                                                                    <input
-                                                                                        type="text"
-                                                                                        value={param.label}
-                                                                                        className="input-cell text-xs flex-1"
-                                                                                        placeholder="Label"
-                                                                                        onChange={(e) => updateParamMeta(block.id, param.key, 'label', e.target.value)}
-                                                                                    />
-                                                                                    <input
-                                                                                        type="text"
-                                                                                        value={param.unit}
-                                                                                        className="input-cell text-xs w-20"
-                                                                                        placeholder="unit"
-                                                                                        onChange={(e) => updateParamMeta(block.id, param.key, 'unit', e.target.value)}
-                                                                                    />
-                                                                                    <input
-                                                                                        type="number"
-                                                                                        step="any"
-                                                                                        value={param.value ?? 0}
-                                                                                        className="input-cell font-mono text-xs w-24"
-                                                                                        placeholder="value"
-                                                                                        onChange={(e) => updateParam(block.id, param.key, e.target.value)}
-                                                                                    />
-                                                                                    <button
-                                                                                        className="text-slate-400 hover:text-red-500 transition-colors p-1"
-                                                                                        onClick={() => removeParameter(block.id, param.key)}
-                                                                                        title="Remove parameter"
-                                                                                    >
-                                                                                        <X size={14} />
-                                                                                    </button>
+                                                                                <div key={param.key} className="bg-slate-50 rounded p-2">
+                                                                                    <div className="flex items-center gap-2">
+                                                                                        <input
+                                                                                            type="text"
+                                                                                            value={param.key}
+                                                                                            className="input-cell font-mono text-xs w-24"
+                                                                                            placeholder="key"
+                                                                                            title="Variable name (used in formula)"
+                                                                                            onChange={(e) => updateParamMeta(block.id, param.key, 'key', e.target.value.replace(/[^a-zA-Z0-9_]/g, ''))}
+                                                                                        />
+                                                                                        <input
+                                                                                            type="text"
+                                                                                            value={param.label}
+                                                                                            className="input-cell text-xs flex-1"
+                                                                                            placeholder="Label"
+                                                                                            onChange={(e) => updateParamMeta(block.id, param.key, 'label', e.target.value)}
+                                                                                        />
+                                                                                        <input
+                                                                                            type="text"
+                                                                                            value={param.unit}
+                                                                                            className="input-cell text-xs w-20"
+                                                                                            placeholder="unit"
+                                                                                            disabled={!!param.binding}
+                                                                                            title={param.binding ? 'Set by the binding' : undefined}
+                                                                                            onChange={(e) => updateParamMeta(block.id, param.key, 'unit', e.target.value)}
+                                                                                        />
+                                                                                        {param.binding ? (
+                                                                                            <span className="font-mono text-xs w-24 text-right text-indigo-700" title="Resolved from the binding">
+                                                                                                {boundParams[block.id]?.[param.key]?.value.toLocaleString('en-US', { maximumFractionDigits: 4 }) ?? '—'}
+                                                                                            </span>
+                                                                                        ) : (
+                                                                                            <input
+                                                                                                type="number"
+                                                                                                step="any"
+                                                                                                value={param.value ?? 0}
+                                                                                                className="input-cell font-mono text-xs w-24"
+                                                                                                placeholder="value"
+                                                                                                onChange={(e) => updateParam(block.id, param.key, e.target.value)}
+                                                                                            />
+                                                                                        )}
+                                                                                        <select
+                                                                                            value={param.binding?.source || ''}
+                                                                                            className="input-cell text-xs w-28"
+                                                                                            title="Take the value from activity data"
+                                                                                            onChange={(e) => updateParamBinding(block.id, param.key, e.target.value ? newBinding(e.target.value) : null)}
+                                                                                        >
+                                                                                            <option value="">Manual</option>
+                                                                                            {Object.values(BINDING_SOURCES).map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                                                                                        </select>
+                                                                                        <input
+                                                                                            type="number"
+                                                                                            step="0.1"
+                                                                                            min="0"
+                                                                                            value={param.uncertainty ?? ''}
+                                                                                            className="input-cell font-mono text-xs w-16"
+                                                                                            placeholder="± %"
+                                                                                            title="Measurement uncertainty (% at 95 % confidence)"
+                                                                                            onChange={(e) => updateParamUncertainty(block.id, param.key, e.target.value)}
+                                                                                        />
+                                                                                        <select
+                                                                                            value={param.distribution || ''}
+                                                                                            className="input-cell text-xs w-24"
+                                                                                            title="Distribution for Monte Carlo simulation"
+                                                                                            onChange={(e) => updateParamMeta(block.id, param.key, 'distribution', e.target.value || null)}
+                                                                                        >
+                                                                                            <option value="">Default</option>
+                                                                                            {Object.values(DISTRIBUTIONS).map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+                                                                                        </select>
+                                                                                        <button
+                                                                                            className="text-slate-400 hover:text-red-500 transition-colors p-1"
+                                                                                            onClick={() => removeParameter(block.id, param.key)}
+                                                                                            title="Remove parameter"
+                                                                                        >
+                                                                                            <X size={14} />
+                                                                                        </button>
+                                                                                    </div>
+                                                                                    {param.binding && (
+                                                                                        <div className="flex items-center gap-2 mt-1.5 pl-1 text-[11px] text-slate-500">
+                                                                                            <Link2 size={12} className="text-indigo-400 shrink-0" />
+                                                                                            {param.binding.source === 'production_output' ? (
+                                                                                                <select
+                                                                                                    value={param.binding.productId || ''}
+                                                                                                    className="input-cell text-xs"
+                                                                                                    onChange={(e) => updateParamBinding(block.id, param.key, { ...param.binding, productId: e.target.value })}
+                                                                                                >
+                                                                                                    <option value="">All products</option>
+                                                                                                    {state.products.map(pr => <option key={pr.id} value={pr.id}>{pr.name}</option>)}
+                                                                                                </select>
+                                                                                            ) : (
+                                                                                                <>
+                                                                                                    <select
+                                                                                                        value={param.binding.fuelTypeId || ''}
+                                                                                                        className="input-cell text-xs"
+                                                                                                        onChange={(e) => updateParamBinding(block.id, param.key, { ...param.binding, fuelTypeId: e.target.value })}
+                                                                                                    >
+                                                                                                        {Object.entries(DEFAULT_EMISSION_FACTORS).map(([id, f]) => <option key={id} value={id}>{f.name}</option>)}
+                                                                                                    </select>
+                                                                                                    <select
+                                                                                                        value={param.binding.unit || 't'}
+                                                                                                        className="input-cell text-xs w-24"
+                                                                                                        onChange={(e) => updateParamBinding(block.id, param.key, { ...param.binding, unit: e.target.value })}
+                                                                                                    >
+                                                                                                        {Object.entries(FUEL_UNITS).map(([id, u]) => <option key={id} value={id}>{u.label}</option>)}
+                                                                                                    </select>
+                                                                                                </>
+                                                                                            )}
+                                                                                            <BindingSource bound={boundParams[block.id]?.[param.key]} />
+                                                                                        </div>
+                                                                                    )}
                                                                                 </div>
                                                                             ))}
                                                                         </div>
@@ -496,6 +688,7 @@ export default function EmissionBlockPanel() {
                                                                             <AlertTriangle size={11} /> {validation.error}
                                                                         </div>
                                                                     )}
+                                                                    {block.formula && validation.valid && unitCheck?.status === 'mismatch' && <UnitCheck check={unitCheck} />}
                                                                 </div>
 
                                                                 {/* Parameters grid */}
@@ -508,14 +701,40 @@ export default function EmissionBlockPanel() {
                                                                                     <label className="text-[10px] text-slate-500 font-medium block mb-1 truncate" title={param.label}>
                                                                                         {param.label}
                                                                                     </label>
-                                                                                    <input
-                                                                                        type="number"
-                                                                                        step="any"
-                                                                                        value={param.value ?? 0}
-                                                                                        className="input-cell font-mono text-sm w-full"
-                                                                                        onChange={(e) => updateParam(block.id, param.key, e.target.value)}
-                                                                                    />
-                                                                                    <span className="text-[9px] text-slate-400 mt-0.5 block">{param.unit}</span>
+                                                                                    {param.binding ? (
+                                                                                        <div className="font-mono text-sm text-indigo-700 px-1 py-0.5 flex items-center gap-1" title="Resolved from the binding">
+                                                                                            <Link2 size={12} className="text-indigo-400 shrink-0" />
+                                                                                            {boundParams[block.id]?.[param.key]?.value.toLocaleString('en-US', { maximumFractionDigits: 4 }) ?? '—'}
+                                                                                        </div>
+                                                                                    ) : (
+                                                                                        <input
+                                                                                            type="number"
+                                                                                            step="any"
+                                                                                            value={param.value ?? 0}
+                                                                                            className="input-cell font-mono text-sm w-full"
+                                                                                            onChange={(e) => updateParam(block.id, param.key, e.target.value)}
+                                                                                        />
+                                                                                    )}
+                                                                                    <div className="flex items-center justify-between gap-1 mt-0.5 text-[9px] text-slate-400">
+                                                                                        <span>{param.unit}</span>
+                                                                                        <span className="flex items-center gap-0.5" title="Measurement uncertainty (% at 95 % confidence)">
+                                                                                            ±
+                                                                                            <input
+                                                                                                type="number"
+                                                                                                step="0.1"
+                                                                                                min="0"
+                                                                                                value={param.uncertainty ?? ''}
+                                                                                                className="input-cell font-mono text-[10px] w-12"
+                                                                                                placeholder="%"
+                                                                                                onChange={(e) => updateParamUncertainty(block.id, param.key, e.target.value)}
+                                                                                            />
+                                                                                        </span>
+                                                                                    </div>
+                                                                                    {param.binding && (
+                                                                                        <div className="mt-0.5 text-[9px]">
+                                                                                            <BindingSource bound={boundParams[block.id]?.[param.key]} />
+                                                                                        </div>
+                                                                                    )}
                                                                                 </div>
                                                                             ))}
                                                                         </div>
@@ -585,3 +804,50 @@ export default function EmissionBlockPanel() {
         </div>
     );
 }
+
+// ─── Unit check of a block formula ───────────────────────────
+function UnitCheck({ check }) {
+    if (!check || check.status === 'invalid') return null;
+    const notes = [
+        ...check.undeclared.map(key => `${key} has no unit`),
+        ...check.unknownUnits.map(u => `${u.key}: ${u.error}`),
+    ];
+    return (
+        <div className="mt-1 space-y-0.5 text-[11px]">
+            {check.status === 'ok' && check.unit && (
+                <div className="text-emerald-600">✓ Units: result in {check.unit}</div>
+            )}
+            {check.issues.map(issue => (
+                <div key={issue} className="flex items-center gap-1 text-red-500">
+                    <AlertTriangle size={11} /> {issue}
+                </div>
+            ))}
+            {notes.length > 0 && (
+                <div className="text-amber-600">
+                    Units incomplete — {notes.join('; ')}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// ─── Source of a bound parameter ─────────────────────────────
+function BindingSource({ bound }) {
+    if (!bound) return null;
+    if (bound.error) {
+        return (
+            <span className="flex items-center gap-1 text-red-500">
+                <AlertTriangle size={10} /> {bound.error}
+            </span>
+        );
+    }
+    const { source } = bound;
+    return (
+        <span className="text-slate-400" title={source.rows.join(', ')}>
+            {source.label} · {source.period} · {source.rows.length} {source.rows.length === 1 ? 'row' : 'rows'}
+            {source.estimated > 0 && <span className="text-amber-600"> ({source.estimated} estimated)</span>}
+            {source.converted.length > 0 && <span> · {source.converted.length} converted from other units</span>}
+            {source.skipped.length > 0 && <span className="text-amber-600"> · {source.skipped.length} without NCV or density skipped</span>}
+        </span>
+    );
+}
@@ -1,6 +1,7 @@
 import React, { useMemo, useState } from 'react';
 import { useApp } from '../context/AppContext';
-import { buildCBAMTemplate, downloadAsJSON, downloadAsCSV } from '../engine/cbamExporter';
+import { buildCBAMTemplate } from '../engine/cbamTemplate';
+import { downloadAsJSON, downloadAsCSV } from '../engine/cbamExporter';
 import { Download, FileJson, FileSpreadsheet, Eye, CheckCircle2, AlertTriangle, ChevronDown, ChevronRight } from 'lucide-react';
 
 export default function ExportView() {
@@ -0,0 +1,153 @@
+import React, { useMemo, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { DEFAULT_EMISSION_FACTORS } from '../engine/emissionEngine';
+import { GRID_FACTOR_TYPE, GRID_FACTOR_GAS, GLOBAL_REGION } from '../engine/factorResolver';
+import { GRID_EF_BY_COUNTRY } from '../data/referenceData';
+import { Library, Info } from 'lucide-react';
+
+const FUEL_GASES = ['CO2', 'CH4', 'N2O'];
+
+const emptyDraft = (fuelType) => ({
+    fuelType,
+    gas: fuelType === GRID_FACTOR_TYPE ? GRID_FACTOR_GAS : 'CO2',
+    region: fuelType === GRID_FACTOR_TYPE ? 'KZ' : GLOBAL_REGION,
+    value: '',
+    effectiveDate: '',
+    validTo: '',
+    source: '',
+});
+
+export default function FactorLibraryPanel() {
+    const { state, dispatch } = useApp();
+    const [fuelType, setFuelType] = useState(GRID_FACTOR_TYPE);
+    const [draft, setDraft] = useState(emptyDraft(GRID_FACTOR_TYPE));
+    const isGrid = fuelType === GRID_FACTOR_TYPE;
+
+    const rows = useMemo(() => (state.factorLibrary?.emissionFactors || [])
+        .filter(r => r.fuel_type === fuelType)
+        .sort((a, b) => (a.region || '').localeCompare(b.region || '')
+            || a.gas.localeCompare(b.gas)
+            || (a.effective_date || '').localeCompare(b.effective_date || '')
+            || (a.version_number || 1) - (b.version_number || 1)),
+    [state.factorLibrary, fuelType]);
+
+    const selectType = (value) => {
+        setFuelType(value);
+        setDraft(emptyDraft(value));
+    };
+    const setField = (field, value) => setDraft(d => ({ ...d, [field]: value }));
+    const validInterval = !draft.effectiveDate || !draft.validTo || draft.validTo >= draft.effectiveDate;
+    const canAdd = draft.value !== '' && Number(draft.value) >= 0 && validInterval;
+
+    const add = () => {
+        const base = DEFAULT_EMISSION_FACTORS[fuelType];
+        dispatch({
+            type: 'ADD_EMISSION_FACTOR', payload: {
+                id: `ef${Date.now()}`,
+                ...draft,
+                value: Number(draft.value),
+                unit: isGrid ? 't/MWh' : 'kg/TJ',
+                ncv: isGrid ? null : base?.ncv ?? null,
+                ncvUnit: isGrid ? null : base?.ncvUnit,
+            }
+        });
+        setDraft(d => ({ ...emptyDraft(fuelType), region: d.region, gas: d.gas }));
+    };
+
+    return (
+        <div className="card">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <Library size={20} className="text-teal-600" />
+                    <h3 className="text-lg font-semibold text-slate-700">Emission Factor Library</h3>
+                </div>
+                <select value={fuelType} className="input-cell text-sm" onChange={(e) => selectType(e.target.value)}>
+                    <option value={GRID_FACTOR_TYPE}>Grid electricity</option>
+                    {Object.entries(DEFAULT_EMISSION_FACTORS).filter(([id]) => id !== 'custom').map(([id, def]) => (
+                        <option key={id} value={id}>{def.name}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table>
+                    <thead>
+                        <tr>
+                            <th style={{ width: 110 }}>Region</th>
+                            <th style={{ width: 80 }}>Gas</th>
+                            <th style={{ width: 130 }}>Valid from</th>
+                            <th style={{ width: 130 }}>Valid to</th>
+                            <th style={{ width: 110 }} className="text-right">Value</th>
+                            <th style={{ width: 70 }}>Unit</th>
+                            <th style={{ width: 60 }} className="text-right">Ver.</th>
+                            <th>Source</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(r => (
+                            <tr key={r.id}>
+                                <td className="font-mono text-xs">{r.region || GLOBAL_REGION}</td>
+                                <td className="text-xs">{r.gas}</td>
+                                <td className="font-mono text-xs">{r.effective_date || '—'}</td>
+                                <td className="font-mono text-xs">{r.valid_to || 'open'}</td>
+                                <td className="font-mono text-right">{r.ef_value}</td>
+                                <td className="text-xs text-slate-500">{r.ef_unit}</td>
+                                <td className="font-mono text-xs text-right">v{r.version_number || 1}</td>
+                                <td className="text-xs text-slate-500">{r.source || ''}</td>
+                            </tr>
+                        ))}
+                        <tr className="bg-slate-50">
+                            <td>
+                                {isGrid ? (
+                                    <select value={draft.region} className="input-cell text-xs" onChange={(e) => setField('region', e.target.value)}>
+                                        {GRID_EF_BY_COUNTRY.filter(c => c.code !== 'OTHER').map(c => <option key={c.code} value={c.code}>{c.code}</option>)}
+                                    </select>
+                                ) : (
+                                    <input type="text" value={draft.region} className="input-cell text-xs font-mono"
+                                        onChange={(e) => setField('region', e.target.value.toUpperCase())} />
+                                )}
+                            </td>
+                            <td>
+                                {isGrid ? <span className="text-xs">{GRID_FACTOR_GAS}</span> : (
+                                    <select value={draft.gas} className="input-cell text-xs" onChange={(e) => setField('gas', e.target.value)}>
+                                        {FUEL_GASES.map(g => <option key={g} value={g}>{g}</option>)}
+                                    </select>
+                                )}
+                            </td>
+                            <td>
+                                <input type="date" value={draft.effectiveDate} className="input-cell text-xs"
+                                    onChange={(e) => setField('effectiveDate', e.target.value)} />
+                            </td>
+                            <td>
+                                <input type="date" value={draft.validTo} className={`input-cell text-xs ${validInterval ? '' : 'text-red-600'}`}
+                                    onChange={(e) => setField('validTo', e.target.value)} />
+                            </td>
+                            <td>
+                                <input type="number" step="any" value={draft.value} className="input-cell font-mono text-right"
+                                    onChange={(e) => setField('value', e.target.value)} />
+                            </td>
+                            <td className="text-xs text-slate-500">{isGrid ? 't/MWh' : 'kg/TJ'}</td>
+                            <td></td>
+                            <td>
+                                <div className="flex items-center gap-2">
+                                    <input type="text" value={draft.source} className="input-cell text-xs" placeholder="Source / publication"
+                                        onChange={(e) => setField('source', e.target.value)} />
+                                    <button className="btn ghost small" disabled={!canAdd} onClick={add}>+ Add</button>
+                                </div>
+                            </td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="mt-3 flex items-start gap-2 text-xs text-slate-400">
+                <Info size={14} className="mt-0.5 shrink-0" />
+                <span>
+                    Each entry uses the factor in force on the first day of its period. Factor rows are never edited:
+                    a new national value gets its own row from its effective date, so earlier periods keep the factor
+                    they were calculated with. A row for the same date is a correction and takes the next version.
+                </span>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,103 @@
+import React, { useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { emissionInputsFromState } from '../engine/emissionEngine';
+import { GAP_METHODS } from '../engine/gapFilling';
+import { reportingWindow } from '../engine/periodScope';
+import { CalendarX, Info } from 'lucide-react';
+
+export default function GapFillingPanel() {
+    const { state, dispatch } = useApp();
+    const settings = state.gapSettings || { enabled: false, method: 'adjacent_max', streamMethods: {} };
+
+    // Gaps are detected over the whole reporting period
+    const gaps = useMemo(() => emissionInputsFromState(state, reportingWindow(state.meta)).dataGaps, [state]);
+    const streams = Object.values(gaps.reduce((acc, g) => {
+        (acc[g.streamKey] = acc[g.streamKey] || { key: g.streamKey, name: g.name, unit: g.unit, gaps: [] }).gaps.push(g);
+        return acc;
+    }, {}));
+
+    const updateSetting = (field, value) => dispatch({ type: 'UPDATE_GAP_SETTINGS', payload: { field, value } });
+    const fmt = (n) => n.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+    return (
+        <div className="card">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <CalendarX size={20} className="text-rose-500" />
+                    <h3 className="text-lg font-semibold text-slate-700">Data Gaps & Substitution</h3>
+                </div>
+                <div className="flex items-center gap-4 text-sm">
+                    <label className="flex items-center gap-2 text-slate-600">
+                        <input type="checkbox" checked={settings.enabled}
+                            onChange={(e) => updateSetting('enabled', e.target.checked)} />
+                        Substitute missing months of every stream
+                    </label>
+                    <select value={settings.method} className="input-cell text-xs"
+                        onChange={(e) => updateSetting('method', e.target.value)}>
+                        {Object.values(GAP_METHODS).map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                    </select>
+                </div>
+            </div>
+
+            {streams.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Source stream</th>
+                                <th style={{ width: 200 }}>Method</th>
+                                <th style={{ width: 90 }}>Period</th>
+                                <th style={{ width: 130 }} className="text-right">Estimate</th>
+                                <th>Basis</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {streams.flatMap(stream => stream.gaps.map((g, i) => (
+                                <tr key={`${stream.key}_${g.period}`}>
+                                    {i === 0 && (
+                                        <>
+                                            <td rowSpan={stream.gaps.length} className="text-sm font-medium">{stream.name}</td>
+                                            <td rowSpan={stream.gaps.length}>
+                                                <select value={settings.streamMethods?.[stream.key] || ''} className="input-cell text-xs"
+                                                    onChange={(e) => dispatch({ type: 'SET_STREAM_GAP_METHOD', payload: { streamKey: stream.key, method: e.target.value || null } })}>
+                                                    <option value="">{settings.enabled ? `Default (${GAP_METHODS[settings.method]?.label})` : 'Not substituted'}</option>
+                                                    {Object.values(GAP_METHODS).map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                                                </select>
+                                            </td>
+                                        </>
+                                    )}
+                                    <td className="font-mono text-xs">{g.period}</td>
+                                    <td className={`font-mono text-right ${g.substituted ? 'text-rose-600' : 'text-slate-400'}`}>
+                                        {g.method === 'none' ? '—' : `${fmt(g.quantity)} ${g.unit}`}
+                                        {!g.substituted && g.method !== 'none' && <div className="text-[10px]">not applied</div>}
+                                    </td>
+                                    <td className="text-xs text-slate-500">
+                                        {GAP_METHODS[g.method].label}
+                                        {g.basis.length > 0 && ` · ${g.basis.map(b => `${b.period}: ${fmt(b.quantity)}`).join(', ')}`}
+                                        {g.ratio != null && ` · ${fmt(g.ratio)} ${g.unit}/t × ${fmt(g.production)} t`}
+                                        {g.fallback && <div className="text-amber-600">{g.fallback} — max of adjacent periods used</div>}
+                                    </td>
+                                </tr>
+                            )))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <div className="text-sm text-slate-400 py-4 text-center">
+                    Every fuel and electricity stream has data for each month of {state.meta.periodStart} → {state.meta.periodEnd}
+                </div>
+            )}
+
+            <div className="mt-3 flex items-start gap-2 text-xs text-slate-400">
+                <Info size={14} className="mt-0.5 shrink-0" />
+                <span>
+                    A stream is a fuel type or grid supply per process. Months of the reporting period without an entry are
+                    listed here and in QA. Substitution is off until it is switched on for every stream or a method is picked
+                    for a stream; its missing months are then estimated conservatively (MRR Art. 65) and calculated as
+                    substitute entries, listed in the activity tables and flagged in lineage. The entered data is not changed.
+                    Use "Not operated" for months a stream genuinely did not run.
+                </span>
+            </div>
+        </div>
+    );
+}
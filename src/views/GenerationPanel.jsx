@@ -0,0 +1,144 @@
+import React, { useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { calculateTotalEmissions, emissionInputsFromState } from '../engine/emissionEngine';
+import { GENERATION_UNIT_TYPES, CHP_REFERENCE_EFFICIENCY } from '../engine/generationEngine';
+import { Factory, Info, AlertTriangle } from 'lucide-react';
+
+export default function GenerationPanel() {
+    const { state, dispatch } = useApp();
+    const units = state.generationUnits;
+
+    const sortedUnits = useMemo(() => {
+        return [...(units || [])].sort((a, b) => (a.period || '').localeCompare(b.period || ''));
+    }, [units]);
+
+    // Fuel input comes from the combustion results of the unit's process
+    const generation = useMemo(() => calculateTotalEmissions(emissionInputsFromState(state, null)).generation, [state]);
+    const resultById = Object.fromEntries(generation.entries.map(r => [r.unitId, r]));
+
+    const update = (id, field, value) => dispatch({ type: 'UPDATE_GENERATION_UNIT', payload: { id, field, value } });
+    const activeProcesses = state.processes.filter(p => p.active);
+
+    return (
+        <div className="card">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <Factory size={20} className="text-amber-500" />
+                    <h3 className="text-lg font-semibold text-slate-700">On-site Generation — Power & CHP</h3>
+                </div>
+                <div className="flex items-center gap-4">
+                    <span className="text-sm font-mono text-slate-500">
+                        Electricity: <strong className="text-slate-800">{generation.electricityCO2e.toFixed(1)}</strong>
+                        {' · '}Heat: <strong className="text-slate-800">{generation.heatCO2e.toFixed(1)}</strong> tCO₂e
+                    </span>
+                    <button className="btn ghost small" onClick={() => dispatch({
+                        type: 'ADD_GENERATION_UNIT', payload: {
+                            id: `gen${Date.now()}`,
+                            period: state.meta.periodStart || '2025-01',
+                            processId: activeProcesses[0]?.id || '',
+                            name: '', unitType: 'chp',
+                            electricityMwh: 0, heatTJ: 0,
+                            refEffEl: CHP_REFERENCE_EFFICIENCY.electricity,
+                            refEffHeat: CHP_REFERENCE_EFFICIENCY.heat,
+                            evidence: '', notes: '',
+                        }
+                    })}>+ Add Unit</button>
+                </div>
+            </div>
+
+            {sortedUnits.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th style={{ width: 100 }}>Period</th>
+                                <th>Unit</th>
+                                <th style={{ width: 110 }}>Type</th>
+                                <th style={{ width: 110 }}>Fuel Process</th>
+                                <th style={{ width: 100 }}>Electricity (MWh)</th>
+                                <th style={{ width: 90 }}>Heat (TJ)</th>
+                                <th style={{ width: 130 }}>η_ref el / heat</th>
+                                <th style={{ width: 80 }} className="text-right">F_el</th>
+                                <th style={{ width: 100 }} className="text-right">EF (tCO₂e/MWh)</th>
+                                <th style={{ width: 40 }}></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sortedUnits.map(gu => {
+                                const r = resultById[gu.id];
+                                const type = GENERATION_UNIT_TYPES[gu.unitType] || GENERATION_UNIT_TYPES.power;
+                                const issue = r?.error || r?.warning;
+                                return (
+                                    <tr key={gu.id}>
+                                        <td>
+                                            <input type="month" value={gu.period} className="input-cell"
+                                                onChange={(e) => update(gu.id, 'period', e.target.value)} />
+                                        </td>
+                                        <td>
+                                            <input type="text" value={gu.name} className="input-cell text-sm"
+                                                placeholder="e.g. CHP-1"
+                                                onChange={(e) => update(gu.id, 'name', e.target.value)} />
+                                        </td>
+                                        <td>
+                                            <select value={type.id} className="input-cell text-xs"
+                                                onChange={(e) => update(gu.id, 'unitType', e.target.value)}>
+                                                {Object.values(GENERATION_UNIT_TYPES).map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                                            </select>
+                                        </td>
+                                        <td>
+                                            <select value={gu.processId} className="input-cell"
+                                                onChange={(e) => update(gu.id, 'processId', e.target.value)}>
+                                                {activeProcesses.map(p => <option key={p.id} value={p.id}>{p.id}</option>)}
+                                            </select>
+                                        </td>
+                                        <td>
+                                            <input type="number" value={gu.electricityMwh} className="input-cell font-mono"
+                                                onChange={(e) => update(gu.id, 'electricityMwh', e.target.value)} />
+                                        </td>
+                                        <td>
+                                            {type.hasHeat ? (
+                                                <input type="number" value={gu.heatTJ} className="input-cell font-mono"
+                                                    onChange={(e) => update(gu.id, 'heatTJ', e.target.value)} />
+                                            ) : <span className="text-xs text-slate-400">—</span>}
+                                        </td>
+                                        <td>
+                                            {type.hasHeat ? (
+                                                <div className="flex items-center gap-1">
+                                                    <input type="number" step="0.005" value={gu.refEffEl} className="input-cell text-xs w-14 font-mono"
+                                                        onChange={(e) => update(gu.id, 'refEffEl', e.target.value)} />
+                                                    <input type="number" step="0.005" value={gu.refEffHeat} className="input-cell text-xs w-14 font-mono"
+                                                        onChange={(e) => update(gu.id, 'refEffHeat', e.target.value)} />
+                                                </div>
+                                            ) : <span className="text-xs text-slate-400">—</span>}
+                                        </td>
+                                        <td className="font-mono text-xs text-right text-slate-500">
+                                            {r?.lineage.chp ? `${(r.lineage.chp.fEl * 100).toFixed(1)}%` : type.hasHeat ? '—' : '100%'}
+                                        </td>
+                                        <td className="font-mono font-semibold text-right text-blue-700">
+                                            {issue && (
+                                                <span className={`inline-flex mr-1 align-middle ${r.error ? 'text-red-500' : 'text-amber-500'}`} title={issue}><AlertTriangle size={13} /></span>
+                                            )}
+                                            {r?.efElectricity != null ? r.efElectricity.toFixed(3) : '—'}
+                                        </td>
+                                        <td className="text-right">
+                                            <button className="btn ghost small danger-hover" onClick={() => dispatch({ type: 'DELETE_GENERATION_UNIT', payload: gu.id })}>&times;</button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            ) : <div className="empty-state">No generation units. Click "+ Add Unit" to start.</div>}
+
+            <div className="mt-3 flex items-start gap-2 text-xs text-slate-400">
+                <Info size={14} className="mt-0.5 shrink-0" />
+                <span>
+                    Fuel input = fuel entries of the selected process. CHP split: F_el = (η_el/η_ref,el) / (η_el/η_ref,el + η_heat/η_ref,heat),
+                    default η_ref {CHP_REFERENCE_EFFICIENCY.electricity} / {CHP_REFERENCE_EFFICIENCY.heat}. Electricity emissions are deducted
+                    from direct emissions; consumption linked to a unit in the electricity table is charged at its EF instead of the grid factor.
+                </span>
+            </div>
+        </div>
+    );
+}
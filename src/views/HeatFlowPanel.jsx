@@ -0,0 +1,149 @@
+import React, { useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { calculateTotalEmissions, emissionInputsFromState } from '../engine/emissionEngine';
+import { HEAT_FLOW_TYPES, HEAT_EF_SOURCES, HEAT_DEFAULTS } from '../engine/heatEngine';
+import { Thermometer, Info, AlertTriangle } from 'lucide-react';
+
+export default function HeatFlowPanel() {
+    const { state, dispatch } = useApp();
+    const flows = state.heatFlows;
+
+    const sortedFlows = useMemo(() => {
+        return [...(flows || [])].sort((a, b) => (a.period || '').localeCompare(b.period || ''));
+    }, [flows]);
+
+    // Fuel-mix EFs need the supplying process's combustion results
+    const heat = useMemo(() => calculateTotalEmissions(emissionInputsFromState(state, null)).heat, [state]);
+    const resultById = Object.fromEntries(heat.entries.map(r => [r.flowId, r]));
+
+    const update = (id, field, value) => dispatch({ type: 'UPDATE_HEAT_FLOW', payload: { id, field, value } });
+    const activeProcesses = state.processes.filter(p => p.active);
+
+    return (
+        <div className="card">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <Thermometer size={20} className="text-rose-500" />
+                    <h3 className="text-lg font-semibold text-slate-700">Measurable Heat Flows</h3>
+                </div>
+                <div className="flex items-center gap-4">
+                    <span className="text-sm font-mono text-slate-500">
+                        Import: <strong className="text-slate-800">{heat.importCO2e.toFixed(1)}</strong>
+                        {' · '}Export: <strong className="text-slate-800">−{heat.exportCO2e.toFixed(1)}</strong> tCO₂e
+                    </span>
+                    <button className="btn ghost small" onClick={() => dispatch({
+                        type: 'ADD_HEAT_FLOW', payload: {
+                            id: `heat${Date.now()}`,
+                            period: state.meta.periodStart || '2025-01',
+                            flowType: 'internal',
+                            fromProcessId: activeProcesses[0]?.id || '',
+                            toProcessId: activeProcesses[1]?.id || activeProcesses[0]?.id || '',
+                            counterparty: '', quantityTJ: 0,
+                            efSource: 'fuel_mix', customEf: null,
+                            evidence: '', notes: '',
+                        }
+                    })}>+ Add Flow</button>
+                </div>
+            </div>
+
+            {sortedFlows.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th style={{ width: 100 }}>Period</th>
+                                <th style={{ width: 100 }}>Type</th>
+                                <th style={{ width: 110 }}>From</th>
+                                <th style={{ width: 110 }}>To</th>
+                                <th>Counterparty</th>
+                                <th style={{ width: 90 }}>Heat (TJ)</th>
+                                <th style={{ width: 140 }}>EF (tCO₂e/TJ)</th>
+                                <th style={{ width: 90 }} className="text-right">tCO₂e</th>
+                                <th style={{ width: 40 }}></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sortedFlows.map(hf => {
+                                const r = resultById[hf.id];
+                                const type = HEAT_FLOW_TYPES[hf.flowType] || HEAT_FLOW_TYPES.internal;
+                                const sign = type.id === 'export' ? '−' : type.id === 'import' ? '+' : '';
+                                return (
+                                    <tr key={hf.id}>
+                                        <td>
+                                            <input type="month" value={hf.period} className="input-cell"
+                                                onChange={(e) => update(hf.id, 'period', e.target.value)} />
+                                        </td>
+                                        <td>
+                                            <select value={type.id} className="input-cell text-xs"
+                                                onChange={(e) => update(hf.id, 'flowType', e.target.value)}>
+                                                {Object.values(HEAT_FLOW_TYPES).map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                                            </select>
+                                        </td>
+                                        <td>
+                                            {type.needsFrom ? (
+                                                <select value={hf.fromProcessId} className="input-cell"
+                                                    onChange={(e) => update(hf.id, 'fromProcessId', e.target.value)}>
+                                                    {activeProcesses.map(p => <option key={p.id} value={p.id}>{p.id}</option>)}
+                                                </select>
+                                            ) : <span className="text-xs text-slate-400">Outside</span>}
+                                        </td>
+                                        <td>
+                                            {type.needsTo ? (
+                                                <select value={hf.toProcessId} className="input-cell"
+                                                    onChange={(e) => update(hf.id, 'toProcessId', e.target.value)}>
+                                                    {activeProcesses.map(p => <option key={p.id} value={p.id}>{p.id}</option>)}
+                                                </select>
+                                            ) : <span className="text-xs text-slate-400">Outside</span>}
+                                        </td>
+                                        <td>
+                                            <input type="text" value={hf.counterparty} className="input-cell text-sm"
+                                                placeholder={type.id === 'internal' ? 'e.g. Steam header' : 'Supplier / consumer'}
+                                                onChange={(e) => update(hf.id, 'counterparty', e.target.value)} />
+                                        </td>
+                                        <td>
+                                            <input type="number" value={hf.quantityTJ} className="input-cell font-mono"
+                                                onChange={(e) => update(hf.id, 'quantityTJ', e.target.value)} />
+                                        </td>
+                                        <td>
+                                            <div className="flex items-center gap-1">
+                                                <select value={hf.efSource} className="input-cell text-xs"
+                                                    onChange={(e) => update(hf.id, 'efSource', e.target.value)}>
+                                                    {Object.values(HEAT_EF_SOURCES).map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                                                </select>
+                                                {hf.efSource === 'custom' ? (
+                                                    <input type="number" value={hf.customEf ?? ''} className="input-cell text-xs w-16 font-mono"
+                                                        placeholder="EF"
+                                                        onChange={(e) => update(hf.id, 'customEf', e.target.value)} />
+                                                ) : (
+                                                    <span className="text-xs font-mono text-slate-500 w-16 text-right">{r ? r.ef.toFixed(1) : '—'}</span>
+                                                )}
+                                            </div>
+                                        </td>
+                                        <td className={`font-mono font-semibold text-right ${type.id === 'export' ? 'text-rose-600' : 'text-blue-700'}`}>
+                                            {r?.warning && (
+                                                <span className="inline-flex mr-1 text-amber-500 align-middle" title={r.warning}><AlertTriangle size={13} /></span>
+                                            )}
+                                            {sign}{(r?.co2e || 0).toFixed(1)}
+                                        </td>
+                                        <td className="text-right">
+                                            <button className="btn ghost small danger-hover" onClick={() => dispatch({ type: 'DELETE_HEAT_FLOW', payload: hf.id })}>&times;</button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            ) : <div className="empty-state">No heat flows. Click "+ Add Flow" to start.</div>}
+
+            <div className="mt-3 flex items-start gap-2 text-xs text-slate-400">
+                <Info size={14} className="mt-0.5 shrink-0" />
+                <span>
+                    Formula: tCO₂e = TJ heat × EF_heat. Fuel-mix EF = Σ tCO₂e / Σ TJ fuel of the supplying process ÷ η ({HEAT_DEFAULTS.boilerEfficiency});
+                    default EF {HEAT_DEFAULTS.defaultEf} tCO₂e/TJ. Imports add to the receiving process, exports are deducted from the supplying
+                    process and the installation, internal flows move emissions between processes.
+                </span>
+            </div>
+        </div>
+    );
+}
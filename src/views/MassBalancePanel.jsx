@@ -0,0 +1,143 @@
+import React, { useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { calculateTotalEmissions, MASS_BALANCE_DIRECTIONS } from '../engine/emissionEngine';
+import { Scale, Info, AlertTriangle } from 'lucide-react';
+
+export default function MassBalancePanel() {
+    const { state, dispatch } = useApp();
+    const streams = state.massBalanceStreams;
+
+    const sortedStreams = useMemo(() => {
+        return [...(streams || [])].sort((a, b) =>
+            (a.period || '').localeCompare(b.period || '')
+            || (a.processId || '').localeCompare(b.processId || '')
+            || (a.direction === b.direction ? 0 : a.direction === 'input' ? -1 : 1)
+        );
+    }, [streams]);
+
+    // Balances per period × process, straight from the engine
+    const balances = useMemo(() => calculateTotalEmissions({ massBalanceStreams: streams || [] }).massBalance, [streams]);
+
+    const update = (id, field, value) => dispatch({ type: 'UPDATE_MB_STREAM', payload: { id, field, value } });
+
+    return (
+        <div className="card">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <Scale size={20} className="text-emerald-600" />
+                    <h3 className="text-lg font-semibold text-slate-700">Mass Balance — Carbon In / Out (Scope 1)</h3>
+                </div>
+                <div className="flex items-center gap-4">
+                    <span className="text-sm font-mono text-slate-500">
+                        Total: <strong className="text-slate-800">{balances.totalCO2e.toFixed(1)} tCO₂e</strong>
+                    </span>
+                    <button className="btn ghost small" onClick={() => dispatch({
+                        type: 'ADD_MB_STREAM', payload: {
+                            id: `mb${Date.now()}`,
+                            period: state.meta.periodStart || '2025-01',
+                            processId: state.processes[0]?.id || '',
+                            name: '', direction: 'input', quantity: 0, carbonContent: 0,
+                            evidence: '', notes: '',
+                        }
+                    })}>+ Add Stream</button>
+                </div>
+            </div>
+
+            {sortedStreams.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th style={{ width: 100 }}>Period</th>
+                                <th style={{ width: 120 }}>Process</th>
+                                <th>Stream</th>
+                                <th style={{ width: 110 }}>Direction</th>
+                                <th style={{ width: 110 }}>Qty (t)</th>
+                                <th style={{ width: 100 }}>C (t C/t)</th>
+                                <th style={{ width: 90 }} className="text-right">± t C</th>
+                                <th style={{ width: 100 }} className="text-right">± tCO₂</th>
+                                <th style={{ width: 40 }}></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {sortedStreams.map(mb => {
+                                const sign = (MASS_BALANCE_DIRECTIONS[mb.direction] || MASS_BALANCE_DIRECTIONS.input).sign;
+                                const carbonT = sign * (Number(mb.quantity) || 0) * (Number(mb.carbonContent) || 0);
+                                return (
+                                    <tr key={mb.id}>
+                                        <td>
+                                            <input type="month" value={mb.period} className="input-cell"
+                                                onChange={(e) => update(mb.id, 'period', e.target.value)} />
+                                        </td>
+                                        <td>
+                                            <select value={mb.processId} className="input-cell"
+                                                onChange={(e) => update(mb.id, 'processId', e.target.value)}>
+                                                {state.processes.filter(p => p.active).map(p => <option key={p.id} value={p.id}>{p.id}</option>)}
+                                            </select>
+                                        </td>
+                                        <td>
+                                            <input type="text" value={mb.name} className="input-cell text-sm"
+                                                placeholder="e.g. Coke, Steel, Slag…"
+                                                onChange={(e) => update(mb.id, 'name', e.target.value)} />
+                                        </td>
+                                        <td>
+                                            <select value={mb.direction} className="input-cell text-xs"
+                                                onChange={(e) => update(mb.id, 'direction', e.target.value)}>
+                                                {Object.values(MASS_BALANCE_DIRECTIONS).map(d => (
+                                                    <option key={d.id} value={d.id}>{d.label} ({d.sign > 0 ? '+' : '−'})</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        <td>
+                                            <input type="number" value={mb.quantity} className="input-cell font-mono"
+                                                onChange={(e) => update(mb.id, 'quantity', e.target.value)} />
+                                        </td>
+                                        <td>
+                                            <input type="number" step="0.001" value={mb.carbonContent} className="input-cell font-mono text-sm"
+                                                onChange={(e) => update(mb.id, 'carbonContent', e.target.value)} />
+                                        </td>
+                                        <td className={`font-mono text-right text-sm ${sign < 0 ? 'text-rose-600' : 'text-slate-700'}`}>
+                                            {carbonT.toFixed(1)}
+                                        </td>
+                                        <td className={`font-mono font-semibold text-right ${sign < 0 ? 'text-rose-600' : 'text-blue-700'}`}>
+                                            {(carbonT * 44 / 12).toFixed(1)}
+                                        </td>
+                                        <td className="text-right">
+                                            <button className="btn ghost small danger-hover" onClick={() => dispatch({ type: 'DELETE_MB_STREAM', payload: mb.id })}>&times;</button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            ) : <div className="empty-state">No mass-balance streams. Click "+ Add Stream" to start.</div>}
+
+            {/* Per-balance summary */}
+            {balances.entries.length > 0 && (
+                <div className="mt-4 grid grid-cols-2 gap-3">
+                    {balances.entries.map(b => (
+                        <div key={b.balanceId} className={`rounded-lg border p-3 text-xs ${b.warning ? 'border-amber-200 bg-amber-50' : 'border-slate-200 bg-slate-50'}`}>
+                            <div className="font-semibold text-slate-700 mb-1">{b.processId} · {b.period}</div>
+                            <div className="flex justify-between text-slate-500"><span>Carbon in</span><span className="font-mono">{b.carbonIn.toFixed(1)} t C</span></div>
+                            <div className="flex justify-between text-slate-500"><span>Carbon out</span><span className="font-mono">−{b.carbonOut.toFixed(1)} t C</span></div>
+                            <div className="flex justify-between font-semibold text-slate-700 pt-1 mt-1 border-t border-slate-200">
+                                <span>Net × 44/12</span><span className="font-mono">{b.co2.toFixed(1)} tCO₂</span>
+                            </div>
+                            {b.warning && (
+                                <div className="flex items-start gap-1 mt-1 text-amber-700">
+                                    <AlertTriangle size={12} className="mt-0.5 shrink-0" /> {b.warning}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="mt-3 flex items-start gap-2 text-xs text-slate-400">
+                <Info size={14} className="mt-0.5 shrink-0" />
+                <span>Formula: tCO₂ = (Σ input t × C − Σ output t × C) × 44/12 per process and period (MRR Art. 25). Inputs count positive, outputs negative.</span>
+            </div>
+        </div>
+    );
+}
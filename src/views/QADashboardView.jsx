@@ -1,6 +1,16 @@
 import React, { useMemo } from 'react';
 import { useApp } from '../context/AppContext';
 import { validateFormula } from '../engine/formulaEvaluator';
+import { availableOutputs, buildBlockGraph } from '../engine/blockGraph';
+import { checkBlockUnits } from '../engine/unitAnalysis';
+import { calcCombustionEmissions, calculateTotalEmissions, emissionInputsFromState } from '../engine/emissionEngine';
+import { CEMS_RULES } from '../engine/cemsEngine';
+import { attributeEmissions } from '../engine/attributionEngine';
+import { calcPrecursorEmissions } from '../engine/precursorEngine';
+import { reportingWindow, scopeProduction, windowLabel } from '../engine/periodScope';
+import { GAP_METHODS } from '../engine/gapFilling';
+import { assessSourceStreams, STREAM_CLASSES } from '../engine/uncertaintyEngine';
+import { getCnCodeInfo } from '../data/referenceData';
 import { ShieldCheck, AlertTriangle, AlertCircle, CheckCircle, ArrowRight } from 'lucide-react';
 
 // ──────────────────────────────────────────────────────────────
@@ -25,9 +35,10 @@ function runChecks(state) {
         }
     });
 
-    // 2. Missing / zero parameter values
+    // 2. Missing / zero parameter values (bound parameters: check 21)
     blocks.forEach(b => {
         (b.parameters || []).forEach(p => {
+            if (p.binding) return;
             if (p.value === 0 || p.value === null || p.value === undefined || isNaN(p.value)) {
                 issues.push({
                     severity: 'warning', entity: 'Emission Block', entityId: b.id, tab: 'activity',
@@ -37,16 +48,22 @@ function runChecks(state) {
         });
     });
 
-    // 3. Formula validation errors
+    // 3. Formula validation and unit errors
     blocks.forEach(b => {
         if (b.formula && b.formula.trim()) {
-            const keys = (b.parameters || []).map(p => p.key);
-            const v = validateFormula(b.formula, keys);
+            const references = availableOutputs(b, blocks);
+            const v = validateFormula(b.formula, [...(b.parameters || []).map(p => p.key), ...references]);
+            const units = v.valid ? checkBlockUnits(b, references) : null;
             if (!v.valid) {
                 issues.push({
                     severity: 'error', entity: 'Emission Block', entityId: b.id, tab: 'activity',
                     message: `"${b.name}" formula error: ${v.error}`
                 });
+            } else if (units.status === 'mismatch') {
+                issues.push({
+                    severity: 'error', entity: 'Emission Block', entityId: b.id, tab: 'activity',
+                    message: `"${b.name}" unit mismatch: ${units.issues.join('; ')} — block not calculated`
+                });
             }
         }
     });
@@ -77,7 +94,130 @@ function runChecks(state) {
         }
     });
 
-    // 6. Zero-quantity electricity entries
+    // 6. Fuel entries the engine cannot calculate (unit, NCV, carbon content)
+    fuels.forEach(f => {
+        const { error } = calcCombustionEmissions(f);
+        if (error) {
+            issues.push({
+                severity: 'error', entity: 'Fuel Entry', entityId: f.id, tab: 'activity',
+                message: `"${f.fuelName || f.id}" calculation error: ${error}`
+            });
+        }
+    });
+
+    // 7. Mass-balance streams and balances
+    const streams = state.massBalanceStreams || [];
+    streams.forEach(mb => {
+        if (!mb.carbonContent) {
+            issues.push({
+                severity: 'warning', entity: 'Mass Balance', entityId: mb.id, tab: 'activity',
+                message: `"${mb.name || mb.id}" has no carbon content`
+            });
+        }
+    });
+    calculateTotalEmissions({ massBalanceStreams: streams }).massBalance.entries.forEach(b => {
+        if (b.warning) {
+            issues.push({
+                severity: 'error', entity: 'Mass Balance', entityId: b.balanceId, tab: 'activity',
+                message: `${b.processId} · ${b.period}: ${b.warning}`
+            });
+        }
+    });
+
+    // 8. CEMS data availability and corroboration (whole reporting period, whatever sub-period is selected)
+    const reporting = reportingWindow(state.meta);
+    const emissions = calculateTotalEmissions(emissionInputsFromState(state, reporting));
+    emissions.cems.entries.forEach(c => {
+        const label = `"${c.name || c.sourceId}" (${c.period})`;
+        const pct = `${(c.availability * 100).toFixed(1)}%`;
+        if (c.error) {
+            issues.push({
+                severity: 'error', entity: 'CEMS', entityId: c.sourceId, tab: 'activity',
+                message: `${label}: ${c.error}`
+            });
+            return;
+        }
+        if (c.availability < CEMS_RULES.minAvailability) {
+            issues.push({
+                severity: 'error', entity: 'CEMS', entityId: c.sourceId, tab: 'activity',
+                message: `${label} data availability ${pct} is below ${CEMS_RULES.minAvailability * 100}%`
+            });
+        } else if (c.availability < CEMS_RULES.warnAvailability) {
+            issues.push({
+                severity: 'warning', entity: 'CEMS', entityId: c.sourceId, tab: 'activity',
+                message: `${label} data availability ${pct} — ${c.lineage.hours.expected - c.lineage.hours.valid} hours substituted`
+            });
+        }
+        if (c.corroboration.status === 'deviation') {
+            issues.push({
+                severity: 'warning', entity: 'CEMS', entityId: c.sourceId, tab: 'activity',
+                message: `${label} deviates ${(c.corroboration.deviation * 100).toFixed(1)}% from the corroborating calculation (±${CEMS_RULES.corroborationTolerance * 100}%)`
+            });
+        }
+        if (c.gas === 'CO2' && c.corroboration.status === 'no_reference') {
+            issues.push({
+                severity: 'warning', entity: 'CEMS', entityId: c.sourceId, tab: 'activity',
+                message: `${label} has no corroborating calculation — enter the fuels of ${c.processId} for this period`
+            });
+        }
+    });
+
+    // 9. Heat flows — process links and emission factor fallbacks
+    emissions.heat.entries.forEach(h => {
+        const label = `Heat ${h.flowType} (${h.period})`;
+        const links = [h.fromProcessId, h.toProcessId].filter(Boolean);
+        if (h.flowType === 'internal' && h.fromProcessId === h.toProcessId) {
+            issues.push({
+                severity: 'error', entity: 'Heat Flow', entityId: h.flowId, tab: 'activity',
+                message: `${label} supplies and receives in the same process "${h.fromProcessId}"`
+            });
+        }
+        links.filter(id => !processIds.has(id)).forEach(id => {
+            issues.push({
+                severity: 'warning', entity: 'Heat Flow', entityId: h.flowId, tab: 'activity',
+                message: `${label} linked to non-existent process "${id}"`
+            });
+        });
+        if (h.warning) {
+            issues.push({
+                severity: 'warning', entity: 'Heat Flow', entityId: h.flowId, tab: 'activity',
+                message: `${label}: ${h.warning}`
+            });
+        }
+    });
+
+    // 10. Generation units — fuel input, outputs and linked consumption
+    emissions.generation.entries.forEach(g => {
+        const label = `"${g.name || g.unitId}" (${g.period})`;
+        if (g.error || g.warning) {
+            issues.push({
+                severity: g.error ? 'error' : 'warning', entity: 'Generation Unit', entityId: g.unitId, tab: 'activity',
+                message: `${label}: ${g.error || g.warning}`
+            });
+        }
+    });
+    emissions.electricity.entries.forEach(e => {
+        const linked = elec.find(x => x.id === e.entryId)?.generationUnitId;
+        const unit = linked && emissions.generation.entries.find(g => g.unitId === linked);
+        if (linked && !unit) {
+            issues.push({
+                severity: 'warning', entity: 'Electricity', entityId: e.entryId, tab: 'activity',
+                message: `"${e.entryId}" linked to non-existent generation unit "${linked}" — grid EF applied`
+            });
+        } else if (unit && unit.efElectricity === null) {
+            issues.push({
+                severity: 'warning', entity: 'Electricity', entityId: e.entryId, tab: 'activity',
+                message: `"${e.entryId}" uses the grid EF — generation unit ${unit.name || unit.unitId} has no derived EF`
+            });
+        } else if (unit && unit.period !== e.period) {
+            issues.push({
+                severity: 'warning', entity: 'Electricity', entityId: e.entryId, tab: 'activity',
+                message: `"${e.entryId}" (${e.period}) uses the EF of generation unit ${unit.name || unit.unitId} from ${unit.period}`
+            });
+        }
+    });
+
+    // 11. Zero-quantity electricity entries
     elec.forEach(e => {
         if (!e.mwh || e.mwh === 0) {
             issues.push({
@@ -87,7 +227,7 @@ function runChecks(state) {
         }
     });
 
-    // 7. Orphan blocks (not linked to a process)
+    // 12. Orphan blocks (not linked to a process)
     blocks.forEach(b => {
         if (b.processId && !processIds.has(b.processId)) {
             issues.push({
@@ -97,6 +237,190 @@ function runChecks(state) {
         }
     });
 
+    // 13. Process attribution — goods without a process, emissions no good carries, allocation fallbacks
+    if ((state.productionOutput || []).some(po => po.processId)) {
+        const attribution = attributeEmissions(emissions, {
+            products: state.products || [],
+            productionOutput: state.productionOutput,
+            processes,
+            allocationSettings: state.allocationSettings || {},
+        });
+        attribution.products.filter(p => p.unmapped && !p.isExcluded).forEach(p => {
+            issues.push({
+                severity: 'warning', entity: 'Product', entityId: p.productId, tab: 'allocation',
+                message: `"${p.productName}" has no production output linked to a process — it carries no emissions`
+            });
+        });
+        if (attribution.unattributed.reason) {
+            issues.push({
+                severity: 'warning', entity: 'Attribution', entityId: 'unassigned', tab: 'allocation',
+                message: `${Math.round(attribution.unattributed.direct + attribution.unattributed.indirect).toLocaleString()} tCO₂e not attributed to any good: ${attribution.unattributed.reason}`
+            });
+        }
+        attribution.processes.filter(p => p.allocationWarning).forEach(p => {
+            issues.push({
+                severity: 'warning', entity: 'Process', entityId: p.processId, tab: 'allocation',
+                message: `${p.processId} allocation: ${p.allocationWarning}`
+            });
+        });
+    }
+
+    // 14. Precursors — SEE source and goods that take precursors
+    (state.products || []).forEach(p => {
+        const precursors = p.precursors || [];
+        const cnInfo = getCnCodeInfo(p.cnCode);
+        if (precursors.length > 0 && cnInfo && !cnInfo.isComplex) {
+            issues.push({
+                severity: 'warning', entity: 'Product', entityId: p.id, tab: 'allocation',
+                message: `"${p.name}" is a simple good but has ${precursors.length} precursor(s) adding to its SEE`
+            });
+        }
+        precursors.forEach(pc => {
+            const result = calcPrecursorEmissions(pc);
+            if (result.warning) {
+                issues.push({
+                    severity: 'warning', entity: 'Precursor', entityId: pc.id, tab: 'allocation',
+                    message: `"${p.name}" · ${pc.name || pc.cnCode || pc.id}: ${result.warning}`
+                });
+            }
+        });
+    });
+
+    // 15. Factor library — entries calculated without a factor row in force for their period
+    if (state.factorLibrary?.emissionFactors?.length) {
+        emissions.combustion.entries.forEach(r => {
+            const fallback = r.lineage.factorResolution?.fallback || [];
+            if (fallback.includes('CO2') && r.lineage.factors.efCO2 && !r.error) {
+                issues.push({
+                    severity: 'warning', entity: 'Fuel Entry', entityId: r.entryId, tab: 'activity',
+                    message: `${r.lineage.fuelType} ${r.period || '(no period)'}: no emission factor row in force — built-in default used`
+                });
+            }
+        });
+        emissions.electricity.entries.forEach(r => {
+            const entry = (state.activity?.electricity || []).find(e => e.id === r.entryId);
+            if (!r.generationUnitId && !entry?.efOverride && !r.lineage.factorResolution) {
+                issues.push({
+                    severity: 'warning', entity: 'Electricity', entityId: r.entryId, tab: 'activity',
+                    message: `Grid ${entry?.gridCountry || '—'} ${r.period || '(no period)'}: no grid factor row in force — stored EF used`
+                });
+            }
+        });
+    }
+
+    // 16. Reporting period — entries outside the window are not counted, undated ones cannot be placed
+    const outsidePeriod = [
+        ...emissions.period.excluded,
+        ...scopeProduction(state.products || [], state.productionOutput || [], reporting).excluded,
+    ];
+    outsidePeriod.forEach(r => {
+        issues.push({
+            severity: 'warning', entity: r.label, entityId: r.id, tab: r.source === 'productionOutput' ? 'allocation' : 'activity',
+            message: `${r.label} ${r.id} (${r.period}) is outside the reporting period ${reporting.start} → ${reporting.end} — excluded from totals and SEE`
+        });
+    });
+    // Products without output records cannot be scaled to a selected month, quarter or year
+    const selected = reportingWindow(state.meta, state.periodScope) || reporting;
+    scopeProduction(state.products || [], state.productionOutput || [], selected).unscoped.forEach(p => {
+        issues.push({
+            severity: 'warning', entity: 'Product', entityId: p.id, tab: 'allocation',
+            message: `${p.name} has no production output records — its reporting-period quantity is set against the ${windowLabel(selected)} emissions, SEE is understated`
+        });
+    });
+    emissions.period.undated.forEach(r => {
+        issues.push({
+            severity: 'warning', entity: r.label, entityId: r.id, tab: 'activity',
+            message: `${r.label} ${r.id} has no period — counted in the reporting period, left out of monthly and quarterly figures`
+        });
+    });
+
+    // 17. Data gaps — missing months per source stream and how they were estimated
+    emissions.dataGaps.forEach(g => {
+        const label = `${g.name} ${g.period}`;
+        if (g.method === 'none') {
+            issues.push({
+                severity: 'warning', entity: 'Data Gap', entityId: g.streamKey, tab: 'activity',
+                message: `${label}: no data, marked as not operated — nothing substituted`
+            });
+        } else if (!g.substituted) {
+            issues.push({
+                severity: 'error', entity: 'Data Gap', entityId: g.streamKey, tab: 'activity',
+                message: `${label}: no data and substitution is off — totals are understated (estimate ${g.quantity.toFixed(2)} ${g.unit})`
+            });
+        } else {
+            issues.push({
+                severity: 'warning', entity: 'Data Gap', entityId: g.streamKey, tab: 'activity',
+                message: `${label}: no data — ${g.quantity.toFixed(2)} ${g.unit} substituted (${GAP_METHODS[g.method].label.toLowerCase()})${g.fallback ? `; ${g.fallback}` : ''}`
+            });
+        }
+    });
+
+    // 18. Tier compliance — achieved uncertainty per source stream against the required tier
+    assessSourceStreams(emissions).streams.forEach(s => {
+        const label = `${STREAM_CLASSES[s.streamClass].label} stream "${s.name}"`;
+        if (s.status === 'exceeds') {
+            issues.push({
+                severity: 'error', entity: 'Tier', entityId: s.key, tab: 'activity',
+                message: `${label}: uncertainty ±${s.uncertainty.toFixed(2)}% exceeds ±${s.maxUncertainty}% required for tier ${s.requiredTier}`
+            });
+        } else if (s.status === 'undocumented') {
+            issues.push({
+                severity: 'warning', entity: 'Tier', entityId: s.key, tab: 'activity',
+                message: `${label}: ${s.undocumented} of ${s.entries} entries have no measurement uncertainty — tier ${s.requiredTier} (±${s.maxUncertainty}%) not demonstrated`
+            });
+        }
+    });
+
+    // 19. CO₂ transfers — Art. 49 conditions for deducting transferred CO₂
+    emissions.transfers.entries.forEach(r => {
+        if (r.warning) {
+            issues.push({
+                severity: 'warning', entity: 'CO₂ Transfer', entityId: r.transferId, tab: 'activity',
+                message: `${r.period} → ${r.receivingInstallationId || 'unknown receiver'}: ${r.quantity.toFixed(1)} t ${r.warning.charAt(0).toLowerCase()}${r.warning.slice(1)}`
+            });
+        }
+    });
+    const directBeforeTransfers = emissions.summary.directCO2e + emissions.summary.transferDeductionCO2e;
+    if (emissions.summary.transferDeductionCO2e > directBeforeTransfers) {
+        issues.push({
+            severity: 'error', entity: 'CO₂ Transfer', entityId: 'total', tab: 'activity',
+            message: `Deducted transfers (${emissions.summary.transferDeductionCO2e.toFixed(1)} t) exceed the installation's direct emissions (${directBeforeTransfers.toFixed(1)} t)`
+        });
+    }
+
+    // 20. Block references — circular and ambiguous references between emission blocks
+    const blockGraph = buildBlockGraph(blocks);
+    const blockName = (id) => blocks.find(b => b.id === id)?.name || id;
+    blockGraph.cycles.forEach(cycle => {
+        issues.push({
+            severity: 'error', entity: 'Emission Block', entityId: cycle[0], tab: 'activity',
+            message: `Circular reference: ${cycle.map(blockName).join(' → ')} — these blocks are not calculated`
+        });
+    });
+    Object.entries(blockGraph.ambiguous).forEach(([id, names]) => {
+        issues.push({
+            severity: 'error', entity: 'Emission Block', entityId: id, tab: 'activity',
+            message: `"${blockName(id)}" references ${names.map(n => `"${n}"`).join(', ')}, an output name several blocks of its period share`
+        });
+    });
+
+    // 21. Parameter bindings — bound parameters with no activity data to resolve from
+    emissions.emissionBlocks.entries.forEach(r => {
+        Object.entries(r.lineage.bindings || {}).forEach(([key, bound]) => {
+            if (bound.error) {
+                issues.push({
+                    severity: 'error', entity: 'Emission Block', entityId: r.blockId, tab: 'activity',
+                    message: `"${r.name}" → param "${key}" is bound but unresolved: ${bound.error} — block not calculated`
+                });
+            } else if (bound.source.skipped.length > 0) {
+                issues.push({
+                    severity: 'warning', entity: 'Emission Block', entityId: r.blockId, tab: 'activity',
+                    message: `"${r.name}" → param "${key}": ${bound.source.skipped.length} fuel entries in ${bound.source.period} have no NCV or density to convert them and are not counted`
+                });
+            }
+        });
+    });
+
     return issues;
 }
 
@@ -118,7 +442,12 @@ export default function QADashboardView() {
     const warningCount = issues.filter(i => i.severity === 'warning').length;
     const totalChecked = (state.emissionBlocks || []).length
         + (state.activity?.fuels || []).length
-        + (state.activity?.electricity || []).length;
+        + (state.activity?.electricity || []).length
+        + (state.massBalanceStreams || []).length
+        + (state.cemsSources || []).length
+        + (state.heatFlows || []).length
+        + (state.generationUnits || []).length
+        + (state.co2Transfers || []).length;
     const passedCount = Math.max(0, totalChecked - errorCount - warningCount);
 
     return (
@@ -1,26 +1,42 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { useApp } from '../context/AppContext';
-import { calculateTotalEmissions, calculatePCF, GWP_AR6, calcCombustionEmissions, calcElectricityEmissions } from '../engine/emissionEngine';
+import { calculateTotalEmissions, emissionInputsFromState, calculatePCF, GWP_SETS } from '../engine/emissionEngine';
+import { UNASSIGNED_RULES, ALLOCATION_METHODS } from '../engine/attributionEngine';
+import { windowLabel } from '../engine/periodScope';
+import { GAP_METHODS } from '../engine/gapFilling';
+import FormulaTrace from '../components/FormulaTrace';
 import { Printer, FileText } from 'lucide-react';
 
 export default function ReportView() {
     const { state } = useApp();
 
-    const emissions = useMemo(() => calculateTotalEmissions({
-        fuels: state.activity.fuels,
-        electricity: state.activity.electricity,
-        processEvents: state.processEvents || [],
-        emissionBlocks: state.emissionBlocks || [],
-    }), [state.activity, state.processEvents, state.emissionBlocks]);
+    // GWP set for this report — defaults to the installation's inventory set
+    const [gwpSetId, setGwpSetId] = useState(state.meta.gwpSetId);
+    const gwpSets = state.factorLibrary?.gwpSets?.length ? state.factorLibrary.gwpSets : Object.values(GWP_SETS);
+    const emissions = useMemo(() => calculateTotalEmissions({ ...emissionInputsFromState(state), gwpSetId }), [state, gwpSetId]);
+    // Step-by-step evaluation of each block formula, for verifiers
+    const [showTraces, setShowTraces] = useState(true);
 
     const pcf = useMemo(() => calculatePCF(
-        emissions, state.products, state.allocationSettings
-    ), [emissions, state.products, state.allocationSettings]);
+        emissions, state.products, state.allocationSettings,
+        { productionOutput: state.productionOutput, processes: state.processes }
+    ), [emissions, state.products, state.allocationSettings, state.productionOutput, state.processes]);
 
     const directTotal = emissions.summary.directCO2e;
     const indirectTotal = emissions.electricity.totals.co2e;
     const grandTotal = directTotal + indirectTotal;
     const fmt = (n) => Math.round(n).toLocaleString();
+    const hasHeat = emissions.heat.entries.length > 0;
+    const elecResultById = Object.fromEntries(emissions.electricity.entries.map(r => [r.entryId, r]));
+    const fuelResultById = Object.fromEntries(emissions.combustion.entries.map(r => [r.entryId, r]));
+    // Activity tables list the rows of the calculation window only
+    const fuels = state.activity.fuels.filter(f => fuelResultById[f.id]);
+    const electricity = state.activity.electricity.filter(e => elecResultById[e.id]);
+    const outsidePeriod = emissions.period.excluded;
+    const gwp = emissions.gwpSet;
+    const hasBlocks = (state.emissionBlocks || []).length > 0;
+    const hasGaps = emissions.dataGaps.length > 0;
+    const hasTransfers = emissions.transfers.entries.length > 0;
 
     return (
         <div className="space-y-4">
@@ -30,13 +46,25 @@ export default function ReportView() {
                     <h2 className="text-xl font-bold text-slate-800">MRV Evidence Report</h2>
                     <p className="text-sm text-slate-500">Printable report for auditors and compliance officers</p>
                 </div>
-                <button
-                    onClick={() => window.print()}
-                    className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors shadow-md"
-                >
-                    <Printer size={16} />
-                    Print / Save as PDF
-                </button>
+                <div className="flex items-center gap-3">
+                    <select value={gwpSetId || ''} className="input-cell text-sm" title="GWP set used in this report"
+                        onChange={(e) => setGwpSetId(e.target.value)}>
+                        {gwpSets.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+                    </select>
+                    {hasBlocks && (
+                        <label className="flex items-center gap-1.5 text-sm text-slate-600">
+                            <input type="checkbox" checked={showTraces} onChange={(e) => setShowTraces(e.target.checked)} />
+                            Formula traces
+                        </label>
+                    )}
+                    <button
+                        onClick={() => window.print()}
+                        className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 transition-colors shadow-md"
+                    >
+                        <Printer size={16} />
+                        Print / Save as PDF
+                    </button>
+                </div>
             </div>
 
             {/* ─── Report Content (print-friendly) ──────── */}
@@ -51,13 +79,19 @@ export default function ReportView() {
                     <div className="grid grid-cols-2 gap-4">
                         <div><span className="text-xs text-slate-400 block">Installation</span><strong className="text-slate-800">{state.meta.installationName}</strong></div>
                         <div><span className="text-xs text-slate-400 block">Country</span><strong className="text-slate-800">{state.meta.country}</strong></div>
-                        <div><span className="text-xs text-slate-400 block">Reporting Period</span><strong className="text-slate-800">{state.meta.periodStart} → {state.meta.periodEnd}</strong></div>
+                        <div><span className="text-xs text-slate-400 block">Reporting Period</span><strong className="text-slate-800">{windowLabel(emissions.period)}</strong></div>
                         <div><span className="text-xs text-slate-400 block">Status</span>
                             <strong className="text-slate-800">{state.meta.workflowStatus || 'DRAFT'}</strong>
                         </div>
-                        <div><span className="text-xs text-slate-400 block">GWP Set</span><strong className="text-slate-800">{GWP_AR6.name}</strong></div>
+                        <div><span className="text-xs text-slate-400 block">GWP Set</span><strong className="text-slate-800">{gwp.name}</strong></div>
                         <div><span className="text-xs text-slate-400 block">Generated</span><strong className="text-slate-800">{new Date().toLocaleDateString()}</strong></div>
                     </div>
+                    {outsidePeriod.length > 0 && (
+                        <p className="mt-4 text-xs text-amber-700">
+                            {outsidePeriod.length} entr{outsidePeriod.length === 1 ? 'y' : 'ies'} outside this period not included:{' '}
+                            {outsidePeriod.map(r => `${r.label} ${r.id} (${r.period})`).join(', ')}.
+                        </p>
+                    )}
                 </div>
 
                 {/* Executive Summary */}
@@ -80,21 +114,53 @@ export default function ReportView() {
                     <table className="w-full text-sm">
                         <tbody>
                             <tr className="border-b border-slate-100">
-                                <td className="py-2 text-slate-500">Combustion CO₂</td>
+                                <td className="py-2 text-slate-500">Combustion CO₂ (fossil)</td>
                                 <td className="py-2 text-right font-medium">{fmt(emissions.combustion.totals.co2)} tCO₂</td>
                             </tr>
+                            <tr className="border-b border-slate-100">
+                                <td className="py-2 text-slate-500">Biogenic CO₂ (memo item, zero-rated — not in totals)</td>
+                                <td className="py-2 text-right font-medium text-slate-400">{fmt(emissions.summary.biogenicCO2)} tCO₂</td>
+                            </tr>
                             <tr className="border-b border-slate-100">
                                 <td className="py-2 text-slate-500">Combustion CH₄ (CO₂e)</td>
-                                <td className="py-2 text-right font-medium">{fmt(emissions.combustion.totals.ch4 * GWP_AR6.CH4)} tCO₂e</td>
+                                <td className="py-2 text-right font-medium">{fmt(emissions.combustion.totals.ch4 * gwp.CH4)} tCO₂e</td>
                             </tr>
                             <tr className="border-b border-slate-100">
                                 <td className="py-2 text-slate-500">Combustion N₂O (CO₂e)</td>
-                                <td className="py-2 text-right font-medium">{fmt(emissions.combustion.totals.n2o * GWP_AR6.N2O)} tCO₂e</td>
+                                <td className="py-2 text-right font-medium">{fmt(emissions.combustion.totals.n2o * gwp.N2O)} tCO₂e</td>
                             </tr>
                             <tr className="border-b border-slate-100">
                                 <td className="py-2 text-slate-500">Process Direct CO₂e</td>
-                                <td className="py-2 text-right font-medium">{fmt(emissions.summary.directCO2e - emissions.summary.combustionCO2e)} tCO₂e</td>
+                                <td className="py-2 text-right font-medium">{fmt(emissions.summary.directCO2e - emissions.summary.combustionCO2e - emissions.summary.massBalanceCO2e - emissions.summary.cemsCO2e
+                                    - emissions.summary.heatImportCO2e + emissions.summary.heatExportCO2e + emissions.summary.generationElectricityCO2e
+                                    + emissions.summary.transferDeductionCO2e)} tCO₂e</td>
+                            </tr>
+                            <tr className="border-b border-slate-100">
+                                <td className="py-2 text-slate-500">Mass Balance CO₂ (carbon in − out)</td>
+                                <td className="py-2 text-right font-medium">{fmt(emissions.summary.massBalanceCO2e)} tCO₂</td>
+                            </tr>
+                            <tr className="border-b border-slate-100">
+                                <td className="py-2 text-slate-500">Measured (CEMS) CO₂e</td>
+                                <td className="py-2 text-right font-medium">{fmt(emissions.summary.cemsCO2e)} tCO₂e</td>
                             </tr>
+                            <tr className="border-b border-slate-100">
+                                <td className="py-2 text-slate-500">Imported Heat CO₂e</td>
+                                <td className="py-2 text-right font-medium">{fmt(emissions.summary.heatImportCO2e)} tCO₂e</td>
+                            </tr>
+                            <tr className="border-b border-slate-100">
+                                <td className="py-2 text-slate-500">Exported Heat CO₂e (deducted)</td>
+                                <td className="py-2 text-right font-medium">−{fmt(emissions.summary.heatExportCO2e)} tCO₂e</td>
+                            </tr>
+                            <tr className="border-b border-slate-100">
+                                <td className="py-2 text-slate-500">On-site Electricity Generation (deducted)</td>
+                                <td className="py-2 text-right font-medium">−{fmt(emissions.summary.generationElectricityCO2e)} tCO₂e</td>
+                            </tr>
+                            {hasTransfers && (
+                                <tr className="border-b border-slate-100">
+                                    <td className="py-2 text-slate-500">CO₂ Transferred out (MRR Art. 49, deducted)</td>
+                                    <td className="py-2 text-right font-medium">−{fmt(emissions.summary.transferDeductionCO2e)} tCO₂</td>
+                                </tr>
+                            )}
                             <tr>
                                 <td className="py-2 text-slate-500">Electricity (Scope 2)</td>
                                 <td className="py-2 text-right font-medium">{fmt(indirectTotal)} tCO₂e</td>
@@ -138,12 +204,14 @@ export default function ReportView() {
                                 <th className="py-2 text-right">Quantity</th>
                                 <th className="py-2">Unit</th>
                                 <th className="py-2">Source</th>
+                                <th className="py-2 text-right">Biomass</th>
+                                <th className="py-2 text-right">Biogenic CO₂ (t)</th>
                                 <th className="py-2 text-right">CO₂e (t)</th>
                             </tr>
                         </thead>
                         <tbody>
-                            {state.activity.fuels.map((f, i) => {
-                                const result = calcCombustionEmissions(f);
+                            {fuels.map((f, i) => {
+                                const result = fuelResultById[f.id];
                                 return (
                                     <tr key={f.id || i} className="border-b border-slate-100">
                                         <td className="py-1.5">{f.period}</td>
@@ -151,11 +219,17 @@ export default function ReportView() {
                                         <td className="py-1.5 text-right">{f.quantity.toLocaleString()}</td>
                                         <td className="py-1.5">{f.unit}</td>
                                         <td className="py-1.5 text-slate-500">{f.source || 'manual'}</td>
+                                        <td className="py-1.5 text-right">
+                                            {result.lineage.biomass.fraction > 0
+                                                ? `${(result.lineage.biomass.fraction * 100).toFixed(0)}%${result.lineage.biomass.sustainable ? '' : ' (non-sust.)'}`
+                                                : '—'}
+                                        </td>
+                                        <td className="py-1.5 text-right">{result.co2Biogenic > 0 ? fmt(result.co2Biogenic) : '—'}</td>
                                         <td className="py-1.5 text-right font-medium">{fmt(result.co2e)}</td>
                                     </tr>
                                 );
                             })}
-                            {state.activity.fuels.length === 0 && <tr><td colSpan={6} className="py-4 text-center text-slate-400">No fuel entries</td></tr>}
+                            {fuels.length === 0 && <tr><td colSpan={8} className="py-4 text-center text-slate-400">No fuel entries</td></tr>}
                         </tbody>
                     </table>
                 </div>
@@ -174,27 +248,102 @@ export default function ReportView() {
                             </tr>
                         </thead>
                         <tbody>
-                            {state.activity.electricity.map((e, i) => {
-                                const result = calcElectricityEmissions(e);
+                            {electricity.map((e, i) => {
+                                const result = elecResultById[e.id];
                                 return (
                                     <tr key={e.id || i} className="border-b border-slate-100">
                                         <td className="py-1.5">{e.period}</td>
                                         <td className="py-1.5 text-right">{(e.mwh || 0).toLocaleString()}</td>
-                                        <td className="py-1.5 text-right">{e.ef}</td>
-                                        <td className="py-1.5 text-slate-500">{e.source || 'manual'}</td>
+                                        <td className="py-1.5 text-right">{result.generationUnitId ? result.lineage.inputs.ef.value.toFixed(3) : e.ef}</td>
+                                        <td className="py-1.5 text-slate-500">{result.generationUnitId ? `on-site · ${result.generationUnitId}` : (e.source || 'manual')}</td>
                                         <td className="py-1.5 text-right font-medium">{fmt(result.co2e)}</td>
                                     </tr>
                                 );
                             })}
-                            {state.activity.electricity.length === 0 && <tr><td colSpan={5} className="py-4 text-center text-slate-400">No electricity entries</td></tr>}
+                            {electricity.length === 0 && <tr><td colSpan={5} className="py-4 text-center text-slate-400">No electricity entries</td></tr>}
                         </tbody>
                     </table>
                 </div>
 
+                {/* Measurable Heat Flows */}
+                {hasHeat && (
+                    <div className="p-8 border-b border-slate-200">
+                        <h3 className="text-base font-bold text-slate-800 mb-4">5. Measurable Heat Flows</h3>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-xs text-slate-400 border-b border-slate-200">
+                                    <th className="py-2">Period</th>
+                                    <th className="py-2">Type</th>
+                                    <th className="py-2">From → To</th>
+                                    <th className="py-2 text-right">TJ</th>
+                                    <th className="py-2 text-right">EF (tCO₂e/TJ)</th>
+                                    <th className="py-2">EF Source</th>
+                                    <th className="py-2 text-right">CO₂e (t)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {emissions.heat.entries.map(h => (
+                                    <tr key={h.flowId} className="border-b border-slate-100">
+                                        <td className="py-1.5">{h.period}</td>
+                                        <td className="py-1.5 capitalize">{h.flowType}</td>
+                                        <td className="py-1.5">{h.fromProcessId || 'Outside'} → {h.toProcessId || 'Outside'}</td>
+                                        <td className="py-1.5 text-right">{fmt(h.quantityTJ)}</td>
+                                        <td className="py-1.5 text-right">{h.ef.toFixed(1)}</td>
+                                        <td className="py-1.5 text-slate-500">{h.efSource}</td>
+                                        <td className="py-1.5 text-right font-medium">{h.flowType === 'export' ? '−' : ''}{fmt(h.co2e)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <div className="mt-3 text-xs text-slate-400">
+                            Exported heat is deducted from the installation's direct emissions; internal flows move emissions between processes only.
+                        </div>
+                    </div>
+                )}
+
+                {/* CO₂ Transfers — MRR Art. 49 */}
+                {hasTransfers && (
+                    <div className="p-8 border-b border-slate-200">
+                        <h3 className="text-base font-bold text-slate-800 mb-4">{5 + hasHeat}. CO₂ Transfers</h3>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-xs text-slate-400 border-b border-slate-200">
+                                    <th className="py-2">Period</th>
+                                    <th className="py-2">Process</th>
+                                    <th className="py-2">Type</th>
+                                    <th className="py-2">Receiving Installation</th>
+                                    <th className="py-2">Evidence</th>
+                                    <th className="py-2 text-right">Transferred (t)</th>
+                                    <th className="py-2 text-right">Deducted (t)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {emissions.transfers.entries.map(t => (
+                                    <tr key={t.transferId} className="border-b border-slate-100">
+                                        <td className="py-1.5">{t.period}</td>
+                                        <td className="py-1.5">{t.processId}</td>
+                                        <td className="py-1.5">{t.lineage.transferType.label}</td>
+                                        <td className="py-1.5 font-mono text-xs">{t.receivingInstallationId || '—'}</td>
+                                        <td className="py-1.5 text-slate-500 text-xs">{t.lineage.inputs.evidence || '—'}</td>
+                                        <td className="py-1.5 text-right">{fmt(t.quantity)}</td>
+                                        <td className="py-1.5 text-right font-medium">
+                                            {t.deduction > 0 ? `−${fmt(t.deduction)}` : <span className="text-red-600" title={t.warning}>0</span>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <div className="mt-3 text-xs text-slate-400">
+                            Only transfers for capture, transport or geological storage, or CO₂ permanently bound in a product, with the
+                            receiving installation and measurement evidence recorded, are deducted from direct emissions.
+                        </div>
+                    </div>
+                )}
+
                 {/* Process Emission Blocks */}
-                {(state.emissionBlocks || []).length > 0 && (
+                {hasBlocks && (
                     <div className="p-8 border-b border-slate-200 print:break-before-auto">
-                        <h3 className="text-base font-bold text-slate-800 mb-4">5. Process Emission Blocks</h3>
+                        <h3 className="text-base font-bold text-slate-800 mb-4">{5 + hasHeat + hasTransfers}. Process Emission Blocks</h3>
                         <table className="w-full text-sm">
                             <thead>
                                 <tr className="text-left text-xs text-slate-400 border-b border-slate-200">
@@ -213,13 +362,67 @@ export default function ReportView() {
                                 ))}
                             </tbody>
                         </table>
+                        {showTraces && (
+                            <div className="mt-6 space-y-4">
+                                <h4 className="text-sm font-semibold text-slate-700">Evaluation Traces</h4>
+                                {emissions.emissionBlocks.entries.filter(r => r.lineage.trace).map(r => (
+                                    <div key={r.blockId} className="print:break-inside-avoid">
+                                        <div className="flex justify-between text-xs text-slate-500 mb-1">
+                                            <span className="font-medium text-slate-700">{r.name} · {r.period}</span>
+                                            <span className="font-mono">{r.tonnes.toFixed(4)} t {r.gas} → {r.co2e.toFixed(2)} tCO₂e</span>
+                                        </div>
+                                        <div className="border border-slate-200 rounded p-2">
+                                            <FormulaTrace trace={r.lineage.trace} expanded />
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {/* Data Gaps — conservative substitution (MRR Art. 65) */}
+                {hasGaps && (
+                    <div className="p-8 border-b border-slate-200">
+                        <h3 className="text-base font-bold text-slate-800 mb-4">{5 + hasHeat + hasTransfers + hasBlocks}. Data Gaps & Substitutions</h3>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-xs text-slate-400 border-b border-slate-200">
+                                    <th className="py-2">Source Stream</th>
+                                    <th className="py-2">Period</th>
+                                    <th className="py-2">Method</th>
+                                    <th className="py-2 text-right">Estimate</th>
+                                    <th className="py-2">Basis</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {emissions.dataGaps.map(g => (
+                                    <tr key={`${g.streamKey}_${g.period}`} className="border-b border-slate-100">
+                                        <td className="py-1.5">{g.name}</td>
+                                        <td className="py-1.5">{g.period}</td>
+                                        <td className="py-1.5">
+                                            {GAP_METHODS[g.method].label}
+                                            {!g.substituted && g.method !== 'none' && <span className="text-red-600"> (not applied)</span>}
+                                        </td>
+                                        <td className="py-1.5 text-right font-medium">{g.method === 'none' ? '—' : `${g.quantity.toLocaleString(undefined, { maximumFractionDigits: 2 })} ${g.unit}`}</td>
+                                        <td className="py-1.5 text-slate-500 text-xs">
+                                            {g.basis.map(b => `${b.period}: ${b.quantity.toLocaleString(undefined, { maximumFractionDigits: 2 })}`).join(', ') || '—'}
+                                            {g.fallback && ` · ${g.fallback}`}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <p className="mt-3 text-xs text-slate-500">
+                            Months without data are estimated conservatively; applied estimates are included in the totals above as substitute entries.
+                        </p>
                     </div>
                 )}
 
                 {/* Product Carbon Footprint */}
                 <div className="p-8 border-b border-slate-200 print:break-before-auto">
                     <h3 className="text-base font-bold text-slate-800 mb-4">
-                        {(state.emissionBlocks || []).length > 0 ? '6' : '5'}. Product Carbon Footprint (PCF)
+                        {5 + hasHeat + hasTransfers + hasBlocks + hasGaps}. Product Carbon Footprint (PCF)
                     </h3>
                     <table className="w-full text-sm">
                         <thead>
@@ -227,6 +430,7 @@ export default function ReportView() {
                                 <th className="py-2">Product</th>
                                 <th className="py-2">CN Code</th>
                                 <th className="py-2 text-right">Output (t)</th>
+                                <th className="py-2 text-right">Precursors (tCO₂e)</th>
                                 <th className="py-2 text-right">Direct SEE</th>
                                 <th className="py-2 text-right">Indirect SEE</th>
                                 <th className="py-2 text-right">Total SEE</th>
@@ -238,23 +442,27 @@ export default function ReportView() {
                                     <td className="py-1.5 font-medium">{p.productName || p.name} {p.isResidue && '(residue)'}</td>
                                     <td className="py-1.5">{p.cnCode || '—'}</td>
                                     <td className="py-1.5 text-right">{(p.quantity || 0).toLocaleString()}</td>
+                                    <td className="py-1.5 text-right">{p.precursors.total > 0 ? fmt(p.precursors.total) : '—'}</td>
                                     <td className="py-1.5 text-right">{(p.pcfDirect ?? 0).toFixed(4)}</td>
                                     <td className="py-1.5 text-right">{(p.pcfIndirect ?? 0).toFixed(4)}</td>
                                     <td className="py-1.5 text-right font-semibold">{(p.pcf ?? 0).toFixed(4)}</td>
                                 </tr>
                             ))}
-                            {pcf.length === 0 && <tr><td colSpan={6} className="py-4 text-center text-slate-400">No products defined</td></tr>}
+                            {pcf.length === 0 && <tr><td colSpan={7} className="py-4 text-center text-slate-400">No products defined</td></tr>}
                         </tbody>
                     </table>
                     <div className="mt-3 text-xs text-slate-400">
-                        SEE = Specific Embedded Emissions (tCO₂e / t product). Allocation method: {state.allocationSettings?.method || 'mass'}.
+                        SEE = Specific Embedded Emissions (tCO₂e / t product). Allocation method: {(ALLOCATION_METHODS[state.allocationSettings?.method] || ALLOCATION_METHODS.mass).label.toLowerCase()}.
+                        {state.processes.some(p => p.allocationMethod) && ` Process overrides: ${state.processes.filter(p => p.allocationMethod).map(p => `${p.id} ${(ALLOCATION_METHODS[p.allocationMethod] || ALLOCATION_METHODS.mass).label.toLowerCase()}`).join(', ')}.`}
+                        {pcf.some(p => p.byProcess) && ` Emissions attributed per production process; unassigned emissions: ${(UNASSIGNED_RULES[state.allocationSettings?.unassignedRule] || UNASSIGNED_RULES.output_share).label.toLowerCase()}.`}
+                        {pcf.some(p => p.precursors.entries.length > 0) && ' Embedded emissions of purchased precursors are included in SEE.'}
                     </div>
                 </div>
 
                 {/* Footer */}
                 <div className="p-8 text-center text-xs text-slate-400">
                     <p>This report was generated by Carbon Ledger MRV on {new Date().toLocaleString()}.</p>
-                    <p className="mt-1">GWP values: {GWP_AR6.name} | Methodology: IPCC 2006 + EU CBAM Regulation 2025/2547</p>
+                    <p className="mt-1">GWP values: {gwp.name} | Methodology: IPCC 2006 + EU CBAM Regulation 2025/2547</p>
                 </div>
             </div>
         </div>
@@ -0,0 +1,106 @@
+import React, { useMemo, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { emissionInputsFromState, restateEmissions, selectGwpSet, GWP_SETS } from '../engine/emissionEngine';
+import { Scale, Info } from 'lucide-react';
+
+const GAS_LABELS = { CO2: 'CO₂', CH4: 'CH₄', N2O: 'N₂O', CF4: 'CF₄', C2F6: 'C₂F₆' };
+
+export default function RestatementPanel() {
+    const { state } = useApp();
+    const gwpSets = state.factorLibrary?.gwpSets?.length ? state.factorLibrary.gwpSets : Object.values(GWP_SETS);
+    const [baseId, setBaseId] = useState(state.meta.gwpSetId);
+    const [restatedId, setRestatedId] = useState(gwpSets.find(g => g.id !== state.meta.gwpSetId)?.id || state.meta.gwpSetId);
+
+    const restatement = useMemo(() => restateEmissions(
+        emissionInputsFromState(state),
+        selectGwpSet(state.factorLibrary, baseId),
+        selectGwpSet(state.factorLibrary, restatedId)
+    ), [state, baseId, restatedId]);
+
+    const fmt = (n) => Math.round(n).toLocaleString();
+    const delta = (n) => (
+        <span className={Math.abs(n) < 0.5 ? 'text-slate-400' : n > 0 ? 'text-red-600' : 'text-emerald-600'}>
+            {n > 0 ? '+' : ''}{fmt(n)}
+        </span>
+    );
+    const pct = (d, base) => (base ? `${d > 0 ? '+' : ''}${(d / base * 100).toFixed(2)}%` : '—');
+    const setSelect = (value, onChange) => (
+        <select value={value || ''} className="input-cell text-xs" onChange={(e) => onChange(e.target.value)}>
+            {gwpSets.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+        </select>
+    );
+
+    return (
+        <div className="card">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <Scale size={20} className="text-violet-500" />
+                    <h3 className="text-lg font-semibold text-slate-700">GWP Restatement</h3>
+                </div>
+                <div className="flex items-center gap-2 text-xs text-slate-500">
+                    {setSelect(baseId, setBaseId)}
+                    <span>→</span>
+                    {setSelect(restatedId, setRestatedId)}
+                </div>
+            </div>
+
+            <table>
+                <thead>
+                    <tr>
+                        <th>Gas</th>
+                        <th className="text-right">Mass (t)</th>
+                        <th className="text-right">GWP base</th>
+                        <th className="text-right">GWP restated</th>
+                        <th className="text-right">Base (tCO₂e)</th>
+                        <th className="text-right">Restated (tCO₂e)</th>
+                        <th className="text-right">Δ (tCO₂e)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {restatement.byGas.filter(g => g.tonnes !== 0).map(g => (
+                        <tr key={g.gas}>
+                            <td className="font-semibold">{GAS_LABELS[g.gas] || g.gas}</td>
+                            <td className="font-mono text-right">{g.tonnes.toLocaleString(undefined, { maximumFractionDigits: 3 })}</td>
+                            <td className="font-mono text-right">{g.gwpBase}</td>
+                            <td className="font-mono text-right">{g.gwpRestated}</td>
+                            <td className="font-mono text-right">{fmt(g.co2eBase)}</td>
+                            <td className="font-mono text-right">{fmt(g.co2eRestated)}</td>
+                            <td className="font-mono text-right">{delta(g.delta)}</td>
+                        </tr>
+                    ))}
+                    <tr className="text-slate-500">
+                        <td colSpan={4}>Heat & generation adjustments</td>
+                        <td className="font-mono text-right">{fmt(restatement.adjustments.base)}</td>
+                        <td className="font-mono text-right">{fmt(restatement.adjustments.restated)}</td>
+                        <td className="font-mono text-right">{delta(restatement.adjustments.delta)}</td>
+                    </tr>
+                    <tr className="text-slate-500">
+                        <td colSpan={4}>Indirect (electricity)</td>
+                        <td className="font-mono text-right">{fmt(restatement.indirect.base)}</td>
+                        <td className="font-mono text-right">{fmt(restatement.indirect.restated)}</td>
+                        <td className="font-mono text-right">{delta(restatement.indirect.delta)}</td>
+                    </tr>
+                </tbody>
+                <tfoot>
+                    <tr className="border-t-2 border-slate-300 font-bold">
+                        <td colSpan={4}>Total</td>
+                        <td className="font-mono text-right">{fmt(restatement.total.base)}</td>
+                        <td className="font-mono text-right">{fmt(restatement.total.restated)}</td>
+                        <td className="font-mono text-right">
+                            {delta(restatement.total.delta)}
+                            <span className="text-xs text-slate-400 ml-1">({pct(restatement.total.delta, restatement.total.base)})</span>
+                        </td>
+                    </tr>
+                </tfoot>
+            </table>
+
+            <div className="mt-3 flex items-start gap-2 text-xs text-slate-400">
+                <Info size={14} className="mt-0.5 shrink-0" />
+                <span>
+                    Both columns recalculate the same activity data; only the GWP set differs. Grid electricity factors are
+                    given in CO₂e and do not change; heat and self-generated electricity follow the GWP of the fuels behind them.
+                </span>
+            </div>
+        </div>
+    );
+}
@@ -2,55 +2,52 @@ import React, { useState } from 'react';
 import { useApp } from '../context/AppContext';
 import { getCnCodeInfo } from '../data/referenceData';
 import { calculateCBAMProjection } from '../engine/cbamCalculator';
-import { calculateTotalEmissions, calculatePCF } from '../engine/emissionEngine';
+import { calculateTotalEmissions, emissionInputsFromState, calculatePCF } from '../engine/emissionEngine';
 import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Cell, Legend, PieChart, Pie } from 'recharts';
-import { Calculator, TrendingUp, Info, ShieldCheck } from 'lucide-react';
+import { Calculator, TrendingUp, Info, ShieldCheck, GitBranch, ChevronRight, AlertTriangle } from 'lucide-react';
 import LineagePanel from '../components/LineagePanel';
+import RestatementPanel from './RestatementPanel';
+import SimulationPanel from './SimulationPanel';
 
 export default function ResultsView() {
     const { state, dispatch } = useApp();
     const [selectedBlock, setSelectedBlock] = useState(null);
 
     // ─── Emission Calculations (Multi-Gas Engine) ─────────────
-    const emissionResult = calculateTotalEmissions({
-        fuels: state.activity.fuels,
-        electricity: state.activity.electricity,
-        processEvents: state.processEvents || [],
-        emissionBlocks: state.emissionBlocks || [],
-    });
+    const emissionResult = calculateTotalEmissions(emissionInputsFromState(state));
     const totalDirect = emissionResult.summary.directCO2e;
     const totalIndirect = emissionResult.summary.indirectCO2e;
     const totalEmissions = emissionResult.summary.totalCO2e;
 
-    // Allocation
+    // Attribution — per production process when output is mapped to processes
     const treatResidueAsWaste = state.allocationSettings.treatResidueAsWaste;
-    const validProducts = state.products.filter(p => !treatResidueAsWaste || !p.isResidue);
-    const totalMass = validProducts.reduce((sum, p) => sum + (parseFloat(p.quantity) || 0), 0);
+    const pcfById = Object.fromEntries(calculatePCF(
+        emissionResult, state.products, state.allocationSettings,
+        { productionOutput: state.productionOutput, processes: state.processes }
+    ).map(r => [r.productId, r]));
 
     // Per-Product PCF (Specific Embedded Emissions)
     const productResults = state.products.map(p => {
         const isExcluded = treatResidueAsWaste && p.isResidue;
-        const qty = parseFloat(p.quantity) || 0;
-        const ratio = (!isExcluded && totalMass > 0) ? (qty / totalMass) : 0;
+        const attributed = isExcluded ? null : pcfById[p.id];
+        // Quantity of the calculation window
+        const qty = attributed ? attributed.quantity : parseFloat(p.quantity) || 0;
+        const ratio = attributed?.share || 0;
         const cnInfo = getCnCodeInfo(p.cnCode);
         const isComplex = cnInfo?.isComplex || false;
 
-        // Own process emissions allocated to this product
-        const ownDirect = totalDirect * ratio;
-        const ownIndirect = totalIndirect * ratio;
+        // Own process emissions attributed to this product
+        const ownDirect = attributed?.allocatedDirect || 0;
+        const ownIndirect = attributed?.allocatedIndirect || 0;
 
-        // Precursor embedded emissions (only for complex goods)
-        let precursorEmissions = 0;
-        if (isComplex && p.precursors?.length > 0) {
-            precursorEmissions = p.precursors.reduce((sum, pc) => {
-                return sum + (parseFloat(pc.mass) || 0) * (parseFloat(pc.see) || 0);
-            }, 0);
-        }
+        // Precursor embedded emissions (purchased inputs of complex goods)
+        const precursors = attributed?.precursors || { entries: [], direct: 0, indirect: 0, total: 0 };
+        const precursorEmissions = precursors.total;
 
         const totalAllocated = ownDirect + ownIndirect + precursorEmissions;
         const see = qty > 0 ? totalAllocated / qty : 0; // tCO₂/t product
-        const seeDirect = qty > 0 ? ownDirect / qty : 0;
-        const seeIndirect = qty > 0 ? ownIndirect / qty : 0;
+        const seeDirect = qty > 0 ? (ownDirect + precursors.direct) / qty : 0;
+        const seeIndirect = qty > 0 ? (ownIndirect + precursors.indirect) / qty : 0;
 
         return {
             ...p,
@@ -59,16 +56,26 @@ export default function ResultsView() {
             ownDirect: Math.round(ownDirect),
             ownIndirect: Math.round(ownIndirect),
             precursorEmissions: Math.round(precursorEmissions),
+            precursors,
             totalAllocated: Math.round(totalAllocated),
             see,
             seeDirect,
             seeIndirect,
             cnInfo,
             isComplex,
+            warning: attributed?.warning || null,
         };
     });
 
 
+    // Sources with a traceable calculation; precursors show their embedded total
+    const lineageSources = [
+        ...emissionResult.cems.entries,
+        ...emissionResult.massBalance.entries,
+        ...emissionResult.emissionBlocks.entries,
+        ...productResults.flatMap(p => p.precursors.entries.map(pc => ({ ...pc, name: pc.name || pc.cnCode || 'Precursor', productName: p.name, co2e: pc.total }))),
+    ];
+
     // ─── CBAM: Actual vs Default Comparison ─────────────────────
     const cbam = state.cbamSettings;
     const mainProduct = productResults.find(p => !p.isExcluded);
@@ -124,6 +131,24 @@ export default function ResultsView() {
                         </div>
                         <div className="text-2xl font-bold text-blue-800">{Math.round(totalDirect).toLocaleString()}</div>
                         <div className="text-xs text-blue-500">tCO₂</div>
+                        <div className="text-[10px] text-blue-500 mt-1">
+                            Fossil CO₂ {Math.round(emissionResult.summary.fossilCO2).toLocaleString()} · Biogenic CO₂ (memo) {Math.round(emissionResult.summary.biogenicCO2).toLocaleString()}
+                        </div>
+                        {(emissionResult.summary.heatImportCO2e > 0 || emissionResult.summary.heatExportCO2e > 0) && (
+                            <div className="text-[10px] text-blue-500">
+                                Heat imported +{Math.round(emissionResult.summary.heatImportCO2e).toLocaleString()} · Heat exported −{Math.round(emissionResult.summary.heatExportCO2e).toLocaleString()}
+                            </div>
+                        )}
+                        {emissionResult.summary.generationElectricityCO2e > 0 && (
+                            <div className="text-[10px] text-blue-500">
+                                On-site electricity generation −{Math.round(emissionResult.summary.generationElectricityCO2e).toLocaleString()}
+                            </div>
+                        )}
+                        {emissionResult.summary.transferDeductionCO2e > 0 && (
+                            <div className="text-[10px] text-blue-500">
+                                CO₂ transferred (Art. 49) −{Math.round(emissionResult.summary.transferDeductionCO2e).toLocaleString()}
+                            </div>
+                        )}
                     </div>
                     <div className="card bg-gradient-to-br from-cyan-50 to-cyan-100 border-cyan-200">
                         <div className="flex items-center gap-2 text-cyan-600 mb-1">
@@ -183,6 +208,11 @@ export default function ResultsView() {
                                                     <div className="text-[10px] text-slate-400">
                                                         D: {p.seeDirect.toFixed(3)} · I: {p.seeIndirect.toFixed(3)}
                                                     </div>
+                                                    {p.warning && (
+                                                        <div className="inline-flex items-center gap-1 text-[10px] text-amber-600" title={p.warning}>
+                                                            <AlertTriangle size={10} /> no output in period
+                                                        </div>
+                                                    )}
                                                 </div>
                                             )}
                                         </td>
@@ -197,8 +227,8 @@ export default function ResultsView() {
                             <div className="flex items-start gap-2 text-xs text-slate-500">
                                 <Info size={14} className="mt-0.5 shrink-0" />
                                 <div>
-                                    <strong>For simple goods:</strong> SEE = (Scope 1 + Scope 2) × allocation_ratio ÷ product_mass<br />
-                                    <strong>For complex goods:</strong> SEE = own_SEE + Σ(precursor_mass × precursor_SEE) ÷ product_mass
+                                    <strong>For simple goods:</strong> SEE = Σ process (Scope 1 + Scope 2) × product's share of process output ÷ product_mass<br />
+                                    <strong>For complex goods:</strong> SEE = (own emissions + Σ precursor_mass × precursor_SEE) ÷ product_mass, split into direct and indirect
                                 </div>
                             </div>
                         </div>
@@ -313,6 +343,37 @@ export default function ResultsView() {
 
 
 
+                {/* ─── Calculation Lineage ─── */}
+                {lineageSources.length > 0 && (
+                    <div className="card">
+                        <div className="flex items-center gap-2 mb-3">
+                            <GitBranch size={20} className="text-indigo-500" />
+                            <h3 className="text-lg font-semibold text-slate-700">Calculation Lineage</h3>
+                            <span className="text-xs text-slate-400">Click a source to trace its calculation</span>
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                            {lineageSources.map(src => (
+                                <button key={src.sourceId || src.balanceId || src.blockId || src.precursorId}
+                                    onClick={() => setSelectedBlock(src)}
+                                    className="flex items-center justify-between px-3 py-2 rounded-lg border border-slate-200 hover:border-indigo-300 hover:bg-indigo-50/40 text-left transition-colors">
+                                    <div>
+                                        <div className="text-sm font-medium text-slate-700">{src.name}</div>
+                                        <div className="text-[10px] text-slate-400">
+                                            {src.lineage?.type === 'precursor'
+                                                ? `Precursor · ${src.sourceType} · ${src.productName} · CN ${src.cnCode || '—'}`
+                                                : `${{ mass_balance: 'Mass balance', cems: `CEMS · ${src.gas}` }[src.lineage?.type] || `Formula · ${src.gas}`} · ${src.processId} · ${src.period}`}
+                                        </div>
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <span className="font-mono text-sm text-slate-700">{(src.co2e || 0).toFixed(1)} tCO₂e</span>
+                                        <ChevronRight size={14} className="text-slate-400" />
+                                    </div>
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 {/* ─── CBAM: Actual vs Default Comparison ─── */}
                 <div className="card">
                     <div className="flex items-center gap-2 mb-5">
@@ -531,6 +592,10 @@ export default function ResultsView() {
                             Source: EU Reg. 2025/2621 (default values), CBAM Reg. 2023/956 (phase-in). Estimate only — actual certificates at weekly ETS auction price.
                         </div>
                     </div>
+
+                    <RestatementPanel />
+
+                    <SimulationPanel />
                 </div>
             </div >
             {selectedBlock && (
@@ -0,0 +1,193 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useApp } from '../context/AppContext';
+import { emissionInputsFromState } from '../engine/emissionEngine';
+import { DISTRIBUTIONS, DEFAULT_SIMULATION_SETTINGS, MAX_SIMULATION_ITERATIONS, SIMULATION_PERCENTILES } from '../engine/monteCarlo';
+import { windowLabel } from '../engine/periodScope';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { Dices, Info, Play, Square } from 'lucide-react';
+
+const DECLARED_INPUTS = [
+    { id: 'activity', label: 'Activity quantities', hint: '± % per fuel and electricity row' },
+    { id: 'parameters', label: 'Block parameters', hint: '± % per parameter' },
+    { id: 'ncv', label: 'NCVs', hint: 'per fuel type', declared: true },
+    { id: 'ef', label: 'Emission factors', hint: 'per fuel type and gas', declared: true },
+];
+
+export default function SimulationPanel() {
+    const { state, dispatch } = useApp();
+    const settings = { ...DEFAULT_SIMULATION_SETTINGS, ...state.simulationSettings };
+    const workerRef = useRef(null);
+    const [progress, setProgress] = useState(null);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [histogramOf, setHistogramOf] = useState('total');
+
+    useEffect(() => () => workerRef.current?.terminate(), []);
+
+    const update = (field, value, input = null) => dispatch({ type: 'UPDATE_SIMULATION_SETTINGS', payload: { input, field, value } });
+
+    const stop = () => {
+        workerRef.current?.terminate();
+        workerRef.current = null;
+        setProgress(null);
+    };
+
+    const run = () => {
+        stop();
+        const inputs = emissionInputsFromState(state);
+        const worker = new Worker(new URL('../workers/monteCarlo.worker.js', import.meta.url), { type: 'module' });
+        workerRef.current = worker;
+        setError(null);
+        setProgress({ done: 0, total: settings.iterations });
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                setProgress({ done: message.done, total: message.total });
+                return;
+            }
+            if (message.type === 'result') setResult({ ...message.result, window: inputs.period });
+            if (message.type === 'error') setError(message.message);
+            stop();
+        };
+        worker.postMessage({
+            type: 'run',
+            model: {
+                inputs,
+                products: state.products,
+                allocationSettings: state.allocationSettings,
+                productionOutput: state.productionOutput || [],
+                processes: state.processes,
+            },
+            settings,
+        });
+    };
+
+    const rows = result ? [
+        { key: 'total', label: 'Total emissions', unit: 't CO₂e', baseline: result.baseline.totalCO2e, stats: result.total, digits: 0 },
+        { key: 'direct', label: 'Direct emissions', unit: 't CO₂e', baseline: result.baseline.directCO2e, stats: result.direct, digits: 0 },
+        ...result.products.map(p => ({ key: p.productId, label: `SEE ${p.productName}`, unit: 't CO₂e/t', baseline: p.baseline, stats: p.see, digits: 3 })),
+    ] : [];
+    const selected = rows.find(r => r.key === histogramOf) || rows[0];
+    const fmt = (n, digits) => n.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+    return (
+        <div className="card">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <Dices size={20} className="text-indigo-500" />
+                    <h3 className="text-lg font-semibold text-slate-700">Monte Carlo Simulation</h3>
+                </div>
+                <div className="flex items-center gap-2 text-xs text-slate-500">
+                    <label className="flex items-center gap-1">
+                        Iterations
+                        <input type="number" min="100" max={MAX_SIMULATION_ITERATIONS} step="100" value={settings.iterations} className="input-cell text-xs w-20 font-mono"
+                            onChange={(e) => update('iterations', Math.min(MAX_SIMULATION_ITERATIONS, parseInt(e.target.value, 10) || 0))} />
+                    </label>
+                    <label className="flex items-center gap-1">
+                        Seed
+                        <input type="number" value={settings.seed} className="input-cell text-xs w-16 font-mono"
+                            onChange={(e) => update('seed', parseInt(e.target.value, 10) || 0)} />
+                    </label>
+                    {progress ? (
+                        <button className="btn ghost small" onClick={stop}><Square size={12} /> Stop</button>
+                    ) : (
+                        <button className="btn primary small" disabled={!(settings.iterations > 0)} onClick={run}><Play size={12} /> Run</button>
+                    )}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-4 gap-3 mb-4">
+                {DECLARED_INPUTS.map(input => (
+                    <div key={input.id} className="bg-slate-50 rounded p-2">
+                        <div className="text-[11px] font-medium text-slate-600">{input.label}</div>
+                        <div className="flex items-center gap-1 mt-1">
+                            <select value={settings[input.id].distribution} className="input-cell text-xs"
+                                onChange={(e) => update('distribution', e.target.value, input.id)}>
+                                {Object.values(DISTRIBUTIONS).map(d => <option key={d.id} value={d.id} title={d.description}>{d.label}</option>)}
+                            </select>
+                            {input.declared ? (
+                                <span className="flex items-center gap-0.5 text-[10px] text-slate-400">
+                                    ±
+                                    <input type="number" min="0" step="0.1" value={settings[input.id].uncertainty} className="input-cell text-xs w-14 font-mono"
+                                        onChange={(e) => update('uncertainty', parseFloat(e.target.value) || 0, input.id)} />
+                                    %
+                                </span>
+                            ) : <span className="text-[10px] text-slate-400">{input.hint}</span>}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {progress && (
+                <div className="mb-4">
+                    <div className="h-1.5 bg-slate-100 rounded-full overflow-hidden">
+                        <div className="h-full bg-indigo-500 transition-all" style={{ width: `${progress.done / progress.total * 100}%` }} />
+                    </div>
+                    <div className="text-[11px] text-slate-400 mt-1 font-mono">{progress.done.toLocaleString()} / {progress.total.toLocaleString()}</div>
+                </div>
+            )}
+            {error && <div className="text-sm text-red-600 mb-4">{error}</div>}
+
+            {result ? (
+                <>
+                    <div className="text-xs text-slate-400 mb-2">
+                        {result.iterations.toLocaleString()} iterations · seed {result.seed} · {windowLabel(result.window)}
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Result</th>
+                                    <th className="text-right">Calculated</th>
+                                    <th className="text-right">Mean</th>
+                                    <th className="text-right">σ</th>
+                                    {SIMULATION_PERCENTILES.map(p => <th key={p} className="text-right">P{p}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map(r => (
+                                    <tr key={r.key} className={`cursor-pointer ${selected?.key === r.key ? 'bg-indigo-50' : ''}`} onClick={() => setHistogramOf(r.key)}>
+                                        <td className="text-sm font-medium">
+                                            {r.label} <span className="text-[10px] text-slate-400">{r.unit}</span>
+                                        </td>
+                                        <td className="font-mono text-right">{fmt(r.baseline, r.digits)}</td>
+                                        <td className="font-mono text-right">{fmt(r.stats.mean, r.digits)}</td>
+                                        <td className="font-mono text-right text-slate-500">{fmt(r.stats.sd, r.digits)}</td>
+                                        {SIMULATION_PERCENTILES.map(p => (
+                                            <td key={p} className="font-mono text-right text-xs">{fmt(r.stats.percentiles[String(p)], r.digits)}</td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {selected && (
+                        <div className="mt-4">
+                            <div className="text-[11px] font-semibold text-slate-500 uppercase tracking-wider mb-2">{selected.label} — distribution</div>
+                            <ResponsiveContainer width="100%" height={200}>
+                                <BarChart data={selected.stats.histogram.map(b => ({ x: fmt((b.from + b.to) / 2, selected.digits), count: b.count }))}>
+                                    <XAxis dataKey="x" tick={{ fontSize: 10 }} interval="preserveStartEnd" />
+                                    <YAxis tick={{ fontSize: 10 }} allowDecimals={false} />
+                                    <Tooltip formatter={(v) => [v, 'Iterations']} labelFormatter={(l) => `${l} ${selected.unit}`} />
+                                    <Bar dataKey="count" fill="#6366f1" />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+                    )}
+                </>
+            ) : !progress && (
+                <div className="text-sm text-slate-400 py-4 text-center">Run the simulation to see the distribution of total emissions and SEE</div>
+            )}
+
+            <div className="mt-3 flex items-start gap-2 text-xs text-slate-400">
+                <Info size={14} className="mt-0.5 shrink-0" />
+                <span>
+                    Each iteration draws every uncertain input and repeats the full calculation and allocation for the selected
+                    period. Uncertainties are read as % at 95 % confidence; each distribution is given the matching standard
+                    deviation. NCV and emission factor draws are shared by all periods of a fuel type, as their error is
+                    systematic. Inputs without an uncertainty are held fixed.
+                </span>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,96 @@
+import React, { useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { calculateTotalEmissions, emissionInputsFromState } from '../engine/emissionEngine';
+import { assessSourceStreams, STREAM_CLASSES } from '../engine/uncertaintyEngine';
+import { reportingWindow } from '../engine/periodScope';
+import { Gauge, Info } from 'lucide-react';
+
+const STATUS_STYLES = {
+    ok: { label: 'Meets tier', className: 'bg-emerald-50 text-emerald-700' },
+    exceeds: { label: 'Exceeds', className: 'bg-red-50 text-red-700' },
+    undocumented: { label: 'Not documented', className: 'bg-amber-50 text-amber-700' },
+    not_required: { label: 'No tier required', className: 'bg-slate-100 text-slate-500' },
+};
+
+export default function SourceStreamPanel() {
+    const { state } = useApp();
+
+    // Classification uses the installation's annual figures, whatever sub-period is selected
+    const assessment = useMemo(
+        () => assessSourceStreams(calculateTotalEmissions(emissionInputsFromState(state, reportingWindow(state.meta)))),
+        [state]);
+    const fmt = (n) => n.toLocaleString(undefined, { maximumFractionDigits: 1 });
+
+    return (
+        <div className="card">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <Gauge size={20} className="text-indigo-500" />
+                    <h3 className="text-lg font-semibold text-slate-700">Source Streams & Tiers</h3>
+                </div>
+                <span className="text-sm text-slate-500">
+                    {assessment.category.label} <span className="text-xs text-slate-400">({assessment.category.description})</span>
+                </span>
+            </div>
+
+            {assessment.streams.length > 0 ? (
+                <div className="overflow-x-auto">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Source stream</th>
+                                <th style={{ width: 120 }} className="text-right">tCO₂e</th>
+                                <th style={{ width: 80 }} className="text-right">Share</th>
+                                <th style={{ width: 110 }}>Class</th>
+                                <th style={{ width: 120 }} className="text-right">Required</th>
+                                <th style={{ width: 120 }} className="text-right">Achieved</th>
+                                <th style={{ width: 130 }}>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {assessment.streams.map(s => (
+                                <tr key={s.key}>
+                                    <td className="text-sm font-medium">
+                                        {s.name}
+                                        <span className="ml-2 text-[10px] text-slate-400">{s.entries} {s.type === 'fuel' ? 'entries' : 'blocks'}</span>
+                                    </td>
+                                    <td className="font-mono text-right">{fmt(s.co2e)}</td>
+                                    <td className="font-mono text-right text-xs">{(s.share * 100).toFixed(1)}%</td>
+                                    <td className="text-xs">{STREAM_CLASSES[s.streamClass].label}</td>
+                                    <td className="font-mono text-right text-xs">
+                                        {s.requiredTier === null ? '—' : `Tier ${s.requiredTier} · ±${s.maxUncertainty}%`}
+                                    </td>
+                                    <td className="font-mono text-right text-xs">
+                                        {s.uncertainty === null ? (
+                                            <span className="text-slate-400">{s.undocumented}/{s.entries} missing</span>
+                                        ) : `±${s.uncertainty.toFixed(2)}%`}
+                                        {s.achievedTier > 0 && <div className="text-[10px] text-slate-400">tier {s.achievedTier}</div>}
+                                    </td>
+                                    <td>
+                                        <span className={`px-2 py-0.5 rounded-full text-[11px] font-medium ${STATUS_STYLES[s.status].className}`}>
+                                            {STATUS_STYLES[s.status].label}
+                                        </span>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : (
+                <div className="text-sm text-slate-400 py-4 text-center">No fuel or emission block source streams yet</div>
+            )}
+
+            <div className="mt-3 flex items-start gap-2 text-xs text-slate-400">
+                <Info size={14} className="mt-0.5 shrink-0" />
+                <span>
+                    A source stream is a fuel type or an emission block template over the reporting period. Streams are
+                    classed de-minimis (jointly below {fmt(assessment.thresholds.de_minimis)} t) or minor (jointly below{' '}
+                    {fmt(assessment.thresholds.minor)} t), the rest are major. The achieved uncertainty combines the ± %
+                    entered per fuel row or block parameter. Entries at the same process share an instrument and add
+                    linearly; different processes are combined as independent. Fuel uncertainties cover the activity data
+                    only — NCV and emission factor uncertainties are excluded.
+                </span>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,19 @@
+// ═══════════════════════════════════════════════════════════════
+//  Monte Carlo Worker
+//  Runs engine/monteCarlo.js off the main thread.
+//  in:  { type: 'run', model, settings }
+//  out: { type: 'progress', done, total } | { type: 'result', result } | { type: 'error', message }
+// ═══════════════════════════════════════════════════════════════
+
+import { runSimulation } from '../engine/monteCarlo.js';
+
+self.onmessage = (event) => {
+    const { type, model, settings } = event.data || {};
+    if (type !== 'run') return;
+    try {
+        const result = runSimulation(model, settings, (done, total) => self.postMessage({ type: 'progress', done, total }));
+        self.postMessage({ type: 'result', result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};